@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Level solvability CLI
+ * Migrates level JSON files to the current format and checks that every key
+ * and the exit can be reached from the spawn, reporting dead-end regions as
+ * warnings. See src/level/LevelSolvability.js for the movement model.
+ *
+ * Usage:
+ *   node check-solvability.js                 # check every file in levels/
+ *   node check-solvability.js levels/foo.json  # check specific files or folders
+ *
+ * Exits with code 1 if any level has an unreachable key or exit.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import assetRegistry from './src/assets/AssetRegistry.js';
+import { formatValidationErrors } from './src/level/LevelSchema.js';
+import { migrateLevel } from './src/level/LevelMigrations.js';
+import { analyzeSolvability } from './src/level/LevelSolvability.js';
+
+/**
+ * Expand the command line arguments into a list of JSON files
+ * @param {Array<string>} inputs - Files or directories
+ * @returns {Array<string>} JSON file paths
+ */
+function collectLevelFiles(inputs) {
+    const files = [];
+
+    inputs.forEach(input => {
+        if (statSync(input).isDirectory()) {
+            readdirSync(input)
+                .filter(name => name.endsWith('.json'))
+                .sort()
+                .forEach(name => files.push(join(input, name)));
+        } else {
+            files.push(input);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Check a single level file
+ * @param {string} file - Path to the level JSON file
+ * @returns {boolean} True if every key and the exit can be reached
+ */
+function checkLevelFile(file) {
+    let levelData;
+    try {
+        levelData = migrateLevel(JSON.parse(readFileSync(file, 'utf8'))).level;
+    } catch (error) {
+        console.log(`❌ ${file}`);
+        console.log(`   $: could not be read (${error.message})`);
+        return false;
+    }
+
+    if (levelData.theme) {
+        assetRegistry.setTheme(levelData.theme);
+    }
+
+    const result = analyzeSolvability(levelData, {
+        isSolidBlock: type => assetRegistry.isSolidBlockType(type)
+    });
+
+    console.log(`${result.solvable ? '✅' : '❌'} ${file} (${result.reachableCount} reachable surface(s))`);
+    formatValidationErrors(result.errors).forEach(message => console.log(`   ${message}`));
+    formatValidationErrors(result.warnings).forEach(message => console.log(`   ⚠️  ${message}`));
+    return result.solvable;
+}
+
+const inputs = process.argv.slice(2);
+const files = collectLevelFiles(inputs.length > 0 ? inputs : ['levels']);
+
+console.log(`Checking ${files.length} level file(s) for unreachable keys and exits\n`);
+
+const failures = files.filter(file => !checkLevelFile(file));
+
+console.log(`\n${files.length - failures.length}/${files.length} level file(s) solvable`);
+process.exit(failures.length > 0 ? 1 : 0);
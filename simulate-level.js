@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Headless level simulation CLI
+ * Loads a level without a renderer, plays it with scripted input or a
+ * recorded replay for a number of ticks, prints the resulting game state and
+ * checks it against the expected outcome.
+ *
+ * Usage:
+ *   node simulate-level.js levels/foo.json --ticks 600 --input "right:0-180,jump:40"
+ *   node simulate-level.js levels/foo.json --replay best-run.json --expect-complete
+ *
+ * Options:
+ *   --ticks N            Steps to run at 60 per second (default 600, or the replay's length)
+ *   --input SCRIPT       Comma-separated key:from-to or key:tick entries
+ *                        (keys: forward, backward, left, right, jump)
+ *   --replay FILE        Recording from InputRecorder to play instead of --input
+ *   --expect-keys N      Expect N keys collected
+ *   --expect-lives N     Expect N lives left
+ *   --expect-score N     Expect a score of N
+ *   --expect-complete    Expect the level to be completed
+ *   --expect-incomplete  Expect the level not to be completed
+ *   --verbose            Show the game's own logging
+ *
+ * Exits with code 1 if the level fails to load or an expectation is not met.
+ */
+
+import { readFileSync } from 'fs';
+import { HeadlessLevelRunner, parseInputScript } from './src/core/HeadlessLevelRunner.js';
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { file: null, ticks: null, input: '', replay: null, expect: {}, verbose: false };
+    const readNumber = (name, value) => {
+        const number = Number(value);
+        if (value === undefined || !Number.isInteger(number) || number < 0) {
+            throw new Error(`${name} expects a whole number`);
+        }
+        return number;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--ticks': options.ticks = readNumber(arg, args[++i]); break;
+            case '--input': options.input = args[++i] || ''; break;
+            case '--replay': options.replay = args[++i]; break;
+            case '--expect-keys': options.expect.keysCollected = readNumber(arg, args[++i]); break;
+            case '--expect-lives': options.expect.lives = readNumber(arg, args[++i]); break;
+            case '--expect-score': options.expect.score = readNumber(arg, args[++i]); break;
+            case '--expect-complete': options.expect.isComplete = true; break;
+            case '--expect-incomplete': options.expect.isComplete = false; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                if (arg.startsWith('--') || options.file) {
+                    throw new Error(`Unexpected argument '${arg}'`);
+                }
+                options.file = arg;
+        }
+    }
+
+    if (!options.file) {
+        throw new Error('No level file given');
+    }
+    return options;
+}
+
+/**
+ * Run the game's systems with their logging muted
+ * @param {boolean} verbose - Keep logging
+ * @param {Function} fn - Async work
+ */
+async function quietly(verbose, fn) {
+    const { log, warn } = console;
+    if (!verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+let options;
+let input;
+try {
+    options = parseArgs(process.argv.slice(2));
+    input = options.replay
+        ? JSON.parse(readFileSync(options.replay, 'utf8'))
+        : parseInputScript(options.input);
+} catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const ticks = options.ticks ?? (options.replay ? input.ticks : 600);
+const runner = new HeadlessLevelRunner();
+
+let state;
+try {
+    const levelData = JSON.parse(readFileSync(options.file, 'utf8'));
+    state = await quietly(options.verbose, async () => {
+        await runner.load(levelData);
+        return runner.run(ticks, input);
+    });
+} catch (error) {
+    console.log(`❌ ${options.file}`);
+    console.log(`   ${error.message}`);
+    process.exit(1);
+}
+
+const { x, y, z } = state.playerPosition;
+console.log(`Simulated ${options.file} for ${state.tick} tick(s) (${state.time.toFixed(2)}s)\n`);
+console.log(`   Keys:     ${state.keysCollected}/${state.totalKeys}${state.exitUnlocked ? ' (exit unlocked)' : ''}`);
+console.log(`   Lives:    ${state.lives}${state.isGameOver ? ' (game over)' : ''}`);
+console.log(`   Score:    ${state.score}`);
+console.log(`   Complete: ${state.isComplete ? 'yes' : 'no'}`);
+console.log(`   Player:   (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})\n`);
+
+const failures = Object.entries(options.expect).filter(([key, expected]) => state[key] !== expected);
+Object.entries(options.expect).forEach(([key, expected]) => {
+    const passed = state[key] === expected;
+    console.log(`${passed ? '✅' : '❌'} ${key}: expected ${expected}, got ${state[key]}`);
+});
+
+process.exit(failures.length > 0 ? 1 : 0);
@@ -163,10 +163,19 @@ class AssetManager {
         // Clone the cached model for instancing
         const instance = cachedModel.clone();
         
-        // Clone materials to allow per-instance customization if needed
+        // Clone materials to allow per-instance customization if needed.
+        // Object3D.clone copies userData through JSON, so the stored materials
+        // are read from the cached model's meshes, which clone in the same order.
+        const sourceMeshes = [];
+        cachedModel.traverse((child) => {
+            if (child.isMesh) sourceMeshes.push(child);
+        });
+        let meshIndex = 0;
         instance.traverse((child) => {
-            if (child.isMesh && child.userData.originalMaterial) {
-                child.material = child.userData.originalMaterial.clone();
+            if (!child.isMesh) return;
+            const source = sourceMeshes[meshIndex++];
+            if (source && source.userData.originalMaterial) {
+                child.material = source.userData.originalMaterial.clone();
             }
         });
         
@@ -15,6 +15,10 @@ class AssetRegistry {
         // Initialize the registry with hardcoded definitions for different themes
         this.registry = new Map();
         this.themes = new Map();
+        this.surfaces = new Map();
+        
+        // Surface materials are shared by all themes
+        this.initializeSurfaces();
         
         // Initialize with nature theme definitions
         this.initializeNatureTheme();
@@ -23,6 +27,20 @@ class AssetRegistry {
         this.currentTheme = 'nature';
     }
     
+    /**
+     * Initialize surface material definitions
+     * Block definitions refer to these through their `surface` field. Physics values
+     * drive the player contact material; movement values scale PlayerController.
+     */
+    initializeSurfaces() {
+        // friction/restitution: player contact; acceleration/braking/speed: multipliers on player movement
+        this.surfaces.set('default', { friction: 0.4, restitution: 0.1, acceleration: 1.0, braking: 1.0, speed: 1.0, color: 0x4080ff });
+        this.surfaces.set('ice', { friction: 0.02, restitution: 0.05, acceleration: 0.35, braking: 0.1, speed: 1.4, color: 0xaee6f5 });
+        this.surfaces.set('mud', { friction: 0.9, restitution: 0.0, acceleration: 0.5, braking: 2.5, speed: 0.5, color: 0x6b4a2b });
+        this.surfaces.set('rubber', { friction: 0.6, restitution: 0.85, acceleration: 1.0, braking: 1.0, speed: 1.0, color: 0xe0457b });
+        this.surfaces.set('sticky', { friction: 1.0, restitution: 0.0, acceleration: 0.8, braking: 6.0, speed: 0.8, color: 0xc7d62f });
+    }
+    
     /**
      * Initialize definitions for the nature theme
      * Maps logical block types to their visual models and physics primitives
@@ -83,6 +101,19 @@ class AssetRegistry {
             gridFootprint: [1, 1, 1]
         });
         
+        // Surface blocks - placeholder cubes tinted by their surface color
+        ['ice', 'mud', 'rubber', 'sticky'].forEach(surface => {
+            natureDefinitions.set(`${surface}_platform`, {
+                model: null,
+                physics: {
+                    shape: 'Box',
+                    dimensions: [2, 2, 2]
+                },
+                gridFootprint: [1, 1, 1],
+                surface: surface
+            });
+        });
+        
         // Hazard - spike trap
         natureDefinitions.set('hazard', {
             model: 'assets/Hazard Spike Trap.glb',
@@ -284,6 +315,29 @@ class AssetRegistry {
         };
     }
     
+    /**
+     * Get the definition for a surface material
+     * @param {string} [surface='default'] - Surface name from a block definition
+     * @returns {Object} Friction, restitution and movement multipliers; the default surface if unknown
+     */
+    getSurfaceDefinition(surface = 'default') {
+        const definition = this.surfaces.get(surface);
+        if (!definition) {
+            console.warn(`Surface '${surface}' not found in registry, using default`);
+            return this.surfaces.get('default');
+        }
+        
+        return definition;
+    }
+    
+    /**
+     * Get all available surface names
+     * @returns {Array<string>} List of surface identifiers
+     */
+    getAvailableSurfaces() {
+        return Array.from(this.surfaces.keys());
+    }
+    
     /**
      * Set the current theme
      * @param {string} themeName - The name of the theme to activate
@@ -321,6 +375,17 @@ class AssetRegistry {
         }
     }
     
+    /**
+     * Check whether blocks of a type have a collider the player can stand on
+     * Decorations and definitions without physics are not solid.
+     * @param {string} blockType - The logical block type
+     * @returns {boolean} True if the block is solid
+     */
+    isSolidBlockType(blockType) {
+        const blockDef = this.getBlockDefinition(blockType);
+        return !!(blockDef && blockDef.physics && blockDef.behavior !== 'decoration');
+    }
+    
     /**
      * Get all available block types for the current theme
      * @returns {Array<string>} List of block type identifiers
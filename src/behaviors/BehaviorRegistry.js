@@ -0,0 +1,178 @@
+/**
+ * BehaviorRegistry - Central catalogue of block behavior types
+ * Requirements: ARCH-005 (Behavior System Architecture), PROD-015 (Declarative Behaviors)
+ *
+ * Each behavior module registers its type name together with how to construct
+ * it, a config schema (in the same JSON Schema subset as LevelSchema), the
+ * default config and metadata for the level editor. BehaviorSystem creates
+ * behaviors through the registry, and the validator and editor enumerate it,
+ * so new behaviors can be added from separate modules without touching the core.
+ *
+ * The registry itself has no browser or three.js dependencies. The built-in
+ * behaviors register themselves when `builtinBehaviors.js` is imported.
+ */
+
+class BehaviorRegistry {
+    constructor() {
+        // type -> behavior definition
+        this.definitions = new Map();
+    }
+
+    /**
+     * Register a behavior type
+     * @param {string} type - Behavior type name used in level JSON
+     * @param {Object} definition - Behavior definition
+     * @param {Function} [definition.behaviorClass] - Class constructed as
+     *        new behaviorClass(targetBlock, config, behaviorId, physicsManager)
+     * @param {Function} [definition.create] - Factory (targetBlock, config, behaviorId, behaviorSystem) => behavior,
+     *        for behaviors that need more than the physics manager. Takes precedence over behaviorClass.
+     * @param {Object} definition.configSchema - Schema for the `config` object
+     * @param {Object} [definition.defaultConfig] - Values applied under the level's config
+     * @param {string|null} [definition.contactTrigger] - How `trigger: 'onPlayerContact'` fires:
+     *        'top' when the player stands on the block, 'touch' on any contact, null to ignore
+     * @param {Object} [definition.editor] - Editor metadata: { label, description, fields: { name: { label, description, coordinate, signed } } }.
+     *        `coordinate` tells the editor what a vector3 field holds - 'world' for a world position or
+     *        'direction' - so only positions offer picking a cell and copied or rotated blocks take their
+     *        behaviors along. `signed` lets a number field without a schema minimum go below zero
+     *        in the editor.
+     */
+    register(type, definition) {
+        if (typeof type !== 'string' || type.length === 0) {
+            throw new Error('BehaviorRegistry::register - Behavior type must be a non-empty string');
+        }
+        if (this.definitions.has(type)) {
+            throw new Error(`BehaviorRegistry::register - Behavior type '${type}' is already registered`);
+        }
+        if (typeof definition.create !== 'function' && typeof definition.behaviorClass !== 'function') {
+            throw new Error(`BehaviorRegistry::register - Behavior '${type}' needs a behaviorClass or create function`);
+        }
+        if (!definition.configSchema || definition.configSchema.type !== 'object') {
+            throw new Error(`BehaviorRegistry::register - Behavior '${type}' needs an object configSchema`);
+        }
+
+        this.definitions.set(type, {
+            type,
+            behaviorClass: definition.behaviorClass || null,
+            create: definition.create || null,
+            configSchema: definition.configSchema,
+            defaultConfig: definition.defaultConfig || {},
+            contactTrigger: definition.contactTrigger || null,
+            editor: {
+                label: type,
+                description: '',
+                fields: {},
+                ...definition.editor
+            }
+        });
+
+        console.log(`BehaviorRegistry::register - Registered behavior type '${type}'`);
+    }
+
+    /**
+     * Remove a behavior type (mainly for tests and hot reloading)
+     * @param {string} type - Behavior type name
+     * @returns {boolean} True if the type was registered
+     */
+    unregister(type) {
+        return this.definitions.delete(type);
+    }
+
+    /**
+     * Check whether a behavior type is registered
+     * @param {string} type - Behavior type name
+     * @returns {boolean} True if registered
+     */
+    has(type) {
+        return this.definitions.has(type);
+    }
+
+    /**
+     * Get the definition of a behavior type
+     * @param {string} type - Behavior type name
+     * @returns {Object|null} Behavior definition or null
+     */
+    get(type) {
+        return this.definitions.get(type) || null;
+    }
+
+    /**
+     * Get all registered behavior type names
+     * @returns {Array<string>} Behavior type names in registration order
+     */
+    getTypes() {
+        return Array.from(this.definitions.keys());
+    }
+
+    /**
+     * Get the config schema of a behavior type
+     * @param {string} type - Behavior type name
+     * @returns {Object|null} Config schema or null
+     */
+    getConfigSchema(type) {
+        const definition = this.definitions.get(type);
+        return definition ? definition.configSchema : null;
+    }
+
+    /**
+     * Get a fresh copy of the default config of a behavior type
+     * @param {string} type - Behavior type name
+     * @returns {Object} Default config
+     */
+    getDefaultConfig(type) {
+        const definition = this.definitions.get(type);
+        return definition ? JSON.parse(JSON.stringify(definition.defaultConfig)) : {};
+    }
+
+    /**
+     * Describe the config fields of a behavior type for editors
+     * @param {string} type - Behavior type name
+     * @returns {Array<{name: string, label: string, description: string, schema: Object, default: *, coordinate: string|null, signed: boolean}>}
+     *          Config fields; coordinate is 'cell' for grid coordinates, 'world' or 'direction' for
+     *          vector3 fields that declare it, otherwise null
+     */
+    getConfigFields(type) {
+        const definition = this.definitions.get(type);
+        if (!definition) return [];
+
+        const properties = definition.configSchema.properties || {};
+        return Object.keys(properties).map(name => {
+            const field = definition.editor.fields[name] || {};
+            return {
+                name,
+                label: field.label || name,
+                description: field.description || '',
+                schema: properties[name],
+                default: definition.defaultConfig[name],
+                coordinate: properties[name].$ref === '#/definitions/gridCoord' ? 'cell' : (field.coordinate || null),
+                signed: !!field.signed
+            };
+        });
+    }
+
+    /**
+     * Create a behavior instance
+     * @param {string} type - Behavior type name
+     * @param {THREE.Mesh} targetBlock - Block the behavior is attached to
+     * @param {Object} config - Behavior config from the level; defaults are applied underneath
+     * @param {string} behaviorId - Unique behavior ID
+     * @param {Object} behaviorSystem - Owning BehaviorSystem
+     * @returns {Object|null} Behavior instance or null if the type is unknown
+     */
+    create(type, targetBlock, config, behaviorId, behaviorSystem) {
+        const definition = this.definitions.get(type);
+        if (!definition) {
+            return null;
+        }
+
+        const resolvedConfig = { ...this.getDefaultConfig(type), ...config };
+        if (definition.create) {
+            return definition.create(targetBlock, resolvedConfig, behaviorId, behaviorSystem);
+        }
+        return new definition.behaviorClass(targetBlock, resolvedConfig, behaviorId, behaviorSystem.physicsManager);
+    }
+}
+
+// Export as singleton
+const behaviorRegistry = new BehaviorRegistry();
+export default behaviorRegistry;
+export { BehaviorRegistry };
@@ -6,16 +6,31 @@
  * them to blocks at runtime, enabling dynamic, interactive puzzles.
  */
 
-import { ElevatorBehavior } from './ElevatorBehavior.js';
-import { TimedDisappearBehavior } from './TimedDisappearBehavior.js';
-import { SwitchBehavior } from './SwitchBehavior.js';
-import { TargetBehavior } from './TargetBehavior.js';
+import behaviorRegistry from './BehaviorRegistry.js';
+import { createLogicNode } from './LogicGates.js';
+import { BlockStatePipeline } from './BlockStatePipeline.js';
+import './builtinBehaviors.js';
 import * as THREE from 'three';
 
+// Maximum nesting of emitSignal calls before a signal is dropped
+const MAX_SIGNAL_DEPTH = 32;
+
+// Player sphere radius and the gap still counted as standing on a block
+const PLAYER_RADIUS = 0.5;
+const CONTACT_TOLERANCE = 0.25;
+
 export class BehaviorSystem {
-    constructor(scene, physicsManager) {
+    /**
+     * @param {THREE.Scene} scene - Scene the level is in
+     * @param {PhysicsManager} physicsManager - Physics of the level
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Leave the game's camera and window alone,
+     *        for simulations beside the live game (ghost replays, tests)
+     */
+    constructor(scene, physicsManager, options = {}) {
         this.scene = scene;
         this.physicsManager = physicsManager;
+        this.isHeadless = options.headless === true;
         
         // Track all active behaviors
         this.behaviors = new Map();
@@ -26,6 +41,16 @@ export class BehaviorSystem {
         // Counter for unique behavior IDs
         this.behaviorIdCounter = 0;
         
+        // Named signal channels: channel -> { value, listeners }
+        this.signals = new Map();
+        this.signalDepth = 0; // Nesting of emitSignal calls, guards against feedback loops
+        
+        // Logic nodes (gates, counters, delays) declared in the level's logic array
+        this.logicNodes = [];
+        
+        // Per-block state pipelines that compose behavior contributions: block -> BlockStatePipeline
+        this.blockPipelines = new Map();
+        
         console.log('BehaviorSystem::constructor - Behavior system initialized');
     }
     
@@ -43,17 +68,42 @@ export class BehaviorSystem {
         // Check if level has behaviors array
         if (!levelData.behaviors || !Array.isArray(levelData.behaviors)) {
             console.log('BehaviorSystem::parseBehaviors - No behaviors found in level data');
-            return;
+        } else {
+            console.log(`BehaviorSystem::parseBehaviors - Parsing ${levelData.behaviors.length} behaviors`);
+            
+            // Parse each behavior definition
+            levelData.behaviors.forEach((behaviorDef, index) => {
+                this.parseSingleBehavior(behaviorDef, index);
+            });
+            
+            console.log(`BehaviorSystem::parseBehaviors - Successfully attached ${this.behaviors.size} behaviors`);
         }
         
-        console.log(`BehaviorSystem::parseBehaviors - Parsing ${levelData.behaviors.length} behaviors`);
+        // Logic nodes are connected after the behaviors so their initial outputs reach listeners
+        if (Array.isArray(levelData.logic)) {
+            this.parseLogic(levelData.logic);
+        }
         
-        // Parse each behavior definition
-        levelData.behaviors.forEach((behaviorDef, index) => {
-            this.parseSingleBehavior(behaviorDef, index);
+        // Apply initial contributions (e.g. blocks that start hidden) before the first frame
+        this.resolveBlockStates();
+    }
+    
+    /**
+     * Create and connect the logic nodes declared in level data
+     * @param {Array<Object>} logicDefs - Entries of the level's logic array
+     */
+    parseLogic(logicDefs) {
+        logicDefs.forEach((definition, index) => {
+            const node = createLogicNode(definition, this);
+            if (!node) {
+                console.warn(`BehaviorSystem::parseLogic - Unknown logic node type '${definition.type}' at index ${index}`);
+                return;
+            }
+            
+            this.logicNodes.push(node);
+            node.connect();
+            console.log(`BehaviorSystem::parseLogic - Connected ${definition.type} node [${definition.inputs}] -> '${definition.output}'`);
         });
-        
-        console.log(`BehaviorSystem::parseBehaviors - Successfully attached ${this.behaviors.size} behaviors`);
     }
     
     /**
@@ -133,6 +183,14 @@ export class BehaviorSystem {
             // Store behavior for updates
             this.behaviors.set(behaviorId, behavior);
             
+            // Every behavior can emit signals through the system and react to channels
+            if (!behavior.behaviorSystem) {
+                behavior.behaviorSystem = this;
+            }
+            if (Array.isArray(behaviorDef.listen)) {
+                this.connectBehaviorSignals(behavior, behaviorDef.listen);
+            }
+            
             // Log successful attachment (required for TC-9.1)
             console.log(`Behavior attached successfully.`);
         } else {
@@ -141,7 +199,7 @@ export class BehaviorSystem {
     }
     
     /**
-     * Create a behavior instance based on type
+     * Create a behavior instance through the behavior registry
      * @param {string} type - Behavior type
      * @param {THREE.Mesh} targetBlock - Target block mesh
      * @param {Object} config - Behavior configuration
@@ -149,23 +207,12 @@ export class BehaviorSystem {
      * @returns {Object} Behavior instance or null
      */
     createBehavior(type, targetBlock, config, behaviorId) {
-        switch (type) {
-            case 'elevator':
-                return new ElevatorBehavior(targetBlock, config, behaviorId, this.physicsManager);
-            
-            case 'timed_disappear':
-                return new TimedDisappearBehavior(targetBlock, config, behaviorId, this.physicsManager);
-            
-            case 'switch':
-                return new SwitchBehavior(targetBlock, config, behaviorId, this);
-            
-            case 'target':
-                return new TargetBehavior(targetBlock, config, behaviorId, this.physicsManager);
-            
-            default:
-                console.warn(`BehaviorSystem::createBehavior - Unknown behavior type: ${type}`);
-                return null;
+        if (!behaviorRegistry.has(type)) {
+            console.warn(`BehaviorSystem::createBehavior - Unknown behavior type: ${type} (registered: ${behaviorRegistry.getTypes().join(', ')})`);
+            return null;
         }
+        
+        return behaviorRegistry.create(type, targetBlock, config, behaviorId, this);
     }
     
     /**
@@ -184,21 +231,185 @@ export class BehaviorSystem {
         // Store reference for collision detection
         block.userData.hasBehavior = true;
         
+        // Behaviors that contribute to the block's transform or visibility share one pipeline
+        if (behavior.contribute && !this.blockPipelines.has(block)) {
+            this.blockPipelines.set(block, new BlockStatePipeline(block));
+        }
+        
         console.log(`BehaviorSystem::attachBehaviorToBlock - Attached behavior '${behavior.type}' to block '${block.name}'`);
     }
     
+    /**
+     * Subscribe a behavior to signal channels
+     * @param {Object} behavior - Behavior instance
+     * @param {Array<{channel: string, action: string}>} listeners - Channels and the action to run;
+     *        'follow' activates on true and deactivates on false, other actions run on true
+     */
+    connectBehaviorSignals(behavior, listeners) {
+        listeners.forEach(({ channel, action = 'activate' }) => {
+            this.onSignal(channel, value => {
+                if (action === 'follow') {
+                    this.applyBehaviorAction(behavior, value ? 'activate' : 'deactivate');
+                } else if (value) {
+                    this.applyBehaviorAction(behavior, action);
+                }
+            });
+            console.log(`BehaviorSystem::connectBehaviorSignals - Behavior '${behavior.id}' (${behavior.type}) listens to '${channel}' with action '${action}'`);
+        });
+    }
+    
+    /**
+     * Run an action on a behavior
+     * @param {Object} behavior - Target behavior instance
+     * @param {string} action - activate, deactivate, toggle or reset
+     */
+    applyBehaviorAction(behavior, action) {
+        switch (action) {
+            case 'activate':
+                if (behavior.activate) {
+                    behavior.activate();
+                } else if (behavior.onPlayerContact) {
+                    // Fallback to onPlayerContact if no activate method
+                    behavior.onPlayerContact();
+                }
+                break;
+                
+            case 'deactivate':
+                if (behavior.deactivate) {
+                    behavior.deactivate();
+                }
+                break;
+                
+            case 'toggle':
+                if (behavior.toggle) {
+                    behavior.toggle();
+                } else if (behavior.state) {
+                    // Generic toggle for behaviors with isActive state
+                    behavior.state.isActive = !behavior.state.isActive;
+                }
+                break;
+                
+            case 'reset':
+                if (behavior.reset) {
+                    behavior.reset();
+                }
+                break;
+                
+            default:
+                console.warn(`BehaviorSystem::applyBehaviorAction - Unknown action '${action}' for behavior '${behavior.id}'`);
+        }
+    }
+    
+    /**
+     * Subscribe to a signal channel
+     * @param {string} channel - Channel name
+     * @param {Function} callback - Called with (value, channel, source) on every emit
+     * @returns {Function} Function that removes the subscription
+     */
+    onSignal(channel, callback) {
+        this.getChannel(channel).listeners.add(callback);
+        return () => this.offSignal(channel, callback);
+    }
+    
+    /**
+     * Remove a signal subscription
+     * @param {string} channel - Channel name
+     * @param {Function} callback - Callback passed to onSignal
+     */
+    offSignal(channel, callback) {
+        const entry = this.signals.get(channel);
+        if (entry) {
+            entry.listeners.delete(callback);
+        }
+    }
+    
+    /**
+     * Emit a value on a signal channel
+     * @param {string} channel - Channel name
+     * @param {boolean} value - New channel value (true = on)
+     * @param {string|null} source - ID of the emitting behavior or logic node
+     */
+    emitSignal(channel, value = true, source = null) {
+        if (this.signalDepth >= MAX_SIGNAL_DEPTH) {
+            console.warn(`BehaviorSystem::emitSignal - Dropped '${channel}' = ${value}: signal chain deeper than ${MAX_SIGNAL_DEPTH} (feedback loop?)`);
+            return;
+        }
+        
+        const entry = this.getChannel(channel);
+        entry.value = Boolean(value);
+        console.log(`BehaviorSystem::emitSignal - '${channel}' = ${entry.value}${source ? ` (from ${source})` : ''}`);
+        
+        this.signalDepth++;
+        try {
+            // Copy so listeners may subscribe or unsubscribe while handling the signal
+            Array.from(entry.listeners).forEach(listener => listener(entry.value, channel, source));
+        } finally {
+            this.signalDepth--;
+        }
+    }
+    
+    /**
+     * Get the current value of a signal channel
+     * @param {string} channel - Channel name
+     * @returns {boolean} Channel value; false if never emitted
+     */
+    getSignal(channel) {
+        const entry = this.signals.get(channel);
+        return entry ? entry.value : false;
+    }
+    
+    /**
+     * Get or create a channel entry
+     * @param {string} channel - Channel name
+     * @returns {{value: boolean, listeners: Set<Function>}} Channel entry
+     */
+    getChannel(channel) {
+        if (!this.signals.has(channel)) {
+            this.signals.set(channel, { value: false, listeners: new Set() });
+        }
+        return this.signals.get(channel);
+    }
+    
     /**
      * Update all active behaviors
      * Requirement: ARCH-005 - Behavior system integrated into game loop
      * @param {number} deltaTime - Time since last frame in seconds
      */
     update(deltaTime) {
+        // Advance logic nodes first so delayed signals act on behaviors this frame
+        this.logicNodes.forEach(node => node.update(deltaTime));
+        
         // Update each active behavior
         this.behaviors.forEach(behavior => {
             if (behavior.update) {
                 behavior.update(deltaTime);
             }
         });
+        
+        this.resolveBlockStates();
+    }
+    
+    /**
+     * Compose the contributions of all behaviors on each block and write the result
+     * to the block's mesh and physics body. Contributions are gathered in the order
+     * the behaviors were declared, so the outcome does not depend on update order.
+     */
+    resolveBlockStates() {
+        this.blockPipelines.forEach((pipeline, block) => {
+            pipeline.resolve(this.getBlockBehaviors(block));
+        });
+    }
+    
+    /**
+     * Get the behaviors attached to a block
+     * @param {THREE.Mesh} block - Block mesh
+     * @returns {Array<Object>} Behavior instances in declaration order
+     */
+    getBlockBehaviors(block) {
+        if (!block || !block.userData.behaviors) return [];
+        return block.userData.behaviors
+            .map(behaviorId => this.behaviors.get(behaviorId))
+            .filter(Boolean);
     }
     
     /**
@@ -219,10 +430,11 @@ export class BehaviorSystem {
                     const isOnTop = yDiff > 0 && yDiff < 3; // Within reasonable range above block
                     
                     if (behavior.onPlayerContact) {
-                        // Different trigger conditions for different behaviors
-                        if (behavior.type === 'elevator' && isOnTop) {
+                        // Each behavior type declares whether it fires on top contact or any touch
+                        const contactTrigger = behaviorRegistry.get(behavior.type)?.contactTrigger;
+                        if (contactTrigger === 'top' && isOnTop) {
                             behavior.onPlayerContact();
-                        } else if (behavior.type === 'switch') {
+                        } else if (contactTrigger === 'touch') {
                             behavior.onPlayerContact();
                         }
                     }
@@ -231,6 +443,65 @@ export class BehaviorSystem {
         });
     }
     
+    /**
+     * Get the direction opposite to the current gravity
+     * @returns {THREE.Vector3} Normalized up direction
+     */
+    getUpDirection() {
+        if (!this.physicsManager || !this.physicsManager.getGravityDirection) {
+            return new THREE.Vector3(0, 1, 0);
+        }
+        const gravity = this.physicsManager.getGravityDirection();
+        return new THREE.Vector3(-gravity.x, -gravity.y, -gravity.z);
+    }
+    
+    /**
+     * Check whether the player rests on the face of a block that points away from gravity
+     * @param {THREE.Mesh} block - Block mesh
+     * @returns {boolean} True if the player stands on the block
+     */
+    isPlayerOnBlock(block) {
+        const playerBody = this.physicsManager && this.physicsManager.playerBody;
+        if (!playerBody || !block) return false;
+        
+        const up = this.getUpDirection();
+        const halfSize = (block.geometry?.parameters?.width || 4) / 2;
+        const offset = new THREE.Vector3(
+            playerBody.position.x - block.position.x,
+            playerBody.position.y - block.position.y,
+            playerBody.position.z - block.position.z
+        );
+        
+        // Height above the block center along the up direction
+        const height = offset.dot(up);
+        if (height < halfSize || height > halfSize + PLAYER_RADIUS + CONTACT_TOLERANCE) {
+            return false;
+        }
+        
+        // The player's center must be over the face
+        offset.addScaledVector(up, -height);
+        return Math.max(Math.abs(offset.x), Math.abs(offset.y), Math.abs(offset.z)) <= halfSize;
+    }
+    
+    /**
+     * Check whether the player touches any face of a block
+     * @param {THREE.Mesh} block - Block mesh
+     * @returns {boolean} True if the player's sphere is within contact range of the block
+     */
+    isPlayerTouchingBlock(block) {
+        const playerBody = this.physicsManager && this.physicsManager.playerBody;
+        if (!playerBody || !block) return false;
+        
+        // Distance from the player's center to the closest point of the block
+        const halfSize = (block.geometry?.parameters?.width || 4) / 2;
+        const closest = new THREE.Vector3(
+            THREE.MathUtils.clamp(playerBody.position.x, block.position.x - halfSize, block.position.x + halfSize),
+            THREE.MathUtils.clamp(playerBody.position.y, block.position.y - halfSize, block.position.y + halfSize),
+            THREE.MathUtils.clamp(playerBody.position.z, block.position.z - halfSize, block.position.z + halfSize)
+        );
+        return closest.distanceTo(playerBody.position) <= PLAYER_RADIUS + CONTACT_TOLERANCE;
+    }
+    
     /**
      * Get behavior by ID
      * @param {string} behaviorId - Behavior ID
@@ -247,6 +518,11 @@ export class BehaviorSystem {
         console.log('BehaviorSystem::clear - Clearing all behaviors');
         this.behaviors.clear();
         this.blocksByPosition.clear();
+        this.blockPipelines.clear();
         this.behaviorIdCounter = 0;
+        
+        this.logicNodes.forEach(node => node.dispose());
+        this.logicNodes = [];
+        this.signals.clear();
     }
 }
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * BlockStatePipeline - Composes the contributions of every behavior on a block
+ * Requirements: ARCH-005 (Behavior System Architecture), PROD-015 (Declarative Behaviors)
+ *
+ * Behaviors never write a block's mesh or physics body directly. Each frame the
+ * BehaviorSystem resets a BlockState to the block's base state, lets every
+ * behavior attached to the block add its contribution through contribute(state)
+ * in level declaration order, and writes the result once:
+ *
+ *   translate(offset)     - offsets are summed
+ *   rotate(quaternion)    - rotations are applied in declaration order
+ *   scaleBy(factor)       - factors are multiplied
+ *   hide()                - the block is visible only if no behavior hides it
+ *   disableCollision()    - the block collides only if no behavior disables it
+ *   multiplyOpacity(a)    - opacities are multiplied
+ *   setMaterial(material) - the last behavior that sets a material wins
+ *
+ * A disappearing elevator therefore moves and blinks at the same time, and
+ * removing one behavior never leaves the block where another one put it.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Accumulates the contributions of one frame
+ */
+export class BlockState {
+    constructor(base) {
+        this.base = base; // Read-only base transform, for behaviors that work in absolute terms
+        this.offset = new THREE.Vector3();
+        this.rotation = new THREE.Quaternion();
+        this.scale = new THREE.Vector3(1, 1, 1);
+        this.reset();
+    }
+
+    /**
+     * Clear all contributions
+     */
+    reset() {
+        this.offset.set(0, 0, 0);
+        this.rotation.identity();
+        this.scale.set(1, 1, 1);
+        this.visible = true;
+        this.solid = true;
+        this.opacity = 1;
+        this.material = null;
+    }
+
+    /**
+     * Move the block relative to its base position
+     * @param {THREE.Vector3} offset - World-space offset
+     */
+    translate(offset) {
+        this.offset.add(offset);
+    }
+
+    /**
+     * Rotate the block about its own center
+     * @param {THREE.Quaternion} quaternion - Rotation applied after earlier contributions
+     */
+    rotate(quaternion) {
+        this.rotation.premultiply(quaternion);
+    }
+
+    /**
+     * Scale the block relative to its base scale
+     * @param {number|THREE.Vector3} factor - Uniform or per-axis factor
+     */
+    scaleBy(factor) {
+        if (typeof factor === 'number') {
+            this.scale.multiplyScalar(factor);
+        } else {
+            this.scale.multiply(factor);
+        }
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    disableCollision() {
+        this.solid = false;
+    }
+
+    /**
+     * @param {number} opacity - 0 (transparent) to 1 (opaque)
+     */
+    multiplyOpacity(opacity) {
+        this.opacity *= opacity;
+    }
+
+    /**
+     * @param {THREE.Material} material - Material shown instead of the base material
+     */
+    setMaterial(material) {
+        this.material = material;
+    }
+}
+
+/**
+ * Owns the base state of one block and applies the resolved state to it
+ */
+export class BlockStatePipeline {
+    constructor(block) {
+        this.block = block;
+        this.physicsBody = block.userData.physicsBody || null;
+
+        const { position, quaternion, scale, material } = block;
+        this.base = {
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            quaternion: quaternion ? new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w) : new THREE.Quaternion(),
+            scale: scale ? new THREE.Vector3(scale.x, scale.y, scale.z) : new THREE.Vector3(1, 1, 1),
+            visible: block.visible !== false,
+            material: material || null,
+            opacity: material ? material.opacity : 1,
+            transparent: material ? material.transparent : false,
+            solid: this.physicsBody ? this.physicsBody.collisionResponse !== false : true
+        };
+
+        this.state = new BlockState(this.base);
+        this.applied = this.snapshot(); // Last state written to the block
+    }
+
+    /**
+     * Gather the contributions of the given behaviors and apply the result
+     * @param {Array<Object>} behaviors - Behaviors attached to the block, in declaration order
+     * @returns {boolean} True if the block changed
+     */
+    resolve(behaviors) {
+        this.state.reset();
+        behaviors.forEach(behavior => {
+            if (behavior.contribute) {
+                behavior.contribute(this.state);
+            }
+        });
+        return this.apply(this.snapshot(this.state));
+    }
+
+    /**
+     * Put the block back into its base state
+     */
+    restore() {
+        this.state.reset();
+        this.apply(this.snapshot(this.state));
+    }
+
+    /**
+     * Compute the final block state
+     * @param {BlockState} [state] - Contributions; the base state if omitted
+     * @returns {Object} Resolved position, quaternion, scale, visibility, collision, material and opacity
+     */
+    snapshot(state = null) {
+        const base = this.base;
+        if (!state) {
+            return {
+                position: base.position.clone(),
+                quaternion: base.quaternion.clone(),
+                scale: base.scale.clone(),
+                visible: base.visible,
+                solid: base.solid,
+                material: base.material,
+                opacity: base.opacity
+            };
+        }
+
+        return {
+            position: base.position.clone().add(state.offset),
+            quaternion: base.quaternion.clone().premultiply(state.rotation),
+            scale: base.scale.clone().multiply(state.scale),
+            visible: base.visible && state.visible,
+            solid: base.solid && state.solid,
+            material: state.material || base.material,
+            opacity: base.opacity * state.opacity
+        };
+    }
+
+    /**
+     * Write a resolved state to the mesh and physics body if it changed
+     * @param {Object} resolved - Result of snapshot()
+     * @returns {boolean} True if anything was written
+     */
+    apply(resolved) {
+        const applied = this.applied;
+        const moved = !resolved.position.equals(applied.position) || !resolved.quaternion.equals(applied.quaternion);
+        const scaled = !resolved.scale.equals(applied.scale);
+        const visibilityChanged = resolved.visible !== applied.visible;
+        const collisionChanged = resolved.solid !== applied.solid;
+        const materialChanged = resolved.material !== applied.material || resolved.opacity !== applied.opacity;
+
+        if (!moved && !scaled && !visibilityChanged && !collisionChanged && !materialChanged) {
+            return false;
+        }
+
+        const block = this.block;
+        if (moved) {
+            block.position.copy(resolved.position);
+            if (block.quaternion) {
+                block.quaternion.copy(resolved.quaternion);
+            }
+        }
+        if (scaled && block.scale) {
+            block.scale.copy(resolved.scale);
+        }
+        if (visibilityChanged) {
+            block.visible = resolved.visible;
+        }
+        if (materialChanged && resolved.material) {
+            block.material = resolved.material;
+            resolved.material.opacity = resolved.opacity;
+            resolved.material.transparent = resolved.opacity < 1 || this.base.transparent;
+        }
+
+        if (this.physicsBody && (moved || collisionChanged)) {
+            const { position, quaternion } = resolved;
+            this.physicsBody.position.set(position.x, position.y, position.z);
+            this.physicsBody.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            this.physicsBody.collisionResponse = resolved.solid;
+            // Wake the body so contacts are recomputed against the new state
+            this.physicsBody.wakeUp();
+        }
+
+        this.applied = resolved;
+        return true;
+    }
+}
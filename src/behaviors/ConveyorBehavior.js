@@ -0,0 +1,234 @@
+/**
+ * ConveyorBehavior - Pushes the player along the surface of a block
+ * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
+ *
+ * While the player rests on the block, its velocity along the belt direction is
+ * driven toward the belt speed. The direction is given for floor gravity and is
+ * rotated with the current gravity from the PhysicsManager, so belts keep
+ * working on walls and ceilings. Switches and signals turn the belt on and off,
+ * and an animated surface texture shows which way it runs - on every mesh of
+ * grouped (GLB) blocks too.
+ */
+
+import * as THREE from 'three';
+import behaviorRegistry from './BehaviorRegistry.js';
+
+// Up direction the configured belt direction refers to
+const FLOOR_UP = new THREE.Vector3(0, 1, 0);
+
+export class ConveyorBehavior {
+    constructor(targetBlock, config, behaviorId, physicsManager) {
+        this.id = behaviorId;
+        this.type = 'conveyor';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.physicsManager = physicsManager;
+
+        // Parse configuration
+        this.state = {
+            isActive: config.startActive !== false,
+            direction: new THREE.Vector3(...(config.direction || [1, 0, 0])).normalize(),
+            speed: config.speed || 3.0,
+            acceleration: config.acceleration || 20.0,
+            playerOnBelt: false
+        };
+
+        // Belt material with a scrolling stripe texture
+        this.beltTexture = this.createBeltTexture();
+        this.beltMaterial = null;
+        if (targetBlock.material && targetBlock.material.clone) {
+            this.beltMaterial = targetBlock.material.clone();
+            this.beltMaterial.map = this.beltTexture;
+        } else if (targetBlock.traverse) {
+            this.applyBeltToMeshes(targetBlock);
+        }
+
+        console.log(`ConveyorBehavior::constructor - Created conveyor for block '${targetBlock.name}'`);
+        console.log(`  Direction: ${this.state.direction.toArray()}, Speed: ${this.state.speed}`);
+    }
+
+    /**
+     * Create the stripe texture scrolled along the belt direction
+     * @returns {THREE.DataTexture} Repeating stripe texture
+     */
+    createBeltTexture() {
+        const size = 4;
+        const data = new Uint8Array(size * size * 4);
+        for (let v = 0; v < size; v++) {
+            for (let u = 0; u < size; u++) {
+                // Diagonal stripes so movement shows along both axes
+                const shade = (u + v) % size < size / 2 ? 255 : 150;
+                data.set([shade, shade, shade, 255], (v * size + u) * 4);
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, size, size);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.magFilter = THREE.NearestFilter;
+        texture.repeat.set(2, 2);
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Give every mesh of a grouped block its own copy of its material with the belt texture
+     * The block state pipeline only swaps the material of single-mesh blocks, so these stay set.
+     * @param {THREE.Object3D} block - Block group, e.g. a GLB model instance
+     */
+    applyBeltToMeshes(block) {
+        const toBelt = material => {
+            if (!material.clone) return material;
+            const belt = material.clone();
+            belt.map = this.beltTexture;
+            return belt;
+        };
+        block.traverse(child => {
+            if (child.isMesh && child.material) {
+                child.material = Array.isArray(child.material) ? child.material.map(toBelt) : toBelt(child.material);
+            }
+        });
+    }
+
+    /**
+     * Update the conveyor behavior each frame
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        if (!this.state.isActive) {
+            this.state.playerOnBelt = false;
+            return;
+        }
+
+        this.scrollTexture(deltaTime);
+
+        this.state.playerOnBelt = Boolean(this.behaviorSystem && this.behaviorSystem.isPlayerOnBlock(this.targetBlock));
+        if (this.state.playerOnBelt) {
+            this.pushPlayer(deltaTime);
+        }
+    }
+
+    /**
+     * Drive the player's velocity along the belt toward the belt speed
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    pushPlayer(deltaTime) {
+        const playerBody = this.physicsManager.playerBody;
+        const direction = this.getBeltDirection();
+        if (!playerBody || !direction) return;
+
+        // Only speed the player up; faster movement along the belt is left alone
+        const velocity = playerBody.velocity;
+        const alongBelt = velocity.x * direction.x + velocity.y * direction.y + velocity.z * direction.z;
+        if (alongBelt >= this.state.speed) return;
+
+        const change = Math.min(this.state.speed - alongBelt, this.state.acceleration * deltaTime);
+        velocity.x += direction.x * change;
+        velocity.y += direction.y * change;
+        velocity.z += direction.z * change;
+        playerBody.wakeUp();
+    }
+
+    /**
+     * Get the belt direction for the current gravity
+     * @returns {THREE.Vector3|null} Normalized direction on the surface, or null if it points along gravity
+     */
+    getBeltDirection() {
+        const up = this.behaviorSystem ? this.behaviorSystem.getUpDirection() : FLOOR_UP.clone();
+        const direction = this.state.direction.clone()
+            .applyQuaternion(new THREE.Quaternion().setFromUnitVectors(FLOOR_UP, up));
+
+        // Keep the push on the surface plane
+        direction.addScaledVector(up, -direction.dot(up));
+        if (direction.lengthSq() < 1e-6) return null;
+        return direction.normalize();
+    }
+
+    /**
+     * Scroll the belt texture along the direction of travel (top face UVs)
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    scrollTexture(deltaTime) {
+        const blockSize = this.targetBlock.geometry?.parameters?.width || 4;
+        const distance = (this.state.speed * deltaTime) / blockSize;
+        const offset = this.beltTexture.offset;
+        offset.x = (offset.x - this.state.direction.x * distance) % 1;
+        offset.y = (offset.y + this.state.direction.z * distance) % 1;
+    }
+
+    /**
+     * Show the belt texture on the block
+     * @param {BlockState} blockState - Accumulator for this frame
+     */
+    contribute(blockState) {
+        if (this.beltMaterial) {
+            blockState.setMaterial(this.beltMaterial);
+        }
+    }
+
+    /**
+     * Start the belt
+     */
+    activate() {
+        console.log(`ConveyorBehavior '${this.id}' - Started`);
+        this.state.isActive = true;
+    }
+
+    /**
+     * Stop the belt
+     */
+    deactivate() {
+        console.log(`ConveyorBehavior '${this.id}' - Stopped`);
+        this.state.isActive = false;
+    }
+
+    /**
+     * Toggle the belt on/off
+     */
+    toggle() {
+        if (this.state.isActive) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    /**
+     * Reset the belt to its configured state
+     */
+    reset() {
+        this.state.isActive = this.config.startActive !== false;
+        this.state.playerOnBelt = false;
+    }
+}
+
+// Register with the behavior registry
+behaviorRegistry.register('conveyor', {
+    behaviorClass: ConveyorBehavior,
+    configSchema: {
+        type: 'object',
+        properties: {
+            direction: { $ref: '#/definitions/vector3' },
+            speed: { type: 'number', exclusiveMinimum: 0 },
+            acceleration: { type: 'number', exclusiveMinimum: 0 },
+            startActive: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        direction: [1, 0, 0],
+        speed: 3.0,
+        acceleration: 20.0,
+        startActive: true
+    },
+    editor: {
+        label: 'Conveyor',
+        description: 'Pushes the player along the top of the block',
+        fields: {
+            direction: { label: 'Direction', description: 'Belt direction with floor gravity; rotates with gravity', coordinate: 'direction' },
+            speed: { label: 'Speed', description: 'Belt speed in units per second' },
+            acceleration: { label: 'Grip', description: 'How quickly the player is brought up to belt speed (units/s²)' },
+            startActive: { label: 'Start running', description: 'Switches and signals turn the belt on and off' }
+        }
+    }
+});
@@ -0,0 +1,174 @@
+/**
+ * CrumbleBehavior - Collapses a block after the player steps on it
+ * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
+ *
+ * Unlike TimedDisappearBehavior, which runs on a fixed cycle, the countdown
+ * starts when the player first lands on the block. The block shakes and flashes
+ * a warning while it counts down, then loses its mesh and collider. With a
+ * respawn delay it comes back once the player is clear of its cell.
+ */
+
+import * as THREE from 'three';
+import behaviorRegistry from './BehaviorRegistry.js';
+
+export class CrumbleBehavior {
+    constructor(targetBlock, config, behaviorId, physicsManager) {
+        this.id = behaviorId;
+        this.type = 'crumble';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.physicsManager = physicsManager;
+
+        // Parse configuration
+        this.state = {
+            phase: 'intact', // intact, crumbling, collapsed
+            timer: 0, // Time spent in the current phase
+            delay: config.delay !== undefined ? config.delay : 1.0, // Seconds from first contact to collapse
+            shakeAmplitude: config.shakeAmplitude !== undefined ? config.shakeAmplitude : 0.1,
+            respawnDelay: config.respawnDelay || 0 // 0 = stays collapsed
+        };
+
+        // Warning material shown while crumbling
+        this.warningMaterial = null;
+        if (targetBlock.material && targetBlock.material.clone) {
+            this.warningMaterial = targetBlock.material.clone();
+            this.warningMaterial.emissive = new THREE.Color(0xff6600);
+            this.warningMaterial.emissiveIntensity = 0.4;
+        }
+
+        console.log(`CrumbleBehavior::constructor - Created crumble for block '${targetBlock.name}'`);
+        console.log(`  Delay: ${this.state.delay}s, Respawn: ${this.state.respawnDelay > 0 ? `${this.state.respawnDelay}s` : 'never'}`);
+    }
+
+    /**
+     * Update the crumble behavior each frame
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        switch (this.state.phase) {
+            case 'intact':
+                if (this.behaviorSystem && this.behaviorSystem.isPlayerOnBlock(this.targetBlock)) {
+                    this.activate();
+                }
+                break;
+
+            case 'crumbling':
+                this.state.timer += deltaTime;
+                if (this.state.timer >= this.state.delay) {
+                    this.setPhase('collapsed');
+                    console.log(`CrumbleBehavior '${this.id}' - Block collapsed`);
+                }
+                break;
+
+            case 'collapsed':
+                if (this.state.respawnDelay <= 0) break;
+
+                this.state.timer += deltaTime;
+                // Wait for the player to leave the cell so the block does not respawn around them
+                if (this.state.timer >= this.state.respawnDelay && !this.isPlayerInCell()) {
+                    this.setPhase('intact');
+                    console.log(`CrumbleBehavior '${this.id}' - Block respawned`);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Enter a phase and restart its timer
+     * @param {string} phase - intact, crumbling or collapsed
+     */
+    setPhase(phase) {
+        this.state.phase = phase;
+        this.state.timer = 0;
+    }
+
+    /**
+     * Check whether the player overlaps the block's cell
+     * @returns {boolean} True if the player would be inside the respawned block
+     */
+    isPlayerInCell() {
+        const playerBody = this.physicsManager && this.physicsManager.playerBody;
+        if (!playerBody) return false;
+
+        const reach = (this.targetBlock.geometry?.parameters?.width || 4) / 2 + 0.5; // Half block plus player radius
+        const { position } = this.targetBlock;
+        return Math.abs(playerBody.position.x - position.x) < reach &&
+            Math.abs(playerBody.position.y - position.y) < reach &&
+            Math.abs(playerBody.position.z - position.z) < reach;
+    }
+
+    /**
+     * Contribute the shake, warning flash and collapse to the block state
+     * @param {BlockState} blockState - Accumulator for this frame
+     */
+    contribute(blockState) {
+        if (this.state.phase === 'collapsed') {
+            blockState.hide();
+            blockState.disableCollision();
+            return;
+        }
+
+        if (this.state.phase !== 'crumbling') return;
+
+        // Shake harder as the collapse gets closer
+        const progress = this.state.delay > 0 ? this.state.timer / this.state.delay : 1;
+        const amplitude = this.state.shakeAmplitude * (0.5 + 0.5 * progress);
+        const t = this.state.timer;
+        blockState.translate(new THREE.Vector3(
+            Math.sin(t * 53) * amplitude,
+            0,
+            Math.cos(t * 47) * amplitude
+        ));
+
+        // Flash faster as the collapse gets closer
+        const flashRate = 0.25 - 0.15 * progress;
+        if (this.warningMaterial && Math.floor(t / flashRate) % 2 === 0) {
+            blockState.setMaterial(this.warningMaterial);
+        }
+    }
+
+    /**
+     * Start the countdown (on first contact or from a switch)
+     */
+    activate() {
+        if (this.state.phase !== 'intact') return;
+
+        console.log(`CrumbleBehavior '${this.id}' - Crumbling`);
+        this.setPhase('crumbling');
+    }
+
+    /**
+     * Restore the block
+     */
+    reset() {
+        this.setPhase('intact');
+    }
+}
+
+// Register with the behavior registry
+behaviorRegistry.register('crumble', {
+    behaviorClass: CrumbleBehavior,
+    configSchema: {
+        type: 'object',
+        properties: {
+            delay: { type: 'number', minimum: 0 },
+            shakeAmplitude: { type: 'number', minimum: 0 },
+            respawnDelay: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        delay: 1.0,
+        shakeAmplitude: 0.1,
+        respawnDelay: 0
+    },
+    editor: {
+        label: 'Crumble',
+        description: 'Collapses the block shortly after the player first lands on it',
+        fields: {
+            delay: { label: 'Delay', description: 'Seconds from first contact to collapse' },
+            shakeAmplitude: { label: 'Shake', description: 'Shake distance while crumbling' },
+            respawnDelay: { label: 'Respawn delay', description: 'Seconds before the block returns; 0 never returns' }
+        }
+    }
+});
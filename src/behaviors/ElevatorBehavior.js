@@ -3,11 +3,13 @@
  * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
  * 
  * This behavior allows blocks to move smoothly between a start and end position
- * when triggered by player contact or other conditions.
+ * when triggered by player contact or other conditions. The position is
+ * contributed to the block's state pipeline as an offset, so it composes with
+ * other behaviors on the same block.
  */
 
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
+import behaviorRegistry from './BehaviorRegistry.js';
 
 export class ElevatorBehavior {
     constructor(targetBlock, config, behaviorId, physicsManager) {
@@ -21,7 +23,7 @@ export class ElevatorBehavior {
         this.state = {
             isActive: false,
             isTriggered: false,
-            currentPosition: targetBlock.position.clone(),
+            currentPosition: new THREE.Vector3(targetBlock.position.x, targetBlock.position.y, targetBlock.position.z),
             startPosition: new THREE.Vector3(
                 ...(config.startPosition || [targetBlock.position.x, targetBlock.position.y, targetBlock.position.z])
             ),
@@ -36,9 +38,6 @@ export class ElevatorBehavior {
             progress: 0 // 0 to 1, representing position between start and end
         };
         
-        // Store the physics body reference if it exists
-        this.physicsBody = targetBlock.userData.physicsBody || null;
-        
         console.log(`ElevatorBehavior::constructor - Created elevator for block '${targetBlock.name}'`);
         console.log(`  Start: ${this.state.startPosition.toArray()}`);
         console.log(`  End: ${this.state.endPosition.toArray()}`);
@@ -70,23 +69,12 @@ export class ElevatorBehavior {
         this.state.progress = Math.max(0, Math.min(1, this.state.progress));
         
         // Lerp between start and end positions
-        const newPosition = new THREE.Vector3().lerpVectors(
+        this.state.currentPosition.lerpVectors(
             this.state.startPosition,
             this.state.endPosition,
             this.state.progress
         );
         
-        // Update mesh position
-        this.targetBlock.position.copy(newPosition);
-        this.state.currentPosition.copy(newPosition);
-        
-        // Update physics body position if it exists
-        if (this.physicsBody) {
-            this.physicsBody.position.set(newPosition.x, newPosition.y, newPosition.z);
-            // Wake up the physics body to ensure proper collision detection
-            this.physicsBody.wakeUp();
-        }
-        
         // Check if reached destination
         if (this.state.progress <= 0 && this.state.direction === -1) {
             // Reached start position
@@ -129,17 +117,16 @@ export class ElevatorBehavior {
         this.state.direction = 1;
         this.state.delayTimer = 0;
         
-        // Reset positions
-        this.targetBlock.position.copy(this.state.startPosition);
+        // Reset position
         this.state.currentPosition.copy(this.state.startPosition);
-        
-        if (this.physicsBody) {
-            this.physicsBody.position.set(
-                this.state.startPosition.x,
-                this.state.startPosition.y,
-                this.state.startPosition.z
-            );
-        }
+    }
+    
+    /**
+     * Contribute the elevator's travel to the block state
+     * @param {BlockState} blockState - Accumulator for this frame
+     */
+    contribute(blockState) {
+        blockState.translate(this.state.currentPosition.clone().sub(blockState.base.position));
     }
     
     /**
@@ -152,4 +139,44 @@ export class ElevatorBehavior {
         this.state.direction = 1;
         this.state.delayTimer = 0;
     }
-}
\ No newline at end of file
+}
+
+// Register with the behavior registry
+behaviorRegistry.register('elevator', {
+    behaviorClass: ElevatorBehavior,
+    contactTrigger: 'top',
+    configSchema: {
+        type: 'object',
+        properties: {
+            trigger: { type: 'string', enum: ['onPlayerContact', 'none'] },
+            startPosition: { $ref: '#/definitions/vector3' },
+            endPosition: { $ref: '#/definitions/vector3' },
+            speed: { type: 'number', exclusiveMinimum: 0 },
+            returnDelay: { type: 'number', minimum: 0 },
+            autoReturn: { type: 'boolean' },
+            loop: { type: 'boolean' },
+            retriggerable: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        trigger: 'onPlayerContact',
+        speed: 2.0,
+        returnDelay: 3.0,
+        autoReturn: true
+    },
+    editor: {
+        label: 'Elevator',
+        description: 'Moves the block between a start and end position',
+        fields: {
+            trigger: { label: 'Trigger', description: 'Start moving when the player stands on the block, or none to wait for a signal' },
+            startPosition: { label: 'Start position', description: 'World position; defaults to the block position', coordinate: 'world' },
+            endPosition: { label: 'End position', description: 'World position; defaults to 10 units above the block', coordinate: 'world' },
+            speed: { label: 'Speed', description: 'Units per second' },
+            returnDelay: { label: 'Return delay', description: 'Seconds to wait at the end position' },
+            autoReturn: { label: 'Auto return', description: 'Return to the start position after the delay' },
+            loop: { label: 'Loop', description: 'Keep moving back and forth' },
+            retriggerable: { label: 'Retriggerable', description: 'Restart on every player contact' }
+        }
+    }
+});
@@ -0,0 +1,173 @@
+/**
+ * GravityFlipBehavior - Turns world gravity when the player touches the block
+ * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks, PROD-001 - Gravity Reorientation
+ *
+ * Touching any face of the block either points gravity along the configured
+ * `direction` or inverts the current gravity. The change goes through
+ * PhysicsManager.reorientGravity, so the camera and the player's movement basis
+ * follow it. The player has to let go of the block before it fires again,
+ * which lets a single block flip the player onto the ceiling and back.
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import behaviorRegistry from './BehaviorRegistry.js';
+
+export class GravityFlipBehavior {
+    constructor(targetBlock, config, behaviorId, behaviorSystem) {
+        this.id = behaviorId;
+        this.type = 'gravity_flip';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.behaviorSystem = behaviorSystem;
+        this.physicsManager = behaviorSystem.physicsManager;
+
+        // Parse configuration
+        this.state = {
+            isActive: config.startActive !== false,
+            direction: config.direction ? new THREE.Vector3(...config.direction).normalize() : null, // null = invert
+            cooldown: config.cooldown !== undefined ? config.cooldown : 1.0,
+            cooldownTimer: 0,
+            awaitingRelease: false, // Player has to stop touching the block before it fires again
+            flipCount: 0
+        };
+
+        if (this.state.direction && this.state.direction.lengthSq() === 0) {
+            console.warn(`GravityFlipBehavior::constructor - Zero gravity direction for block '${targetBlock.name}'; inverting instead`);
+            this.state.direction = null;
+        }
+
+        // Glow while the block is armed
+        this.activeMaterial = null;
+        if (targetBlock.material && targetBlock.material.clone) {
+            this.activeMaterial = targetBlock.material.clone();
+            this.activeMaterial.emissive = new THREE.Color(0x7e57c2);
+            this.activeMaterial.emissiveIntensity = 0.4;
+        }
+
+        console.log(`GravityFlipBehavior::constructor - Created gravity flip for block '${targetBlock.name}'`);
+        console.log(`  Gravity: ${this.state.direction ? `(${config.direction})` : 'invert'}`);
+    }
+
+    /**
+     * Update the gravity flip behavior each frame
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.state.cooldownTimer = Math.max(0, this.state.cooldownTimer - deltaTime);
+
+        const touching = this.behaviorSystem.isPlayerTouchingBlock(this.targetBlock);
+        if (this.state.awaitingRelease) {
+            if (!touching) this.state.awaitingRelease = false;
+            return;
+        }
+
+        if (!this.state.isActive || this.state.cooldownTimer > 0 || !touching) return;
+
+        // A transition in progress would ignore the request; try again next frame
+        if (this.physicsManager.isTransitioning) return;
+
+        this.flip();
+    }
+
+    /**
+     * Get the gravity direction the block switches to
+     * @returns {THREE.Vector3} Normalized gravity direction
+     */
+    getTargetGravity() {
+        if (this.state.direction) return this.state.direction.clone();
+        return this.behaviorSystem.getUpDirection();
+    }
+
+    /**
+     * Reorient gravity
+     */
+    flip() {
+        const gravity = this.getTargetGravity();
+        const currentGravity = this.behaviorSystem.getUpDirection().negate();
+        this.state.awaitingRelease = true;
+
+        if (currentGravity.dot(gravity) > 0.999) return; // Already pointing that way
+
+        // reorientGravity takes the normal of the new floor, which faces against gravity
+        this.physicsManager.reorientGravity(new CANNON.Vec3(-gravity.x, -gravity.y, -gravity.z));
+
+        this.state.cooldownTimer = this.state.cooldown;
+        this.state.flipCount++;
+        console.log(`GravityFlipBehavior '${this.id}' - Gravity now (${gravity.x.toFixed(2)}, ${gravity.y.toFixed(2)}, ${gravity.z.toFixed(2)}) (#${this.state.flipCount})`);
+    }
+
+    /**
+     * Contribute the armed glow to the block state
+     * @param {BlockState} blockState - Accumulator for this frame
+     */
+    contribute(blockState) {
+        if (this.state.isActive && this.activeMaterial) {
+            blockState.setMaterial(this.activeMaterial);
+        }
+    }
+
+    /**
+     * Enable the block
+     */
+    activate() {
+        console.log(`GravityFlipBehavior '${this.id}' - Enabled`);
+        this.state.isActive = true;
+    }
+
+    /**
+     * Disable the block
+     */
+    deactivate() {
+        console.log(`GravityFlipBehavior '${this.id}' - Disabled`);
+        this.state.isActive = false;
+    }
+
+    /**
+     * Toggle the block on/off
+     */
+    toggle() {
+        if (this.state.isActive) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    /**
+     * Reset the block to its configured state
+     */
+    reset() {
+        this.state.isActive = this.config.startActive !== false;
+        this.state.cooldownTimer = 0;
+        this.state.awaitingRelease = false;
+    }
+}
+
+// Register with the behavior registry; the block needs the system for contact checks
+behaviorRegistry.register('gravity_flip', {
+    create: (targetBlock, config, behaviorId, behaviorSystem) =>
+        new GravityFlipBehavior(targetBlock, config, behaviorId, behaviorSystem),
+    configSchema: {
+        type: 'object',
+        properties: {
+            direction: { $ref: '#/definitions/vector3' },
+            cooldown: { type: 'number', minimum: 0 },
+            startActive: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        cooldown: 1.0,
+        startActive: true
+    },
+    editor: {
+        label: 'Gravity Flip',
+        description: 'Turns gravity when the player touches the block',
+        fields: {
+            direction: { label: 'Gravity direction', description: 'Direction gravity pulls after the flip, e.g. [0, 1, 0]; omit to invert', coordinate: 'direction' },
+            cooldown: { label: 'Cooldown', description: 'Seconds before the block fires again' },
+            startActive: { label: 'Start enabled' }
+        }
+    }
+});
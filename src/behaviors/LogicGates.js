@@ -0,0 +1,198 @@
+/**
+ * LogicGates - Logic nodes that combine named signal channels
+ * Requirements: ARCH-005 (Behavior System Architecture), PROD-015 (Declarative Behaviors)
+ *
+ * Logic nodes are declared in the level's `logic` array. Each node listens to
+ * one or more input channels on the BehaviorSystem signal bus and emits on its
+ * output channel:
+ *
+ *   and / or / xor  - boolean combination of the current input values
+ *   not             - inverse of a single input
+ *   counter         - emits true once its inputs have fired `count` times
+ *   delay           - re-emits its input `delay` seconds later
+ *
+ * Logic nodes are not attached to blocks and have no three.js dependencies.
+ */
+
+export const LOGIC_NODE_TYPES = ['and', 'or', 'xor', 'not', 'counter', 'delay'];
+
+/**
+ * Combines the current values of its inputs
+ */
+export class GateNode {
+    constructor(definition, behaviorSystem) {
+        this.id = definition.id || `${definition.type}->${definition.output}`;
+        this.type = definition.type;
+        this.inputs = definition.inputs;
+        this.output = definition.output;
+        this.behaviorSystem = behaviorSystem;
+        this.unsubscribers = [];
+        this.value = false;
+    }
+
+    /**
+     * Subscribe to the input channels and emit the initial output
+     */
+    connect() {
+        this.inputs.forEach(channel => {
+            this.unsubscribers.push(this.behaviorSystem.onSignal(channel, () => this.evaluate()));
+        });
+        this.evaluate();
+    }
+
+    /**
+     * Compute the output from the current input values
+     * @returns {boolean} Output value
+     */
+    compute() {
+        const values = this.inputs.map(channel => this.behaviorSystem.getSignal(channel));
+        switch (this.type) {
+            case 'and':
+                return values.every(Boolean);
+            case 'or':
+                return values.some(Boolean);
+            case 'xor':
+                return values.filter(Boolean).length % 2 === 1;
+            case 'not':
+                return !values[0];
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Re-evaluate the gate and emit when the output changes
+     */
+    evaluate() {
+        const value = this.compute();
+        if (value !== this.value) {
+            this.value = value;
+            this.behaviorSystem.emitSignal(this.output, value, this.id);
+        }
+    }
+
+    update() {}
+
+    /**
+     * Unsubscribe from all input channels
+     */
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+/**
+ * Counts true signals on its inputs and fires once the target count is reached
+ */
+export class CounterNode extends GateNode {
+    constructor(definition, behaviorSystem) {
+        super(definition, behaviorSystem);
+        this.count = definition.count;
+        this.repeat = definition.repeat === true; // Start counting again after firing
+        this.resetChannel = definition.resetChannel || null;
+        this.current = 0;
+    }
+
+    connect() {
+        this.inputs.forEach(channel => {
+            this.unsubscribers.push(this.behaviorSystem.onSignal(channel, value => {
+                if (value) this.increment();
+            }));
+        });
+
+        if (this.resetChannel) {
+            this.unsubscribers.push(this.behaviorSystem.onSignal(this.resetChannel, value => {
+                if (value) this.reset();
+            }));
+        }
+    }
+
+    increment() {
+        if (this.value && !this.repeat) return;
+
+        this.current++;
+        if (this.current < this.count) return;
+
+        if (this.repeat) {
+            // Pulse the output so listeners fire on every completed count
+            this.current = 0;
+            this.behaviorSystem.emitSignal(this.output, true, this.id);
+            this.behaviorSystem.emitSignal(this.output, false, this.id);
+        } else {
+            this.value = true;
+            this.behaviorSystem.emitSignal(this.output, true, this.id);
+        }
+    }
+
+    reset() {
+        this.current = 0;
+        if (this.value) {
+            this.value = false;
+            this.behaviorSystem.emitSignal(this.output, false, this.id);
+        }
+    }
+}
+
+/**
+ * Re-emits every change of its input after a fixed delay
+ */
+export class DelayNode extends GateNode {
+    constructor(definition, behaviorSystem) {
+        super(definition, behaviorSystem);
+        this.delay = definition.delay;
+        this.pending = []; // { remaining, value } in emission order
+    }
+
+    connect() {
+        this.unsubscribers.push(this.behaviorSystem.onSignal(this.inputs[0], value => {
+            this.pending.push({ remaining: this.delay, value });
+        }));
+    }
+
+    /**
+     * Emit the delayed signals that are due
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.pending.forEach(entry => {
+            entry.remaining -= deltaTime;
+        });
+
+        while (this.pending.length > 0 && this.pending[0].remaining <= 0) {
+            const { value } = this.pending.shift();
+            this.value = value;
+            this.behaviorSystem.emitSignal(this.output, value, this.id);
+        }
+    }
+
+    dispose() {
+        super.dispose();
+        this.pending = [];
+    }
+}
+
+/**
+ * Create a logic node from its level definition
+ * @param {Object} definition - Entry of the level's `logic` array
+ * @param {Object} behaviorSystem - BehaviorSystem providing the signal bus
+ * @returns {GateNode|null} Logic node or null if the type is unknown
+ */
+export function createLogicNode(definition, behaviorSystem) {
+    switch (definition.type) {
+        case 'and':
+        case 'or':
+        case 'xor':
+        case 'not':
+            return new GateNode(definition, behaviorSystem);
+
+        case 'counter':
+            return new CounterNode(definition, behaviorSystem);
+
+        case 'delay':
+            return new DelayNode(definition, behaviorSystem);
+
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * SpringBehavior - Launches the player off the block
+ * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
+ *
+ * When the player lands on the block, the spring sets their speed along the
+ * surface normal (the direction opposite the current gravity) to `impulse`.
+ * With a `targetBlock` the sideways speed is chosen so the player lands on top
+ * of that block, which allows long angled jumps. The block squashes and
+ * rebounds through the block state pipeline when it fires.
+ */
+
+import * as THREE from 'three';
+import behaviorRegistry from './BehaviorRegistry.js';
+
+// Height of the player's center above the surface they land on
+const PLAYER_RADIUS = 0.5;
+
+// Compression animation: squash quickly, then rebound
+const COMPRESS_TIME = 0.08;
+const REBOUND_TIME = 0.27;
+const MAX_SQUASH = 0.3;
+
+export class SpringBehavior {
+    constructor(targetBlock, config, behaviorId, behaviorSystem) {
+        this.id = behaviorId;
+        this.type = 'spring';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.behaviorSystem = behaviorSystem;
+        this.physicsManager = behaviorSystem.physicsManager;
+
+        // Parse configuration
+        this.state = {
+            isActive: config.startActive !== false,
+            impulse: config.impulse || 12.0, // Launch speed along the surface normal
+            targetBlockPosition: config.targetBlock || null, // Grid coordinates [x, y, z]
+            cooldown: config.cooldown !== undefined ? config.cooldown : 0.5,
+            cooldownTimer: 0,
+            animationTimer: -1, // Time since the last launch; -1 = not animating
+            launchUp: new THREE.Vector3(0, 1, 0), // Surface normal at the last launch
+            launchCount: 0
+        };
+
+        this.landingBlock = null;
+        if (this.state.targetBlockPosition) {
+            const [x, y, z] = this.state.targetBlockPosition;
+            this.landingBlock = behaviorSystem.blocksByPosition.get(`${x},${y},${z}`) || null;
+            if (!this.landingBlock) {
+                console.warn(`SpringBehavior::constructor - No block found at target [${this.state.targetBlockPosition}]`);
+            }
+        }
+
+        console.log(`SpringBehavior::constructor - Created spring for block '${targetBlock.name}'`);
+        console.log(`  Impulse: ${this.state.impulse}${this.landingBlock ? `, Target: [${this.state.targetBlockPosition}]` : ''}`);
+    }
+
+    /**
+     * Update the spring behavior each frame
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.state.cooldownTimer = Math.max(0, this.state.cooldownTimer - deltaTime);
+
+        if (this.state.animationTimer >= 0) {
+            this.state.animationTimer += deltaTime;
+            if (this.state.animationTimer >= COMPRESS_TIME + REBOUND_TIME) {
+                this.state.animationTimer = -1;
+            }
+        }
+
+        if (!this.state.isActive || this.state.cooldownTimer > 0) return;
+
+        if (this.behaviorSystem.isPlayerOnBlock(this.targetBlock)) {
+            this.launch();
+        }
+    }
+
+    /**
+     * Launch the player
+     */
+    launch() {
+        const playerBody = this.physicsManager.playerBody;
+        if (!playerBody) return;
+
+        const up = this.behaviorSystem.getUpDirection();
+        const velocity = this.getLaunchVelocity(up, playerBody);
+
+        // The player controller lifts its speed limit for the flight
+        const playerController = this.physicsManager.playerController;
+        if (playerController && playerController.launch) {
+            playerController.launch(velocity);
+        } else {
+            playerBody.velocity.set(velocity.x, velocity.y, velocity.z);
+            playerBody.wakeUp();
+        }
+
+        this.state.cooldownTimer = this.state.cooldown;
+        this.state.animationTimer = 0;
+        this.state.launchUp.copy(up);
+        this.state.launchCount++;
+
+        console.log(`SpringBehavior '${this.id}' - Launched player (#${this.state.launchCount})`);
+    }
+
+    /**
+     * Compute the launch velocity
+     * @param {THREE.Vector3} up - Surface normal (opposite of gravity)
+     * @param {CANNON.Body} playerBody - Player physics body
+     * @returns {THREE.Vector3} Velocity with `impulse` along the normal; sideways speed
+     *          is kept, or replaced by the speed that lands the player on the target block
+     */
+    getLaunchVelocity(up, playerBody) {
+        const upSpeed = this.state.impulse;
+        const { position: from, velocity: current } = playerBody;
+        const sidewaysNow = new THREE.Vector3(current.x, current.y, current.z);
+        sidewaysNow.addScaledVector(up, -sidewaysNow.dot(up));
+
+        const velocity = up.clone().multiplyScalar(upSpeed);
+        if (!this.landingBlock) return velocity.add(sidewaysNow);
+
+        const gravity = this.physicsManager.world.gravity.length() || this.physicsManager.gravityMagnitude;
+        const halfSize = (this.landingBlock.geometry?.parameters?.width || 4) / 2;
+        const landing = this.landingBlock.position.clone().addScaledVector(up, halfSize + PLAYER_RADIUS);
+
+        const delta = landing.sub(new THREE.Vector3(from.x, from.y, from.z));
+        const height = delta.dot(up);
+        const discriminant = upSpeed * upSpeed - 2 * gravity * height;
+        if (discriminant < 0) {
+            console.warn(`SpringBehavior '${this.id}' - Impulse ${upSpeed} cannot reach target [${this.state.targetBlockPosition}]; launching straight up`);
+            return velocity.add(sidewaysNow);
+        }
+
+        // Time until the player comes back down to the landing height
+        const flightTime = (upSpeed + Math.sqrt(discriminant)) / gravity;
+        const sideways = delta.addScaledVector(up, -height).divideScalar(flightTime);
+        return velocity.add(sideways);
+    }
+
+    /**
+     * Contribute the compression animation to the block state
+     * @param {BlockState} blockState - Accumulator for this frame
+     */
+    contribute(blockState) {
+        const t = this.state.animationTimer;
+        if (t < 0) return;
+
+        const compression = t < COMPRESS_TIME
+            ? t / COMPRESS_TIME
+            : Math.max(0, 1 - (t - COMPRESS_TIME) / REBOUND_TIME);
+        const squash = MAX_SQUASH * compression;
+        if (squash === 0) return;
+
+        // Squash along the surface normal and keep the opposite face in place
+        const up = this.state.launchUp;
+        const halfSize = (this.targetBlock.geometry?.parameters?.width || 4) / 2;
+        blockState.scaleBy(new THREE.Vector3(
+            1 - squash * Math.abs(up.x),
+            1 - squash * Math.abs(up.y),
+            1 - squash * Math.abs(up.z)
+        ));
+        blockState.translate(up.clone().multiplyScalar(-halfSize * squash));
+    }
+
+    /**
+     * Enable the spring
+     */
+    activate() {
+        console.log(`SpringBehavior '${this.id}' - Enabled`);
+        this.state.isActive = true;
+    }
+
+    /**
+     * Disable the spring
+     */
+    deactivate() {
+        console.log(`SpringBehavior '${this.id}' - Disabled`);
+        this.state.isActive = false;
+    }
+
+    /**
+     * Toggle the spring on/off
+     */
+    toggle() {
+        if (this.state.isActive) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    /**
+     * Reset the spring to its configured state
+     */
+    reset() {
+        this.state.isActive = this.config.startActive !== false;
+        this.state.cooldownTimer = 0;
+        this.state.animationTimer = -1;
+    }
+}
+
+// Register with the behavior registry; springs need the system to find their target
+behaviorRegistry.register('spring', {
+    create: (targetBlock, config, behaviorId, behaviorSystem) =>
+        new SpringBehavior(targetBlock, config, behaviorId, behaviorSystem),
+    configSchema: {
+        type: 'object',
+        properties: {
+            impulse: { type: 'number', exclusiveMinimum: 0 },
+            targetBlock: { $ref: '#/definitions/gridCoord' },
+            cooldown: { type: 'number', minimum: 0 },
+            startActive: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        impulse: 12.0,
+        cooldown: 0.5,
+        startActive: true
+    },
+    editor: {
+        label: 'Spring',
+        description: 'Launches the player away from the block when they land on it',
+        fields: {
+            impulse: { label: 'Impulse', description: 'Launch speed along the surface normal' },
+            targetBlock: { label: 'Target block', description: 'Grid cell of the block to land on; omit to launch straight up' },
+            cooldown: { label: 'Cooldown', description: 'Seconds before the spring fires again' },
+            startActive: { label: 'Start enabled' }
+        }
+    }
+});
@@ -3,10 +3,13 @@
  * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
  * 
  * This behavior detects player contact and sends activation signals to
- * target blocks identified by their grid coordinates.
+ * target blocks identified by their grid coordinates, and/or emits on a named
+ * signal channel (true when pressed, false when reset) so one switch can drive
+ * any number of listeners and logic gates.
  */
 
 import * as THREE from 'three';
+import behaviorRegistry from './BehaviorRegistry.js';
 
 export class SwitchBehavior {
     constructor(targetBlock, config, behaviorId, behaviorSystem) {
@@ -20,6 +23,7 @@ export class SwitchBehavior {
         this.state = {
             isActivated: false,
             targetBlockPosition: config.targetBlock || null, // Grid coordinates [x, y, z]
+            channel: config.channel || null, // Signal channel emitted on press/reset
             action: config.action || 'activate', // Action to perform on target
             visual: config.visual || 'button', // Visual style: button, lever, pressure_plate
             oneTime: config.oneTime !== false, // Default to one-time use
@@ -29,7 +33,6 @@ export class SwitchBehavior {
         };
         
         // Visual feedback properties
-        this.originalPosition = targetBlock.position.clone();
         this.originalMaterial = targetBlock.material;
         this.activeMaterial = null;
         
@@ -59,9 +62,6 @@ export class SwitchBehavior {
                 this.reset();
             }
         }
-        
-        // Visual feedback based on state
-        this.updateVisual();
     }
     
     /**
@@ -91,17 +91,19 @@ export class SwitchBehavior {
         this.state.activationCount++;
         this.state.resetTimer = 0;
         
-        // Apply visual feedback
-        this.applyActiveVisual();
-        
         // Find and activate target block
         if (this.state.targetBlockPosition) {
             this.triggerTarget();
+            console.log(`  Triggering action '${this.state.action}' on target at [${this.state.targetBlockPosition}]`);
+        }
+        
+        // Notify everything listening on the switch's channel
+        if (this.state.channel && this.behaviorSystem) {
+            this.behaviorSystem.emitSignal(this.state.channel, true, this.id);
         }
         
         // Log activation
         console.log(`  Activation #${this.state.activationCount}`);
-        console.log(`  Triggering action '${this.state.action}' on target at [${this.state.targetBlockPosition}]`);
     }
     
     /**
@@ -145,95 +147,52 @@ export class SwitchBehavior {
      */
     executeAction(behavior, action) {
         console.log(`SwitchBehavior '${this.id}' - Executing '${action}' on behavior '${behavior.id}' (${behavior.type})`);
-        
-        switch (action) {
-            case 'activate':
-                if (behavior.activate) {
-                    behavior.activate();
-                } else if (behavior.onPlayerContact) {
-                    // Fallback to onPlayerContact if no activate method
-                    behavior.onPlayerContact();
-                }
-                break;
-                
-            case 'deactivate':
-                if (behavior.deactivate) {
-                    behavior.deactivate();
-                }
-                break;
-                
-            case 'toggle':
-                if (behavior.toggle) {
-                    behavior.toggle();
-                } else if (behavior.state) {
-                    // Generic toggle for behaviors with isActive state
-                    behavior.state.isActive = !behavior.state.isActive;
-                }
-                break;
-                
-            case 'reset':
-                if (behavior.reset) {
-                    behavior.reset();
-                }
-                break;
-                
-            default:
-                console.warn(`SwitchBehavior '${this.id}' - Unknown action '${action}'`);
-        }
+        this.behaviorSystem.applyBehaviorAction(behavior, action);
     }
     
     /**
-     * Apply visual feedback when activated
+     * Contribute the pressed visual to the block state while activated
+     * @param {BlockState} blockState - Accumulator for this frame
      */
-    applyActiveVisual() {
+    contribute(blockState) {
+        if (!this.state.isActivated) return;
+        
         if (this.activeMaterial) {
-            this.targetBlock.material = this.activeMaterial;
+            blockState.setMaterial(this.activeMaterial);
         }
         
         // Apply physical movement based on visual type
         switch (this.state.visual) {
             case 'button':
                 // Push button in slightly
-                this.targetBlock.position.y = this.originalPosition.y - 0.1;
+                blockState.translate(new THREE.Vector3(0, -0.1, 0));
                 break;
                 
             case 'pressure_plate':
                 // Depress plate
-                this.targetBlock.position.y = this.originalPosition.y - 0.05;
+                blockState.translate(new THREE.Vector3(0, -0.05, 0));
                 break;
                 
             case 'lever':
                 // Rotate lever
-                this.targetBlock.rotation.z = Math.PI / 4;
+                blockState.rotate(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI / 4));
                 break;
         }
     }
     
-    /**
-     * Update visual feedback based on current state
-     */
-    updateVisual() {
-        if (!this.state.isActivated && this.targetBlock.material !== this.originalMaterial) {
-            // Reset visual if no longer activated
-            this.targetBlock.material = this.originalMaterial;
-            this.targetBlock.position.copy(this.originalPosition);
-            this.targetBlock.rotation.z = 0;
-        }
-    }
-    
     /**
      * Reset the switch to inactive state
      */
     reset() {
         console.log(`SwitchBehavior '${this.id}' - Resetting`);
         
+        const wasActivated = this.state.isActivated;
         this.state.isActivated = false;
         this.state.resetTimer = 0;
         
-        // Reset visual
-        this.targetBlock.material = this.originalMaterial;
-        this.targetBlock.position.copy(this.originalPosition);
-        this.targetBlock.rotation.z = 0;
+        if (wasActivated && this.state.channel && this.behaviorSystem) {
+            this.behaviorSystem.emitSignal(this.state.channel, false, this.id);
+        }
     }
     
     /**
@@ -242,4 +201,44 @@ export class SwitchBehavior {
     deactivate() {
         this.reset();
     }
-}
\ No newline at end of file
+}
+
+// Register with the behavior registry; switches need the system to find their targets
+behaviorRegistry.register('switch', {
+    create: (targetBlock, config, behaviorId, behaviorSystem) =>
+        new SwitchBehavior(targetBlock, config, behaviorId, behaviorSystem),
+    contactTrigger: 'touch',
+    configSchema: {
+        type: 'object',
+        properties: {
+            trigger: { type: 'string', enum: ['onPlayerContact', 'none'] },
+            targetBlock: { $ref: '#/definitions/gridCoord' },
+            channel: { type: 'string', minLength: 1 },
+            action: { type: 'string', enum: ['activate', 'deactivate', 'toggle', 'reset'] },
+            visual: { type: 'string', enum: ['button', 'lever', 'pressure_plate'] },
+            oneTime: { type: 'boolean' },
+            resetTime: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        trigger: 'onPlayerContact',
+        action: 'activate',
+        visual: 'button',
+        oneTime: true,
+        resetTime: 0
+    },
+    editor: {
+        label: 'Switch',
+        description: 'Performs an action on another block and/or emits a signal when touched',
+        fields: {
+            trigger: { label: 'Trigger', description: 'Press on player contact, or none to press only from the signals it listens to' },
+            targetBlock: { label: 'Target block', description: 'Grid cell of the block to control' },
+            channel: { label: 'Signal channel', description: 'Channel set to true when pressed and false when reset' },
+            action: { label: 'Action' },
+            visual: { label: 'Visual style' },
+            oneTime: { label: 'One time', description: 'Can only be pressed once' },
+            resetTime: { label: 'Reset time', description: 'Seconds before the switch can be pressed again' }
+        }
+    }
+});
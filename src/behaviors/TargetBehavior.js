@@ -3,10 +3,12 @@
  * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
  * 
  * This behavior allows blocks to perform actions when activated by
- * switches or other triggers.
+ * switches or other triggers. Movement, rotation, scale and visibility are
+ * contributed to the block's state pipeline rather than written to the mesh.
  */
 
 import * as THREE from 'three';
+import behaviorRegistry from './BehaviorRegistry.js';
 
 export class TargetBehavior {
     constructor(targetBlock, config, behaviorId, physicsManager) {
@@ -30,17 +32,13 @@ export class TargetBehavior {
             autoReset: config.autoReset || 0, // Time to auto-reset (0 = no auto-reset)
             autoResetTimer: 0,
             currentProgress: 0, // 0 to 1 for animations
+            rotationAngle: 0, // Accumulated rotation in radians
             originalState: {
-                position: targetBlock.position.clone(),
-                rotation: targetBlock.rotation.clone(),
-                scale: targetBlock.scale.clone(),
-                visible: targetBlock.visible
+                position: new THREE.Vector3(targetBlock.position.x, targetBlock.position.y, targetBlock.position.z),
+                scale: targetBlock.scale ? targetBlock.scale.x : 1
             }
         };
         
-        // Store the physics body reference if it exists
-        this.physicsBody = targetBlock.userData.physicsBody || null;
-        
         console.log(`TargetBehavior::constructor - Created target for block '${targetBlock.name}'`);
         console.log(`  Action type: ${this.state.actionType}`);
         console.log(`  Toggleable: ${this.state.toggleable}`);
@@ -110,21 +108,6 @@ export class TargetBehavior {
         } else {
             this.state.currentProgress = Math.max(0, this.state.currentProgress - moveAmount);
         }
-        
-        // Lerp position
-        const newPosition = new THREE.Vector3().lerpVectors(
-            this.state.originalState.position,
-            this.state.moveTarget,
-            this.state.currentProgress
-        );
-        
-        this.targetBlock.position.copy(newPosition);
-        
-        // Update physics body if it exists
-        if (this.physicsBody) {
-            this.physicsBody.position.set(newPosition.x, newPosition.y, newPosition.z);
-            this.physicsBody.wakeUp();
-        }
     }
     
     /**
@@ -132,33 +115,7 @@ export class TargetBehavior {
      * @param {number} deltaTime - Time since last frame
      */
     updateRotate(deltaTime) {
-        const rotateAmount = this.state.rotateSpeed * deltaTime;
-        
-        switch (this.state.rotateAxis) {
-            case 'x':
-                this.targetBlock.rotation.x += rotateAmount;
-                break;
-            case 'y':
-                this.targetBlock.rotation.y += rotateAmount;
-                break;
-            case 'z':
-                this.targetBlock.rotation.z += rotateAmount;
-                break;
-        }
-        
-        // Update physics body rotation if needed
-        if (this.physicsBody) {
-            // Convert THREE.js rotation to Cannon quaternion
-            const quaternion = new THREE.Quaternion();
-            quaternion.setFromEuler(this.targetBlock.rotation);
-            this.physicsBody.quaternion.set(
-                quaternion.x,
-                quaternion.y,
-                quaternion.z,
-                quaternion.w
-            );
-            this.physicsBody.wakeUp();
-        }
+        this.state.rotationAngle += this.state.rotateSpeed * deltaTime;
     }
     
     /**
@@ -173,16 +130,51 @@ export class TargetBehavior {
         } else {
             this.state.currentProgress = Math.max(0, this.state.currentProgress - scaleAmount);
         }
-        
-        // Lerp scale
-        const targetScale = this.state.scaleTarget;
-        const newScale = this.state.originalState.scale.x * (1 - this.state.currentProgress) + 
-                        targetScale * this.state.currentProgress;
-        
-        this.targetBlock.scale.set(newScale, newScale, newScale);
-        
-        // Note: Scaling physics bodies is complex and not directly supported
-        // Would need to recreate the physics body with new dimensions
+    }
+    
+    /**
+     * Contribute the current action to the block state
+     * @param {BlockState} blockState - Accumulator for this frame
+     */
+    contribute(blockState) {
+        switch (this.state.actionType) {
+            case 'move':
+                if (this.state.moveTarget && this.state.currentProgress > 0) {
+                    blockState.translate(
+                        this.state.moveTarget.clone()
+                            .sub(this.state.originalState.position)
+                            .multiplyScalar(this.state.currentProgress)
+                    );
+                }
+                break;
+                
+            case 'rotate':
+                if (this.state.rotationAngle !== 0) {
+                    const axis = new THREE.Vector3();
+                    axis[this.state.rotateAxis] = 1;
+                    blockState.rotate(new THREE.Quaternion().setFromAxisAngle(axis, this.state.rotationAngle));
+                }
+                break;
+                
+            case 'scale':
+                if (this.state.currentProgress > 0) {
+                    // Lerp from the original scale to the absolute target scale
+                    const originalScale = this.state.originalState.scale || 1;
+                    const newScale = originalScale * (1 - this.state.currentProgress) +
+                                    this.state.scaleTarget * this.state.currentProgress;
+                    // Note: Scaling physics bodies is complex and not directly supported
+                    // Would need to recreate the physics body with new dimensions
+                    blockState.scaleBy(newScale / originalScale);
+                }
+                break;
+                
+            case 'disappear':
+                if (this.state.isActive) {
+                    blockState.hide();
+                    blockState.disableCollision();
+                }
+                break;
+        }
     }
     
     /**
@@ -199,14 +191,6 @@ export class TargetBehavior {
         
         this.state.isActive = true;
         this.state.autoResetTimer = 0;
-        
-        // Handle instant actions
-        if (this.state.actionType === 'disappear') {
-            this.targetBlock.visible = false;
-            if (this.physicsBody) {
-                this.physicsBody.collisionResponse = false;
-            }
-        }
     }
     
     /**
@@ -217,14 +201,6 @@ export class TargetBehavior {
         
         this.state.isActive = false;
         this.state.autoResetTimer = 0;
-        
-        // Handle instant actions
-        if (this.state.actionType === 'disappear') {
-            this.targetBlock.visible = true;
-            if (this.physicsBody) {
-                this.physicsBody.collisionResponse = true;
-            }
-        }
     }
     
     /**
@@ -246,23 +222,51 @@ export class TargetBehavior {
         
         this.state.isActive = false;
         this.state.currentProgress = 0;
+        this.state.rotationAngle = 0;
         this.state.autoResetTimer = 0;
-        
-        // Restore original state
-        this.targetBlock.position.copy(this.state.originalState.position);
-        this.targetBlock.rotation.copy(this.state.originalState.rotation);
-        this.targetBlock.scale.copy(this.state.originalState.scale);
-        this.targetBlock.visible = this.state.originalState.visible;
-        
-        // Update physics body
-        if (this.physicsBody) {
-            this.physicsBody.position.set(
-                this.state.originalState.position.x,
-                this.state.originalState.position.y,
-                this.state.originalState.position.z
-            );
-            this.physicsBody.collisionResponse = this.state.originalState.visible;
-            this.physicsBody.wakeUp();
+    }
+}
+
+// Register with the behavior registry
+behaviorRegistry.register('target', {
+    behaviorClass: TargetBehavior,
+    configSchema: {
+        type: 'object',
+        properties: {
+            trigger: { type: 'string', enum: ['onPlayerContact'] },
+            actionType: { type: 'string', enum: ['move', 'disappear', 'rotate', 'scale'] },
+            moveTarget: { $ref: '#/definitions/vector3' },
+            moveSpeed: { type: 'number', exclusiveMinimum: 0 },
+            rotateSpeed: { type: 'number' },
+            rotateAxis: { type: 'string', enum: ['x', 'y', 'z'] },
+            scaleTarget: { type: 'number', minimum: 0 },
+            scaleSpeed: { type: 'number', exclusiveMinimum: 0 },
+            toggleable: { type: 'boolean' },
+            autoReset: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        actionType: 'move',
+        moveSpeed: 2.0,
+        rotateAxis: 'y',
+        scaleSpeed: 1.0,
+        toggleable: true,
+        autoReset: 0
+    },
+    editor: {
+        label: 'Target',
+        description: 'Moves, hides, rotates or scales the block when activated by a switch',
+        fields: {
+            actionType: { label: 'Action' },
+            moveTarget: { label: 'Move target', description: 'World position to move to', coordinate: 'world' },
+            moveSpeed: { label: 'Move speed', description: 'Units per second' },
+            rotateSpeed: { label: 'Rotate speed', description: 'Radians per second; negative turns the other way', signed: true },
+            rotateAxis: { label: 'Rotate axis' },
+            scaleTarget: { label: 'Scale target' },
+            scaleSpeed: { label: 'Scale speed' },
+            toggleable: { label: 'Toggleable', description: 'Activating again reverses the action' },
+            autoReset: { label: 'Auto reset', description: 'Seconds before resetting; 0 never resets' }
         }
     }
-}
\ No newline at end of file
+});
@@ -0,0 +1,242 @@
+/**
+ * TeleporterBehavior - Moves the player between two linked pads
+ * Requirement: PROD-015 - Declarative Behaviors: Smart Blocks
+ *
+ * Standing on the pad relocates the player onto the destination block, which
+ * is identified by its grid coordinates. Bidirectional pads also send the
+ * player back. On arrival, gravity is switched to the destination surface via
+ * PhysicsManager.reorientGravity and a playerTeleported event lets the game
+ * glide the camera to the new position.
+ * A cooldown, plus the rule that the player must step off the arrival pad
+ * first, keeps the player from bouncing straight back.
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import behaviorRegistry from './BehaviorRegistry.js';
+
+// Player sphere radius plus a small gap so the player arrives above the pad
+const ARRIVAL_CLEARANCE = 0.6;
+
+// Faces tried, in order, when looking for the open surface of a pad
+const FACE_NORMALS = [[0, 1, 0], [0, -1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+
+export class TeleporterBehavior {
+    constructor(targetBlock, config, behaviorId, behaviorSystem) {
+        this.id = behaviorId;
+        this.type = 'teleporter';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.behaviorSystem = behaviorSystem;
+        this.physicsManager = behaviorSystem.physicsManager;
+
+        // Parse configuration
+        this.state = {
+            isActive: config.startActive !== false,
+            destination: config.destination, // Grid coordinates [x, y, z]
+            bidirectional: config.bidirectional === true,
+            velocity: config.velocity || 'reset', // preserve or reset
+            destinationNormal: config.destinationNormal || null,
+            sourceNormal: config.sourceNormal || null,
+            cooldown: config.cooldown !== undefined ? config.cooldown : 1.0,
+            cooldownTimer: 0,
+            awaitingExit: null, // Pad the player has to leave before teleporting again
+            teleportCount: 0
+        };
+
+        const [x, y, z] = this.state.destination || [];
+        this.destinationBlock = behaviorSystem.blocksByPosition.get(`${x},${y},${z}`) || null;
+        if (!this.destinationBlock) {
+            console.warn(`TeleporterBehavior::constructor - No block found at destination [${this.state.destination}]`);
+        }
+
+        console.log(`TeleporterBehavior::constructor - Created teleporter for block '${targetBlock.name}'`);
+        console.log(`  Destination: [${this.state.destination}], Bidirectional: ${this.state.bidirectional}`);
+    }
+
+    /**
+     * Update the teleporter behavior each frame
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.state.cooldownTimer = Math.max(0, this.state.cooldownTimer - deltaTime);
+
+        if (this.state.awaitingExit && !this.behaviorSystem.isPlayerOnBlock(this.state.awaitingExit)) {
+            this.state.awaitingExit = null;
+        }
+
+        if (!this.state.isActive || !this.destinationBlock) return;
+        if (this.state.cooldownTimer > 0 || this.state.awaitingExit) return;
+
+        if (this.behaviorSystem.isPlayerOnBlock(this.targetBlock)) {
+            this.teleport(this.destinationBlock, this.state.destinationNormal);
+        } else if (this.state.bidirectional && this.behaviorSystem.isPlayerOnBlock(this.destinationBlock)) {
+            this.teleport(this.targetBlock, this.state.sourceNormal);
+        }
+    }
+
+    /**
+     * Check whether this teleporter sends the player away from a pad
+     * @param {THREE.Mesh} block - Pad block
+     * @returns {boolean} True if standing on the block triggers this teleporter
+     */
+    departsFrom(block) {
+        return block === this.targetBlock || (this.state.bidirectional && block === this.destinationBlock);
+    }
+
+    /**
+     * Relocate the player onto a pad
+     * @param {THREE.Mesh} arrivalBlock - Pad the player arrives on
+     * @param {Array<number>|null} configuredNormal - Surface normal from config, or null to find the open face
+     */
+    teleport(arrivalBlock, configuredNormal) {
+        const playerBody = this.physicsManager.playerBody;
+        if (!playerBody) return;
+
+        const currentUp = this.behaviorSystem.getUpDirection();
+        const normal = configuredNormal
+            ? new THREE.Vector3(...configuredNormal).normalize()
+            : this.findOpenFace(arrivalBlock, currentUp);
+
+        const fromPosition = new THREE.Vector3(playerBody.position.x, playerBody.position.y, playerBody.position.z);
+        const halfSize = (arrivalBlock.geometry?.parameters?.width || 4) / 2;
+        const toPosition = arrivalBlock.position.clone().addScaledVector(normal, halfSize + ARRIVAL_CLEARANCE);
+
+        playerBody.position.set(toPosition.x, toPosition.y, toPosition.z);
+        playerBody.previousPosition.set(toPosition.x, toPosition.y, toPosition.z);
+        playerBody.interpolatedPosition.set(toPosition.x, toPosition.y, toPosition.z);
+
+        if (this.state.velocity === 'preserve') {
+            // Turn the velocity with the surface so the player keeps moving along it
+            const rotation = new THREE.Quaternion().setFromUnitVectors(currentUp, normal);
+            const velocity = new THREE.Vector3(playerBody.velocity.x, playerBody.velocity.y, playerBody.velocity.z)
+                .applyQuaternion(rotation);
+            playerBody.velocity.set(velocity.x, velocity.y, velocity.z);
+        } else {
+            playerBody.velocity.set(0, 0, 0);
+            playerBody.angularVelocity.set(0, 0, 0);
+        }
+        playerBody.wakeUp();
+
+        // Point gravity into the destination surface at once, replacing any unfinished
+        // gravity_flip or wall transition that would otherwise leave it facing the old way
+        if (this.physicsManager.isTransitioning || currentUp.dot(normal) < 0.999) {
+            this.physicsManager.reorientGravity(new CANNON.Vec3(normal.x, normal.y, normal.z), { immediate: true });
+        }
+
+        // The game glides the camera to the new position
+        this.physicsManager.emit('playerTeleported', { from: fromPosition, to: toPosition });
+
+        // Keep every teleporter on the arrival pad from sending the player straight back
+        this.behaviorSystem.behaviors.forEach(behavior => {
+            if (behavior.type === 'teleporter' && behavior.departsFrom(arrivalBlock)) {
+                behavior.hold(arrivalBlock);
+            }
+        });
+
+        this.state.teleportCount++;
+        console.log(`TeleporterBehavior '${this.id}' - Teleported player to '${arrivalBlock.name}' (#${this.state.teleportCount})`);
+    }
+
+    /**
+     * Find the face of a pad the player can stand on
+     * @param {THREE.Mesh} block - Pad block
+     * @param {THREE.Vector3} preferredNormal - Face to use if it is open
+     * @returns {THREE.Vector3} Normal of the first face without a neighbouring block
+     */
+    findOpenFace(block, preferredNormal) {
+        const at = block.userData.gridPosition;
+        const preferred = [Math.round(preferredNormal.x), Math.round(preferredNormal.y), Math.round(preferredNormal.z)];
+        const candidates = [preferred, ...FACE_NORMALS];
+
+        const open = candidates.find(([nx, ny, nz]) =>
+            Math.abs(nx) + Math.abs(ny) + Math.abs(nz) === 1 &&
+            !this.behaviorSystem.blocksByPosition.has(`${at[0] + nx},${at[1] + ny},${at[2] + nz}`)
+        );
+        return new THREE.Vector3(...(open || preferred));
+    }
+
+    /**
+     * Block teleporting until the cooldown has passed and the player has left the pad
+     * @param {THREE.Mesh} arrivalBlock - Pad the player arrived on
+     */
+    hold(arrivalBlock) {
+        this.state.cooldownTimer = this.state.cooldown;
+        this.state.awaitingExit = arrivalBlock;
+    }
+
+    /**
+     * Enable the teleporter
+     */
+    activate() {
+        console.log(`TeleporterBehavior '${this.id}' - Enabled`);
+        this.state.isActive = true;
+    }
+
+    /**
+     * Disable the teleporter
+     */
+    deactivate() {
+        console.log(`TeleporterBehavior '${this.id}' - Disabled`);
+        this.state.isActive = false;
+    }
+
+    /**
+     * Toggle the teleporter on/off
+     */
+    toggle() {
+        if (this.state.isActive) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    /**
+     * Reset the teleporter to its configured state
+     */
+    reset() {
+        this.state.isActive = this.config.startActive !== false;
+        this.state.cooldownTimer = 0;
+        this.state.awaitingExit = null;
+    }
+}
+
+// Register with the behavior registry; teleporters need the system to find their destination
+behaviorRegistry.register('teleporter', {
+    create: (targetBlock, config, behaviorId, behaviorSystem) =>
+        new TeleporterBehavior(targetBlock, config, behaviorId, behaviorSystem),
+    configSchema: {
+        type: 'object',
+        properties: {
+            destination: { $ref: '#/definitions/gridCoord' },
+            bidirectional: { type: 'boolean' },
+            velocity: { type: 'string', enum: ['preserve', 'reset'] },
+            destinationNormal: { $ref: '#/definitions/vector3' },
+            sourceNormal: { $ref: '#/definitions/vector3' },
+            cooldown: { type: 'number', minimum: 0 },
+            startActive: { type: 'boolean' }
+        },
+        required: ['destination'],
+        additionalProperties: false
+    },
+    defaultConfig: {
+        bidirectional: false,
+        velocity: 'reset',
+        cooldown: 1.0,
+        startActive: true
+    },
+    editor: {
+        label: 'Teleporter',
+        description: 'Moves the player to a linked pad and turns gravity toward its surface',
+        fields: {
+            destination: { label: 'Destination', description: 'Grid cell of the pad to arrive on' },
+            bidirectional: { label: 'Two-way', description: 'The destination pad sends the player back' },
+            velocity: { label: 'Velocity', description: 'Keep the player moving or stop them on arrival' },
+            destinationNormal: { label: 'Destination surface', description: 'Face to arrive on; defaults to the open face', coordinate: 'direction' },
+            sourceNormal: { label: 'Return surface', description: 'Face to arrive on when coming back', coordinate: 'direction' },
+            cooldown: { label: 'Cooldown', description: 'Seconds before the pads work again' },
+            startActive: { label: 'Start enabled' }
+        }
+    }
+});
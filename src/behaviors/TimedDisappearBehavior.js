@@ -4,9 +4,12 @@
  * 
  * This behavior toggles both the visibility of a block's mesh and its physics
  * collision response on a timed interval, creating disappearing platforms.
+ * Visibility, collision, fade opacity and the warning flash are contributed to
+ * the block's state pipeline, so the block can also move or rotate.
  */
 
 import * as THREE from 'three';
+import behaviorRegistry from './BehaviorRegistry.js';
 
 export class TimedDisappearBehavior {
     constructor(targetBlock, config, behaviorId, physicsManager) {
@@ -41,9 +44,6 @@ export class TimedDisappearBehavior {
             this.state.invisibleDuration = this.state.interval - this.state.visibleDuration;
         }
         
-        // Store the physics body reference if it exists
-        this.physicsBody = targetBlock.userData.physicsBody || null;
-        
         // Store original material for warning effects
         this.originalMaterial = targetBlock.material;
         this.warningMaterial = null;
@@ -78,7 +78,6 @@ export class TimedDisappearBehavior {
             // Check for warning phase
             if (this.state.warningTime > 0 && timeUntilDisappear <= this.state.warningTime && !this.state.isWarning) {
                 this.state.isWarning = true;
-                this.startWarning();
             }
             
             // Check if should transition to invisible
@@ -86,7 +85,6 @@ export class TimedDisappearBehavior {
                 this.state.isVisible = false;
                 this.state.phaseTimer = 0;
                 this.state.isWarning = false;
-                this.stopWarning();
                 this.applyVisibilityState(false);
                 console.log(`TimedDisappearBehavior '${this.id}' - Block disappeared`);
             }
@@ -107,72 +105,25 @@ export class TimedDisappearBehavior {
     }
     
     /**
-     * Apply visibility state to both mesh and physics body
+     * Enter the visible or invisible phase
      * @param {boolean} visible - Whether the block should be visible
      */
     applyVisibilityState(visible) {
-        // Toggle mesh visibility
-        this.targetBlock.visible = visible;
-        
-        // Toggle physics collision
-        if (this.physicsBody) {
-            if (visible) {
-                // Re-enable collisions
-                this.physicsBody.collisionResponse = true;
-                this.physicsBody.type = 2; // STATIC type
-            } else {
-                // Disable collisions
-                this.physicsBody.collisionResponse = false;
-                // We could also remove from world, but disabling collision response is cleaner
-            }
-            // Wake up the physics world to ensure changes are applied
-            this.physicsBody.wakeUp();
-        }
-        
         // Reset opacity for fade effect
         if (this.state.fadeSpeed > 0) {
             this.state.currentOpacity = visible ? 1.0 : 0.0;
-            this.updateMaterialOpacity();
         }
     }
     
     /**
-     * Start warning effect before disappearing
+     * Whether the warning material is showing, alternating every 200ms of the warning phase
+     * @returns {boolean} True while the warning flash is on
      */
-    startWarning() {
-        if (this.warningMaterial && this.targetBlock.material) {
-            // Flash the material
-            this.flashWarning();
-        }
-    }
-    
-    /**
-     * Flash warning effect
-     */
-    flashWarning() {
-        if (!this.state.isWarning) return;
-        
-        // Alternate between normal and warning material
-        const flashRate = 0.2; // Flash every 200ms
-        const flashPhase = Math.floor(this.state.phaseTimer / flashRate) % 2;
-        
-        if (flashPhase === 0) {
-            this.targetBlock.material = this.warningMaterial;
-        } else {
-            this.targetBlock.material = this.originalMaterial;
-        }
+    isFlashing() {
+        if (!this.state.isWarning || !this.warningMaterial) return false;
         
-        // Schedule next flash
-        if (this.state.isWarning) {
-            setTimeout(() => this.flashWarning(), flashRate * 1000);
-        }
-    }
-    
-    /**
-     * Stop warning effect
-     */
-    stopWarning() {
-        this.targetBlock.material = this.originalMaterial;
+        const flashRate = 0.2;
+        return Math.floor(this.state.phaseTimer / flashRate) % 2 === 0;
     }
     
     /**
@@ -190,18 +141,25 @@ export class TimedDisappearBehavior {
             } else {
                 this.state.currentOpacity = Math.max(targetOpacity, this.state.currentOpacity - delta);
             }
-            
-            this.updateMaterialOpacity();
         }
     }
     
     /**
-     * Update material opacity for fade effect
+     * Contribute visibility, collision, fade and warning flash to the block state
+     * @param {BlockState} blockState - Accumulator for this frame
      */
-    updateMaterialOpacity() {
-        if (this.targetBlock.material) {
-            this.targetBlock.material.opacity = this.state.currentOpacity;
-            this.targetBlock.material.transparent = this.state.currentOpacity < 1.0;
+    contribute(blockState) {
+        if (!this.state.isVisible) {
+            blockState.hide();
+            blockState.disableCollision();
+        }
+        
+        if (this.state.fadeSpeed > 0) {
+            blockState.multiplyOpacity(this.state.currentOpacity);
+        }
+        
+        if (this.isFlashing()) {
+            blockState.setMaterial(this.warningMaterial);
         }
     }
     
@@ -212,7 +170,42 @@ export class TimedDisappearBehavior {
         this.state.isVisible = this.config.startVisible !== false;
         this.state.phaseTimer = 0;
         this.state.isWarning = false;
-        this.stopWarning();
         this.applyVisibilityState(this.state.isVisible);
     }
-}
\ No newline at end of file
+}
+
+// Register with the behavior registry
+behaviorRegistry.register('timed_disappear', {
+    behaviorClass: TimedDisappearBehavior,
+    configSchema: {
+        type: 'object',
+        properties: {
+            trigger: { type: 'string', enum: ['onPlayerContact'] },
+            interval: { type: 'number', exclusiveMinimum: 0 },
+            visibleDuration: { type: 'number', exclusiveMinimum: 0 },
+            invisibleDuration: { type: 'number', exclusiveMinimum: 0 },
+            startVisible: { type: 'boolean' },
+            fadeSpeed: { type: 'number', minimum: 0 },
+            warningTime: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+    },
+    defaultConfig: {
+        interval: 2.0,
+        startVisible: true,
+        fadeSpeed: 0,
+        warningTime: 0.5
+    },
+    editor: {
+        label: 'Timed Disappear',
+        description: 'Cyclically hides the block and disables its collision',
+        fields: {
+            interval: { label: 'Interval', description: 'Seconds per full visible/invisible cycle' },
+            visibleDuration: { label: 'Visible duration', description: 'Seconds visible; defaults to half the interval' },
+            invisibleDuration: { label: 'Invisible duration', description: 'Seconds invisible; defaults to half the interval' },
+            startVisible: { label: 'Start visible' },
+            fadeSpeed: { label: 'Fade duration', description: 'Seconds to fade; 0 switches instantly' },
+            warningTime: { label: 'Warning time', description: 'Seconds of warning before disappearing' }
+        }
+    }
+});
@@ -0,0 +1,18 @@
+/**
+ * Built-in behaviors
+ * Requirements: ARCH-005 (Behavior System Architecture)
+ *
+ * Importing this module registers every built-in behavior type with the
+ * BehaviorRegistry. Custom behaviors register themselves the same way from
+ * their own modules.
+ */
+
+import './ElevatorBehavior.js';
+import './TimedDisappearBehavior.js';
+import './SwitchBehavior.js';
+import './TargetBehavior.js';
+import './ConveyorBehavior.js';
+import './TeleporterBehavior.js';
+import './CrumbleBehavior.js';
+import './SpringBehavior.js';
+import './GravityFlipBehavior.js';
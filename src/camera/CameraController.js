@@ -23,6 +23,25 @@ export class CameraController {
         this.isTransitioning = false;
         this.transitionSpeed = 2.0; // radians per second
         
+        // Timed gravity rotations drive the up vector directly through progress events
+        this.isFollowingGravity = false;
+        this.handleGravityTransitionStart = event => this.onGravityChange(event.normal, event.duration > 0);
+        this.handleGravityTransitionProgress = event => {
+            if (this.isFollowingGravity) {
+                this.currentUp.set(event.up.x, event.up.y, event.up.z);
+            }
+        };
+        this.handleGravityTransitionComplete = () => {
+            if (this.isFollowingGravity) {
+                this.currentUp.copy(this.targetUp);
+                this.isFollowingGravity = false;
+                console.log(`Camera: Rotation complete! Final Up(${this.currentUp.x.toFixed(2)}, ${this.currentUp.y.toFixed(2)}, ${this.currentUp.z.toFixed(2)})`);
+            }
+        };
+        
+        // Teleport transition: the camera glides from the old player position to the new one
+        this.teleportTransition = null; // { offset, elapsed, duration }
+        
         // Store initial camera state
         this.initialPosition = camera.position.clone();
         this.initialRotation = camera.rotation.clone();
@@ -74,6 +93,10 @@ export class CameraController {
             this.camera.lookAt(lookAtTarget);
         }
         
+        if (this.teleportTransition) {
+            this.updateTeleportTransition(deltaTime);
+        }
+        
         // Log camera state occasionally for debugging
         if (Math.random() < 0.01) {
             console.log(`Camera: Pos(${this.camera.position.x.toFixed(1)}, ${this.camera.position.y.toFixed(1)}, ${this.camera.position.z.toFixed(1)}), Up(${this.currentUp.x.toFixed(1)}, ${this.currentUp.y.toFixed(1)}, ${this.currentUp.z.toFixed(1)})`);
@@ -100,12 +123,25 @@ export class CameraController {
         return this.target.position.clone().add(rotatedOffset);
     }
     
+    /**
+     * Follow gravity transitions of a physics manager
+     * Requirement: PROD-009 - Camera must smoothly reorient when gravity changes
+     * @param {PhysicsManager} physicsManager - Source of gravity transition events
+     */
+    subscribeToGravity(physicsManager) {
+        physicsManager.on('gravityTransitionStart', this.handleGravityTransitionStart);
+        physicsManager.on('gravityTransitionProgress', this.handleGravityTransitionProgress);
+        physicsManager.on('gravityTransitionComplete', this.handleGravityTransitionComplete);
+    }
+    
     /**
      * Handle gravity change event
      * Requirement: PROD-009 - Camera must smoothly reorient when gravity changes
      * @param {THREE.Vector3} newSurfaceNormal - The normal of the new surface
+     * @param {boolean} [followGravity=false] - Track the gravity rotation through progress
+     *        events instead of turning at the camera's own speed (used for instant switches)
      */
-    onGravityChange(newSurfaceNormal) {
+    onGravityChange(newSurfaceNormal, followGravity = false) {
         console.log(`CameraController::onGravityChange - New surface normal: (${newSurfaceNormal.x.toFixed(2)}, ${newSurfaceNormal.y.toFixed(2)}, ${newSurfaceNormal.z.toFixed(2)})`);
         
         // The new "up" is the surface normal (opposite of gravity direction)
@@ -113,11 +149,61 @@ export class CameraController {
         this.targetUp.normalize();
         
         // Start transitioning
-        this.isTransitioning = true;
+        this.isFollowingGravity = followGravity;
+        this.isTransitioning = !followGravity;
         
         console.log(`Camera: Starting rotation from Up(${this.currentUp.x.toFixed(2)}, ${this.currentUp.y.toFixed(2)}, ${this.currentUp.z.toFixed(2)}) to Up(${this.targetUp.x.toFixed(2)}, ${this.targetUp.y.toFixed(2)}, ${this.targetUp.z.toFixed(2)})`);
     }
     
+    /**
+     * Handle a teleport of the target
+     * The camera keeps its view of the old position and glides to the new one
+     * @param {THREE.Vector3} fromPosition - Target position before the teleport
+     * @param {THREE.Vector3} toPosition - Target position after the teleport
+     * @param {number} duration - Glide duration in seconds
+     */
+    onTeleport(fromPosition, toPosition, duration = 0.6) {
+        const offset = new THREE.Vector3(
+            fromPosition.x - toPosition.x,
+            fromPosition.y - toPosition.y,
+            fromPosition.z - toPosition.z
+        );
+        
+        // Carry over what is left of an unfinished glide
+        if (this.teleportTransition) {
+            offset.addScaledVector(this.teleportTransition.offset, this.getTeleportBlend());
+        }
+        
+        this.teleportTransition = { offset, elapsed: 0, duration };
+        console.log(`CameraController::onTeleport - Gliding ${offset.length().toFixed(2)} units over ${duration}s`);
+    }
+    
+    /**
+     * Share of the teleport offset still applied to the camera (1 at the start, 0 at the end)
+     * @returns {number} Blend factor
+     */
+    getTeleportBlend() {
+        const t = Math.min(1, this.teleportTransition.elapsed / this.teleportTransition.duration);
+        return 1 - t * t * (3 - 2 * t); // Smoothstep ease in and out
+    }
+    
+    /**
+     * Offset the camera toward the pre-teleport position and advance the glide
+     * @param {number} deltaTime - Time step
+     */
+    updateTeleportTransition(deltaTime) {
+        this.teleportTransition.elapsed += deltaTime;
+        const blend = this.getTeleportBlend();
+        
+        const shift = this.teleportTransition.offset.clone().multiplyScalar(blend);
+        this.camera.position.add(shift);
+        this.camera.lookAt(this.target.position.clone().add(this.lookAtOffset).add(shift));
+        
+        if (blend === 0) {
+            this.teleportTransition = null;
+        }
+    }
+    
     /**
      * Smoothly transition the up vector
      * @param {number} deltaTime - Time step
@@ -180,6 +266,8 @@ export class CameraController {
         this.currentUp.set(0, 1, 0);
         this.targetUp.set(0, 1, 0);
         this.isTransitioning = false;
+        this.isFollowingGravity = false;
+        this.teleportTransition = null;
         
         // Reset controls if available
         if (this.controls) {
@@ -200,6 +288,16 @@ export class CameraController {
         }
     }
     
+    /**
+     * Pass gamepad camera input to the manual controls
+     * @param {Object} input - Right stick { x, y } and rotate buttons, see CameraControls.setGamepadInput
+     */
+    setGamepadInput(input) {
+        if (this.controls) {
+            this.controls.setGamepadInput(input);
+        }
+    }
+    
     /**
      * Clean up resources
      */
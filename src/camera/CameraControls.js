@@ -4,11 +4,15 @@
  * 
  * This module provides:
  * - Mouse drag rotation around the player
- * - Q/E keyboard rotation
+ * - Keyboard rotation (Q/E by default, rebindable through the action map)
+ * - Gamepad right stick orbit and shoulder button rotation
  * - Mouse wheel zoom control
+ * - Touch drag orbit and pinch zoom
  * - Smooth rotation that respects gravity orientation
  */
 
+import actionMap from '../input/ActionMap.js';
+
 export class CameraControls {
     constructor(camera, target, domElement) {
         this.camera = camera;
@@ -32,16 +36,28 @@ export class CameraControls {
         this.rotateSpeed = 0.5;
         this.zoomSpeed = 1.2;
         this.keyboardRotateSpeed = 2.0; // radians per second
+        this.gamepadRotateSpeed = 2.5; // radians per second at full stick tilt
         
         // Mouse state
         this.isMouseDown = false;
         this.mouseStart = { x: 0, y: 0 };
         this.sphericalDelta = { theta: 0, phi: 0 };
         
+        // Touch state: positions of up to two fingers on the canvas
+        this.touchPoints = [];
+        
         // Keyboard state
         this.keys = {
-            rotateLeft: false,  // Q
-            rotateRight: false  // E
+            rotateLeft: false,  // cameraLeft action
+            rotateRight: false  // cameraRight action
+        };
+        
+        // Gamepad state, set each frame through setGamepadInput
+        this.gamepad = {
+            x: 0,              // Right stick, -1 (left) to 1 (right)
+            y: 0,              // Right stick, -1 (down) to 1 (up)
+            rotateLeft: false, // LB
+            rotateRight: false // RB
         };
         
         // Current gravity up vector (for proper rotation axis)
@@ -72,6 +88,15 @@ export class CameraControls {
         // Mouse wheel for zoom
         this.domElement.addEventListener('wheel', (e) => this.onMouseWheel(e));
         
+        // Touch: one finger orbits, two fingers pinch to zoom
+        if (this.domElement.style) {
+            this.domElement.style.touchAction = 'none';
+        }
+        this.domElement.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
+        this.domElement.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
+        this.domElement.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        this.domElement.addEventListener('touchcancel', (e) => this.onTouchEnd(e));
+        
         // Keyboard events
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
         window.addEventListener('keyup', (e) => this.onKeyUp(e));
@@ -104,17 +129,83 @@ export class CameraControls {
         
         event.preventDefault();
         
-        const deltaX = event.clientX - this.mouseStart.x;
-        const deltaY = event.clientY - this.mouseStart.y;
+        this.rotateByPixels(event.clientX - this.mouseStart.x, event.clientY - this.mouseStart.y);
         
+        // Update mouse position for next frame
+        this.mouseStart.x = event.clientX;
+        this.mouseStart.y = event.clientY;
+    }
+    
+    /**
+     * Orbit the camera by a drag distance
+     * @param {number} deltaX - Horizontal drag in pixels
+     * @param {number} deltaY - Vertical drag in pixels
+     */
+    rotateByPixels(deltaX, deltaY) {
         // Convert pixel movement to spherical coordinate deltas
         const rotateSpeed = this.rotateSpeed * 0.005;
         this.sphericalDelta.theta -= deltaX * rotateSpeed;
         this.sphericalDelta.phi -= deltaY * rotateSpeed;
+    }
+    
+    /**
+     * Get the positions of up to two fingers touching the canvas
+     * Fingers on the on-screen joystick and buttons are not included.
+     * @param {TouchEvent} event
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getTouchPoints(event) {
+        return Array.from(event.targetTouches).slice(0, 2).map(touch => ({ x: touch.clientX, y: touch.clientY }));
+    }
+    
+    /**
+     * Handle touch start - begin an orbit drag or a pinch
+     */
+    onTouchStart(event) {
+        if (!this.enabled) return;
         
-        // Update mouse position for next frame
-        this.mouseStart.x = event.clientX;
-        this.mouseStart.y = event.clientY;
+        event.preventDefault();
+        this.touchPoints = this.getTouchPoints(event);
+    }
+    
+    /**
+     * Handle touch move - orbit with one finger, zoom with two
+     */
+    onTouchMove(event) {
+        if (!this.enabled) return;
+        
+        event.preventDefault();
+        const points = this.getTouchPoints(event);
+        
+        if (points.length === 1 && this.touchPoints.length === 1) {
+            this.rotateByPixels(points[0].x - this.touchPoints[0].x, points[0].y - this.touchPoints[0].y);
+        } else if (points.length === 2 && this.touchPoints.length === 2) {
+            this.pinch(this.touchPoints, points);
+        }
+        
+        this.touchPoints = points;
+    }
+    
+    /**
+     * Handle touch end - continue with the fingers still down
+     */
+    onTouchEnd(event) {
+        this.touchPoints = this.getTouchPoints(event);
+    }
+    
+    /**
+     * Zoom by the change in distance between two fingers
+     * Spreading the fingers moves the camera closer.
+     * @param {Array<{x: number, y: number}>} from - Finger positions before
+     * @param {Array<{x: number, y: number}>} to - Finger positions after
+     */
+    pinch(from, to) {
+        const distance = points => Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+        const before = distance(from);
+        const after = distance(to);
+        if (before === 0 || after === 0) return;
+        
+        this.setDistance(this.spherical.radius * before / after);
     }
     
     /**
@@ -154,12 +245,12 @@ export class CameraControls {
     onKeyDown(event) {
         if (!this.enabled) return;
         
-        switch(event.key.toLowerCase()) {
-            case 'q':
+        switch(actionMap.getAction(event, 'game')) {
+            case 'cameraLeft':
                 this.keys.rotateLeft = true;
                 event.preventDefault();
                 break;
-            case 'e':
+            case 'cameraRight':
                 this.keys.rotateRight = true;
                 event.preventDefault();
                 break;
@@ -170,11 +261,11 @@ export class CameraControls {
      * Handle key up events
      */
     onKeyUp(event) {
-        switch(event.key.toLowerCase()) {
-            case 'q':
+        switch(actionMap.getAction(event, 'game')) {
+            case 'cameraLeft':
                 this.keys.rotateLeft = false;
                 break;
-            case 'e':
+            case 'cameraRight':
                 this.keys.rotateRight = false;
                 break;
         }
@@ -195,6 +286,16 @@ export class CameraControls {
             this.sphericalDelta.theta -= this.keyboardRotateSpeed * deltaTime;
         }
         
+        // Apply gamepad rotation: the stick orbits sideways and tilts the view up and down
+        if (this.gamepad.rotateLeft) {
+            this.sphericalDelta.theta += this.keyboardRotateSpeed * deltaTime;
+        }
+        if (this.gamepad.rotateRight) {
+            this.sphericalDelta.theta -= this.keyboardRotateSpeed * deltaTime;
+        }
+        this.sphericalDelta.theta -= this.gamepad.x * this.gamepadRotateSpeed * deltaTime;
+        this.sphericalDelta.phi -= this.gamepad.y * this.gamepadRotateSpeed * deltaTime;
+        
         // Apply spherical deltas with damping
         this.spherical.theta += this.sphericalDelta.theta;
         this.spherical.phi += this.sphericalDelta.phi;
@@ -248,6 +349,21 @@ export class CameraControls {
         return position;
     }
     
+    /**
+     * Set the gamepad camera input
+     * @param {Object} input
+     * @param {number} [input.x=0] - Right stick horizontal, -1 to 1
+     * @param {number} [input.y=0] - Right stick vertical, -1 (down) to 1 (up)
+     * @param {boolean} [input.rotateLeft=false] - Rotate left button held
+     * @param {boolean} [input.rotateRight=false] - Rotate right button held
+     */
+    setGamepadInput({ x = 0, y = 0, rotateLeft = false, rotateRight = false } = {}) {
+        this.gamepad.x = x;
+        this.gamepad.y = y;
+        this.gamepad.rotateLeft = rotateLeft;
+        this.gamepad.rotateRight = rotateRight;
+    }
+    
     /**
      * Set the camera distance from target
      * @param {number} distance - Distance in world units
@@ -286,8 +402,10 @@ export class CameraControls {
         this.enabled = enabled;
         if (!enabled) {
             this.isMouseDown = false;
+            this.touchPoints = [];
             this.keys.rotateLeft = false;
             this.keys.rotateRight = false;
+            this.setGamepadInput();
             this.domElement.style.cursor = 'default';
         } else {
             this.domElement.style.cursor = 'grab';
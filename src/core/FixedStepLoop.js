@@ -0,0 +1,75 @@
+/**
+ * FixedStepLoop - Fixed-timestep accumulator for the game simulation
+ * Requirement: NFR-001 - Performance: Frame Rate (60 FPS target)
+ *
+ * Frame time is accumulated and consumed in constant steps, so the simulation
+ * advances identically whatever the display frame rate is. The time left in
+ * the accumulator is returned as an interpolation factor for rendering between
+ * the last two simulated states.
+ */
+
+// Tolerance for frame deltas that sum to a whole step with rounding error
+const STEP_EPSILON = 1e-9;
+
+export class FixedStepLoop {
+    /**
+     * @param {number} [step=1/60] - Simulation step in seconds
+     * @param {number} [maxSubSteps=5] - Maximum steps run for a single frame
+     */
+    constructor(step = 1 / 60, maxSubSteps = 5) {
+        this.step = step;
+        this.maxSubSteps = maxSubSteps;
+        this.accumulator = 0;
+        this.tick = 0;
+    }
+
+    /**
+     * Simulated time in seconds
+     * @returns {number} Time covered by the steps run so far
+     */
+    get time() {
+        return this.tick * this.step;
+    }
+
+    /**
+     * Add a frame's time and run the simulation steps it covers
+     * Time beyond maxSubSteps is dropped rather than caught up on later, so a
+     * long stall (tab switch, debugger) does not fast-forward the game.
+     * @param {number} frameDelta - Time since last frame in seconds
+     * @param {Function} stepFn - Called as stepFn(step, tick) for every step
+     * @returns {number} Interpolation factor between the previous and current state (0-1)
+     */
+    advance(frameDelta, stepFn) {
+        this.accumulator += Math.max(0, frameDelta);
+
+        let steps = 0;
+        while (this.accumulator >= this.step - STEP_EPSILON && steps < this.maxSubSteps) {
+            stepFn(this.step, this.tick);
+            this.tick++;
+            this.accumulator -= this.step;
+            steps++;
+        }
+
+        if (this.accumulator >= this.step) {
+            this.accumulator %= this.step;
+        }
+
+        return this.getAlpha();
+    }
+
+    /**
+     * Get the interpolation factor for the time left in the accumulator
+     * @returns {number} Factor between 0 and 1
+     */
+    getAlpha() {
+        return Math.min(1, Math.max(0, this.accumulator / this.step));
+    }
+
+    /**
+     * Restart the loop at tick 0
+     */
+    reset() {
+        this.accumulator = 0;
+        this.tick = 0;
+    }
+}
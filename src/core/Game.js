@@ -11,6 +11,12 @@ import { UIManager } from '../ui/UIManager.js';
 import { GameState } from '../game/GameState.js';
 import { AudioManager } from '../audio/AudioManager.js';
 import { BehaviorSystem } from '../behaviors/BehaviorSystem.js';
+import { FixedStepLoop } from './FixedStepLoop.js';
+import { LevelSimulation } from './LevelSimulation.js';
+import { createSeed, createSeededRandom } from './SeededRandom.js';
+import { InputRecorder } from '../replay/InputRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { GhostReplay } from '../replay/GhostReplay.js';
 
 export class Game {
     constructor() {
@@ -18,6 +24,9 @@ export class Game {
         this.camera = null;
         this.renderer = null;
         this.clock = null;
+        
+        // Gameplay runs in fixed steps; rendering interpolates between them
+        this.simulationLoop = new FixedStepLoop(1 / 60);
         this.isRunning = false;
         
         // Game systems - Requirement: ARCH-001 (Modular Game Systems)
@@ -28,6 +37,16 @@ export class Game {
         this.uiManager = null;
         this.audioManager = null; // Requirement: PROD-012
         this.behaviorSystem = null; // Requirement: ARCH-005
+        this.simulation = null; // Gameplay rules per fixed step
+        
+        // Replays: every attempt is recorded; recorded runs can be watched or raced as a ghost
+        this.inputRecorder = new InputRecorder();
+        this.replayPlayer = null; // Set while watching a recorded run
+        this.ghostReplay = null;
+        
+        // Seeded randomness for gameplay, so replays reproduce it
+        this.seed = null;
+        this.random = Math.random;
         
         // Container for the canvas
         this.container = document.getElementById('game-container');
@@ -159,9 +178,23 @@ export class Game {
         // Pass the canvas element for mouse/keyboard controls
         this.cameraController = new CameraController(this.camera, this.playerMesh, this.renderer.domElement);
         
+        // Camera and movement basis follow gravity transitions - Requirement: PROD-001
+        this.playerController.subscribeToGravity(this.physicsManager);
+        this.cameraController.subscribeToGravity(this.physicsManager);
+        this.physicsManager.on('playerTeleported', ({ from, to }) => this.cameraController.onTeleport(from, to));
+        
         // Initialize UI manager - Requirement: USER-002
         this.uiManager = new UIManager();
         
+        // On-screen controls on touch screens - Requirement: USER-001
+        if (this.uiManager.touchControls) {
+            this.playerController.setTouchControls(this.uiManager.touchControls);
+        }
+        
+        // Tell the player when a controller is plugged in or unplugged
+        this.playerController.gamepad.on('connected', () => this.uiManager.showMessage('Controller connected'));
+        this.playerController.gamepad.on('disconnected', () => this.uiManager.showMessage('Controller disconnected'));
+        
         // Initialize audio manager - Requirement: PROD-012
         this.audioManager = new AudioManager();
         this.audioManager.loadSounds();
@@ -169,6 +202,17 @@ export class Game {
         // Initialize behavior system - Requirement: ARCH-005
         this.behaviorSystem = new BehaviorSystem(this.scene, this.physicsManager);
         
+        // Gameplay rules shared with ghost replays - Requirement: NFR-001
+        this.simulation = new LevelSimulation({
+            physicsManager: this.physicsManager,
+            levelManager: this.levelManager,
+            behaviorSystem: this.behaviorSystem,
+            playerController: this.playerController
+        });
+        this.simulation.on('hazardCollision', (collision) => this.handleHazardCollision(collision));
+        this.simulation.on('playerFell', () => this.handlePlayerFall());
+        this.simulation.on('respawnComplete', () => this.gameState.setRespawning(false));
+        
         console.log('Game::initializeSystems - All systems initialized');
     }
     
@@ -200,25 +244,45 @@ export class Game {
         console.log('Game::setupLighting - Lighting setup complete');
     }
     
+    /**
+     * Replace the behaviors and logic of the previous level with those of the loaded one
+     * Retries, replays and play-tests reuse the one BehaviorSystem, so without the
+     * clear the old teleporters, switches and signal listeners keep running.
+     */
+    attachLevelBehaviors() {
+        this.behaviorSystem.clear();
+        this.behaviorSystem.parseBehaviors(
+            this.levelManager.currentLevel,
+            this.levelManager.platforms,
+            this.levelManager.levelPhysicsBodies
+        );
+    }
+    
     /**
      * Load a level from JSON
      * Requirement: ARCH-002 - Data-Driven Levels
      * @param {string} levelPath - Path to the level JSON file
+     * @param {Object} [options]
+     * @param {Object} [options.replay] - Recording to play back instead of taking keyboard input
+     * @param {Object} [options.ghost] - Recording to show as a ghost beside the player
      */
-    async loadLevel(levelPath) {
+    async loadLevel(levelPath, options = {}) {
         console.log('Game::loadLevel - Loading level:', levelPath);
         
         try {
+            this.clearReplays();
+            
             // Load the level using LevelManager
             await this.levelManager.load(levelPath);
             
             // Parse behaviors from the loaded level - Requirement: ARCH-005
             if (this.behaviorSystem) {
-                this.behaviorSystem.parseBehaviors(
-                    this.levelManager.currentLevel,
-                    this.levelManager.platforms,
-                    this.levelManager.levelPhysicsBodies
-                );
+                this.attachLevelBehaviors();
+            }
+            
+            const levelId = this.levelManager.currentLevel?.id ?? levelPath;
+            if (options.ghost) {
+                await this.loadGhost(levelPath, levelId, options.ghost);
             }
             
             // Get player start position from level
@@ -231,6 +295,13 @@ export class Game {
             // Position player mesh
             this.playerMesh.position.copy(startPos);
             
+            // Every attempt starts from the same state, so recorded runs replay exactly
+            this.playerController.reset();
+            this.simulation.reset();
+            this.simulation.resetPlayer();
+            this.simulationLoop.reset();
+            this.startAttempt(levelId, options.replay);
+            
             // Update camera to look at player
             this.camera.position.set(
                 startPos.x + 10,
@@ -321,85 +392,130 @@ export class Game {
     
     /**
      * Update game logic
+     * Gameplay advances in fixed steps so the same inputs always produce the
+     * same outcome; the player mesh and camera are updated per frame.
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {number} elapsedTime - Total elapsed time in seconds
      */
     update(deltaTime, elapsedTime) {
-        // Update player controller (handles input and applies forces)
-        if (this.playerController) {
-            this.playerController.update(deltaTime);
-        }
-        
-        // Update physics simulation
-        if (this.physicsManager) {
-            this.physicsManager.update(deltaTime);
-            
-            // Sync visual mesh with physics body
-            if (this.playerMesh && this.physicsManager.getPlayerBody()) {
-                this.physicsManager.syncMeshWithBody(
-                    this.playerMesh,
-                    this.physicsManager.getPlayerBody()
-                );
-                
-                // Check for collectibles and objectives - Requirements: PROD-004, PROD-005
-                if (this.levelManager) {
-                    this.levelManager.checkCollectibles(this.playerMesh.position);
-                    
-                    // Check for hazard collisions - Requirement: PROD-007
-                    const hazardCollision = this.levelManager.checkHazardCollision(this.playerMesh.position);
-                    if (hazardCollision && hazardCollision.damage) {
-                        this.handleHazardCollision(hazardCollision);
-                    }
-                }
-                
-                // Check for fall condition - Requirement: PROD-006
-                if (this.checkFallCondition()) {
-                    this.handlePlayerFall();
-                }
-            }
-        }
-        
-        // Update level manager (animations, etc) - Requirement: ARCH-002
-        if (this.levelManager) {
-            this.levelManager.update(deltaTime);
+        const alpha = this.simulationLoop.advance(deltaTime, (step, tick) => this.fixedUpdate(step, tick));
+        
+        // Sync visual mesh with physics body, between the last two steps
+        if (this.playerMesh && this.physicsManager && this.physicsManager.getPlayerBody()) {
+            this.physicsManager.syncMeshWithBody(
+                this.playerMesh,
+                this.physicsManager.getPlayerBody(),
+                alpha
+            );
         }
         
-        // Update behavior system - Requirement: ARCH-005
-        if (this.behaviorSystem) {
-            this.behaviorSystem.update(deltaTime);
-            
-            // Check for behavior triggers based on player position
-            if (this.playerMesh) {
-                this.behaviorSystem.checkBehaviorTriggers(this.playerMesh.position);
-            }
+        if (this.ghostReplay) {
+            this.ghostReplay.sync(alpha);
         }
         
         // Update camera controller - Requirement: PROD-009
         if (this.cameraController) {
+            const pad = this.playerController.gamepadState;
+            this.cameraController.setGamepadInput(pad ? {
+                x: pad.camera.x,
+                y: pad.camera.y,
+                rotateLeft: pad.cameraLeft,
+                rotateRight: pad.cameraRight
+            } : {});
             this.cameraController.update(deltaTime);
         }
     }
     
     /**
-     * Render the scene
-     * Requirement: TECH-P-002 - three.js rendering
+     * Advance gameplay by one simulation step
+     * Requirement: NFR-001 - Frame-rate independent simulation
+     * @param {number} step - Fixed step length in seconds
+     * @param {number} tick - Index of the step since the level was loaded
      */
-    render() {
-        this.renderer.render(this.scene, this.camera);
+    fixedUpdate(step, tick) {
+        if (this.replayPlayer) {
+            // Watching a recorded run: its input drives the player
+            const { inputState, viewDirection } = this.replayPlayer.getInput(tick);
+            this.playerController.applyInputState(inputState);
+            this.playerController.setViewDirection(viewDirection);
+        } else {
+            this.playerController.pollInput();
+            this.inputRecorder.record(tick, this.playerController.getInputState(), this.playerController.getViewDirection());
+        }
+        
+        this.simulation.step(step);
+        
+        if (this.ghostReplay) {
+            this.ghostReplay.step(step);
+        }
+    }
+    
+    /**
+     * Start recording an attempt, or playing back a recorded one
+     * @param {string|number} levelId - Level being played
+     * @param {Object} [replay] - Recording to play back
+     */
+    startAttempt(levelId, replay) {
+        this.replayPlayer = replay ? new ReplayPlayer(replay) : null;
+        this.seed = replay ? replay.seed : createSeed();
+        this.random = createSeededRandom(this.seed);
+        
+        if (this.replayPlayer) {
+            console.log(`Game::startAttempt - Watching recorded run of level '${levelId}'`);
+        } else {
+            this.inputRecorder.start({ levelId, seed: this.seed, tickRate: Math.round(1 / this.simulationLoop.step) });
+        }
+    }
+    
+    /**
+     * Finish recording the current attempt
+     * @returns {Object|null} Recording of the attempt, or null while watching a replay
+     */
+    finishRecording() {
+        return this.inputRecorder.stop();
     }
     
     /**
-     * Check if player has fallen below threshold
-     * Requirement: PROD-006 - Failure Condition: Falling
-     * @returns {boolean} True if player has fallen
+     * Load a recorded run as a ghost beside the player
+     * A ghost that cannot be loaded is skipped; the level is still playable.
+     * @param {string} levelPath - Path to the level JSON file
+     * @param {string|number} levelId - Id of the loaded level
+     * @param {Object} recording - Recording from a previous attempt
      */
-    checkFallCondition() {
-        if (!this.playerMesh || !this.levelManager || this.gameState.isRespawning) {
-            return false;
+    async loadGhost(levelPath, levelId, recording) {
+        if (recording.levelId !== levelId) {
+            console.warn(`Game::loadGhost - Recording is for level '${recording.levelId}', not '${levelId}'`);
+            return;
         }
         
-        const threshold = this.levelManager.getFallThreshold();
-        return this.playerMesh.position.y < threshold;
+        const ghostReplay = new GhostReplay(this.scene);
+        try {
+            await ghostReplay.load(levelPath, recording);
+            this.ghostReplay = ghostReplay;
+        } catch (error) {
+            console.warn('Game::loadGhost - Failed to load ghost:', error);
+            ghostReplay.dispose();
+        }
+    }
+    
+    /**
+     * Stop recording, playback and the ghost of the previous attempt
+     */
+    clearReplays() {
+        this.inputRecorder.stop();
+        this.replayPlayer = null;
+        if (this.ghostReplay) {
+            this.ghostReplay.dispose();
+            this.ghostReplay = null;
+        }
+    }
+    
+    /**
+     * Render the scene
+     * Requirement: TECH-P-002 - three.js rendering
+     */
+    render() {
+        this.renderer.render(this.scene, this.camera);
     }
     
     /**
@@ -412,9 +528,6 @@ export class Game {
         
         console.log('Game::handleHazardCollision - Player hit hazard:', collisionData);
         
-        // Set respawning flag to prevent multiple triggers
-        this.gameState.setRespawning(true);
-        
         // Play hazard hit sound - Requirement: PROD-012
         if (this.audioManager) {
             this.audioManager.playSound('hazardHit');
@@ -423,6 +536,9 @@ export class Game {
         // Lose a life through GameState manager
         const isGameOver = this.gameState.loseLife(collisionData.cause || 'hazard');
         
+        // Set respawning flag to prevent multiple triggers (loseLife ignores calls while it is set)
+        this.gameState.setRespawning(true);
+        
         // Visual feedback - red flash or particle effect could go here
         if (this.playerMesh) {
             // Temporary red tint
@@ -438,13 +554,8 @@ export class Game {
             return;
         }
         
-        // Reset player position
+        // Reset player position; the flag clears when the simulation's respawn window ends
         this.resetPlayerPosition();
-        
-        // Clear respawning flag after a short delay
-        setTimeout(() => {
-            this.gameState.setRespawning(false);
-        }, 500);
     }
     
     /**
@@ -456,9 +567,6 @@ export class Game {
         
         console.log('Game::handlePlayerFall - Player fell!');
         
-        // Set respawning flag to prevent multiple triggers
-        this.gameState.setRespawning(true);
-        
         // Play fall sound - Requirement: PROD-012
         if (this.audioManager) {
             this.audioManager.playSound('fall');
@@ -467,18 +575,16 @@ export class Game {
         // Lose a life through GameState manager
         const isGameOver = this.gameState.loseLife('fall');
         
+        // Set respawning flag to prevent multiple triggers (loseLife ignores calls while it is set)
+        this.gameState.setRespawning(true);
+        
         // If game over, let the GameState event handler deal with it
         if (isGameOver) {
             return;
         }
         
-        // Reset player position
+        // Reset player position; the flag clears when the simulation's respawn window ends
         this.resetPlayerPosition();
-        
-        // Clear respawning flag after a short delay
-        setTimeout(() => {
-            this.gameState.setRespawning(false);
-        }, 500);
     }
     
     /**
@@ -489,13 +595,8 @@ export class Game {
         const startPos = this.levelManager.getPlayerStartPosition();
         console.log('Game::resetPlayerPosition - Resetting player to:', startPos);
         
-        // Reset physics body
-        const playerBody = this.physicsManager.getPlayerBody();
-        if (playerBody) {
-            playerBody.position.set(startPos.x, startPos.y, startPos.z);
-            playerBody.velocity.set(0, 0, 0);
-            playerBody.angularVelocity.set(0, 0, 0);
-        }
+        // Reset physics body and gravity
+        this.simulation.resetPlayer();
         
         // Reset visual mesh
         if (this.playerMesh) {
@@ -513,11 +614,6 @@ export class Game {
             this.camera.lookAt(startPos);
         }
         
-        // Reset gravity to default
-        if (this.playerController) {
-            this.playerController.setGravityDirection(new THREE.Vector3(0, -1, 0));
-        }
-        
         console.log('Game::resetPlayerPosition - Player reset complete');
     }
     
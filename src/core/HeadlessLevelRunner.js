@@ -0,0 +1,264 @@
+/**
+ * HeadlessLevelRunner - Plays a level in node with scripted input
+ * Requirements: NFR-001 (Deterministic simulation), PROD-004, PROD-005, PROD-008
+ *
+ * Loads a level through LevelManager, PhysicsManager and BehaviorSystem
+ * without a renderer, window or camera, and drives it with LevelSimulation at
+ * a fixed step. Level events and failures are applied to a GameState the way
+ * Game does for the live player, so tests can assert on keys collected, lives
+ * and completion after a number of ticks.
+ *
+ * Without a camera, movement uses the world-aligned basis: forward is -Z and
+ * right is +X, unless a recording supplies its view directions.
+ */
+
+import * as THREE from 'three';
+import { PhysicsManager } from '../physics/PhysicsManager.js';
+import { LevelManager } from '../level/LevelManager.js';
+import { BehaviorSystem } from '../behaviors/BehaviorSystem.js';
+import { PlayerController } from '../player/PlayerController.js';
+import { GameState } from '../game/GameState.js';
+import { LevelSimulation } from './LevelSimulation.js';
+import { INPUT_KEYS } from '../replay/InputRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+
+// LevelManager and AssetManager expect THREE as a global, as loaded from the CDN in the browser
+if (typeof globalThis.THREE === 'undefined') {
+    globalThis.THREE = THREE;
+}
+
+/**
+ * Parse a compact input script such as "right:0-90,jump:40,forward:120-300"
+ * Each entry holds a key from its first tick up to (not including) its last;
+ * a single tick presses the key for that tick only.
+ * @param {string} text - Comma-separated key:from-to entries
+ * @returns {Array<Object>} Segments of { key, from, to }
+ */
+export function parseInputScript(text) {
+    return text.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = /^([a-z]+):(\d+)(?:-(\d+))?$/.exec(entry);
+        if (!match) {
+            throw new Error(`Invalid input script entry '${entry}' (expected key:from-to or key:tick)`);
+        }
+
+        const [, key, from, to] = match;
+        if (!INPUT_KEYS.includes(key)) {
+            throw new Error(`Unknown input key '${key}' (expected one of ${INPUT_KEYS.join(', ')})`);
+        }
+
+        const segment = { key, from: Number(from), to: to === undefined ? Number(from) + 1 : Number(to) };
+        if (segment.to <= segment.from) {
+            throw new Error(`Input script entry '${entry}' ends before it starts`);
+        }
+        return segment;
+    });
+}
+
+/**
+ * Turn input segments into a per-tick input function
+ * @param {Array<Object>} segments - Segments of { key, from, to }
+ * @returns {Function} tick => input state
+ */
+export function createScriptedInput(segments) {
+    return (tick) => {
+        const inputState = {};
+        INPUT_KEYS.forEach(key => {
+            inputState[key] = segments.some(segment => segment.key === key && tick >= segment.from && tick < segment.to);
+        });
+        return inputState;
+    };
+}
+
+export class HeadlessLevelRunner {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.step=1/60] - Simulation step in seconds
+     */
+    constructor(options = {}) {
+        this.step = options.step || 1 / 60;
+
+        this.scene = null;
+        this.physicsManager = null;
+        this.levelManager = null;
+        this.behaviorSystem = null;
+        this.playerController = null;
+        this.simulation = null;
+        this.gameState = null;
+
+        this.tick = 0;
+        this.isComplete = false;
+    }
+
+    /**
+     * Load a level and put the player on its start
+     * @param {Object|string} levelData - Level data or path, as given to LevelManager.load
+     * @returns {Promise<void>}
+     */
+    async load(levelData) {
+        this.dispose();
+
+        this.scene = new THREE.Scene();
+        this.physicsManager = new PhysicsManager();
+        this.levelManager = new LevelManager(this.scene, this.physicsManager, { headless: true });
+        this.behaviorSystem = new BehaviorSystem(this.scene, this.physicsManager, { headless: true });
+        this.playerController = new PlayerController({ headless: true });
+        this.physicsManager.setPlayerController(this.playerController);
+        this.playerController.subscribeToGravity(this.physicsManager);
+
+        await this.levelManager.load(levelData);
+        this.behaviorSystem.parseBehaviors(
+            this.levelManager.currentLevel,
+            this.levelManager.platforms,
+            this.levelManager.levelPhysicsBodies
+        );
+
+        const startPos = this.levelManager.getPlayerStartPosition();
+        this.playerController.setPhysicsBody(this.physicsManager.createPlayerBody(startPos));
+
+        this.simulation = new LevelSimulation({
+            physicsManager: this.physicsManager,
+            levelManager: this.levelManager,
+            behaviorSystem: this.behaviorSystem,
+            playerController: this.playerController
+        });
+        this.simulation.resetPlayer();
+
+        this.gameState = new GameState();
+        this.gameState.initializeLevel({
+            name: this.levelManager.currentLevel?.name,
+            totalKeys: this.levelManager.getGameState().totalKeys,
+            gameSettings: this.levelManager.currentLevel?.gameSettings
+        });
+
+        this.tick = 0;
+        this.isComplete = false;
+        this.setupListeners();
+    }
+
+    /**
+     * Apply level events and failures to the game state, as Game does
+     */
+    setupListeners() {
+        this.levelManager.on('keyCollected', () => this.gameState.collectKey());
+        this.levelManager.on('coinCollected', (coin) => this.gameState.addScore(coin.value, 'coin'));
+        this.levelManager.on('levelComplete', () => {
+            this.isComplete = true;
+            // Time bonus from simulated time, so runs score the same every time
+            this.gameState.completeLevel(Math.round(this.simulation.time * 1000));
+        });
+
+        const fail = (cause) => {
+            const isGameOver = this.gameState.loseLife(cause);
+            this.gameState.setRespawning(true);
+            if (!isGameOver) {
+                this.simulation.resetPlayer();
+            }
+        };
+        this.simulation.on('hazardCollision', (collision) => fail(collision.cause || 'hazard'));
+        this.simulation.on('playerFell', () => fail('fall'));
+        this.simulation.on('respawnComplete', () => this.gameState.setRespawning(false));
+    }
+
+    /**
+     * Whether the run has ended by completing the level or losing every life
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return this.isComplete || (this.gameState !== null && this.gameState.isGameOver);
+    }
+
+    /**
+     * Advance the level by one step with the given input
+     * @param {Object} [inputState] - Key states and optional analog { forward, right }; missing keys are released
+     * @param {Array<number>|null} [viewDirection] - Camera forward to move relative to
+     */
+    stepWith(inputState = {}, viewDirection = null) {
+        if (!this.simulation) {
+            throw new Error('HeadlessLevelRunner::stepWith - No level loaded');
+        }
+
+        const keys = {};
+        INPUT_KEYS.forEach(key => {
+            keys[key] = !!inputState[key];
+        });
+        if (inputState.analog) {
+            keys.analog = inputState.analog;
+        }
+        this.playerController.applyInputState(keys);
+        this.playerController.setViewDirection(viewDirection);
+        this.simulation.step(this.step);
+        this.tick++;
+    }
+
+    /**
+     * Run the level for a number of ticks
+     * @param {number} ticks - Maximum number of steps to run
+     * @param {Function|Array<Object>|Object} [input] - A tick => input state function,
+     *        input segments of { key, from, to }, or a recording from InputRecorder
+     * @param {Object} [options]
+     * @param {boolean} [options.stopWhenFinished=true] - Stop early on completion or game over
+     * @returns {Object} State after the run, see getState
+     */
+    run(ticks, input = () => ({}), options = {}) {
+        const { stopWhenFinished = true } = options;
+        const getInput = this.createInputSource(input);
+
+        for (let i = 0; i < ticks; i++) {
+            if (stopWhenFinished && this.isFinished) break;
+            const { inputState, viewDirection } = getInput(this.tick);
+            this.stepWith(inputState, viewDirection);
+        }
+
+        return this.getState();
+    }
+
+    /**
+     * Normalize the accepted input forms to tick => { inputState, viewDirection }
+     * @param {Function|Array<Object>|Object} input
+     * @returns {Function}
+     */
+    createInputSource(input) {
+        if (typeof input === 'function') {
+            return (tick) => ({ inputState: input(tick) || {}, viewDirection: null });
+        }
+        if (Array.isArray(input)) {
+            const scripted = createScriptedInput(input);
+            return (tick) => ({ inputState: scripted(tick), viewDirection: null });
+        }
+        if (ReplayPlayer.isValidRecording(input)) {
+            const replayPlayer = new ReplayPlayer(input);
+            return (tick) => replayPlayer.getInput(tick);
+        }
+        throw new Error('HeadlessLevelRunner::run - Input must be a function, input segments or a recording');
+    }
+
+    /**
+     * Get the outcome of the run so far
+     * @returns {Object} Tick, game state and player position
+     */
+    getState() {
+        const { position } = this.physicsManager.getPlayerBody();
+        return {
+            tick: this.tick,
+            time: this.simulation.time,
+            keysCollected: this.gameState.keysCollected,
+            totalKeys: this.gameState.totalKeys,
+            lives: this.gameState.lives,
+            score: this.gameState.score,
+            exitUnlocked: this.levelManager.getGameState().exitUnlocked,
+            isComplete: this.isComplete,
+            isGameOver: this.gameState.isGameOver,
+            playerPosition: { x: position.x, y: position.y, z: position.z }
+        };
+    }
+
+    /**
+     * Remove the loaded level
+     */
+    dispose() {
+        if (this.levelManager) {
+            this.levelManager.clear();
+        }
+        this.simulation = null;
+    }
+}
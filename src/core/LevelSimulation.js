@@ -0,0 +1,206 @@
+/**
+ * LevelSimulation - Gameplay rules for one fixed simulation step
+ * Requirements: NFR-001 (Frame-rate independent simulation), PROD-004, PROD-006, PROD-007
+ *
+ * Runs the player controller, physics, collectibles, hazard and fall checks,
+ * level entities and behaviors in a fixed order. Game drives one for the live
+ * player and ghost replays drive their own headless copy, so a recorded run
+ * plays out under exactly the same rules. Hazards and falls are reported as
+ * events; the owner decides what they cost and calls resetPlayer.
+ */
+
+import * as THREE from 'three';
+
+// Seconds after a failure during which further hazards and falls are ignored
+export const RESPAWN_DELAY = 0.5;
+
+export class LevelSimulation {
+    /**
+     * @param {Object} systems - Systems of the level being simulated
+     * @param {PhysicsManager} systems.physicsManager
+     * @param {LevelManager} [systems.levelManager]
+     * @param {BehaviorSystem} [systems.behaviorSystem]
+     * @param {PlayerController} [systems.playerController]
+     */
+    constructor({ physicsManager, levelManager = null, behaviorSystem = null, playerController = null }) {
+        this.physicsManager = physicsManager;
+        this.levelManager = levelManager;
+        this.behaviorSystem = behaviorSystem;
+        this.playerController = playerController;
+
+        // Simulated time, advanced by step()
+        this.tick = 0;
+        this.time = 0;
+
+        // Time left before hazards and falls count again
+        this.respawnTimer = 0;
+
+        this.playerPosition = new THREE.Vector3();
+
+        // Event listeners
+        this.listeners = {
+            hazardCollision: [],
+            playerFell: [],
+            respawnComplete: []
+        };
+    }
+
+    /**
+     * Whether a failure was reported recently and further ones are ignored
+     * @returns {boolean}
+     */
+    get isRespawning() {
+        return this.respawnTimer > 0;
+    }
+
+    /**
+     * Advance gameplay by one step
+     * @param {number} step - Fixed step length in seconds
+     */
+    step(step) {
+        const { physicsManager, levelManager, behaviorSystem, playerController } = this;
+        this.tick++;
+        this.time = this.tick * step;
+
+        // Update player controller (handles input and applies forces)
+        if (playerController) {
+            playerController.update(step);
+        }
+
+        // Update physics simulation
+        physicsManager.update(step);
+
+        if (this.respawnTimer > 0) {
+            this.respawnTimer = Math.max(0, this.respawnTimer - step);
+            if (this.respawnTimer === 0) {
+                this.emit('respawnComplete', { tick: this.tick });
+            }
+        }
+
+        const hasPlayer = !!physicsManager.getPlayerBody();
+        if (hasPlayer && levelManager) {
+            const playerPosition = this.getPlayerPosition();
+
+            // Check for collectibles and objectives - Requirements: PROD-004, PROD-005
+            levelManager.checkCollectibles(playerPosition);
+
+            if (!this.isRespawning) {
+                // Check for hazard collisions - Requirement: PROD-007
+                const hazardCollision = levelManager.checkHazardCollision(playerPosition);
+                if (hazardCollision && hazardCollision.damage) {
+                    this.fail('hazardCollision', hazardCollision);
+                } else if (playerPosition.y < levelManager.getFallThreshold()) {
+                    // Check for fall condition - Requirement: PROD-006
+                    this.fail('playerFell', { position: playerPosition.clone() });
+                }
+            }
+        }
+
+        // Update level entities (animations, moving platforms) - Requirement: ARCH-002
+        if (levelManager) {
+            levelManager.update(step, this.time);
+        }
+
+        // Update behavior system - Requirement: ARCH-005
+        if (behaviorSystem) {
+            behaviorSystem.update(step);
+
+            // Check for behavior triggers based on player position
+            if (hasPlayer) {
+                behaviorSystem.checkBehaviorTriggers(this.getPlayerPosition());
+            }
+        }
+    }
+
+    /**
+     * Report a failure and start the respawn window
+     * @param {string} event - hazardCollision or playerFell
+     * @param {Object} data - Event data
+     */
+    fail(event, data) {
+        this.respawnTimer = RESPAWN_DELAY;
+        this.emit(event, data);
+    }
+
+    /**
+     * Get the simulated player position
+     * @returns {THREE.Vector3} Position of the player physics body (shared vector)
+     */
+    getPlayerPosition() {
+        const { position } = this.physicsManager.getPlayerBody();
+        return this.playerPosition.set(position.x, position.y, position.z);
+    }
+
+    /**
+     * Put the player back on the level start with the level's starting gravity
+     * Requirement: PROD-006 - Player reset after falling
+     */
+    resetPlayer() {
+        const playerBody = this.physicsManager.getPlayerBody();
+        if (!playerBody || !this.levelManager) return;
+
+        const startPos = this.levelManager.getPlayerStartPosition();
+        playerBody.position.set(startPos.x, startPos.y, startPos.z);
+        playerBody.previousPosition.copy(playerBody.position);
+        playerBody.interpolatedPosition.copy(playerBody.position);
+        playerBody.velocity.set(0, 0, 0);
+        playerBody.angularVelocity.set(0, 0, 0);
+
+        const startGravity = this.levelManager.getGameState().playerStartGravity;
+        this.physicsManager.resetGravity(startGravity || undefined);
+    }
+
+    /**
+     * Restart simulated time, e.g. for a new level
+     */
+    reset() {
+        this.tick = 0;
+        this.time = 0;
+        this.respawnTimer = 0;
+    }
+
+    /**
+     * Subscribe to simulation events
+     * hazardCollision: collision data from the hazard
+     * playerFell: { position }
+     * respawnComplete: { tick }
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Unsubscribe from simulation events
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            const index = this.listeners[event].indexOf(callback);
+            if (index > -1) {
+                this.listeners[event].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Emit an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`LevelSimulation::emit - Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
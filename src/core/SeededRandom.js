@@ -0,0 +1,33 @@
+/**
+ * SeededRandom - Reproducible random numbers for gameplay
+ * Requirement: NFR-001 - Deterministic simulation
+ *
+ * The simulation uses no random numbers today, so replays depend on input
+ * alone. Each attempt still gets a seed, saved with its recording, and
+ * Game.random is seeded from it: gameplay code that needs randomness must draw
+ * from Game.random, never Math.random, for recorded runs to replay identically.
+ */
+
+/**
+ * Pick a new seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Function} Returns a number in [0, 1) on every call
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,232 @@
+/**
+ * EditorClipboard.js
+ *
+ * Box regions of a level and the clipboard the level editor copies them to.
+ * A clipboard holds the blocks, decorations, keys, collectibles and behaviors
+ * of a box with cells relative to its lowest corner, so it can be rotated,
+ * mirrored and placed anywhere. Behavior config follows the blocks: grid
+ * cells inside the box and world positions move with them, directions turn
+ * with them, and cells outside the box keep pointing where they did.
+ * Fulfills requirements: USER-004 (Grid-Based Placement)
+ */
+
+import behaviorRegistry from '../behaviors/BehaviorRegistry.js';
+
+/**
+ * Largest box the editor fills in one go
+ */
+export const MAX_BOX_CELLS = 4096;
+
+/**
+ * Make a box from two opposite corner cells
+ * @param {{x: number, y: number, z: number}} from - Corner cell
+ * @param {{x: number, y: number, z: number}} to - Opposite corner cell
+ * @returns {{min: {x: number, y: number, z: number}, max: {x: number, y: number, z: number}}}
+ */
+export function normalizeBox(from, to) {
+    return {
+        min: { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) },
+        max: { x: Math.max(from.x, to.x), y: Math.max(from.y, to.y), z: Math.max(from.z, to.z) }
+    };
+}
+
+/**
+ * Get the size of a box in cells
+ * @param {Object} box - Box from normalizeBox()
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function getBoxSize(box) {
+    return {
+        x: box.max.x - box.min.x + 1,
+        y: box.max.y - box.min.y + 1,
+        z: box.max.z - box.min.z + 1
+    };
+}
+
+/**
+ * Whether a cell is inside a box
+ * @param {Array<number>} at - Grid position [x, y, z]
+ * @param {Object} box - Box from normalizeBox()
+ * @returns {boolean}
+ */
+export function isInBox(at, box) {
+    return !!at &&
+        at[0] >= box.min.x && at[0] <= box.max.x &&
+        at[1] >= box.min.y && at[1] <= box.max.y &&
+        at[2] >= box.min.z && at[2] <= box.max.z;
+}
+
+/**
+ * List the cells of a box
+ * @param {Object} box - Box from normalizeBox()
+ * @param {Object} [options]
+ * @param {boolean} [options.hollow=false] - Only the cells on the faces of the box
+ * @returns {Array<Array<number>>} Grid positions [x, y, z]
+ */
+export function getBoxCells(box, { hollow = false } = {}) {
+    const { min, max } = box;
+    const cells = [];
+    for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+            for (let x = min.x; x <= max.x; x++) {
+                const onFace = x === min.x || x === max.x || y === min.y || y === max.y || z === min.z || z === max.z;
+                if (!hollow || onFace) {
+                    cells.push([x, y, z]);
+                }
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Get the config fields of a behavior type that hold coordinates
+ * @param {string} type - Behavior type
+ * @returns {Array<{name: string, coordinate: string}>} Fields with coordinate 'cell', 'world' or 'direction'
+ */
+function getCoordinateFields(type) {
+    return behaviorRegistry.getConfigFields(type).filter(field => field.coordinate);
+}
+
+/**
+ * Copy the contents of a box
+ * The spawn and the exit are not copied; a level has only one of each.
+ * @param {Object} levelData - Level data; not modified
+ * @param {Object} box - Box from normalizeBox()
+ * @param {number} gridUnitSize - World units per grid cell
+ * @returns {Object} Clipboard with cells relative to the box's lowest corner
+ */
+export function copyRegion(levelData, box, gridUnitSize) {
+    const origin = [box.min.x, box.min.y, box.min.z];
+    const toLocal = at => at.map((value, i) => value - origin[i]);
+    const copyItems = items => JSON.parse(JSON.stringify((items || []).filter(item => isInBox(item.at, box))))
+        .map(item => ({ ...item, at: toLocal(item.at) }));
+
+    const behaviors = JSON.parse(JSON.stringify((levelData.behaviors || []).filter(behavior => isInBox(behavior.target, box))))
+        .map(behavior => {
+            const config = behavior.config || {};
+            const absolute = [];
+            getCoordinateFields(behavior.type).forEach(({ name, coordinate }) => {
+                const value = config[name];
+                if (!Array.isArray(value)) return;
+
+                if (coordinate === 'cell') {
+                    if (isInBox(value, box)) {
+                        config[name] = toLocal(value);
+                    } else {
+                        absolute.push(name);
+                    }
+                } else if (coordinate === 'world') {
+                    config[name] = value.map((v, i) => v / gridUnitSize - origin[i]);
+                }
+            });
+            return { ...behavior, target: toLocal(behavior.target), config, absolute };
+        });
+
+    return {
+        size: getBoxSize(box),
+        blocks: copyItems(levelData.blocks),
+        decorations: copyItems(levelData.decorations),
+        // Keys get new IDs when pasted
+        keys: copyItems(levelData.objectives && levelData.objectives.keys).map(({ id, ...key }) => key),
+        collectibles: copyItems(levelData.collectibles),
+        behaviors
+    };
+}
+
+/**
+ * Move every cell, position and direction of a clipboard
+ * @param {Object} clipboard - Clipboard from copyRegion()
+ * @param {Function} mapPoint - Maps a local [x, y, z] cell or grid-unit position
+ * @param {Function} mapDirection - Maps a [x, y, z] direction
+ * @param {{x: number, y: number, z: number}} size - Size of the result
+ * @returns {Object} New clipboard
+ */
+function transformClipboard(clipboard, mapPoint, mapDirection, size) {
+    const mapItems = items => items.map(item => ({ ...item, at: mapPoint(item.at) }));
+
+    return {
+        size,
+        blocks: mapItems(clipboard.blocks),
+        decorations: mapItems(clipboard.decorations),
+        keys: mapItems(clipboard.keys),
+        collectibles: mapItems(clipboard.collectibles),
+        behaviors: clipboard.behaviors.map(behavior => {
+            const config = { ...behavior.config };
+            getCoordinateFields(behavior.type).forEach(({ name, coordinate }) => {
+                const value = config[name];
+                if (!Array.isArray(value) || behavior.absolute.includes(name)) return;
+                config[name] = coordinate === 'direction' ? mapDirection(value) : mapPoint(value);
+            });
+            return { ...behavior, target: mapPoint(behavior.target), config };
+        })
+    };
+}
+
+/**
+ * Turn a clipboard a quarter turn clockwise, seen from above
+ * @param {Object} clipboard - Clipboard from copyRegion()
+ * @returns {Object} New clipboard
+ */
+export function rotateClipboard(clipboard) {
+    const { size } = clipboard;
+    return transformClipboard(
+        clipboard,
+        ([x, y, z]) => [size.z - 1 - z, y, x],
+        ([x, y, z]) => [0 - z, y, x],
+        { x: size.z, y: size.y, z: size.x }
+    );
+}
+
+/**
+ * Mirror a clipboard along an axis
+ * @param {Object} clipboard - Clipboard from copyRegion()
+ * @param {string} [axis='x'] - 'x' or 'z'
+ * @returns {Object} New clipboard
+ */
+export function mirrorClipboard(clipboard, axis = 'x') {
+    const { size } = clipboard;
+    const i = axis === 'z' ? 2 : 0;
+    const length = axis === 'z' ? size.z : size.x;
+    const flip = (value, mapped) => value.map((v, j) => (j === i ? mapped(v) : v));
+    return transformClipboard(
+        clipboard,
+        point => flip(point, v => length - 1 - v),
+        direction => flip(direction, v => 0 - v),
+        { ...size }
+    );
+}
+
+/**
+ * Place a clipboard in a level
+ * @param {Object} clipboard - Clipboard from copyRegion()
+ * @param {{x: number, y: number, z: number}} origin - Cell for the clipboard's lowest corner
+ * @param {number} gridUnitSize - World units per grid cell
+ * @returns {{blocks: Array, decorations: Array, keys: Array, collectibles: Array, behaviors: Array}}
+ *          Level entries at absolute positions; keys have no IDs yet
+ */
+export function placeClipboard(clipboard, origin, gridUnitSize) {
+    const offset = [origin.x, origin.y, origin.z];
+    const toLevel = at => at.map((value, i) => value + offset[i]);
+    const placeItems = items => JSON.parse(JSON.stringify(items)).map(item => ({ ...item, at: toLevel(item.at) }));
+
+    return {
+        blocks: placeItems(clipboard.blocks),
+        decorations: placeItems(clipboard.decorations),
+        keys: placeItems(clipboard.keys),
+        collectibles: placeItems(clipboard.collectibles),
+        behaviors: JSON.parse(JSON.stringify(clipboard.behaviors)).map(({ absolute, ...behavior }) => {
+            getCoordinateFields(behavior.type).forEach(({ name, coordinate }) => {
+                const value = behavior.config[name];
+                if (!Array.isArray(value) || absolute.includes(name)) return;
+
+                if (coordinate === 'cell') {
+                    behavior.config[name] = toLevel(value);
+                } else if (coordinate === 'world') {
+                    behavior.config[name] = value.map((v, i) => (v + offset[i]) * gridUnitSize);
+                }
+            });
+            return { ...behavior, target: toLevel(behavior.target) };
+        })
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * EditorHistory.js
+ *
+ * Undo/redo stack for the level editor. Every change to the level is recorded
+ * as a command with execute() (redo) and undo(); LevelEditor.edit() wraps its
+ * mutations in LevelEditCommands that restore the level data from before or
+ * after the change.
+ * Fulfills requirements: USER-004 (Grid-Based Placement)
+ */
+
+/**
+ * A level change that is undone and redone by restoring level data snapshots
+ */
+export class LevelEditCommand {
+    /**
+     * @param {LevelEditor} editor - Editor the change was made in
+     * @param {string} label - Description shown in the history list
+     * @param {string} before - Level data JSON from before the change
+     * @param {string} after - Level data JSON from after the change
+     */
+    constructor(editor, label, before, after) {
+        this.editor = editor;
+        this.label = label;
+        this.before = before;
+        this.after = after;
+    }
+
+    execute() {
+        this.editor.restoreLevel(this.after);
+    }
+
+    undo() {
+        this.editor.restoreLevel(this.before);
+    }
+}
+
+export class EditorHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Commands kept for undo; the oldest are dropped
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.listeners = {
+            change: []
+        };
+    }
+
+    /**
+     * Record a command that has already been applied
+     * Recording drops the commands that were undone.
+     * @param {Object} command - Command with label, execute() and undo()
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        console.log(`EditorHistory::push - ${command.label}`);
+        this.emit('change', this.getEntries());
+    }
+
+    /**
+     * Whether there is a command to undo
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is a command to redo
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last command
+     * @returns {boolean} True if a command was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.undo();
+        this.redoStack.push(command);
+
+        console.log(`EditorHistory::undo - ${command.label}`);
+        this.emit('change', this.getEntries());
+        return true;
+    }
+
+    /**
+     * Redo the last undone command
+     * @returns {boolean} True if a command was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.execute();
+        this.undoStack.push(command);
+
+        console.log(`EditorHistory::redo - ${command.label}`);
+        this.emit('change', this.getEntries());
+        return true;
+    }
+
+    /**
+     * Undo or redo until a number of commands are applied
+     * @param {number} applied - Commands to keep applied, 0 for the start of the history
+     */
+    goTo(applied) {
+        while (this.undoStack.length > applied && this.undo()) { /* undo towards the entry */ }
+        while (this.undoStack.length < applied && this.redo()) { /* redo towards the entry */ }
+    }
+
+    /**
+     * Get the history in order, oldest first
+     * @returns {Array<{label: string, applied: boolean}>} Applied commands followed by undone ones
+     */
+    getEntries() {
+        return [
+            ...this.undoStack.map(command => ({ label: command.label, applied: true })),
+            ...this.redoStack.slice().reverse().map(command => ({ label: command.label, applied: false }))
+        ];
+    }
+
+    /**
+     * Forget every command
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('change', this.getEntries());
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {string} event - 'change'
+     * @param {Function} callback - Receives the entries from getEntries()
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Unsubscribe from history changes
+     * @param {string} event - Event name
+     * @param {Function} callback - Handler passed to on()
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {*} [data] - Event payload
+     */
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`EditorHistory::emit - Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
@@ -6,6 +6,9 @@
  */
 
 import assetRegistry from '../assets/AssetRegistry.js';
+import { formatValidationErrors } from '../level/LevelSchema.js';
+import actionMap from '../input/ActionMap.js';
+import { PLAYTEST_MESSAGES, PLAYTEST_PARAM } from '../level/PlayTest.js';
 
 export class EditorUI {
     constructor(levelEditor) {
@@ -19,6 +22,15 @@ export class EditorUI {
         this.gridSizeInput = null;
         this.jsonOutput = null;
         this.jsonTextarea = null;
+        this.historyList = null;
+        this.inspector = null;
+        
+        // Behavior types offered by the inspector
+        this.behaviorTypes = [];
+        
+        // Game tab of the running play test and the level it is waiting for
+        this.playTestWindow = null;
+        this.playTestLevel = null;
         
         // Current selections
         this.selectedTool = 'place';
@@ -33,6 +45,8 @@ export class EditorUI {
         this.gridSizeInput = document.getElementById('grid-size');
         this.jsonOutput = document.getElementById('json-output');
         this.jsonTextarea = document.getElementById('json-textarea');
+        this.historyList = document.getElementById('history-list');
+        this.inspector = document.getElementById('inspector');
         
         // Initialize block palette
         this.initializeBlockPalette();
@@ -52,6 +66,18 @@ export class EditorUI {
         // Setup floor navigation
         this.setupFloorNavigation();
         
+        // Setup undo/redo buttons and the history list
+        this.setupHistory();
+        
+        // Setup the behavior inspector for the selected block
+        this.setupInspector();
+        
+        // Setup copy, cut and paste of the selected box
+        this.setupSelection();
+        
+        // Setup play-testing in the game
+        this.setupPlayTest();
+        
         // Setup keyboard shortcuts including floor navigation
         this.setupKeyboardShortcuts();
         
@@ -68,6 +94,10 @@ export class EditorUI {
             'stone_platform',
             'grass_platform',
             'brick_wall',
+            'ice_platform',
+            'mud_platform',
+            'rubber_platform',
+            'sticky_platform',
             'hazard',
             'tree',
             'pine_tree',
@@ -166,7 +196,7 @@ export class EditorUI {
         
         // Update cursor style
         const canvas = document.getElementById('editor-canvas');
-        if (tool === 'place') {
+        if (tool === 'place' || tool === 'fill' || tool === 'hollow') {
             canvas.style.cursor = 'crosshair';
         } else if (tool === 'remove') {
             canvas.style.cursor = 'not-allowed';
@@ -203,6 +233,11 @@ export class EditorUI {
     }
     
     setupActionButtons() {
+        // Play test button
+        document.getElementById('play-test').addEventListener('click', () => {
+            this.playTest();
+        });
+        
         // Generate JSON button
         document.getElementById('generate-json').addEventListener('click', () => {
             this.generateJSON();
@@ -218,6 +253,11 @@ export class EditorUI {
             this.validateLevel();
         });
         
+        // Clear floor button
+        document.getElementById('clear-floor').addEventListener('click', () => {
+            this.editor.clearFloor();
+        });
+        
         // Clear level button
         document.getElementById('clear-level').addEventListener('click', () => {
             this.clearLevel();
@@ -283,6 +323,9 @@ export class EditorUI {
                         this.levelThemeSelect.value = data.theme || 'nature';
                         
                         alert('Level loaded successfully!');
+                    } else if (this.editor.lastValidationErrors.length > 0) {
+                        alert('Failed to load level:\n' +
+                            formatValidationErrors(this.editor.lastValidationErrors).join('\n'));
                     } else {
                         alert('Failed to load level. Please check the JSON format.');
                     }
@@ -296,7 +339,9 @@ export class EditorUI {
     
     validateLevel() {
         const validation = this.editor.validateLevel();
-        if (validation.valid) {
+        if (validation.valid && validation.warnings.length > 0) {
+            alert('Level is valid, with warnings:\n' + validation.warnings.join('\n'));
+        } else if (validation.valid) {
             alert('Level is valid and ready to play!');
         } else {
             alert('Level validation failed:\n' + validation.errors.join('\n'));
@@ -304,7 +349,7 @@ export class EditorUI {
     }
     
     clearLevel() {
-        if (confirm('Are you sure you want to clear the entire level? This cannot be undone.')) {
+        if (confirm('Are you sure you want to clear the entire level? You can undo this with Ctrl+Z.')) {
             this.editor.clearLevel();
             alert('Level cleared.');
         }
@@ -330,6 +375,373 @@ export class EditorUI {
         this.jsonOutput.style.display = 'none';
     }
     
+    setupHistory() {
+        document.getElementById('undo-button').addEventListener('click', () => {
+            this.editor.undo();
+        });
+        
+        document.getElementById('redo-button').addEventListener('click', () => {
+            this.editor.redo();
+        });
+        
+        this.editor.history.on('change', () => this.updateHistory());
+        this.updateHistory();
+    }
+    
+    updateHistory() {
+        const history = this.editor.history;
+        document.getElementById('undo-button').disabled = !history.canUndo;
+        document.getElementById('redo-button').disabled = !history.canRedo;
+        
+        // One row per change after the starting level; clicking a row goes back or forward to it
+        const entries = [{ label: 'Start', applied: true }, ...history.getEntries()];
+        const current = history.undoStack.length;
+        this.historyList.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.textContent = entry.label;
+            if (index === current) item.classList.add('current');
+            if (!entry.applied) item.classList.add('undone');
+            item.addEventListener('click', () => history.goTo(index));
+            this.historyList.appendChild(item);
+        });
+        
+        const currentItem = this.historyList.children[current];
+        if (currentItem) {
+            currentItem.scrollIntoView({ block: 'nearest' });
+        }
+        
+        // Undoing can change the level name and theme
+        const data = this.editor.getLevelData();
+        this.levelNameInput.value = data.name || 'Custom Level';
+        this.levelThemeSelect.value = data.theme || 'nature';
+    }
+    
+    setupSelection() {
+        document.getElementById('copy-selection').addEventListener('click', () => this.editor.copySelection());
+        document.getElementById('cut-selection').addEventListener('click', () => this.editor.cutSelection());
+        document.getElementById('delete-selection').addEventListener('click', () => this.editor.deleteSelection());
+        document.getElementById('rotate-clipboard').addEventListener('click', () => this.editor.rotateClipboard());
+        document.getElementById('mirror-clipboard-x').addEventListener('click', () => this.editor.mirrorClipboard('x'));
+        document.getElementById('mirror-clipboard-z').addEventListener('click', () => this.editor.mirrorClipboard('z'));
+        
+        // The mouse is on the panel, so the button pastes at the selected cell
+        document.getElementById('paste-clipboard').addEventListener('click', () => {
+            this.editor.pasteClipboard(this.editor.getSelectedCell() || this.editor.hoveredGridPos);
+        });
+        
+        this.editor.on('selection', () => this.updateSelection());
+        this.editor.on('clipboard', () => this.updateSelection());
+        this.updateSelection();
+    }
+    
+    updateSelection() {
+        const selection = this.editor.getSelection();
+        const clipboard = this.editor.clipboard;
+        const describe = size => `${size.x} × ${size.y} × ${size.z}`;
+        
+        const selectionInfo = document.getElementById('selection-info');
+        if (selection) {
+            const { min, max } = selection;
+            selectionInfo.textContent = `${describe({ x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 })} ` +
+                `from [${min.x}, ${min.y}, ${min.z}] — Shift+click to extend`;
+        } else {
+            selectionInfo.textContent = 'Nothing selected — use the Select tool';
+        }
+        ['copy-selection', 'cut-selection', 'delete-selection'].forEach(id => {
+            document.getElementById(id).disabled = !selection;
+        });
+        
+        const clipboardInfo = document.getElementById('clipboard-info');
+        if (clipboard) {
+            const count = clipboard.blocks.length + clipboard.decorations.length;
+            clipboardInfo.textContent = `Clipboard: ${describe(clipboard.size)}, ${count} blocks, ${clipboard.behaviors.length} behaviors`;
+        } else {
+            clipboardInfo.textContent = 'Clipboard empty';
+        }
+        ['paste-clipboard', 'rotate-clipboard', 'mirror-clipboard-x', 'mirror-clipboard-z'].forEach(id => {
+            document.getElementById(id).disabled = !clipboard;
+        });
+    }
+    
+    setupInspector() {
+        this.behaviorTypes = this.editor.getAvailableBehaviors();
+        
+        // Redraw when the selection moves and after every edit, undo or redo
+        this.editor.on('select', () => this.updateInspector());
+        this.editor.history.on('change', () => this.updateInspector());
+        this.updateInspector();
+    }
+    
+    updateInspector() {
+        const cell = this.editor.getSelectedCell();
+        this.inspector.innerHTML = '';
+        
+        if (!cell) {
+            this.inspector.appendChild(this.createHint('Use the Select tool (E) and click a block to edit its behaviors.'));
+            return;
+        }
+        
+        const block = this.editor.getLevelData().blocks.find(b =>
+            b.at[0] === cell.x && b.at[1] === cell.y && b.at[2] === cell.z
+        );
+        const title = document.createElement('div');
+        title.className = 'inspector-title';
+        title.textContent = `${block ? block.type : 'Empty cell'} [${cell.x}, ${cell.y}, ${cell.z}]`;
+        this.inspector.appendChild(title);
+        
+        if (!block) {
+            this.inspector.appendChild(this.createHint('Behaviors attach to platform blocks.'));
+            return;
+        }
+        
+        this.editor.getBehaviorsAt(cell).forEach(({ index, behavior }) => {
+            this.inspector.appendChild(this.createBehaviorCard(index, behavior));
+        });
+        
+        // Add behavior row
+        const addRow = document.createElement('div');
+        addRow.className = 'inspector-add';
+        const typeSelect = document.createElement('select');
+        this.behaviorTypes.forEach(({ type, label }) => {
+            typeSelect.appendChild(new Option(label, type));
+        });
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add Behavior';
+        addButton.addEventListener('click', () => {
+            this.editor.addBehavior(cell, typeSelect.value);
+        });
+        addRow.appendChild(typeSelect);
+        addRow.appendChild(addButton);
+        this.inspector.appendChild(addRow);
+    }
+    
+    createHint(text) {
+        const hint = document.createElement('div');
+        hint.className = 'inspector-hint';
+        hint.textContent = text;
+        return hint;
+    }
+    
+    createBehaviorCard(index, behavior) {
+        const definition = this.behaviorTypes.find(({ type }) => type === behavior.type);
+        const card = document.createElement('div');
+        card.className = 'behavior-card';
+        
+        const header = document.createElement('div');
+        header.className = 'behavior-header';
+        header.textContent = definition ? definition.label : behavior.type;
+        header.title = definition ? definition.description : '';
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove behavior';
+        removeButton.addEventListener('click', () => this.editor.removeBehavior(index));
+        header.appendChild(removeButton);
+        card.appendChild(header);
+        
+        // Unknown types (e.g. from a newer file) can only be removed
+        if (definition) {
+            definition.fields.forEach(field => {
+                card.appendChild(this.createFieldRow(index, behavior, field));
+            });
+        }
+        
+        return card;
+    }
+    
+    /**
+     * Create the label and widget for one config field
+     * Coordinates get x/y/z inputs and a pick button, numbers a slider,
+     * enums a dropdown, booleans a checkbox and other strings a text input.
+     * Fields left unset use the behavior's default.
+     */
+    createFieldRow(index, behavior, field) {
+        const value = behavior.config[field.name];
+        const current = value !== undefined ? value : field.default;
+        const set = newValue => this.editor.setBehaviorConfig(index, field.name, newValue);
+        const schema = field.schema;
+        
+        const row = document.createElement('div');
+        row.className = 'field-row';
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        label.title = field.description;
+        row.appendChild(label);
+        
+        let widget;
+        if (schema.$ref === '#/definitions/gridCoord' || schema.$ref === '#/definitions/vector3') {
+            widget = this.createCoordinateWidget(value, field.coordinate, set);
+        } else if (schema.enum) {
+            widget = document.createElement('select');
+            widget.appendChild(new Option(field.default !== undefined ? `default (${field.default})` : '—', ''));
+            schema.enum.forEach(option => widget.appendChild(new Option(option, option)));
+            widget.value = value !== undefined ? value : '';
+            widget.addEventListener('change', () => set(widget.value || undefined));
+        } else if (schema.type === 'boolean') {
+            widget = document.createElement('input');
+            widget.type = 'checkbox';
+            widget.checked = !!current;
+            widget.addEventListener('change', () => set(widget.checked));
+        } else if (schema.type === 'number' || schema.type === 'integer') {
+            widget = this.createSlider(schema, field, current, set);
+        } else {
+            widget = document.createElement('input');
+            widget.type = 'text';
+            widget.value = value !== undefined ? value : '';
+            widget.addEventListener('change', () => set(widget.value || undefined));
+        }
+        row.appendChild(widget);
+        
+        // Unset the field to fall back to the default
+        if (value !== undefined) {
+            const resetButton = document.createElement('button');
+            resetButton.className = 'field-reset';
+            resetButton.textContent = '↺';
+            resetButton.title = 'Use the default';
+            resetButton.addEventListener('click', () => set(undefined));
+            row.appendChild(resetButton);
+        }
+        
+        return row;
+    }
+    
+    /**
+     * Create x/y/z inputs for a coordinate field
+     * Cells and world positions also get a pick button; directions do not.
+     * @param {Array<number>|undefined} value - Current value
+     * @param {string|null} coordinate - 'cell', 'world', 'direction' or null, from the field
+     * @param {Function} set - Records a new value
+     */
+    createCoordinateWidget(value, coordinate, set) {
+        const isGrid = coordinate === 'cell';
+        const widget = document.createElement('div');
+        widget.className = 'coord-inputs';
+        
+        const inputs = ['x', 'y', 'z'].map((axis, i) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = isGrid ? '1' : 'any';
+            input.placeholder = axis;
+            input.value = Array.isArray(value) ? value[i] : '';
+            widget.appendChild(input);
+            return input;
+        });
+        
+        // Typed coordinates apply once all three are filled, or clear when all are empty
+        const apply = () => {
+            const numbers = inputs.map(input => (isGrid ? parseInt(input.value) : parseFloat(input.value)));
+            if (numbers.every(n => !isNaN(n))) {
+                set(numbers);
+            } else if (inputs.every(input => input.value === '')) {
+                set(undefined);
+            }
+        };
+        inputs.forEach(input => input.addEventListener('change', apply));
+        
+        // Directions have no cell to pick
+        if (coordinate !== 'cell' && coordinate !== 'world') {
+            return widget;
+        }
+        
+        // Pick a cell in the viewport; world positions use the cell's center
+        const pickButton = document.createElement('button');
+        pickButton.textContent = 'Pick';
+        pickButton.title = isGrid ? 'Click a cell in the view' : 'Click a cell in the view to use its position';
+        pickButton.addEventListener('click', () => {
+            if (this.editor.pendingPick) {
+                this.editor.cancelPick();
+                pickButton.textContent = 'Pick';
+                return;
+            }
+            pickButton.textContent = 'Click a cell…';
+            this.editor.pickCell(gridPos => {
+                const unit = isGrid ? 1 : this.editor.gridUnitSize;
+                set([gridPos.x * unit, gridPos.y * unit, gridPos.z * unit]);
+                pickButton.textContent = 'Pick';
+            });
+        });
+        widget.appendChild(pickButton);
+        
+        return widget;
+    }
+    
+    createSlider(schema, field, current, set) {
+        const step = schema.type === 'integer' ? 1 : 0.1;
+        const max = schema.maximum !== undefined
+            ? schema.maximum
+            : Math.max(10, Math.ceil(Math.abs(field.default || 0) * 4));
+        // Speeds, durations and the like stay positive unless the field says otherwise
+        let min = field.signed ? -max : 0;
+        if (schema.minimum !== undefined) {
+            min = schema.minimum;
+        } else if (schema.exclusiveMinimum !== undefined) {
+            min = schema.exclusiveMinimum + step;
+        }
+        
+        const widget = document.createElement('div');
+        widget.className = 'slider-input';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.value = current !== undefined ? current : min;
+        const display = document.createElement('span');
+        display.textContent = current !== undefined ? current : 'default';
+        
+        // Show the value while dragging, record it on release
+        slider.addEventListener('input', () => {
+            display.textContent = slider.value;
+        });
+        slider.addEventListener('change', () => set(parseFloat(slider.value)));
+        
+        widget.appendChild(slider);
+        widget.appendChild(display);
+        return widget;
+    }
+    
+    setupPlayTest() {
+        // The game tab asks for the level when it is ready and reports how the test ended
+        window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin || event.source !== this.playTestWindow) return;
+            const message = event.data || {};
+            
+            if (message.type === PLAYTEST_MESSAGES.READY && this.playTestLevel) {
+                this.playTestWindow.postMessage({ type: PLAYTEST_MESSAGES.LEVEL, level: this.playTestLevel }, window.location.origin);
+            } else if (message.type === PLAYTEST_MESSAGES.ENDED) {
+                this.setPlayTestStatus(`Last test: ${message.result === 'completed' ? 'level completed' : message.result}`);
+                window.focus();
+            }
+        });
+    }
+    
+    playTest(fromHoveredCell = false) {
+        const spawnCell = fromHoveredCell ? this.editor.hoveredGridPos : null;
+        const { level, errors } = this.editor.getPlayTestLevel(spawnCell);
+        if (errors.length > 0) {
+            alert('The level cannot be played yet:\n' + errors.join('\n'));
+            return;
+        }
+        
+        // Reuse the play-test tab if it is still open; opening it again reloads the game
+        this.playTestLevel = level;
+        this.playTestWindow = window.open(`index.html?${PLAYTEST_PARAM}`, 'kula-playtest');
+        if (!this.playTestWindow) {
+            alert('The play test tab was blocked. Allow pop-ups for this page and try again.');
+            return;
+        }
+        
+        const [x, y, z] = level.player.spawn;
+        this.setPlayTestStatus(`Testing from [${x}, ${y}, ${z}]…`);
+    }
+    
+    setPlayTestStatus(text) {
+        const status = document.getElementById('play-test-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+    
     setupFloorNavigation() {
         // Get floor navigation elements
         const floorUpButton = document.getElementById('floor-up');
@@ -387,11 +799,8 @@ export class EditorUI {
     // Keyboard shortcuts
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Prevent default for our shortcuts
-            const preventDefault = ['q', 'e', 'pageup', 'pagedown'];
-            if (preventDefault.includes(e.key.toLowerCase())) {
-                e.preventDefault();
-            }
+            // Typing in the level name and settings fields is not a shortcut
+            if (e.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
             
             // Number keys for quick block selection or floor jumping
             if (e.key >= '0' && e.key <= '9' && !e.ctrlKey && !e.shiftKey) {
@@ -408,48 +817,74 @@ export class EditorUI {
                         buttons[index].click();
                     }
                 }
+                return;
             }
             
-            // Tool and floor shortcuts
-            switch(e.key.toLowerCase()) {
-                case 'q':
-                    if (e.shiftKey) {
-                        // Shift+Q: Floor up
-                        this.editor.moveFloorUp();
-                        this.updateFloorDisplay();
-                    } else {
-                        // Q: Place tool
-                        this.selectTool('place');
-                    }
+            // Tool and floor shortcuts, rebindable through the action map
+            const action = actionMap.getAction(e, 'editor');
+            if (!action) return;
+            
+            // Prevent default for our shortcuts
+            e.preventDefault();
+            
+            switch(action) {
+                case 'placeTool':
+                    this.selectTool('place');
                     break;
-                case 'e':
-                    if (e.shiftKey) {
-                        // Shift+E: Floor down
-                        this.editor.moveFloorDown();
-                        this.updateFloorDisplay();
-                    } else {
-                        // E: Select tool
-                        this.selectTool('select');
-                    }
+                case 'selectTool':
+                    this.selectTool('select');
                     break;
-                case 'w':
+                case 'removeTool':
                     this.selectTool('remove');
                     break;
-                case 'pageup':
+                case 'fillTool':
+                    this.selectTool('fill');
+                    break;
+                case 'hollowTool':
+                    this.selectTool('hollow');
+                    break;
+                case 'copy':
+                    this.editor.copySelection();
+                    break;
+                case 'cut':
+                    this.editor.cutSelection();
+                    break;
+                case 'paste':
+                    this.editor.pasteClipboard(this.editor.hoveredGridPos);
+                    break;
+                case 'deleteSelection':
+                    this.editor.deleteSelection();
+                    break;
+                case 'rotateClipboard':
+                    this.editor.rotateClipboard();
+                    break;
+                case 'mirrorClipboardX':
+                    this.editor.mirrorClipboard('x');
+                    break;
+                case 'mirrorClipboardZ':
+                    this.editor.mirrorClipboard('z');
+                    break;
+                case 'floorUp':
                     this.editor.moveFloorUp();
                     this.updateFloorDisplay();
                     break;
-                case 'pagedown':
+                case 'floorDown':
                     this.editor.moveFloorDown();
                     this.updateFloorDisplay();
                     break;
-                case 'delete':
-                case 'backspace':
-                    if (this.selectedTool !== 'remove') {
-                        this.selectTool('remove');
-                    }
+                case 'undo':
+                    this.editor.undo();
+                    break;
+                case 'redo':
+                    this.editor.redo();
+                    break;
+                case 'playTest':
+                    this.playTest();
+                    break;
+                case 'playTestHere':
+                    this.playTest(true);
                     break;
             }
         });
     }
-}
\ No newline at end of file
+}
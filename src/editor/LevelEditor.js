@@ -9,6 +9,43 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import assetRegistry from '../assets/AssetRegistry.js';
+import { validateLevel, formatValidationErrors } from '../level/LevelSchema.js';
+import { analyzeSolvability } from '../level/LevelSolvability.js';
+import { migrateLevel, CURRENT_FORMAT_VERSION } from '../level/LevelMigrations.js';
+import behaviorRegistry from '../behaviors/BehaviorRegistry.js';
+import '../behaviors/builtinBehaviors.js';
+import { EditorHistory, LevelEditCommand } from './EditorHistory.js';
+import { createPlayTestLevel } from '../level/PlayTest.js';
+import {
+    MAX_BOX_CELLS,
+    normalizeBox,
+    getBoxSize,
+    getBoxCells,
+    isInBox,
+    copyRegion,
+    rotateClipboard,
+    mirrorClipboard,
+    placeClipboard
+} from './EditorClipboard.js';
+
+/**
+ * Format a grid position for history labels
+ * @param {{x: number, y: number, z: number}} gridPos - Grid position
+ * @returns {string} Position such as '[1, 0, 2]'
+ */
+function formatGridPos(gridPos) {
+    return `[${gridPos.x}, ${gridPos.y}, ${gridPos.z}]`;
+}
+
+/**
+ * Format a box size for history labels
+ * @param {Object} box - Box from normalizeBox()
+ * @returns {string} Size such as '3x1x2'
+ */
+function formatBoxSize(box) {
+    const size = getBoxSize(box);
+    return `${size.x}x${size.y}x${size.z}`;
+}
 
 export class LevelEditor {
     constructor(canvas) {
@@ -33,13 +70,14 @@ export class LevelEditor {
         this.floorHeight = this.gridUnitSize; // 4 units per floor
         
         // Editor state
-        this.currentTool = 'place'; // place, remove, select
+        this.currentTool = 'place'; // place, remove, select, fill, hollow
         this.selectedBlockType = 'standard_platform';
         this.hoveredGridPos = null;
         this.highlightCube = null;
         
         // Level data structure
         this.levelData = {
+            formatVersion: CURRENT_FORMAT_VERSION,
             name: 'Custom Level',
             theme: 'verdant-ruins',
             gridUnitSize: 4,
@@ -53,13 +91,38 @@ export class LevelEditor {
                 exit: null
             },
             collectibles: [],
-            decorations: []
+            decorations: [],
+            behaviors: []
         };
         
         // Block instances (mesh -> data mapping)
         this.blockInstances = new Map();
         this.specialObjects = new Map(); // For player spawn, keys, exit
         
+        // Migration and schema errors from the last rejected loadJSON call
+        this.lastValidationErrors = [];
+        
+        // Undo/redo for every change to the level; see edit()
+        this.history = new EditorHistory();
+        this.editDepth = 0;
+        
+        // Select tool state and behavior link lines
+        this.selectedCell = null;
+        this.selection = null; // Box from the selected cell to a shift-clicked one
+        this.selectionBox = null;
+        this.linkGroup = null;
+        this.pendingPick = null; // Callback waiting for pickCell()
+        
+        // Copied region and the first corner of the fill tools
+        this.clipboard = null;
+        this.boxAnchor = null;
+        
+        this.listeners = {
+            select: [],
+            selection: [],
+            clipboard: []
+        };
+        
         // Asset loading
         this.gltfLoader = new GLTFLoader();
         this.loadedModels = new Map();
@@ -80,6 +143,9 @@ export class LevelEditor {
         this.setupGrid();
         this.setupHighlight();
         
+        // Show the markers of the starting level
+        this.applyLevelData(this.levelData);
+        
         // Setup event listeners
         this.canvas.addEventListener('mousemove', this.handleMouseMove);
         this.canvas.addEventListener('click', this.handleMouseClick);
@@ -206,21 +272,19 @@ export class LevelEditor {
             gridPos.y = this.currentFloor;
             
             // Update highlight position
-            if (this.currentTool === 'place') {
-                this.highlightCube.visible = true;
-                this.highlightCube.position.set(
-                    gridPos.x * this.gridUnitSize,
-                    gridPos.y * this.gridUnitSize,
-                    gridPos.z * this.gridUnitSize
-                );
-                this.highlightCube.material.color.setHex(0x00ff00);
+            if (this.pendingPick || this.currentTool === 'select') {
+                // Picking a cell or selecting: any cell of the floor
+                this.showHighlight(gridPos, gridPos, this.pendingPick ? 0xffeb3b : 0x4fc3f7);
+            } else if (this.currentTool === 'place') {
+                this.showHighlight(gridPos, gridPos, 0x00ff00);
+            } else if (this.currentTool === 'fill' || this.currentTool === 'hollow') {
+                // The box from the first corner, which may be on another floor
+                this.showHighlight(this.boxAnchor || gridPos, gridPos, 0xff9800);
             } else if (this.currentTool === 'remove') {
                 // Find block at position on current floor
                 const block = this.getBlockAt(gridPos);
                 if (block) {
-                    this.highlightCube.visible = true;
-                    this.highlightCube.position.copy(block.position);
-                    this.highlightCube.material.color.setHex(0xff0000);
+                    this.showHighlight(gridPos, gridPos, 0xff0000);
                 } else {
                     this.highlightCube.visible = false;
                 }
@@ -237,7 +301,29 @@ export class LevelEditor {
     handleMouseClick(event) {
         if (!this.hoveredGridPos) return;
         
-        if (this.currentTool === 'place') {
+        // A pending pick takes the click instead of the tool
+        if (this.pendingPick) {
+            const callback = this.pendingPick;
+            this.pendingPick = null;
+            callback({ ...this.hoveredGridPos });
+            return;
+        }
+        
+        if (this.currentTool === 'select') {
+            if (event && event.shiftKey) {
+                this.extendSelection(this.hoveredGridPos);
+            } else {
+                this.selectCell(this.hoveredGridPos);
+            }
+        } else if (this.currentTool === 'fill' || this.currentTool === 'hollow') {
+            // First click sets a corner, the second fills the box
+            if (this.boxAnchor) {
+                this.fillBox(this.boxAnchor, this.hoveredGridPos, this.selectedBlockType, { hollow: this.currentTool === 'hollow' });
+                this.boxAnchor = null;
+            } else {
+                this.boxAnchor = { ...this.hoveredGridPos };
+            }
+        } else if (this.currentTool === 'place') {
             this.placeBlock(this.hoveredGridPos, this.selectedBlockType);
         } else if (this.currentTool === 'remove') {
             this.removeBlock(this.hoveredGridPos);
@@ -262,6 +348,128 @@ export class LevelEditor {
         );
     }
     
+    /**
+     * Fit a wireframe box mesh around the cells between two corners
+     * @param {THREE.Mesh} mesh - Mesh with a one-cell box geometry
+     * @param {Object} box - Box from normalizeBox()
+     */
+    fitBoxMesh(mesh, box) {
+        const size = getBoxSize(box);
+        mesh.scale.set(size.x, size.y, size.z);
+        mesh.position.copy(this.gridToWorld(box.min)).add(new THREE.Vector3(
+            (size.x - 1) * this.gridUnitSize / 2,
+            (size.y - 1) * this.gridUnitSize / 2,
+            (size.z - 1) * this.gridUnitSize / 2
+        ));
+    }
+    
+    /**
+     * Show the highlight around the cells between two corners
+     * @param {{x: number, y: number, z: number}} from - Corner cell
+     * @param {{x: number, y: number, z: number}} to - Opposite corner cell
+     * @param {number} color - Highlight color
+     */
+    showHighlight(from, to, color) {
+        this.highlightCube.visible = true;
+        this.fitBoxMesh(this.highlightCube, normalizeBox(from, to));
+        this.highlightCube.material.color.setHex(color);
+    }
+    
+    /**
+     * Apply a change to the level as one undoable step
+     * Edits made while the change runs, e.g. placeBlock setting the spawn,
+     * belong to the same step. Changes that leave the level data as it was
+     * are not recorded.
+     * @param {string} label - Description shown in the history list
+     * @param {Function} change - Mutates the level data and scene
+     * @returns {*} What the change returns
+     */
+    edit(label, change) {
+        if (this.editDepth > 0) return change();
+        
+        const before = JSON.stringify(this.levelData);
+        this.editDepth++;
+        let result;
+        try {
+            result = change();
+        } finally {
+            this.editDepth--;
+        }
+        
+        const after = JSON.stringify(this.levelData);
+        if (after !== before) {
+            this.updateBehaviorLinks();
+            this.history.push(new LevelEditCommand(this, label, before, after));
+        }
+        return result;
+    }
+    
+    /**
+     * Undo the last change to the level
+     * @returns {boolean} True if a change was undone
+     */
+    undo() {
+        return this.history.undo();
+    }
+    
+    /**
+     * Redo the last undone change
+     * @returns {boolean} True if a change was redone
+     */
+    redo() {
+        return this.history.redo();
+    }
+    
+    /**
+     * Replace the level with a snapshot taken by edit()
+     * @param {string} snapshot - Level data JSON
+     */
+    restoreLevel(snapshot) {
+        this.applyLevelData(JSON.parse(snapshot));
+    }
+    
+    /**
+     * Make the given data the level and rebuild the scene from it
+     * @param {Object} data - Level data, owned by the editor from now on
+     */
+    applyLevelData(data) {
+        this.clearScene();
+        
+        data.decorations = data.decorations || [];
+        data.behaviors = data.behaviors || [];
+        this.levelData = data;
+        
+        [...data.blocks, ...data.decorations].forEach(blockData => this.addBlockMesh(blockData));
+        
+        if (data.player && data.player.spawn) {
+            this.addSpawnMarker(data.player.spawn);
+        }
+        
+        if (data.objectives) {
+            (data.objectives.keys || []).forEach(key => this.addKeyMarker(key.at));
+            if (data.objectives.exit) {
+                this.addExitMarker(data.objectives.exit.at);
+            }
+        }
+        
+        this.updateBehaviorLinks();
+    }
+    
+    /**
+     * Remove every block and marker from the scene, leaving the level data alone
+     */
+    clearScene() {
+        for (const mesh of this.blockInstances.keys()) {
+            this.scene.remove(mesh);
+        }
+        this.blockInstances.clear();
+        
+        for (const obj of this.specialObjects.values()) {
+            this.scene.remove(obj);
+        }
+        this.specialObjects.clear();
+    }
+    
     async placeBlock(gridPos, blockType) {
         // Check if position is already occupied
         if (this.getBlockAt(gridPos)) {
@@ -281,69 +489,111 @@ export class LevelEditor {
             return;
         }
         
-        // Create block mesh
-        const blockMesh = await this.createBlockMesh(blockType);
-        if (!blockMesh) return;
-        
-        // Position the block
-        const worldPos = this.gridToWorld(gridPos);
-        blockMesh.position.copy(worldPos);
-        
-        // Add to scene
-        this.scene.add(blockMesh);
-        
-        // Update level data
-        const blockData = {
-            type: blockType,
-            at: [gridPos.x, gridPos.y, gridPos.z]
-        };
+        this.edit(`Place ${blockType} at ${formatGridPos(gridPos)}`, () => {
+            this.insertBlock({
+                type: blockType,
+                at: [gridPos.x, gridPos.y, gridPos.z]
+            });
+        });
         
+        console.log('Block placed:', blockType, 'at', gridPos);
+    }
+    
+    /**
+     * Add a block to the level data and the scene without checking its cell
+     * @param {Object} blockData - Block entry, { type, at }
+     */
+    insertBlock(blockData) {
         // Determine which array to add to based on block type
-        const blockDef = assetRegistry.getBlockDefinition(blockType);
+        const blockDef = assetRegistry.getBlockDefinition(blockData.type);
         if (blockDef && blockDef.behavior === 'decoration') {
             this.levelData.decorations.push(blockData);
-        } else if (blockDef && blockDef.behavior === 'hazard') {
-            // Add hazards to blocks array with special handling
-            this.levelData.blocks.push(blockData);
         } else {
+            // Hazards go in the blocks array too
             this.levelData.blocks.push(blockData);
         }
         
-        // Store reference
-        this.blockInstances.set(blockMesh, blockData);
+        this.addBlockMesh(blockData);
+    }
+    
+    /**
+     * Create and position the mesh for a block of the level data
+     * @param {Object} blockData - Block entry, { type, at }
+     * @returns {THREE.Mesh|null} The mesh, or null for unknown types
+     */
+    addBlockMesh(blockData) {
+        const blockMesh = this.createBlockMesh(blockData.type);
+        if (!blockMesh) return null;
         
-        console.log('Block placed:', blockType, 'at', gridPos);
-        console.log('Level data updated:', this.levelData);
+        const [x, y, z] = blockData.at;
+        blockMesh.position.copy(this.gridToWorld({ x, y, z }));
+        this.scene.add(blockMesh);
+        this.blockInstances.set(blockMesh, blockData);
+        return blockMesh;
     }
     
     removeBlock(gridPos) {
-        // Find and remove block at position
-        const block = this.getBlockAt(gridPos);
-        if (block) {
-            // Remove from scene
-            this.scene.remove(block);
-            
-            // Remove from level data
-            const blockData = this.blockInstances.get(block);
-            if (blockData) {
-                // Remove from appropriate array
-                this.levelData.blocks = this.levelData.blocks.filter(b => 
-                    !(b.at[0] === gridPos.x && b.at[1] === gridPos.y && b.at[2] === gridPos.z)
-                );
-                this.levelData.decorations = this.levelData.decorations.filter(d => 
-                    !(d.at[0] === gridPos.x && d.at[1] === gridPos.y && d.at[2] === gridPos.z)
-                );
+        this.edit(`Remove at ${formatGridPos(gridPos)}`, () => {
+            // Find and remove block at position
+            const block = this.getBlockAt(gridPos);
+            if (block) {
+                // Remove from scene
+                this.scene.remove(block);
+                
+                // Remove from level data
+                const isAt = b => !(b.at[0] === gridPos.x && b.at[1] === gridPos.y && b.at[2] === gridPos.z);
+                this.levelData.blocks = this.levelData.blocks.filter(isAt);
+                this.levelData.decorations = this.levelData.decorations.filter(isAt);
+                
+                // Remove reference
+                this.blockInstances.delete(block);
+                
+                console.log('Block removed at', gridPos);
             }
             
-            // Remove reference
-            this.blockInstances.delete(block);
+            // Behaviors go with their block
+            this.levelData.behaviors = this.levelData.behaviors.filter(behavior =>
+                !(behavior.target[0] === gridPos.x && behavior.target[1] === gridPos.y && behavior.target[2] === gridPos.z)
+            );
             
-            console.log('Block removed at', gridPos);
-            console.log('Level data updated:', this.levelData);
-        }
+            // Collectibles have no marker; they only live in the data
+            this.levelData.collectibles = (this.levelData.collectibles || []).filter(collectible =>
+                !(collectible.at[0] === gridPos.x && collectible.at[1] === gridPos.y && collectible.at[2] === gridPos.z)
+            );
+            
+            // Also check for special objects
+            this.removeSpecialObject(gridPos);
+        });
+    }
+    
+    /**
+     * Empty every cell of a floor - blocks, decorations, keys, collectibles, the spawn and the exit
+     * @param {number} [floor] - Floor to clear, the current floor by default
+     */
+    clearFloor(floor = this.currentFloor) {
+        const cells = this.getOccupiedCells().filter(at => at[1] === floor);
+        
+        this.edit(`Clear floor ${floor}`, () => {
+            cells.forEach(([x, y, z]) => this.removeBlock({ x, y, z }));
+        });
         
-        // Also check for special objects
-        this.removeSpecialObject(gridPos);
+        console.log(`Floor ${floor} cleared`);
+    }
+    
+    /**
+     * Get the cells that have something in them
+     * @returns {Array<Array<number>>} Grid positions of blocks, decorations, keys, collectibles, the spawn and the exit
+     */
+    getOccupiedCells() {
+        const { blocks, decorations, player, objectives, collectibles } = this.levelData;
+        return [
+            ...blocks.map(b => b.at),
+            ...decorations.map(d => d.at),
+            ...objectives.keys.map(k => k.at),
+            ...(collectibles || []).map(c => c.at),
+            player.spawn,
+            objectives.exit && objectives.exit.at
+        ].filter(at => at);
     }
     
     getBlockAt(gridPos) {
@@ -358,7 +608,7 @@ export class LevelEditor {
         return null;
     }
     
-    async createBlockMesh(blockType) {
+    createBlockMesh(blockType) {
         // Get block definition from registry
         const blockDef = assetRegistry.getBlockDefinition(blockType);
         if (!blockDef) {
@@ -383,6 +633,7 @@ export class LevelEditor {
         else if (blockType.includes('bush')) color = 0x66BB6A;
         else if (blockType.includes('flower')) color = 0xE91E63;
         else if (blockType.includes('mushroom')) color = 0x795548;
+        if (blockDef.surface) color = assetRegistry.getSurfaceDefinition(blockDef.surface).color;
         
         const material = new THREE.MeshPhongMaterial({ color });
         const mesh = new THREE.Mesh(geometry, material);
@@ -394,6 +645,19 @@ export class LevelEditor {
     }
     
     setPlayerSpawn(gridPos) {
+        this.edit(`Set spawn at ${formatGridPos(gridPos)}`, () => {
+            this.levelData.player.spawn = [gridPos.x, gridPos.y, gridPos.z];
+            this.addSpawnMarker(this.levelData.player.spawn);
+        });
+        
+        console.log('Player spawn set at', gridPos);
+    }
+    
+    /**
+     * Show the spawn marker, replacing the old one
+     * @param {Array<number>} at - Grid position [x, y, z]
+     */
+    addSpawnMarker(at) {
         // Remove old spawn marker if exists
         const oldSpawn = this.specialObjects.get('player_spawn');
         if (oldSpawn) {
@@ -408,19 +672,44 @@ export class LevelEditor {
             emissiveIntensity: 0.3
         });
         const marker = new THREE.Mesh(geometry, material);
-        marker.position.copy(this.gridToWorld(gridPos));
+        marker.position.copy(this.gridToWorld({ x: at[0], y: at[1], z: at[2] }));
         
         // Add to scene
         this.scene.add(marker);
         this.specialObjects.set('player_spawn', marker);
-        
-        // Update level data
-        this.levelData.player.spawn = [gridPos.x, gridPos.y, gridPos.z];
-        
-        console.log('Player spawn set at', gridPos);
     }
     
     addKey(gridPos) {
+        this.edit(`Add key at ${formatGridPos(gridPos)}`, () => {
+            const key = {
+                id: this.nextKeyId(),
+                at: [gridPos.x, gridPos.y, gridPos.z]
+            };
+            this.levelData.objectives.keys.push(key);
+            this.addKeyMarker(key.at);
+        });
+        
+        console.log('Key added at', gridPos);
+    }
+    
+    /**
+     * Generate a key ID no other key uses, even after removals
+     * @returns {string} ID such as 'key3'
+     */
+    nextKeyId() {
+        const keys = this.levelData.objectives.keys;
+        let number = keys.length + 1;
+        while (keys.some(key => key.id === `key${number}`)) {
+            number++;
+        }
+        return `key${number}`;
+    }
+    
+    /**
+     * Show a key marker
+     * @param {Array<number>} at - Grid position [x, y, z]
+     */
+    addKeyMarker(at) {
         // Create key marker
         const geometry = new THREE.ConeGeometry(
             this.gridUnitSize * 0.3, 
@@ -432,28 +721,30 @@ export class LevelEditor {
             emissiveIntensity: 0.3
         });
         const marker = new THREE.Mesh(geometry, material);
-        marker.position.copy(this.gridToWorld(gridPos));
+        marker.position.copy(this.gridToWorld({ x: at[0], y: at[1], z: at[2] }));
         marker.rotation.z = Math.PI;
         
-        // Add to scene
+        // Add to scene and store reference
         this.scene.add(marker);
-        
-        // Generate key ID
-        const keyId = `key${this.levelData.objectives.keys.length + 1}`;
-        
-        // Store reference
-        this.specialObjects.set(`key_${gridPos.x}_${gridPos.y}_${gridPos.z}`, marker);
-        
-        // Update level data
-        this.levelData.objectives.keys.push({
-            id: keyId,
-            at: [gridPos.x, gridPos.y, gridPos.z]
+        this.specialObjects.set(`key_${at[0]}_${at[1]}_${at[2]}`, marker);
+    }
+    
+    setExit(gridPos) {
+        this.edit(`Set exit at ${formatGridPos(gridPos)}`, () => {
+            this.levelData.objectives.exit = {
+                at: [gridPos.x, gridPos.y, gridPos.z]
+            };
+            this.addExitMarker(this.levelData.objectives.exit.at);
         });
         
-        console.log('Key added at', gridPos);
+        console.log('Exit set at', gridPos);
     }
     
-    setExit(gridPos) {
+    /**
+     * Show the exit marker, replacing the old one
+     * @param {Array<number>} at - Grid position [x, y, z]
+     */
+    addExitMarker(at) {
         // Remove old exit marker if exists
         const oldExit = this.specialObjects.get('exit');
         if (oldExit) {
@@ -473,79 +764,67 @@ export class LevelEditor {
             emissiveIntensity: 0.3
         });
         const marker = new THREE.Mesh(geometry, material);
-        marker.position.copy(this.gridToWorld(gridPos));
+        marker.position.copy(this.gridToWorld({ x: at[0], y: at[1], z: at[2] }));
         marker.rotation.x = Math.PI / 2;
         
         // Add to scene
         this.scene.add(marker);
         this.specialObjects.set('exit', marker);
-        
-        // Update level data
-        this.levelData.objectives.exit = {
-            at: [gridPos.x, gridPos.y, gridPos.z]
-        };
-        
-        console.log('Exit set at', gridPos);
     }
     
     removeSpecialObject(gridPos) {
-        // Check for key at position
-        const keyName = `key_${gridPos.x}_${gridPos.y}_${gridPos.z}`;
-        const keyMarker = this.specialObjects.get(keyName);
-        if (keyMarker) {
-            this.scene.remove(keyMarker);
-            this.specialObjects.delete(keyName);
+        this.edit(`Remove at ${formatGridPos(gridPos)}`, () => {
+            const isAt = at => at && at[0] === gridPos.x && at[1] === gridPos.y && at[2] === gridPos.z;
             
-            // Remove from level data
-            this.levelData.objectives.keys = this.levelData.objectives.keys.filter(
-                k => !(k.at[0] === gridPos.x && k.at[1] === gridPos.y && k.at[2] === gridPos.z)
-            );
-        }
-        
-        // Check for player spawn
-        if (this.levelData.player.spawn[0] === gridPos.x &&
-            this.levelData.player.spawn[1] === gridPos.y &&
-            this.levelData.player.spawn[2] === gridPos.z) {
-            const spawn = this.specialObjects.get('player_spawn');
-            if (spawn) {
-                this.scene.remove(spawn);
-                this.specialObjects.delete('player_spawn');
+            // Check for key at position
+            const keyName = `key_${gridPos.x}_${gridPos.y}_${gridPos.z}`;
+            const keyMarker = this.specialObjects.get(keyName);
+            if (keyMarker) {
+                this.scene.remove(keyMarker);
+                this.specialObjects.delete(keyName);
             }
-        }
-        
-        // Check for exit
-        if (this.levelData.objectives.exit &&
-            this.levelData.objectives.exit.at[0] === gridPos.x &&
-            this.levelData.objectives.exit.at[1] === gridPos.y &&
-            this.levelData.objectives.exit.at[2] === gridPos.z) {
-            const exit = this.specialObjects.get('exit');
-            if (exit) {
-                this.scene.remove(exit);
-                this.specialObjects.delete('exit');
+            this.levelData.objectives.keys = this.levelData.objectives.keys.filter(k => !isAt(k.at));
+            
+            // Check for player spawn
+            if (isAt(this.levelData.player.spawn)) {
+                const spawn = this.specialObjects.get('player_spawn');
+                if (spawn) {
+                    this.scene.remove(spawn);
+                    this.specialObjects.delete('player_spawn');
+                }
+                this.levelData.player.spawn = null;
+            }
+            
+            // Check for exit
+            if (this.levelData.objectives.exit && isAt(this.levelData.objectives.exit.at)) {
+                const exit = this.specialObjects.get('exit');
+                if (exit) {
+                    this.scene.remove(exit);
+                    this.specialObjects.delete('exit');
+                }
                 this.levelData.objectives.exit = null;
             }
-        }
+        });
     }
     
     clearLevel() {
-        // Remove all blocks
-        for (const [mesh, data] of this.blockInstances) {
-            this.scene.remove(mesh);
-        }
-        this.blockInstances.clear();
-        
-        // Remove all special objects
-        for (const [key, obj] of this.specialObjects) {
-            this.scene.remove(obj);
-        }
-        this.specialObjects.clear();
-        
-        // Reset level data
-        this.levelData.blocks = [];
-        this.levelData.decorations = [];
-        this.levelData.objectives.keys = [];
-        this.levelData.objectives.exit = null;
-        this.levelData.collectibles = [];
+        this.edit('Clear level', () => {
+            // Remove all blocks, keys and the exit; the spawn stays
+            const spawn = this.levelData.player.spawn;
+            this.clearScene();
+            
+            // Reset level data
+            this.levelData.blocks = [];
+            this.levelData.decorations = [];
+            this.levelData.objectives.keys = [];
+            this.levelData.objectives.exit = null;
+            this.levelData.collectibles = [];
+            this.levelData.behaviors = [];
+            
+            if (spawn) {
+                this.addSpawnMarker(spawn);
+            }
+        });
         
         console.log('Level cleared');
     }
@@ -558,8 +837,9 @@ export class LevelEditor {
             return null;
         }
         
-        // Generate clean JSON
-        const json = JSON.stringify(this.levelData, null, 2);
+        // Generate clean JSON, always stamped with the current format version
+        const { formatVersion, ...levelData } = this.levelData;
+        const json = JSON.stringify({ formatVersion: CURRENT_FORMAT_VERSION, ...levelData }, null, 2);
         console.log('Generated JSON:', json);
         return json;
     }
@@ -587,54 +867,81 @@ export class LevelEditor {
             errors.push('- Level must have at least one platform');
         }
         
+        // Check the data against the level schema so exports always load in the game
+        const schemaValidation = validateLevel(this.levelData, {
+            blockTypes: assetRegistry.getAvailableBlockTypes()
+        });
+        formatValidationErrors(schemaValidation.errors).forEach(message => {
+            errors.push(`- ${message}`);
+        });
+        
+        // Check that the keys and exit can be reached from the spawn
+        const warnings = [];
+        if (schemaValidation.valid) {
+            const solvability = analyzeSolvability(this.levelData, {
+                isSolidBlock: type => assetRegistry.isSolidBlockType(type)
+            });
+            formatValidationErrors(solvability.errors).forEach(message => {
+                errors.push(`- ${message}`);
+            });
+            formatValidationErrors(solvability.warnings).forEach(message => {
+                warnings.push(`- ${message}`);
+            });
+        }
+        
         return {
             valid: errors.length === 0,
-            errors
+            errors,
+            warnings
+        };
+    }
+    
+    /**
+     * Get the level to play-test
+     * Only problems that stop the game from loading the level are reported;
+     * unreachable keys and the like are what play-testing is for.
+     * @param {{x: number, y: number, z: number}|null} [spawnCell] - Cell to start in instead of the level's spawn
+     * @returns {{level: Object, errors: Array<string>}} Level copy and schema errors
+     */
+    getPlayTestLevel(spawnCell = null) {
+        const level = createPlayTestLevel(this.levelData, spawnCell ? [spawnCell.x, spawnCell.y, spawnCell.z] : null);
+        const validation = validateLevel(level, {
+            blockTypes: assetRegistry.getAvailableBlockTypes()
+        });
+        
+        return {
+            level,
+            errors: formatValidationErrors(validation.errors).map(message => `- ${message}`)
         };
     }
     
     loadJSON(jsonString) {
+        this.lastValidationErrors = [];
         try {
-            const data = JSON.parse(jsonString);
-            
-            // Clear current level
-            this.clearLevel();
+            const parsed = JSON.parse(jsonString);
             
-            // Load new data
-            this.levelData = data;
-            
-            // Recreate blocks
-            for (const block of data.blocks) {
-                const gridPos = { x: block.at[0], y: block.at[1], z: block.at[2] };
-                this.placeBlock(gridPos, block.type);
+            // Bring exports from older versions up to the current format
+            let data;
+            try {
+                data = migrateLevel(parsed).level;
+            } catch (error) {
+                this.lastValidationErrors = [{ path: '$.formatVersion', message: error.message }];
+                console.error('Level JSON could not be migrated:', error.message);
+                return false;
             }
             
-            // Recreate decorations
-            if (data.decorations) {
-                for (const deco of data.decorations) {
-                    const gridPos = { x: deco.at[0], y: deco.at[1], z: deco.at[2] };
-                    this.placeBlock(gridPos, deco.type);
-                }
+            // Reject files that do not match the level schema
+            const validation = validateLevel(data, {
+                blockTypes: assetRegistry.getAvailableBlockTypes()
+            });
+            this.lastValidationErrors = validation.errors;
+            if (!validation.valid) {
+                console.error('Level JSON failed validation:\n  ' + formatValidationErrors(validation.errors).join('\n  '));
+                return false;
             }
             
-            // Recreate special objects
-            if (data.player && data.player.spawn) {
-                const spawn = data.player.spawn;
-                this.setPlayerSpawn({ x: spawn[0], y: spawn[1], z: spawn[2] });
-            }
-            
-            if (data.objectives) {
-                if (data.objectives.keys) {
-                    for (const key of data.objectives.keys) {
-                        this.addKey({ x: key.at[0], y: key.at[1], z: key.at[2] });
-                    }
-                }
-                
-                if (data.objectives.exit) {
-                    const exit = data.objectives.exit.at;
-                    this.setExit({ x: exit[0], y: exit[1], z: exit[2] });
-                }
-            }
+            // Replace the current level in one undoable step
+            this.edit(`Load ${data.name || 'level'}`, () => this.applyLevelData(data));
             
             console.log('Level loaded from JSON');
             return true;
@@ -657,6 +964,7 @@ export class LevelEditor {
     
     setTool(tool) {
         this.currentTool = tool;
+        this.boxAnchor = null;
         console.log('Tool changed to:', tool);
     }
     
@@ -714,12 +1022,404 @@ export class LevelEditor {
         return this.levelData;
     }
     
+    /**
+     * Get the behavior types that can be attached to blocks
+     * @returns {Array<{type: string, label: string, description: string, fields: Array<Object>}>} Registered behaviors with their config fields
+     */
+    getAvailableBehaviors() {
+        return behaviorRegistry.getTypes().map(type => {
+            const definition = behaviorRegistry.get(type);
+            return {
+                type,
+                label: definition.editor.label,
+                description: definition.editor.description,
+                fields: behaviorRegistry.getConfigFields(type)
+            };
+        });
+    }
+    
+    /**
+     * Select a cell for the inspector, or clear the selection
+     * The selection box starts as just this cell.
+     * @param {{x: number, y: number, z: number}|null} gridPos - Cell to select
+     */
+    selectCell(gridPos) {
+        this.selectedCell = gridPos ? { x: gridPos.x, y: gridPos.y, z: gridPos.z } : null;
+        this.selection = this.selectedCell ? normalizeBox(this.selectedCell, this.selectedCell) : null;
+        this.updateSelectionBox();
+        
+        this.emit('select', this.selectedCell);
+        this.emit('selection', this.selection);
+    }
+    
+    /**
+     * Stretch the selection from the selected cell to another cell, which may
+     * be on another floor. Selects the cell if nothing is selected.
+     * @param {{x: number, y: number, z: number}} gridPos - Opposite corner of the box
+     */
+    extendSelection(gridPos) {
+        if (!this.selectedCell) {
+            this.selectCell(gridPos);
+            return;
+        }
+        
+        this.selection = normalizeBox(this.selectedCell, gridPos);
+        this.updateSelectionBox();
+        this.emit('selection', this.selection);
+    }
+    
+    /**
+     * Get the selected cell
+     * @returns {{x: number, y: number, z: number}|null}
+     */
+    getSelectedCell() {
+        return this.selectedCell;
+    }
+    
+    /**
+     * Get the selected box
+     * @returns {{min: Object, max: Object}|null} Lowest and highest corner cells
+     */
+    getSelection() {
+        return this.selection;
+    }
+    
+    /**
+     * Show the selection outline around the selected box
+     */
+    updateSelectionBox() {
+        if (!this.selectionBox) {
+            const geometry = new THREE.BoxGeometry(
+                this.gridUnitSize * 1.05,
+                this.gridUnitSize * 1.05,
+                this.gridUnitSize * 1.05
+            );
+            const material = new THREE.MeshBasicMaterial({ color: 0x4fc3f7, wireframe: true });
+            this.selectionBox = new THREE.Mesh(geometry, material);
+            this.scene.add(this.selectionBox);
+        }
+        this.selectionBox.visible = !!this.selection;
+        if (this.selection) {
+            this.fitBoxMesh(this.selectionBox, this.selection);
+        }
+    }
+    
+    /**
+     * Copy the selected box - blocks, decorations, keys, collectibles and the
+     * behaviors of its blocks - to the clipboard
+     * @returns {Object|null} The clipboard, or null if nothing is selected
+     */
+    copySelection() {
+        if (!this.selection) return null;
+        
+        this.clipboard = copyRegion(this.levelData, this.selection, this.gridUnitSize);
+        this.emit('clipboard', this.clipboard);
+        console.log(`Copied ${formatBoxSize(this.selection)} box`);
+        return this.clipboard;
+    }
+    
+    /**
+     * Copy the selected box to the clipboard and empty it in one step
+     * @returns {Object|null} The clipboard, or null if nothing is selected
+     */
+    cutSelection() {
+        if (!this.copySelection()) return null;
+        
+        this.edit(`Cut ${formatBoxSize(this.selection)} at ${formatGridPos(this.selection.min)}`, () => {
+            this.clearBox(this.selection);
+        });
+        return this.clipboard;
+    }
+    
+    /**
+     * Empty the selected box in one step
+     */
+    deleteSelection() {
+        if (!this.selection) return;
+        
+        this.edit(`Delete ${formatBoxSize(this.selection)} at ${formatGridPos(this.selection.min)}`, () => {
+            this.clearBox(this.selection);
+        });
+    }
+    
+    /**
+     * Remove everything in a box, the spawn and the exit included
+     * @param {Object} box - Box from normalizeBox()
+     */
+    clearBox(box) {
+        const cells = this.getOccupiedCells().filter(at => isInBox(at, box));
+        this.edit(`Clear ${formatBoxSize(box)} at ${formatGridPos(box.min)}`, () => {
+            cells.forEach(([x, y, z]) => this.removeBlock({ x, y, z }));
+        });
+    }
+    
+    /**
+     * Paste the clipboard with its lowest corner at a cell, in one step.
+     * Whatever is in the cells it covers with something is replaced; pasted
+     * keys get new IDs.
+     * @param {{x: number, y: number, z: number}} gridPos - Cell for the lowest corner
+     * @returns {boolean} True if something was pasted
+     */
+    pasteClipboard(gridPos) {
+        if (!this.clipboard || !gridPos) return false;
+        
+        const { blocks, decorations, keys, collectibles, behaviors } = placeClipboard(this.clipboard, gridPos, this.gridUnitSize);
+        const cells = [...blocks, ...decorations, ...keys, ...collectibles].map(item => item.at);
+        if (cells.length === 0) return false;
+        
+        this.edit(`Paste ${this.clipboard.size.x}x${this.clipboard.size.y}x${this.clipboard.size.z} at ${formatGridPos(gridPos)}`, () => {
+            cells.forEach(([x, y, z]) => this.removeBlock({ x, y, z }));
+            
+            [...blocks, ...decorations].forEach(blockData => this.insertBlock(blockData));
+            keys.forEach(key => {
+                this.levelData.objectives.keys.push({ ...key, id: this.nextKeyId() });
+                this.addKeyMarker(key.at);
+            });
+            this.levelData.collectibles = [...(this.levelData.collectibles || []), ...collectibles];
+            this.levelData.behaviors.push(...behaviors);
+        });
+        
+        console.log('Clipboard pasted at', gridPos);
+        return true;
+    }
+    
+    /**
+     * Turn the clipboard a quarter turn clockwise, seen from above
+     */
+    rotateClipboard() {
+        if (!this.clipboard) return;
+        
+        this.clipboard = rotateClipboard(this.clipboard);
+        this.emit('clipboard', this.clipboard);
+    }
+    
+    /**
+     * Mirror the clipboard
+     * @param {string} [axis='x'] - 'x' or 'z'
+     */
+    mirrorClipboard(axis = 'x') {
+        if (!this.clipboard) return;
+        
+        this.clipboard = mirrorClipboard(this.clipboard, axis);
+        this.emit('clipboard', this.clipboard);
+    }
+    
+    /**
+     * Fill the empty cells of a box with a block type in one step
+     * @param {{x: number, y: number, z: number}} from - Corner cell
+     * @param {{x: number, y: number, z: number}} to - Opposite corner cell, possibly on another floor
+     * @param {string} blockType - Block or decoration type
+     * @param {Object} [options]
+     * @param {boolean} [options.hollow=false] - Fill only the faces of the box
+     * @returns {number} Number of blocks placed
+     */
+    fillBox(from, to, blockType, { hollow = false } = {}) {
+        if (['player_spawn', 'key', 'exit'].includes(blockType)) {
+            console.warn(`LevelEditor::fillBox - '${blockType}' cannot fill a box`);
+            return 0;
+        }
+        
+        const box = normalizeBox(from, to);
+        const cells = getBoxCells(box, { hollow });
+        if (cells.length > MAX_BOX_CELLS) {
+            console.warn(`LevelEditor::fillBox - ${cells.length} cells is more than the ${MAX_BOX_CELLS} a fill may place`);
+            return 0;
+        }
+        
+        const occupied = new Set(this.getOccupiedCells().map(at => at.join()));
+        const free = cells.filter(at => !occupied.has(at.join()));
+        
+        this.edit(`${hollow ? 'Hollow box' : 'Fill'} ${formatBoxSize(box)} ${blockType} at ${formatGridPos(box.min)}`, () => {
+            free.forEach(at => this.insertBlock({ type: blockType, at }));
+        });
+        
+        console.log(`Filled ${free.length} cells with ${blockType}`);
+        return free.length;
+    }
+    
+    /**
+     * Let the next click in the viewport choose a cell instead of using the tool
+     * @param {Function} callback - Receives the clicked grid position
+     */
+    pickCell(callback) {
+        this.pendingPick = callback;
+    }
+    
+    /**
+     * Stop waiting for a pickCell() click
+     */
+    cancelPick() {
+        this.pendingPick = null;
+    }
+    
+    /**
+     * Get the behaviors attached to a cell
+     * @param {{x: number, y: number, z: number}} gridPos - Cell
+     * @returns {Array<{index: number, behavior: Object}>} Behaviors with their index in levelData.behaviors
+     */
+    getBehaviorsAt(gridPos) {
+        return this.levelData.behaviors
+            .map((behavior, index) => ({ index, behavior }))
+            .filter(({ behavior }) =>
+                behavior.target[0] === gridPos.x && behavior.target[1] === gridPos.y && behavior.target[2] === gridPos.z
+            );
+    }
+    
+    /**
+     * Attach a behavior with its default config to the block in a cell
+     * @param {{x: number, y: number, z: number}} gridPos - Cell of the block
+     * @param {string} type - Registered behavior type
+     * @returns {number} Index of the new behavior, or -1 if it could not be attached
+     */
+    addBehavior(gridPos, type) {
+        if (!behaviorRegistry.has(type)) {
+            console.warn(`LevelEditor::addBehavior - Unknown behavior type '${type}'`);
+            return -1;
+        }
+        const hasBlock = this.levelData.blocks.some(block =>
+            block.at[0] === gridPos.x && block.at[1] === gridPos.y && block.at[2] === gridPos.z
+        );
+        if (!hasBlock) {
+            console.warn(`LevelEditor::addBehavior - No block at ${formatGridPos(gridPos)} to attach '${type}' to`);
+            return -1;
+        }
+        
+        const label = behaviorRegistry.get(type).editor.label;
+        return this.edit(`Add ${label} at ${formatGridPos(gridPos)}`, () => {
+            this.levelData.behaviors.push({
+                type,
+                target: [gridPos.x, gridPos.y, gridPos.z],
+                config: behaviorRegistry.getDefaultConfig(type)
+            });
+            return this.levelData.behaviors.length - 1;
+        });
+    }
+    
+    /**
+     * Change one config field of a behavior
+     * @param {number} index - Index in levelData.behaviors
+     * @param {string} name - Config field name
+     * @param {*} value - New value; undefined removes the field so the behavior's default applies
+     */
+    setBehaviorConfig(index, name, value) {
+        const behavior = this.levelData.behaviors[index];
+        if (!behavior) {
+            console.warn(`LevelEditor::setBehaviorConfig - No behavior at index ${index}`);
+            return;
+        }
+        
+        this.edit(`Set ${behavior.type} ${name}`, () => {
+            const config = { ...behavior.config };
+            if (value === undefined) {
+                delete config[name];
+            } else {
+                config[name] = value;
+            }
+            this.levelData.behaviors[index] = { ...behavior, config };
+        });
+    }
+    
+    /**
+     * Detach a behavior
+     * @param {number} index - Index in levelData.behaviors
+     */
+    removeBehavior(index) {
+        const behavior = this.levelData.behaviors[index];
+        if (!behavior) return;
+        
+        this.edit(`Remove ${behavior.type} at ${formatGridPos({ x: behavior.target[0], y: behavior.target[1], z: behavior.target[2] })}`, () => {
+            this.levelData.behaviors.splice(index, 1);
+        });
+    }
+    
+    /**
+     * Redraw the lines from behaviors to the cells their config points at,
+     * e.g. a switch to its target block or a teleporter to its destination
+     */
+    updateBehaviorLinks() {
+        if (!this.scene) return;
+        
+        if (!this.linkGroup) {
+            this.linkGroup = new THREE.Group();
+            this.linkGroup.name = 'behaviorLinks';
+            this.linkGroup.userData.material = new THREE.LineBasicMaterial({ color: 0xffeb3b });
+            this.scene.add(this.linkGroup);
+        }
+        this.linkGroup.children.slice().forEach(line => {
+            this.linkGroup.remove(line);
+            line.geometry.dispose();
+        });
+        
+        const material = this.linkGroup.userData.material;
+        this.levelData.behaviors.forEach(behavior => {
+            const schema = behaviorRegistry.getConfigSchema(behavior.type);
+            if (!schema) return;
+            
+            Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+                const cell = behavior.config[name];
+                if (propertySchema.$ref !== '#/definitions/gridCoord' || !Array.isArray(cell)) return;
+                
+                const [x, y, z] = behavior.target;
+                const geometry = new THREE.BufferGeometry().setFromPoints([
+                    this.gridToWorld({ x, y, z }),
+                    this.gridToWorld({ x: cell[0], y: cell[1], z: cell[2] })
+                ]);
+                const line = new THREE.Line(geometry, material);
+                line.userData = { type: behavior.type, field: name };
+                this.linkGroup.add(line);
+            });
+        });
+    }
+    
+    /**
+     * Subscribe to editor events
+     * @param {string} event - 'select', 'selection' or 'clipboard'
+     * @param {Function} callback - Receives the selected cell, the selected box or the clipboard; null when cleared
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+    
+    /**
+     * Unsubscribe from editor events
+     * @param {string} event - Event name
+     * @param {Function} callback - Handler passed to on()
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+        }
+    }
+    
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {*} [data] - Event payload
+     */
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+        
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`LevelEditor::emit - Error in ${event} listener:`, error);
+            }
+        });
+    }
+    
     setLevelName(name) {
-        this.levelData.name = name;
+        this.edit(`Rename level to ${name}`, () => {
+            this.levelData.name = name;
+        });
     }
     
     setLevelTheme(theme) {
-        this.levelData.theme = theme;
+        this.edit(`Set theme to ${theme}`, () => {
+            this.levelData.theme = theme;
+        });
     }
     
     // Floor management methods
@@ -119,16 +119,19 @@ export class Coin {
     
     /**
      * Collect the coin
+     * @param {boolean} [showEffect=true] - Play the collection animation (needs requestAnimationFrame)
      * @returns {Object} Collection data (value, type)
      */
-    collect() {
+    collect(showEffect = true) {
         if (this.isCollected) return null;
         
         this.isCollected = true;
         console.log(`Coin::collect - ${this.type} coin collected! Value: ${this.value}`);
         
         // Create collection effect
-        this.createCollectionEffect();
+        if (showEffect) {
+            this.createCollectionEffect();
+        }
         
         // Return collection data
         return {
@@ -3,6 +3,10 @@
  * Requirements: USER-002, USER-003, PROD-004, PROD-005
  */
 
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import actionMap, { formatBinding, eventToBinding } from '../input/ActionMap.js';
+import { PLAYTEST_MESSAGES, PLAYTEST_STORAGE_KEY } from '../level/PlayTest.js';
+
 export class GameFlowManager {
     constructor() {
         // Game states
@@ -26,7 +30,8 @@ export class GameFlowManager {
                 file: '/levels/verdant-ruins-01.json',
                 unlocked: true,
                 completed: false,
-                bestScore: 0
+                bestScore: 0,
+                bestReplay: null
             },
             {
                 id: 2,
@@ -34,7 +39,8 @@ export class GameFlowManager {
                 file: '/levels/verdant-ruins-02.json',
                 unlocked: false,
                 completed: false,
-                bestScore: 0
+                bestScore: 0,
+                bestReplay: null
             },
             {
                 id: 3,
@@ -42,12 +48,16 @@ export class GameFlowManager {
                 file: '/levels/verdant-ruins-03.json',
                 unlocked: false,
                 completed: false,
-                bestScore: 0
+                bestScore: 0,
+                bestReplay: null
             }
         ];
         
         // Current level info
         this.currentLevelIndex = 0;
+        this.isWatchingReplay = false; // Watching a level's best run instead of playing
+        this.isCapturingKey = false; // Settings screen is waiting for a key to bind
+        this.isPlayTest = false; // Playing a level sent by the level editor
         
         // References to UI elements
         this.mainMenuElement = null;
@@ -95,6 +105,11 @@ export class GameFlowManager {
             startButton.addEventListener('click', () => this.showLevelSelect());
         }
         
+        const settingsButton = document.getElementById('settings-button');
+        if (settingsButton) {
+            settingsButton.addEventListener('click', () => this.showSettings());
+        }
+        
         const creditsButton = document.getElementById('credits-button');
         if (creditsButton) {
             creditsButton.addEventListener('click', () => this.showCredits());
@@ -116,9 +131,11 @@ export class GameFlowManager {
             this.handleGameOver(event.detail);
         });
         
-        // Listen for ESC key to pause/unpause
+        // Listen for the pause key (ESC by default) to pause/unpause
         document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && this.currentState === this.GameStates.IN_GAME) {
+            if (this.isCapturingKey) return;
+            if (actionMap.getAction(event, 'game') === 'pause' &&
+                (this.currentState === this.GameStates.IN_GAME || this.currentState === this.GameStates.PAUSED)) {
                 this.togglePause();
             }
         });
@@ -130,6 +147,15 @@ export class GameFlowManager {
      */
     setGame(game) {
         this.game = game;
+        
+        // Start on the gamepad and the on-screen pause button pause and resume like ESC
+        const togglePauseInGame = () => {
+            if (this.currentState === this.GameStates.IN_GAME || this.currentState === this.GameStates.PAUSED) {
+                this.togglePause();
+            }
+        };
+        game.playerController?.gamepad?.on('pause', togglePauseInGame);
+        game.uiManager?.touchControls?.on('pause', togglePauseInGame);
     }
     
     /**
@@ -251,6 +277,18 @@ export class GameFlowManager {
             
             card.innerHTML = cardHTML;
             
+            // Watch the best run of levels that have one
+            if (level.unlocked && level.bestReplay) {
+                const replayButton = document.createElement('button');
+                replayButton.className = 'replay-button';
+                replayButton.textContent = '▶ Watch best run';
+                replayButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.watchReplay(index);
+                });
+                card.appendChild(replayButton);
+            }
+            
             // Add click handler for unlocked levels
             if (level.unlocked) {
                 card.addEventListener('click', () => this.selectLevel(index));
@@ -276,14 +314,122 @@ export class GameFlowManager {
         }
         
         // Transition to in-game state
+        this.isWatchingReplay = false;
         this.transitionToState(this.GameStates.IN_GAME);
         
-        // Load the level
+        // Load the level, racing the best run so far as a ghost
         if (this.game) {
-            this.game.loadLevel(level.file);
+            this.game.loadLevel(level.file, { ghost: level.bestReplay || undefined });
         }
     }
     
+    /**
+     * Watch the recorded best run of a level
+     * @param {number} levelIndex - Index of the level
+     */
+    watchReplay(levelIndex) {
+        const level = this.levels[levelIndex];
+        if (!level || !level.bestReplay) {
+            console.warn('GameFlowManager::watchReplay - Level has no recorded run');
+            return;
+        }
+        
+        console.log(`GameFlowManager::watchReplay - Watching best run of level ${level.id}`);
+        
+        this.currentLevelIndex = levelIndex;
+        this.isWatchingReplay = true;
+        this.transitionToState(this.GameStates.IN_GAME);
+        
+        if (this.game) {
+            this.game.loadLevel(level.file, { replay: level.bestReplay });
+        }
+    }
+    
+    /**
+     * Play the level sent by the level editor that opened this tab
+     * The level is kept in sessionStorage, so reloading the tab without the
+     * editor plays it again.
+     */
+    startPlayTest() {
+        console.log('GameFlowManager::startPlayTest - Waiting for the level from the editor');
+        this.isPlayTest = true;
+        
+        window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin || event.source !== window.opener) return;
+            if (!event.data || event.data.type !== PLAYTEST_MESSAGES.LEVEL) return;
+            
+            sessionStorage.setItem(PLAYTEST_STORAGE_KEY, JSON.stringify(event.data.level));
+            this.playTestLevel(event.data.level);
+        });
+        
+        if (window.opener) {
+            window.opener.postMessage({ type: PLAYTEST_MESSAGES.READY }, window.location.origin);
+            return;
+        }
+        
+        const saved = sessionStorage.getItem(PLAYTEST_STORAGE_KEY);
+        if (saved) {
+            this.playTestLevel(JSON.parse(saved));
+        } else {
+            console.warn('GameFlowManager::startPlayTest - No level to play-test');
+            this.isPlayTest = false;
+        }
+    }
+    
+    /**
+     * Start a play test of a level
+     * @param {Object} levelData - Level data from the editor
+     */
+    playTestLevel(levelData) {
+        console.log(`GameFlowManager::playTestLevel - Play-testing '${levelData.name || 'Unnamed'}'`);
+        
+        this.isWatchingReplay = false;
+        this.removePauseOverlay();
+        this.transitionToState(this.GameStates.IN_GAME);
+        
+        if (this.game) {
+            this.game.loadLevel(levelData);
+        }
+    }
+    
+    /**
+     * End the play test and go back to the editor
+     * @param {string} result - 'completed', 'failed' or 'stopped'
+     */
+    endPlayTest(result) {
+        console.log(`GameFlowManager::endPlayTest - Play test ${result}`);
+        
+        if (this.game) {
+            this.game.stop();
+        }
+        
+        // The editor tab stays as it was; closing this one returns to it
+        if (window.opener) {
+            window.opener.postMessage({ type: PLAYTEST_MESSAGES.ENDED, result }, window.location.origin);
+            window.close();
+            return;
+        }
+        
+        // Without the editor there is nothing to return to
+        this.isPlayTest = false;
+        this.removePauseOverlay();
+        this.transitionToState(this.GameStates.IN_MENU);
+    }
+    
+    /**
+     * Check whether a finished run should replace a level's best run
+     * A higher score wins; at equal score the faster run wins.
+     * @param {Object} level - Level entry
+     * @param {number} score - Score of the finished run
+     * @param {Object} recording - Recording of the finished run
+     * @returns {boolean}
+     */
+    isBetterRun(level, score, recording) {
+        if (!level.bestReplay) return true;
+        if (score !== level.bestScore) return score > level.bestScore;
+        return recording.ticks < level.bestReplay.ticks;
+    }
+    
     /**
      * Start the game
      */
@@ -316,11 +462,24 @@ export class GameFlowManager {
     handleLevelComplete(details) {
         console.log('GameFlowManager::handleLevelComplete - Level completed:', details);
         
+        // Play tests keep no progress or best runs
+        if (this.isPlayTest) {
+            this.game?.finishRecording();
+            setTimeout(() => this.endPlayTest('completed'), 3000);
+            return;
+        }
+        
         const currentLevel = this.levels[this.currentLevelIndex];
-        if (currentLevel) {
+        if (currentLevel && !this.isWatchingReplay) {
             // Mark level as completed
             currentLevel.completed = true;
             
+            // Keep the recording of the best run to watch and race later
+            const recording = this.game ? this.game.finishRecording() : null;
+            if (recording && this.isBetterRun(currentLevel, details.score || 0, recording)) {
+                currentLevel.bestReplay = recording;
+            }
+            
             // Update best score
             if (details.score && details.score > currentLevel.bestScore) {
                 currentLevel.bestScore = details.score;
@@ -405,6 +564,11 @@ export class GameFlowManager {
         // Transition to game over state
         this.transitionToState(this.GameStates.GAME_OVER);
         
+        if (this.isPlayTest) {
+            setTimeout(() => this.endPlayTest('failed'), 3000);
+            return;
+        }
+        
         // After delay, return to level select
         setTimeout(() => {
             this.transitionToState(this.GameStates.LEVEL_SELECT);
@@ -467,6 +631,131 @@ export class GameFlowManager {
         document.body.appendChild(creditsOverlay);
     }
     
+    /**
+     * Show the settings screen for rebinding keys
+     * Each action lists its keys; clicking a key or "+" waits for the next key
+     * press and binds it (Escape cancels). Bindings are saved as they change.
+     * Requirement: USER-001 - Input: Player Control
+     */
+    showSettings() {
+        console.log('GameFlowManager::showSettings - Showing settings');
+        
+        const settingsOverlay = document.createElement('div');
+        settingsOverlay.id = 'settings-overlay';
+        settingsOverlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            z-index: 2000;
+            color: white;
+            overflow-y: auto;
+            padding: 20px;
+            box-sizing: border-box;
+        `;
+        
+        const render = () => {
+            const sections = [['game', 'Game'], ['editor', 'Level Editor']].map(([context, title]) => `
+                <h3 style="font-size: 24px; color: #FFD700; margin: 20px 0 10px;">${title}</h3>
+                <table style="border-collapse: collapse; font-size: 18px;">
+                    ${actionMap.getActions(context).map(({ action, label, bindings }) => `
+                        <tr>
+                            <td style="padding: 6px 20px 6px 0; text-align: right;">${label}</td>
+                            <td style="padding: 6px 0;">
+                                ${bindings.map((binding, index) => `
+                                    <button class="binding-button" data-action="${action}" data-index="${index}"
+                                        title="Click to change, right-click to remove">${formatBinding(binding)}</button>
+                                `).join('')}
+                                <button class="binding-button" data-action="${action}" data-index="${bindings.length}" title="Add a key">+</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `).join('');
+            
+            settingsOverlay.innerHTML = `
+                <h2 style="font-size: 48px; color: #FFD700; margin-bottom: 10px;">SETTINGS</h2>
+                <p id="settings-status" style="font-size: 18px; opacity: 0.8; min-height: 24px;">Click a key to rebind it</p>
+                ${sections}
+                <div style="margin-top: 30px;">
+                    <button class="menu-button secondary" id="settings-reset">RESET TO DEFAULTS</button>
+                    <button class="menu-button" id="settings-back">BACK</button>
+                </div>
+            `;
+            
+            settingsOverlay.querySelectorAll('.binding-button').forEach(button => {
+                button.style.cssText = 'margin: 0 4px; padding: 4px 12px; min-width: 40px; font-size: 16px; cursor: pointer;';
+                button.addEventListener('click', () => this.captureBinding(button, render));
+                button.addEventListener('contextmenu', (event) => {
+                    event.preventDefault();
+                    const { action, index } = button.dataset;
+                    const bindings = actionMap.getBindings(action);
+                    if (Number(index) < bindings.length) {
+                        bindings.splice(Number(index), 1);
+                        actionMap.setBindings(action, bindings);
+                        render();
+                    }
+                });
+            });
+            settingsOverlay.querySelector('#settings-reset').addEventListener('click', () => {
+                actionMap.resetBindings();
+                render();
+            });
+            settingsOverlay.querySelector('#settings-back').addEventListener('click', () => {
+                this.isCapturingKey = false;
+                settingsOverlay.remove();
+            });
+        };
+        
+        render();
+        document.body.appendChild(settingsOverlay);
+    }
+    
+    /**
+     * Wait for a key press and bind it to the action of a settings button
+     * @param {HTMLElement} button - Binding button with data-action and data-index
+     * @param {Function} onDone - Called after the binding changed or capture was cancelled
+     */
+    captureBinding(button, onDone) {
+        if (this.isCapturingKey) return;
+        
+        const { action, index } = button.dataset;
+        const status = document.getElementById('settings-status');
+        this.isCapturingKey = true;
+        button.textContent = '...';
+        if (status) {
+            status.textContent = 'Press a key (Escape to cancel)';
+        }
+        
+        const onKeyDown = (event) => {
+            // Wait for the key itself when only a modifier is down
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+            
+            event.preventDefault();
+            event.stopPropagation();
+            document.removeEventListener('keydown', onKeyDown, true);
+            this.isCapturingKey = false;
+            
+            if (event.code !== 'Escape') {
+                const bindings = actionMap.getBindings(action);
+                bindings[Number(index)] = eventToBinding(event);
+                const displaced = actionMap.setBindings(action, bindings);
+                if (displaced.length > 0) {
+                    console.log(`GameFlowManager::captureBinding - Key moved from ${displaced.join(', ')} to ${action}`);
+                }
+            }
+            onDone();
+        };
+        
+        // Capture phase, so the game and editor listeners do not see the key
+        document.addEventListener('keydown', onKeyDown, true);
+    }
+    
     /**
      * Toggle pause state
      */
@@ -481,6 +770,7 @@ export class GameFlowManager {
             
             // Show pause overlay
             this.showPauseOverlay();
+            this.pollGamepadWhilePaused();
         } else if (this.currentState === this.GameStates.PAUSED) {
             console.log('GameFlowManager::togglePause - Resuming game');
             this.currentState = this.GameStates.IN_GAME;
@@ -494,6 +784,22 @@ export class GameFlowManager {
         }
     }
     
+    /**
+     * Keep reading the gamepad while paused, since the stopped game loop no longer does
+     * Polling emits the gamepad's pause event that resumes the game.
+     */
+    pollGamepadWhilePaused() {
+        const gamepad = this.game?.playerController?.gamepad;
+        if (!gamepad) return;
+        
+        const poll = () => {
+            if (this.currentState !== this.GameStates.PAUSED) return;
+            gamepad.poll();
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    }
+    
     /**
      * Show pause overlay
      */
@@ -515,9 +821,28 @@ export class GameFlowManager {
         `;
         pauseOverlay.innerHTML = `
             <h2 style="color: #FFD700; font-size: 48px; margin-bottom: 30px;">PAUSED</h2>
-            <p style="color: white; font-size: 20px;">Press ESC to resume</p>
+            <p style="color: white; font-size: 20px;">Press ${actionMap.getBindings('pause').map(formatBinding).join(' or ') || 'Start'} to resume</p>
         `;
         
+        // The overlay covers the on-screen pause button, so touch screens resume with a tap
+        if (this.game?.uiManager?.touchControls) {
+            pauseOverlay.querySelector('p').textContent = 'Tap to resume';
+            pauseOverlay.addEventListener('click', () => this.togglePause());
+        }
+        
+        // Play tests can be ended from the pause screen
+        if (this.isPlayTest) {
+            const endButton = document.createElement('button');
+            endButton.className = 'menu-button secondary';
+            endButton.style.marginTop = '30px';
+            endButton.textContent = 'BACK TO EDITOR';
+            endButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.endPlayTest('stopped');
+            });
+            pauseOverlay.appendChild(endButton);
+        }
+        
         document.body.appendChild(pauseOverlay);
     }
     
@@ -545,19 +870,34 @@ export class GameFlowManager {
     
     /**
      * Save game progress to localStorage
+     * Best-run replays take most of the space; when the storage is full the
+     * progress is saved without them rather than not at all.
      */
     saveProgress() {
-        const progressData = {
+        const createProgressData = withReplays => ({
             levels: this.levels.map(level => ({
                 id: level.id,
                 unlocked: level.unlocked,
                 completed: level.completed,
-                bestScore: level.bestScore
+                bestScore: level.bestScore,
+                bestReplay: withReplays ? level.bestReplay || null : null
             }))
-        };
+        });
         
-        localStorage.setItem('kulaGameProgress', JSON.stringify(progressData));
-        console.log('GameFlowManager::saveProgress - Progress saved');
+        try {
+            localStorage.setItem('kulaGameProgress', JSON.stringify(createProgressData(true)));
+            console.log('GameFlowManager::saveProgress - Progress saved');
+            return;
+        } catch (error) {
+            console.warn('GameFlowManager::saveProgress - Could not save replays, saving progress without them:', error);
+        }
+        
+        try {
+            localStorage.setItem('kulaGameProgress', JSON.stringify(createProgressData(false)));
+            console.log('GameFlowManager::saveProgress - Progress saved without replays');
+        } catch (error) {
+            console.error('GameFlowManager::saveProgress - Failed to save progress:', error);
+        }
     }
     
     /**
@@ -576,6 +916,9 @@ export class GameFlowManager {
                         this.levels[index].unlocked = savedLevel.unlocked;
                         this.levels[index].completed = savedLevel.completed;
                         this.levels[index].bestScore = savedLevel.bestScore || 0;
+                        this.levels[index].bestReplay = ReplayPlayer.isValidRecording(savedLevel.bestReplay)
+                            ? savedLevel.bestReplay
+                            : null;
                     }
                 });
                 
@@ -594,6 +937,7 @@ export class GameFlowManager {
             level.unlocked = index === 0; // Only first level unlocked
             level.completed = false;
             level.bestScore = 0;
+            level.bestReplay = null;
         });
         
         this.saveProgress();
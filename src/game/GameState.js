@@ -156,9 +156,9 @@ export class GameState {
     /**
      * Mark level as complete
      * Requirement: PROD-005 - Level Completion
+     * @param {number} [completionTime] - Time taken in ms; defaults to the wall-clock time since the level started
      */
-    completeLevel() {
-        const completionTime = Date.now() - this.levelStartTime;
+    completeLevel(completionTime = Date.now() - this.levelStartTime) {
         const timeBonus = Math.max(0, 10000 - Math.floor(completionTime / 100)) * 10; // Time bonus
         
         console.log(`GameState::completeLevel - Level ${this.currentLevel} complete!`);
@@ -0,0 +1,326 @@
+/**
+ * ActionMap - Central, rebindable keyboard bindings
+ * Requirements: USER-001 (Input: Player Control)
+ *
+ * Input sites ask for the action a key event triggers instead of checking key
+ * codes themselves: PlayerController for movement and jumping, CameraControls
+ * for orbiting, GameFlowManager for pausing and EditorUI for tools and floors.
+ *
+ * Bindings are KeyboardEvent.code values, optionally with modifiers, e.g.
+ * 'KeyW', 'ArrowUp' or 'Shift+KeyQ'. Actions belong to a context - 'game' or
+ * 'editor' - and a key can only be bound to one action per context, so the
+ * same key may place blocks in the editor and orbit the camera in the game.
+ * User bindings are saved to localStorage; actions without saved bindings
+ * keep their defaults.
+ */
+
+export const BINDINGS_STORAGE_KEY = 'kulaKeyBindings';
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// action -> { context, label, bindings }
+export const DEFAULT_ACTIONS = {
+    moveForward: { context: 'game', label: 'Move forward', bindings: ['KeyW', 'ArrowUp'] },
+    moveBackward: { context: 'game', label: 'Move backward', bindings: ['KeyS', 'ArrowDown'] },
+    moveLeft: { context: 'game', label: 'Move left', bindings: ['KeyA', 'ArrowLeft'] },
+    moveRight: { context: 'game', label: 'Move right', bindings: ['KeyD', 'ArrowRight'] },
+    jump: { context: 'game', label: 'Jump', bindings: ['Space'] },
+    cameraLeft: { context: 'game', label: 'Orbit camera left', bindings: ['KeyQ'] },
+    cameraRight: { context: 'game', label: 'Orbit camera right', bindings: ['KeyE'] },
+    pause: { context: 'game', label: 'Pause', bindings: ['Escape'] },
+    placeTool: { context: 'editor', label: 'Place tool', bindings: ['KeyQ'] },
+    selectTool: { context: 'editor', label: 'Select tool', bindings: ['KeyE'] },
+    removeTool: { context: 'editor', label: 'Remove tool', bindings: ['KeyW', 'Delete', 'Backspace'] },
+    floorUp: { context: 'editor', label: 'Floor up', bindings: ['PageUp', 'Shift+KeyQ'] },
+    floorDown: { context: 'editor', label: 'Floor down', bindings: ['PageDown', 'Shift+KeyE'] },
+    undo: { context: 'editor', label: 'Undo', bindings: ['Ctrl+KeyZ', 'Meta+KeyZ'] },
+    redo: { context: 'editor', label: 'Redo', bindings: ['Ctrl+Shift+KeyZ', 'Shift+Meta+KeyZ', 'Ctrl+KeyY'] },
+    playTest: { context: 'editor', label: 'Play test', bindings: ['KeyP'] },
+    playTestHere: { context: 'editor', label: 'Play test from hovered cell', bindings: ['Shift+KeyP'] },
+    fillTool: { context: 'editor', label: 'Box fill tool', bindings: ['KeyF'] },
+    hollowTool: { context: 'editor', label: 'Hollow box tool', bindings: ['KeyH'] },
+    copy: { context: 'editor', label: 'Copy selection', bindings: ['Ctrl+KeyC', 'Meta+KeyC'] },
+    cut: { context: 'editor', label: 'Cut selection', bindings: ['Ctrl+KeyX', 'Meta+KeyX'] },
+    paste: { context: 'editor', label: 'Paste at hovered cell', bindings: ['Ctrl+KeyV', 'Meta+KeyV'] },
+    deleteSelection: { context: 'editor', label: 'Delete selection', bindings: ['Shift+Delete', 'Shift+Backspace'] },
+    rotateClipboard: { context: 'editor', label: 'Rotate clipboard', bindings: ['KeyR'] },
+    mirrorClipboardX: { context: 'editor', label: 'Mirror clipboard along X', bindings: ['KeyM'] },
+    mirrorClipboardZ: { context: 'editor', label: 'Mirror clipboard along Z', bindings: ['Shift+KeyM'] }
+};
+
+/**
+ * Get the binding string for a key event
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string} Binding such as 'Shift+KeyQ'
+ */
+export function eventToBinding(event) {
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return [...modifiers, event.code].join('+');
+}
+
+/**
+ * Format a binding for display
+ * @param {string} binding - Binding such as 'Shift+KeyQ'
+ * @returns {string} Readable name such as 'Shift+Q'
+ */
+export function formatBinding(binding) {
+    const names = { Space: 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    return binding.split('+').map(part => {
+        if (names[part]) return names[part];
+        return part.replace(/^Key/, '').replace(/^Digit/, '');
+    }).join('+');
+}
+
+/**
+ * Whether a binding string is well formed
+ * @param {*} binding - Candidate binding
+ * @returns {boolean}
+ */
+function isValidBinding(binding) {
+    if (typeof binding !== 'string' || binding.length === 0) return false;
+    const parts = binding.split('+');
+    const code = parts.pop();
+    return code.length > 0 && !MODIFIERS.includes(code) && parts.every(part => MODIFIERS.includes(part));
+}
+
+class ActionMap {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where bindings are saved, localStorage by default
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+
+        // action -> { context, label, bindings }
+        this.actions = new Map();
+        Object.entries(DEFAULT_ACTIONS).forEach(([action, definition]) => {
+            this.actions.set(action, { ...definition, bindings: [...definition.bindings] });
+        });
+
+        this.isLoaded = false;
+        this.listeners = {
+            change: []
+        };
+    }
+
+    /**
+     * Get the storage in use, or null where there is none (node)
+     * @returns {Storage|null}
+     */
+    getStorage() {
+        if (this.storage) return this.storage;
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    /**
+     * Load saved bindings once; input sites call this before reading bindings
+     */
+    ensureLoaded() {
+        if (!this.isLoaded) {
+            this.load();
+        }
+    }
+
+    /**
+     * Load saved bindings over the defaults
+     * Unknown actions and malformed bindings in the saved data are ignored.
+     * @returns {boolean} True if saved bindings were found
+     */
+    load() {
+        this.isLoaded = true;
+        const storage = this.getStorage();
+        if (!storage) return false;
+
+        try {
+            const saved = storage.getItem(BINDINGS_STORAGE_KEY);
+            if (!saved) return false;
+
+            Object.entries(JSON.parse(saved)).forEach(([action, bindings]) => {
+                if (this.actions.has(action) && Array.isArray(bindings)) {
+                    this.actions.get(action).bindings = bindings.filter(isValidBinding);
+                }
+            });
+
+            console.log('ActionMap::load - Key bindings loaded');
+            this.emit('change', { action: null });
+            return true;
+        } catch (error) {
+            console.error('ActionMap::load - Failed to load key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save the current bindings
+     * @returns {boolean} True if saved
+     */
+    save() {
+        const storage = this.getStorage();
+        if (!storage) return false;
+
+        try {
+            const bindings = {};
+            this.actions.forEach((definition, action) => {
+                bindings[action] = definition.bindings;
+            });
+            storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+            console.log('ActionMap::save - Key bindings saved');
+            return true;
+        } catch (error) {
+            console.error('ActionMap::save - Failed to save key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the actions of a context, in display order
+     * @param {string} [context] - 'game' or 'editor'; all actions when omitted
+     * @returns {Array<Object>} Actions as { action, context, label, bindings }
+     */
+    getActions(context) {
+        this.ensureLoaded();
+        return Array.from(this.actions.entries())
+            .filter(([, definition]) => !context || definition.context === context)
+            .map(([action, definition]) => ({ action, ...definition, bindings: [...definition.bindings] }));
+    }
+
+    /**
+     * Get the bindings of an action
+     * @param {string} action - Action name
+     * @returns {Array<string>} Bindings
+     */
+    getBindings(action) {
+        this.ensureLoaded();
+        const definition = this.actions.get(action);
+        if (!definition) {
+            throw new Error(`ActionMap::getBindings - Unknown action '${action}'`);
+        }
+        return [...definition.bindings];
+    }
+
+    /**
+     * Replace the bindings of an action and save them
+     * A binding taken from another action of the same context is removed
+     * there, so keys never trigger two actions at once.
+     * @param {string} action - Action name
+     * @param {Array<string>} bindings - New bindings
+     * @returns {Array<string>} Actions that lost a binding to this one
+     */
+    setBindings(action, bindings) {
+        this.ensureLoaded();
+        const definition = this.actions.get(action);
+        if (!definition) {
+            throw new Error(`ActionMap::setBindings - Unknown action '${action}'`);
+        }
+        const invalid = bindings.filter(binding => !isValidBinding(binding));
+        if (invalid.length > 0) {
+            throw new Error(`ActionMap::setBindings - Invalid binding '${invalid[0]}' for '${action}'`);
+        }
+
+        const displaced = [];
+        this.actions.forEach((other, otherAction) => {
+            if (otherAction === action || other.context !== definition.context) return;
+            const remaining = other.bindings.filter(binding => !bindings.includes(binding));
+            if (remaining.length !== other.bindings.length) {
+                other.bindings = remaining;
+                displaced.push(otherAction);
+            }
+        });
+
+        definition.bindings = [...new Set(bindings)];
+        this.save();
+
+        console.log(`ActionMap::setBindings - '${action}' bound to ${definition.bindings.join(', ') || 'nothing'}`);
+        this.emit('change', { action, displaced });
+        return displaced;
+    }
+
+    /**
+     * Restore the default bindings and save them
+     */
+    resetBindings() {
+        Object.entries(DEFAULT_ACTIONS).forEach(([action, definition]) => {
+            this.actions.get(action).bindings = [...definition.bindings];
+        });
+        this.isLoaded = true;
+        this.save();
+
+        console.log('ActionMap::resetBindings - Default key bindings restored');
+        this.emit('change', { action: null });
+    }
+
+    /**
+     * Find the action a key event triggers
+     * An exact match, modifiers included, wins. Otherwise a binding without
+     * modifiers matches the key alone, so holding Shift does not stop movement
+     * and releasing a key in the game always releases its action. Outside the
+     * game that only goes for Shift, leaving Ctrl, Alt and Meta shortcuts such
+     * as reload, find and print to the browser.
+     * @param {KeyboardEvent} event - Key event
+     * @param {string} context - 'game' or 'editor'
+     * @returns {string|null} Action name
+     */
+    getAction(event, context) {
+        this.ensureLoaded();
+        const binding = eventToBinding(event);
+        const canFallBack = context === 'game' || !(event.ctrlKey || event.altKey || event.metaKey);
+
+        let fallback = null;
+        for (const [action, definition] of this.actions) {
+            if (definition.context !== context) continue;
+            if (definition.bindings.includes(binding)) return action;
+            if (canFallBack && !fallback && definition.bindings.includes(event.code)) {
+                fallback = action;
+            }
+        }
+        return fallback;
+    }
+
+    /**
+     * Subscribe to binding changes
+     * @param {string} event - 'change'
+     * @param {Function} callback - Receives { action, displaced }; action is null after a load or reset
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Unsubscribe from binding changes
+     * @param {string} event - Event name
+     * @param {Function} callback - Handler passed to on()
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {*} [data] - Event payload
+     */
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`ActionMap::emit - Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
+
+// Export as singleton
+const actionMap = new ActionMap();
+export default actionMap;
+export { ActionMap };
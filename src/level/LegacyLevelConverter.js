@@ -0,0 +1,483 @@
+/**
+ * LegacyLevelConverter - Upgrades legacy platform/position levels to the grid format
+ * Requirements: ARCH-002 (Data-Driven Levels), ARCH-003 (Grid Coordinate System), PROD-013 (Universal 3D Grid)
+ *
+ * Legacy levels describe free-form boxes in world units (`platforms`, `keys`,
+ * `hazards`, `movingPlatforms`, ...). The converter snaps every entity onto the
+ * cells of a grid with the chosen gridUnitSize and returns a report listing
+ * everything that could not be represented exactly, using the same
+ * `$.platforms[3].size` path style as the level validator.
+ *
+ * This module has no browser or three.js dependencies so it can be used from
+ * LevelManager and node tooling alike.
+ */
+
+export const LEGACY_CONVERSION_DEFAULTS = {
+    gridUnitSize: 4,
+    theme: 'nature',
+    platformType: 'standard_platform',
+    hazardType: 'hazard',
+    coinType: 'coin'
+};
+
+// Distances below this are treated as exact when comparing world positions
+const EPSILON = 1e-6;
+
+// Legacy key/exit properties that carry over to the grid format
+const KEY_PROPERTIES = ['id', 'position'];
+const EXIT_PROPERTIES = ['position', 'requiredKeys'];
+
+/**
+ * Check whether level data uses the legacy platform/position format
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {boolean} True if the level is a legacy level
+ */
+export function isLegacyLevel(levelData) {
+    if (!levelData || typeof levelData !== 'object') return false;
+    if (levelData.gridUnitSize !== undefined && levelData.blocks) return false;
+    return Array.isArray(levelData.platforms) || levelData.playerStart !== undefined;
+}
+
+/**
+ * Read a legacy position given either as {x, y, z} or [x, y, z]
+ * @param {Object|Array<number>} position - Legacy position
+ * @returns {Array<number>|null} World position as an array
+ */
+function toWorldArray(position) {
+    if (Array.isArray(position) && position.length === 3) {
+        return position.map(Number);
+    }
+    if (position && typeof position === 'object') {
+        return [Number(position.x) || 0, Number(position.y) || 0, Number(position.z) || 0];
+    }
+    return null;
+}
+
+/**
+ * Round a value to the nearest integer, normalizing -0 to 0
+ * @param {number} value - Value to round
+ * @returns {number} Rounded integer
+ */
+function roundCell(value) {
+    return Math.round(value) + 0;
+}
+
+/**
+ * Build a Map key for a grid cell
+ * @param {Array<number>} cell - Grid coordinates
+ * @returns {string} Cell key
+ */
+function cellKey(cell) {
+    return cell.join(',');
+}
+
+/**
+ * Format a world position for report messages
+ * @param {Array<number>} position - World position
+ * @returns {string} Formatted position
+ */
+function formatPosition(position) {
+    return `(${position.map(value => Number(value.toFixed(3))).join(', ')})`;
+}
+
+/**
+ * Converts one legacy level. Holds the occupied cells and the report while
+ * the sections are processed in order.
+ */
+class LegacyConversion {
+    constructor(legacy, options) {
+        this.legacy = legacy;
+        this.options = options;
+        this.gridUnitSize = options.gridUnitSize;
+        this.warnings = [];
+        this.occupied = new Map(); // cellKey -> path of the entity that filled it
+
+        // Objects rest on surfaces opposite to the starting gravity
+        const gravity = toWorldArray(legacy.playerStart && legacy.playerStart.gravity) || [0, -1, 0];
+        this.upAxis = [0, 1, 2].reduce((best, axis) =>
+            Math.abs(gravity[axis]) > Math.abs(gravity[best]) ? axis : best, 1);
+        this.upSign = gravity[this.upAxis] > 0 ? -1 : 1;
+    }
+
+    /**
+     * Record something that could not be represented exactly
+     * @param {string} path - Path of the legacy value
+     * @param {string} message - Description of the loss
+     */
+    warn(path, message) {
+        this.warnings.push({ path, message });
+    }
+
+    /**
+     * Snap a world position to the nearest grid cell
+     * @param {Array<number>} world - World position
+     * @param {string} path - Path of the legacy value, for the report
+     * @returns {Array<number>} Grid coordinates
+     */
+    snap(world, path) {
+        const cell = world.map(value => roundCell(value / this.gridUnitSize));
+        const offGrid = world.some((value, axis) =>
+            Math.abs(value - cell[axis] * this.gridUnitSize) > EPSILON);
+        if (offGrid) {
+            this.warn(path, `position ${formatPosition(world)} snapped to cell [${cell}]`);
+        }
+        return cell;
+    }
+
+    /**
+     * Snap a point entity that rests on a surface, moving it out of solid cells
+     * @param {Array<number>} world - World position
+     * @param {string} path - Path of the legacy value, for the report
+     * @returns {Array<number>} Grid coordinates of a free cell
+     */
+    snapResting(world, path) {
+        const cell = world.map(value => roundCell(value / this.gridUnitSize));
+        const exact = world.every((value, axis) =>
+            Math.abs(value - cell[axis] * this.gridUnitSize) <= EPSILON);
+
+        let lifted = 0;
+        while (this.occupied.has(cellKey(cell)) && lifted < 64) {
+            cell[this.upAxis] += this.upSign;
+            lifted++;
+        }
+
+        if (!exact || lifted > 0) {
+            this.warn(path, `position ${formatPosition(world)} snapped to cell [${cell}]` +
+                (lifted > 0 ? ` (moved ${lifted} cell(s) out of solid blocks)` : ''));
+        }
+        return cell;
+    }
+
+    /**
+     * Get the grid cells covered by an axis-aligned legacy box
+     * @param {Array<number>} center - World center of the box
+     * @param {Array<number>} size - World size of the box
+     * @returns {{cells: Array<Array<number>>, ranges: Array<Array<number>>}} Covered cells and the [from, to] cell range per axis
+     */
+    cellsForBox(center, size) {
+        const ranges = center.map((value, axis) => {
+            const min = value - size[axis] / 2;
+            const max = value + size[axis] / 2;
+            let from = roundCell(min / this.gridUnitSize + 0.5);
+            let to = roundCell(max / this.gridUnitSize - 0.5);
+            if (from > to) {
+                // Thinner than a cell: use the cell containing the center
+                from = to = roundCell(value / this.gridUnitSize);
+            }
+            return [from, to];
+        });
+
+        const cells = [];
+        for (let x = ranges[0][0]; x <= ranges[0][1]; x++) {
+            for (let y = ranges[1][0]; y <= ranges[1][1]; y++) {
+                for (let z = ranges[2][0]; z <= ranges[2][1]; z++) {
+                    cells.push([x, y, z]);
+                }
+            }
+        }
+        return { cells, ranges };
+    }
+
+    /**
+     * Check whether a grid range reproduces a legacy box exactly
+     * @param {Array<number>} center - World center of the box
+     * @param {Array<number>} size - World size of the box
+     * @param {Array<Array<number>>} ranges - Cell ranges per axis
+     * @returns {boolean} True if the cells cover exactly the box
+     */
+    boxMatchesRanges(center, size, ranges) {
+        const half = this.gridUnitSize / 2;
+        return center.every((value, axis) => {
+            const min = ranges[axis][0] * this.gridUnitSize - half;
+            const max = ranges[axis][1] * this.gridUnitSize + half;
+            return Math.abs(min - (value - size[axis] / 2)) <= EPSILON &&
+                Math.abs(max - (value + size[axis] / 2)) <= EPSILON;
+        });
+    }
+
+    /**
+     * Fill the cells of a legacy box with blocks of one type
+     * @param {Object} entity - Legacy platform or hazard
+     * @param {string} type - Grid block type
+     * @param {string} path - Path of the entity, for the report
+     * @param {Array<Object>} blocks - Output block list
+     */
+    addBox(entity, type, path, blocks) {
+        const center = toWorldArray(entity.position);
+        if (!center) {
+            this.warn(path, 'has no position and was dropped');
+            return;
+        }
+
+        const size = entity.size
+            ? [entity.size.width ?? this.gridUnitSize, entity.size.height ?? this.gridUnitSize, entity.size.depth ?? this.gridUnitSize]
+            : [this.gridUnitSize, this.gridUnitSize, this.gridUnitSize];
+
+        const { cells, ranges } = this.cellsForBox(center, size);
+        if (!this.boxMatchesRanges(center, size, ranges)) {
+            const span = ranges.map(([from, to]) => to - from + 1).join('x');
+            this.warn(`${path}.size`, `box ${size.join('x')} at ${formatPosition(center)} approximated by ${span} cell(s) from [${ranges.map(range => range[0])}]`);
+        }
+
+        const rotation = toWorldArray(entity.rotation);
+        if (rotation && rotation.some(angle => Math.abs(angle) > EPSILON)) {
+            this.warn(`${path}.rotation`, `rotation ${formatPosition(rotation)} is not supported and was dropped`);
+        }
+
+        let overlaps = 0;
+        cells.forEach(cell => {
+            const key = cellKey(cell);
+            if (this.occupied.has(key)) {
+                overlaps++;
+                return;
+            }
+            this.occupied.set(key, path);
+            blocks.push({ type, at: cell });
+        });
+
+        if (overlaps > 0) {
+            this.warn(path, `${overlaps} cell(s) overlap earlier blocks and were skipped`);
+        }
+    }
+
+    /**
+     * Report properties of an entity that have no grid equivalent
+     * @param {Object} entity - Legacy entity
+     * @param {Array<string>} kept - Properties that were converted
+     * @param {string} path - Path of the entity
+     */
+    reportDropped(entity, kept, path) {
+        const dropped = Object.keys(entity).filter(key => !kept.includes(key));
+        if (dropped.length > 0) {
+            this.warn(path, `properties not supported by grid levels were dropped: ${dropped.join(', ')}`);
+        }
+    }
+
+    convert() {
+        const legacy = this.legacy;
+        const level = {
+            name: legacy.name || legacy.id || 'Converted Level',
+            theme: this.options.theme,
+            gridUnitSize: this.gridUnitSize,
+            blocks: [],
+            decorations: [],
+            behaviors: [],
+            player: { spawn: [0, 1, 0] },
+            objectives: { keys: [], exit: null },
+            collectibles: []
+        };
+        if (legacy.id !== undefined) level.id = String(legacy.id);
+        if (legacy.description !== undefined) level.description = legacy.description;
+
+        // Solid geometry first, so resting entities can be lifted out of it
+        (legacy.platforms || []).forEach((platform, index) => {
+            const path = `$.platforms[${index}]`;
+            this.addBox(platform, this.options.platformType, path, level.blocks);
+            if (platform.material) {
+                this.warn(`${path}.material`, `material is not supported; using block type '${this.options.platformType}'`);
+            }
+            if (platform.type && platform.type !== 'static') {
+                this.warn(`${path}.type`, `platform type '${platform.type}' converted to a static block`);
+            }
+            if (platform.physics && platform.physics.isGravitySurface === false) {
+                this.warn(`${path}.physics.isGravitySurface`, 'non-gravity surfaces are not supported; block is a gravity surface');
+            }
+        });
+
+        (legacy.movingPlatforms || []).forEach((platform, index) => {
+            this.convertMovingPlatform(platform, `$.movingPlatforms[${index}]`, level);
+        });
+
+        (legacy.hazards || []).forEach((hazard, index) => {
+            const path = `$.hazards[${index}]`;
+            const center = toWorldArray(hazard.position);
+            if (!center) {
+                this.warn(path, 'has no position and was dropped');
+                return;
+            }
+            const cell = this.snapResting(center, `${path}.position`);
+            this.occupied.set(cellKey(cell), path);
+            level.blocks.push({ type: this.options.hazardType, at: cell });
+            this.reportDropped(hazard, ['id', 'type', 'position'], path);
+            if (hazard.type && hazard.type !== 'spikes') {
+                this.warn(`${path}.type`, `hazard type '${hazard.type}' converted to '${this.options.hazardType}'`);
+            }
+        });
+
+        // Player
+        if (legacy.playerStart) {
+            const spawn = toWorldArray(legacy.playerStart.position);
+            if (spawn) {
+                level.player.spawn = this.snapResting(spawn, '$.playerStart.position');
+            }
+            const gravity = toWorldArray(legacy.playerStart.gravity);
+            if (gravity && (Math.abs(gravity[0]) > EPSILON || Math.abs(gravity[1] + 1) > EPSILON || Math.abs(gravity[2]) > EPSILON)) {
+                this.warn('$.playerStart.gravity', `starting gravity ${formatPosition(gravity)} is not supported; default gravity is used`);
+            }
+        } else {
+            this.warn('$.playerStart', 'missing; player spawns at [0, 1, 0]');
+        }
+
+        const lives = legacy.gameSettings && legacy.gameSettings.initialLives;
+        if (Number.isInteger(lives) && lives >= 1) {
+            level.player.lives = lives;
+        }
+
+        // Objectives
+        (legacy.keys || []).forEach((key, index) => {
+            const path = `$.keys[${index}]`;
+            const position = toWorldArray(key.position);
+            if (!position) {
+                this.warn(path, 'has no position and was dropped');
+                return;
+            }
+            level.objectives.keys.push({
+                id: key.id !== undefined ? String(key.id) : `key_${index + 1}`,
+                at: this.snapResting(position, `${path}.position`)
+            });
+            this.reportDropped(key, KEY_PROPERTIES, path);
+        });
+
+        if (legacy.exit) {
+            const position = toWorldArray(legacy.exit.position);
+            if (position) {
+                level.objectives.exit = { at: this.snapResting(position, '$.exit.position') };
+            } else {
+                this.warn('$.exit', 'has no position and was dropped');
+            }
+            this.reportDropped(legacy.exit, EXIT_PROPERTIES, '$.exit');
+            if (legacy.exit.requiredKeys !== undefined && legacy.exit.requiredKeys !== level.objectives.keys.length) {
+                this.warn('$.exit.requiredKeys', `grid exits require all ${level.objectives.keys.length} key(s), not ${legacy.exit.requiredKeys}`);
+            }
+        }
+
+        (legacy.coins || []).forEach((coin, index) => {
+            const path = `$.coins[${index}]`;
+            const position = toWorldArray(coin.position);
+            if (!position) {
+                this.warn(path, 'has no position and was dropped');
+                return;
+            }
+            const collectible = {
+                type: this.options.coinType,
+                at: this.snapResting(position, `${path}.position`)
+            };
+            if (typeof coin.value === 'number') {
+                collectible.value = coin.value;
+            }
+            level.collectibles.push(collectible);
+            this.reportDropped(coin, ['id', 'position', 'value'], path);
+        });
+
+        // Legacy decorations are primitive shapes with no grid block equivalent
+        (legacy.decorations || []).forEach((decoration, index) => {
+            this.warn(`$.decorations[${index}]`, `decoration '${decoration.type || 'unknown'}' has no grid block type and was dropped`);
+        });
+
+        if (legacy.hints !== undefined) {
+            this.warn('$.hints', 'hints are not supported by grid levels and were dropped');
+        }
+
+        if (legacy.levelBounds && typeof legacy.levelBounds.fallThreshold === 'number') {
+            level.levelBounds = { fallThreshold: legacy.levelBounds.fallThreshold };
+        }
+        if (legacy.gameSettings) {
+            level.gameSettings = {};
+            ['initialLives', 'timeLimit'].forEach(key => {
+                if (legacy.gameSettings[key] !== undefined) {
+                    level.gameSettings[key] = legacy.gameSettings[key];
+                }
+            });
+        }
+
+        return level;
+    }
+
+    /**
+     * Convert a legacy moving platform into a block with an elevator behavior
+     * @param {Object} platform - Legacy moving platform
+     * @param {string} path - Path of the platform
+     * @param {Object} level - Output level
+     */
+    convertMovingPlatform(platform, path, level) {
+        const waypoints = ((platform.movement && platform.movement.waypoints) || [])
+            .map(toWorldArray)
+            .filter(Boolean);
+        const start = waypoints[0] || toWorldArray(platform.position);
+        if (!start) {
+            this.warn(path, 'has no position and was dropped');
+            return;
+        }
+
+        const startCell = this.snap(start, waypoints.length > 0 ? `${path}.movement.waypoints[0]` : `${path}.position`);
+        if (this.occupied.has(cellKey(startCell))) {
+            this.warn(path, `cell [${startCell}] is already occupied; moving platform was dropped`);
+            return;
+        }
+        this.occupied.set(cellKey(startCell), path);
+        level.blocks.push({ type: this.options.platformType, at: startCell });
+
+        if (waypoints.length < 2) {
+            this.warn(`${path}.movement`, 'has fewer than two waypoints; converted to a static block');
+            return;
+        }
+
+        const endCell = this.snap(waypoints[1], `${path}.movement.waypoints[1]`);
+        const config = {
+            trigger: 'onPlayerContact',
+            startPosition: startCell.map(value => value * this.gridUnitSize),
+            endPosition: endCell.map(value => value * this.gridUnitSize),
+            autoReturn: false,
+            loop: true
+        };
+        if (typeof platform.movement.speed === 'number' && platform.movement.speed > 0) {
+            config.speed = platform.movement.speed;
+        }
+        if (typeof platform.movement.pauseTime === 'number' && platform.movement.pauseTime >= 0) {
+            config.returnDelay = platform.movement.pauseTime;
+        }
+        level.behaviors.push({ type: 'elevator', target: startCell, config });
+
+        this.warn(`${path}.movement`, 'converted to an elevator that starts moving on player contact');
+        if (waypoints.length > 2) {
+            this.warn(`${path}.movement.waypoints`, `only the first 2 of ${waypoints.length} waypoints are supported`);
+        }
+        if (platform.size) {
+            this.warn(`${path}.size`, 'moving platforms are converted to a single block');
+        }
+    }
+}
+
+/**
+ * Convert a legacy level to the grid format
+ * @param {Object} legacyLevel - Parsed legacy level JSON
+ * @param {Object} options - Conversion options (see LEGACY_CONVERSION_DEFAULTS)
+ * @returns {{level: Object, report: {lossless: boolean, warnings: Array<{path: string, message: string}>}}}
+ *          The grid level and a report of everything that was approximated or dropped
+ */
+export function convertLegacyLevel(legacyLevel, options = {}) {
+    const resolved = { ...LEGACY_CONVERSION_DEFAULTS, ...options };
+    if (!(resolved.gridUnitSize > 0)) {
+        throw new Error(`LegacyLevelConverter - gridUnitSize must be positive, got ${resolved.gridUnitSize}`);
+    }
+
+    const conversion = new LegacyConversion(legacyLevel, resolved);
+    const level = conversion.convert();
+
+    return {
+        level,
+        report: {
+            lossless: conversion.warnings.length === 0,
+            warnings: conversion.warnings
+        }
+    };
+}
+
+/**
+ * Format conversion warnings as human readable lines
+ * @param {{warnings: Array<{path: string, message: string}>}} report - Report from convertLegacyLevel
+ * @returns {Array<string>} Lines of the form "path: message"
+ */
+export function formatConversionReport(report) {
+    return report.warnings.map(warning => `${warning.path}: ${warning.message}`);
+}
@@ -10,11 +10,23 @@ import { Hazard } from '../entities/Hazard.js';
 import { MovingPlatform } from '../entities/MovingPlatform.js';
 import assetRegistry from '../assets/AssetRegistry.js';
 import assetManager from '../assets/AssetManager.js';
+import { validateLevel, formatValidationErrors } from './LevelSchema.js';
+import { isLegacyLevel, formatConversionReport } from './LegacyLevelConverter.js';
+import { migrateLevel } from './LevelMigrations.js';
+import '../behaviors/builtinBehaviors.js';
 
 export class LevelManager {
-    constructor(scene, physicsManager) {
+    /**
+     * @param {THREE.Scene} scene - Scene level meshes are added to
+     * @param {PhysicsManager} physicsManager - Physics world for level bodies
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Run without sounds, score or window events,
+     *        for simulations beside the live game (ghost replays, tests)
+     */
+    constructor(scene, physicsManager, options = {}) {
         this.scene = scene;
         this.physicsManager = physicsManager;
+        this.isHeadless = options.headless === true;
         
         // Current level data
         this.currentLevel = null;
@@ -25,6 +37,11 @@ export class LevelManager {
         this.gridUnitSize = 4; // Default grid unit size
         this.isGridBased = false; // Flag to track if level uses new grid format
         
+        // Older level files are migrated to the current format on load.
+        // Legacy levels can be kept on the original renderer by disabling upgradeLegacyLevels.
+        this.upgradeLegacyLevels = true;
+        this.migrationReport = null; // Result of the last migrateLevel call
+        
         // Game state for objectives - Requirement: PROD-004, PROD-005
         this.gameState = {
             keysCollected: 0,
@@ -43,6 +60,13 @@ export class LevelManager {
         this.movingPlatforms = new Map(); // Requirement: PROD-011
         this.exitPortal = null;
         
+        // Level event listeners, notified in headless mode as well
+        this.listeners = {
+            keyCollected: [],
+            coinCollected: [],
+            levelComplete: []
+        };
+        
         console.log('LevelManager::constructor - Level manager initialized with grid support');
     }
     
@@ -71,6 +95,12 @@ export class LevelManager {
             this.currentLevel = levelData;
         }
         
+        // Upgrade older files (including legacy platform/position levels) to the current format
+        this.migrationReport = null;
+        if (this.upgradeLegacyLevels || !isLegacyLevel(this.currentLevel)) {
+            this.currentLevel = this.migrateLevelData(this.currentLevel);
+        }
+        
         // Check if this is a new grid-based level format
         if (this.currentLevel.gridUnitSize !== undefined && this.currentLevel.blocks) {
             this.isGridBased = true;
@@ -82,6 +112,9 @@ export class LevelManager {
                 assetRegistry.setTheme(this.currentLevel.theme);
             }
             
+            // Reject malformed levels before anything is created
+            this.validateGridLevel(this.currentLevel);
+            
             // Load grid-based level
             await this.loadGridLevel();
         } else {
@@ -95,6 +128,52 @@ export class LevelManager {
         console.log('LevelManager::load - Game state:', this.gameState);
     }
     
+    /**
+     * Bring level data up to the current format version
+     * Requirement: ARCH-002 - Data-Driven Levels
+     * @param {Object} levelData - Level data of any supported format version
+     * @returns {Object} Level data in the current format version
+     */
+    migrateLevelData(levelData) {
+        const migration = migrateLevel(levelData);
+        this.migrationReport = migration;
+        
+        if (migration.applied.length === 0) {
+            return migration.level;
+        }
+        
+        const levelName = migration.level.name || 'Unnamed';
+        console.log(`LevelManager::migrateLevelData - Upgraded level '${levelName}' from format v${migration.fromVersion} to v${migration.toVersion}:\n  ${migration.applied.join('\n  ')}`);
+        if (migration.warnings.length > 0) {
+            console.warn(`LevelManager::migrateLevelData - ${migration.warnings.length} approximation(s) while upgrading '${levelName}':\n  ${formatConversionReport(migration).join('\n  ')}`);
+        }
+        
+        return migration.level;
+    }
+    
+    /**
+     * Validate grid level data against the level schema
+     * Requirement: ARCH-002 - Data-Driven Levels
+     * @param {Object} levelData - Grid level data
+     * @throws {Error} If the level does not match the schema; the error carries `validationErrors`
+     */
+    validateGridLevel(levelData) {
+        const validation = validateLevel(levelData, {
+            blockTypes: assetRegistry.getAvailableBlockTypes()
+        });
+        
+        if (!validation.valid) {
+            const messages = formatValidationErrors(validation.errors);
+            console.error(`LevelManager::validateGridLevel - Level '${levelData.name || 'Unnamed'}' failed validation:\n  ${messages.join('\n  ')}`);
+            
+            const error = new Error(`Invalid level data: ${validation.errors.length} validation error(s)`);
+            error.validationErrors = validation.errors;
+            throw error;
+        }
+        
+        console.log('LevelManager::validateGridLevel - Level data passed schema validation');
+    }
+    
     /**
      * Load a grid-based level format
      * Requirement: ARCH-003 - Grid Coordinate System, PROD-013 - Universal 3D Grid
@@ -110,6 +189,11 @@ export class LevelManager {
         // Process blocks (now with preloaded assets)
         if (this.currentLevel.blocks) {
             await this.createGridBlocks(this.currentLevel.blocks);
+            
+            // Let the physics layer wrap the player around block edges
+            if (this.physicsManager && this.physicsManager.setGridCells) {
+                this.physicsManager.setGridCells(this.getSolidGridCells(this.currentLevel.blocks), this.gridUnitSize);
+            }
         }
         
         // Process player spawn position (convert from grid to world)
@@ -223,6 +307,18 @@ export class LevelManager {
         );
     }
     
+    /**
+     * Get the grid cells occupied by solid blocks
+     * Decorations have no collider and are left out, matching createGridBlocks.
+     * @param {Array} blocksData - Array of block definitions
+     * @returns {Array<Array<number>>} Grid coordinates [x, y, z] of solid blocks
+     */
+    getSolidGridCells(blocksData) {
+        return blocksData
+            .filter(blockData => assetRegistry.isSolidBlockType(blockData.type))
+            .map(blockData => blockData.at);
+    }
+    
     /**
      * Preload all model assets required for the level
      * Requirement: NFR-004 - Asset Loading & Instancing
@@ -338,8 +434,12 @@ export class LevelManager {
             this.gridUnitSize * 0.95
         );
         
-        // Color based on block type for visual distinction
-        const color = blockType === 'nature_rock_platform' ? 0x808080 : 0x4080ff;
+        // Color based on block type for visual distinction; surface blocks use their surface color
+        const blockDef = assetRegistry.getBlockDefinition(blockType);
+        let color = blockType === 'nature_rock_platform' ? 0x808080 : 0x4080ff;
+        if (blockDef && blockDef.surface) {
+            color = assetRegistry.getSurfaceDefinition(blockDef.surface).color;
+        }
         const material = new THREE.MeshStandardMaterial({
             color: color,
             roughness: 0.8,
@@ -372,7 +472,7 @@ export class LevelManager {
             shape: physicsShape,
             position: new CANNON.Vec3(worldPos.x, worldPos.y, worldPos.z),
             type: CANNON.Body.STATIC,
-            material: this.physicsManager.groundMaterial
+            material: this.physicsManager.getSurfaceMaterial(blockDef.surface)
         });
         
         // Add to physics world
@@ -381,7 +481,7 @@ export class LevelManager {
         
         // Log for test verification
         console.log(`LevelManager::createBlockPhysicsBody - Created ${blockDef.physics.shape} physics body for block ${index}`);
-        console.log(`  Physics shape type: ${blockDef.physics.shape}`);
+        console.log(`  Physics shape type: ${blockDef.physics.shape}${blockDef.surface ? `, surface: ${blockDef.surface}` : ''}`);
         console.log(`  Position: (${worldPos.x}, ${worldPos.y}, ${worldPos.z})`);
     }
     
@@ -433,7 +533,7 @@ export class LevelManager {
             // Create coin at grid position
             const coinWorldData = {
                 id: `coin-${index}`,
-                position: { x: worldPos.x, y: worldPos.y + 1, z: worldPos.z },
+                position: [worldPos.x, worldPos.y + 1, worldPos.z],
                 value: coinData.value || 10,
                 type: coinData.type || 'silver'
             };
@@ -824,17 +924,17 @@ export class LevelManager {
     
     /**
      * Update level entities (animations, state changes)
-     * @param {number} deltaTime - Time since last frame
+     * @param {number} deltaTime - Time since last update
+     * @param {number} [elapsedTime] - Simulated time in seconds; wall-clock time if omitted
      */
-    update(deltaTime) {
-        const elapsedTime = Date.now() * 0.001; // Convert to seconds
+    update(deltaTime, elapsedTime = Date.now() * 0.001) {
         
         // Animate keys (rotation)
         this.keys.forEach(key => {
             if (!key.userData.collected) {
                 key.rotation.y += key.userData.rotationSpeed * deltaTime;
                 // Subtle floating animation
-                key.position.y += Math.sin(Date.now() * 0.001) * 0.005;
+                key.position.y += Math.sin(elapsedTime) * 0.005;
             }
         });
         
@@ -857,7 +957,7 @@ export class LevelManager {
         if (this.exitPortal && !this.exitPortal.userData.isLocked) {
             this.exitPortal.rotation.z += deltaTime * 2;
             // Pulsing effect
-            const pulse = 1 + Math.sin(Date.now() * 0.003) * 0.1;
+            const pulse = 1 + Math.sin(elapsedTime * 3) * 0.1;
             this.exitPortal.scale.setScalar((this.currentLevel.exit?.scale || 1.5) * pulse);
         }
         
@@ -886,21 +986,17 @@ export class LevelManager {
             this.scene.remove(key);
             
             // Play key collection sound - Requirement: PROD-012
-            if (window.game?.audioManager) {
-                window.game.audioManager.playSound('keyCollect');
-            }
+            this.playSound('keyCollect');
             
             console.log(`LevelManager::collectKey - Collected key: ${keyId}`);
             console.log(`LevelManager::collectKey - Keys: ${this.gameState.keysCollected}/${this.gameState.totalKeys}`);
             
             // Dispatch key collected event for UI
-            window.dispatchEvent(new CustomEvent('keyCollected', {
-                detail: {
-                    keyId: keyId,
-                    collected: this.gameState.keysCollected,
-                    total: this.gameState.totalKeys
-                }
-            }));
+            this.dispatchLevelEvent('keyCollected', {
+                keyId: keyId,
+                collected: this.gameState.keysCollected,
+                total: this.gameState.totalKeys
+            });
             
             // Check if all keys collected
             if (this.gameState.keysCollected >= this.gameState.totalKeys) {
@@ -927,9 +1023,7 @@ export class LevelManager {
             this.exitPortal.material.emissiveIntensity = 0.5;
             
             // Play portal unlock sound - Requirement: PROD-012
-            if (window.game?.audioManager) {
-                window.game.audioManager.playSound('portalUnlock');
-            }
+            this.playSound('portalUnlock');
             
             console.log('LevelManager::unlockExitPortal - Exit portal unlocked!');
         }
@@ -947,26 +1041,91 @@ export class LevelManager {
             
             // Get current score from GameState if available
             let currentScore = 0;
-            if (window.game && window.game.gameState) {
+            if (!this.isHeadless && window.game && window.game.gameState) {
                 currentScore = window.game.gameState.score;
             }
             
             // Dispatch level complete event
-            window.dispatchEvent(new CustomEvent('levelComplete', {
-                detail: {
-                    levelId: this.currentLevel.id,
-                    levelName: this.currentLevel.name,
-                    keysCollected: this.gameState.keysCollected,
-                    totalKeys: this.gameState.totalKeys,
-                    score: currentScore
-                }
-            }));
+            this.dispatchLevelEvent('levelComplete', {
+                levelId: this.currentLevel.id,
+                levelName: this.currentLevel.name,
+                keysCollected: this.gameState.keysCollected,
+                totalKeys: this.gameState.totalKeys,
+                score: currentScore
+            });
             
             return true;
         }
         return false;
     }
     
+    /**
+     * Play a sound through the game's audio manager
+     * Requirement: PROD-012 - Audio feedback
+     * @param {string} soundName - Sound to play
+     */
+    playSound(soundName) {
+        if (!this.isHeadless && window.game?.audioManager) {
+            window.game.audioManager.playSound(soundName);
+        }
+    }
+    
+    /**
+     * Notify level listeners, and the window for the UI and game flow
+     * @param {string} eventName - Event name
+     * @param {Object} detail - Event detail
+     */
+    dispatchLevelEvent(eventName, detail) {
+        this.emit(eventName, detail);
+        if (this.isHeadless) return;
+        window.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+    
+    /**
+     * Subscribe to level events
+     * keyCollected: { keyId, collected, total }
+     * coinCollected: { coinId, type, value }
+     * levelComplete: { levelId, levelName, keysCollected, totalKeys, score }
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+    
+    /**
+     * Unsubscribe from level events
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            const index = this.listeners[event].indexOf(callback);
+            if (index > -1) {
+                this.listeners[event].splice(index, 1);
+            }
+        }
+    }
+    
+    /**
+     * Emit an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`LevelManager::emit - Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+    
     /**
      * Check collision with hazards
      * Requirement: PROD-007 - Failure Condition: Hazards
@@ -1004,23 +1163,32 @@ export class LevelManager {
         // Check coin collisions - Requirement: PROD-010
         this.coins.forEach((coin, coinId) => {
             if (coin.checkCollision(position, radius)) {
-                const collectionData = coin.collect();
+                const collectionData = coin.collect(!this.isHeadless);
                 if (collectionData) {
                     // Add score through GameState (if available via window.game)
-                    if (window.game?.gameState) {
+                    if (!this.isHeadless && window.game?.gameState) {
                         window.game.gameState.addScore(collectionData.value, 'coin');
                     }
                     
                     // Play coin collection sound - Requirement: PROD-012
-                    if (window.game?.audioManager) {
-                        window.game.audioManager.playSound('coinCollect');
-                    }
+                    this.playSound('coinCollect');
+                    
+                    this.dispatchLevelEvent('coinCollected', {
+                        coinId: coinId,
+                        type: collectionData.type,
+                        value: collectionData.value
+                    });
                     
                     // Remove coin from scene after collection animation
-                    setTimeout(() => {
+                    if (this.isHeadless) {
                         coin.removeFromScene(this.scene);
                         this.coins.delete(coinId);
-                    }, 300);
+                    } else {
+                        setTimeout(() => {
+                            coin.removeFromScene(this.scene);
+                            this.coins.delete(coinId);
+                        }, 300);
+                    }
                     
                     console.log(`LevelManager::checkCollectibles - Collected ${collectionData.type} coin worth ${collectionData.value} points`);
                 }
@@ -1060,9 +1228,12 @@ export class LevelManager {
         // Clear physics bodies
         this.levelPhysicsBodies.forEach(body => {
             if (this.physicsManager && this.physicsManager.world) {
-                this.physicsManager.world.remove(body);
+                this.physicsManager.world.removeBody(body);
             }
         });
+        if (this.physicsManager && this.physicsManager.setGridCells) {
+            this.physicsManager.setGridCells([]);
+        }
         
         // Dispose of coins
         this.coins.forEach(coin => {
@@ -0,0 +1,111 @@
+/**
+ * LevelMigrations - Versioned upgrades for level files
+ * Requirements: ARCH-002 (Data-Driven Levels)
+ *
+ * Every level file carries a `formatVersion`. When the block/behavior shape
+ * changes, CURRENT_FORMAT_VERSION is bumped and a migration from the previous
+ * version is registered here. migrateLevel runs the chain of migrations needed
+ * to bring any older file up to the current version.
+ *
+ * Files without a `formatVersion` are treated as version 1 if they use the grid
+ * format and as version 0 if they use the legacy platform/position format.
+ *
+ * This module has no browser or three.js dependencies so it can be used from
+ * LevelManager, the LevelEditor and node tooling alike.
+ */
+
+import { isLegacyLevel, convertLegacyLevel } from './LegacyLevelConverter.js';
+
+export const CURRENT_FORMAT_VERSION = 1;
+
+// Version assumed for legacy platform/position files
+export const LEGACY_FORMAT_VERSION = 0;
+
+// fromVersion -> { description, migrate }
+const migrations = new Map();
+
+/**
+ * Register the migration that upgrades a level from one version to the next
+ * @param {number} fromVersion - Version the migration reads; it produces fromVersion + 1
+ * @param {string} description - Short description shown in migration logs
+ * @param {Function} migrate - (levelData, context) => upgraded level data. Must return a
+ *        new object rather than mutate its input. Call context.warn(path, message) for
+ *        anything that cannot be carried over exactly.
+ */
+export function registerMigration(fromVersion, description, migrate) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        throw new Error(`LevelMigrations - Invalid migration version: ${fromVersion}`);
+    }
+    if (migrations.has(fromVersion)) {
+        throw new Error(`LevelMigrations - Migration from version ${fromVersion} is already registered`);
+    }
+    migrations.set(fromVersion, { description, migrate });
+}
+
+/**
+ * Get the format version of level data
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {number} The declared or inferred format version
+ */
+export function getFormatVersion(levelData) {
+    if (levelData && levelData.formatVersion !== undefined) {
+        return levelData.formatVersion;
+    }
+    return isLegacyLevel(levelData) ? LEGACY_FORMAT_VERSION : 1;
+}
+
+/**
+ * Bring level data up to the current format version
+ * @param {Object} levelData - Parsed level JSON of any supported version
+ * @param {Object} options - { targetVersion } to stop before the current version
+ * @returns {{level: Object, fromVersion: number, toVersion: number, applied: Array<string>,
+ *          warnings: Array<{path: string, message: string}>}} The upgraded level and what was done
+ * @throws {Error} If the level is not an object, is newer than this build supports or a migration is missing
+ */
+export function migrateLevel(levelData, options = {}) {
+    if (levelData === null || typeof levelData !== 'object' || Array.isArray(levelData)) {
+        const type = levelData === null ? 'null' : Array.isArray(levelData) ? 'array' : typeof levelData;
+        throw new Error(`LevelMigrations - Level data must be an object, got ${type}`);
+    }
+
+    const targetVersion = options.targetVersion ?? CURRENT_FORMAT_VERSION;
+    const fromVersion = getFormatVersion(levelData);
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        throw new Error(`LevelMigrations - Invalid formatVersion: ${JSON.stringify(fromVersion)}`);
+    }
+    if (fromVersion > CURRENT_FORMAT_VERSION) {
+        throw new Error(`LevelMigrations - Level format version ${fromVersion} is newer than the supported version ${CURRENT_FORMAT_VERSION}`);
+    }
+
+    const applied = [];
+    const warnings = [];
+    const context = {
+        warn: (path, message) => warnings.push({ path, message })
+    };
+
+    let level = levelData;
+    for (let version = fromVersion; version < targetVersion; version++) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`LevelMigrations - No migration registered from version ${version} to ${version + 1}`);
+        }
+        level = migration.migrate(level, context);
+        applied.push(`v${version} -> v${version + 1}: ${migration.description}`);
+    }
+
+    // Stamp the version without mutating the caller's data, keeping it first in the JSON
+    if (level.formatVersion !== targetVersion) {
+        const { formatVersion, ...rest } = level;
+        level = { formatVersion: targetVersion, ...rest };
+    }
+
+    return { level, fromVersion, toVersion: targetVersion, applied, warnings };
+}
+
+// v0 -> v1: legacy platform/position levels become grid levels
+registerMigration(LEGACY_FORMAT_VERSION, 'convert legacy platform level to grid format', (levelData, context) => {
+    const { level, report } = convertLegacyLevel(levelData);
+    report.warnings.forEach(warning => context.warn(warning.path, warning.message));
+    return level;
+});
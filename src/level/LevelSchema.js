@@ -0,0 +1,520 @@
+/**
+ * LevelSchema - Formal schema and validator for grid-based level files
+ * Requirements: ARCH-002 (Data-Driven Levels), ARCH-003 (Grid Coordinate System), ARCH-005 (Behavior System)
+ *
+ * The schema is written in a JSON Schema (draft-07) subset so it can be read by
+ * level designers and external tooling. The validator below implements exactly
+ * the keywords the schema uses and reports every problem with a path such as
+ * `$.behaviors[2].config.speed`, instead of stopping at the first error.
+ * Behavior configs are checked against the schemas in the BehaviorRegistry, so
+ * only behavior types that have been registered are accepted.
+ *
+ * This module has no browser or three.js dependencies so it can be used from
+ * LevelManager, the LevelEditor and node tooling alike.
+ */
+
+import { CURRENT_FORMAT_VERSION } from './LevelMigrations.js';
+import behaviorRegistry from '../behaviors/BehaviorRegistry.js';
+import { LOGIC_NODE_TYPES } from '../behaviors/LogicGates.js';
+
+// The schema describes the current level format; older files are migrated before validation
+export const LEVEL_SCHEMA_VERSION = CURRENT_FORMAT_VERSION;
+
+// Shared definitions referenced with $ref
+const definitions = {
+    gridCoord: {
+        type: 'array',
+        items: { type: 'integer' },
+        minItems: 3,
+        maxItems: 3
+    },
+    vector3: {
+        type: 'array',
+        items: { type: 'number' },
+        minItems: 3,
+        maxItems: 3
+    },
+    block: {
+        type: 'object',
+        required: ['type', 'at'],
+        properties: {
+            type: { type: 'string', minLength: 1 },
+            at: { $ref: '#/definitions/gridCoord' },
+            description: { type: 'string' }
+        },
+        additionalProperties: false
+    },
+    behavior: {
+        type: 'object',
+        required: ['type', 'target', 'config'],
+        properties: {
+            type: { type: 'string', minLength: 1 },
+            target: { $ref: '#/definitions/gridCoord' },
+            config: { type: 'object' },
+            listen: {
+                type: 'array',
+                items: { $ref: '#/definitions/signalListener' }
+            },
+            description: { type: 'string' }
+        },
+        additionalProperties: false
+    },
+    signalListener: {
+        type: 'object',
+        required: ['channel'],
+        properties: {
+            channel: { type: 'string', minLength: 1 },
+            action: { type: 'string', enum: ['activate', 'deactivate', 'toggle', 'reset', 'follow'] }
+        },
+        additionalProperties: false
+    },
+    logicNode: {
+        type: 'object',
+        required: ['type', 'inputs', 'output'],
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: LOGIC_NODE_TYPES },
+            inputs: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                minItems: 1
+            },
+            output: { type: 'string', minLength: 1 },
+            count: { type: 'integer', minimum: 1 },
+            repeat: { type: 'boolean' },
+            resetChannel: { type: 'string', minLength: 1 },
+            delay: { type: 'number', minimum: 0 },
+            description: { type: 'string' }
+        },
+        additionalProperties: false
+    }
+};
+
+/**
+ * Level file schema, version 1
+ */
+export const LEVEL_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `kula-level-v${LEVEL_SCHEMA_VERSION}`,
+    title: 'Kula grid level',
+    type: 'object',
+    required: ['gridUnitSize', 'blocks', 'player'],
+    properties: {
+        formatVersion: { type: 'integer', enum: [LEVEL_SCHEMA_VERSION] },
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        theme: { type: 'string' },
+        gridUnitSize: { type: 'number', exclusiveMinimum: 0 },
+        blocks: {
+            type: 'array',
+            items: { $ref: '#/definitions/block' }
+        },
+        decorations: {
+            type: 'array',
+            items: { $ref: '#/definitions/block' }
+        },
+        behaviors: {
+            type: 'array',
+            items: { $ref: '#/definitions/behavior' }
+        },
+        logic: {
+            type: 'array',
+            items: { $ref: '#/definitions/logicNode' }
+        },
+        player: {
+            type: 'object',
+            required: ['spawn'],
+            properties: {
+                spawn: { $ref: '#/definitions/gridCoord' },
+                lives: { type: 'integer', minimum: 1 }
+            },
+            additionalProperties: false
+        },
+        objectives: {
+            type: 'object',
+            properties: {
+                keys: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'at'],
+                        properties: {
+                            id: { type: 'string', minLength: 1 },
+                            at: { $ref: '#/definitions/gridCoord' }
+                        },
+                        additionalProperties: false
+                    }
+                },
+                exit: {
+                    type: ['object', 'null'],
+                    required: ['at'],
+                    properties: {
+                        at: { $ref: '#/definitions/gridCoord' }
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        },
+        collectibles: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['at'],
+                properties: {
+                    type: { type: 'string' },
+                    at: { $ref: '#/definitions/gridCoord' },
+                    value: { type: 'number', minimum: 0 }
+                },
+                additionalProperties: false
+            }
+        },
+        camera: {
+            type: 'object',
+            properties: {
+                position: { $ref: '#/definitions/vector3' },
+                lookAt: { $ref: '#/definitions/vector3' }
+            },
+            additionalProperties: false
+        },
+        gameSettings: {
+            type: 'object',
+            properties: {
+                initialLives: { type: 'integer', minimum: 1 },
+                timeLimit: { type: 'number', minimum: 0 }
+            },
+            additionalProperties: false
+        },
+        levelBounds: {
+            type: 'object',
+            properties: {
+                fallThreshold: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false,
+    definitions
+};
+
+/**
+ * Get the JSON type name of a value as used by the `type` keyword
+ * @param {*} value - Any JSON value
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Check a value against one of the `type` keyword names
+ * @param {*} value - Value to check
+ * @param {string} typeName - Schema type name
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, typeName) {
+    const actual = jsonTypeOf(value);
+    if (typeName === 'number') {
+        return actual === 'number' || actual === 'integer';
+    }
+    return actual === typeName;
+}
+
+/**
+ * Resolve a local `#/definitions/...` reference
+ * @param {string} ref - The $ref string
+ * @param {Object} rootSchema - Schema holding the definitions
+ * @returns {Object} The referenced schema
+ */
+function resolveRef(ref, rootSchema) {
+    const name = ref.replace('#/definitions/', '');
+    const resolved = rootSchema.definitions && rootSchema.definitions[name];
+    if (!resolved) {
+        throw new Error(`LevelSchema - Unresolvable schema reference '${ref}'`);
+    }
+    return resolved;
+}
+
+/**
+ * Build the path of an object property
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema written in the supported JSON Schema subset
+ * Supported keywords: $ref, type, enum, required, properties, additionalProperties,
+ * items, minItems, maxItems, minimum, maximum, exclusiveMinimum, minLength
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} path - Path of the value, used in error messages
+ * @param {Object} rootSchema - Schema used to resolve $ref (defaults to LEVEL_SCHEMA)
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export function validateAgainstSchema(value, schema, path = '$', rootSchema = LEVEL_SCHEMA) {
+    const errors = [];
+
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveRef(schema.$ref, rootSchema), path, rootSchema);
+    }
+
+    // Type check first - the remaining keywords only make sense for the right type
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowedTypes.some(typeName => matchesType(value, typeName))) {
+            errors.push({
+                path,
+                message: `must be ${allowedTypes.join(' or ')}, got ${jsonTypeOf(value)}`
+            });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({
+            path,
+            message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`
+        });
+    }
+
+    const valueType = jsonTypeOf(value);
+
+    if (valueType === 'integer' || valueType === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}, got ${value}` });
+        }
+    }
+
+    if (valueType === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must not be shorter than ${schema.minLength} characters` });
+    }
+
+    if (valueType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items, got ${value.length}` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items, got ${value.length}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`, rootSchema));
+            });
+        }
+    }
+
+    if (valueType === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: childPath(path, key), message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const propertyPath = childPath(path, key);
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], propertyPath, rootSchema));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: propertyPath, message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, propertyPath, rootSchema));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Convert grid coordinates to a lookup key
+ * @param {Array} coords - Grid coordinates [x, y, z]
+ * @returns {string} Key in the form "x,y,z"
+ */
+function coordKey(coords) {
+    return `${coords[0]},${coords[1]},${coords[2]}`;
+}
+
+/**
+ * Check that a value is a well-formed grid coordinate
+ * @param {*} coords - Value to check
+ * @returns {boolean} True for an array of three integers
+ */
+function isGridCoord(coords) {
+    return Array.isArray(coords) && coords.length === 3 && coords.every(Number.isInteger);
+}
+
+/**
+ * Get the object entries of a level collection for cross-referencing
+ * Structural validation reports a collection that is not an array, or an
+ * entry that is not an object; the reference checks skip them.
+ * @param {*} collection - Value of e.g. levelData.blocks
+ * @returns {Array<{item: Object, index: number}>} Object entries with their index
+ */
+function objectEntries(collection) {
+    if (!Array.isArray(collection)) return [];
+    return collection
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => jsonTypeOf(item) === 'object');
+}
+
+/**
+ * Cross-reference checks that cannot be expressed in the schema itself:
+ * duplicate cells, behavior targets that do not point at a block, unknown
+ * behavior and block types, per-type logic node requirements and duplicate key ids.
+ * Malformed parts of the level are left to the structural errors.
+ * @param {Object} levelData - Level data object, structurally valid or not
+ * @param {Object} options - See validateLevel
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+function validateReferences(levelData, options) {
+    const errors = [];
+    const blocksByCell = new Map();
+
+    objectEntries(levelData.blocks).forEach(({ item: block, index }) => {
+        if (!isGridCoord(block.at)) return;
+
+        const key = coordKey(block.at);
+        if (blocksByCell.has(key)) {
+            errors.push({
+                path: `$.blocks[${index}].at`,
+                message: `cell [${key}] is already occupied by $.blocks[${blocksByCell.get(key)}]`
+            });
+        } else {
+            blocksByCell.set(key, index);
+        }
+    });
+
+    if (options.blockTypes) {
+        ['blocks', 'decorations'].forEach(collection => {
+            objectEntries(levelData[collection]).forEach(({ item: block, index }) => {
+                if (typeof block.type === 'string' && !options.blockTypes.includes(block.type)) {
+                    errors.push({
+                        path: `$.${collection}[${index}].type`,
+                        message: `unknown block type '${block.type}'`
+                    });
+                }
+            });
+        });
+    }
+
+    objectEntries(levelData.behaviors).forEach(({ item: behavior, index }) => {
+        const path = `$.behaviors[${index}]`;
+        const configSchema = behaviorRegistry.getConfigSchema(behavior.type);
+        const config = behavior.config && typeof behavior.config === 'object' ? behavior.config : null;
+
+        if (!configSchema) {
+            errors.push({
+                path: `${path}.type`,
+                message: `unknown behavior type '${behavior.type}' (expected one of ${behaviorRegistry.getTypes().join(', ')})`
+            });
+        } else if (config) {
+            errors.push(...validateAgainstSchema(config, configSchema, `${path}.config`));
+        }
+
+        if (isGridCoord(behavior.target) && !blocksByCell.has(coordKey(behavior.target))) {
+            errors.push({
+                path: `${path}.target`,
+                message: `no block at [${coordKey(behavior.target)}]`
+            });
+        }
+
+        // Grid coordinates in a config (e.g. a switch's targetBlock) must point at a block
+        if (configSchema && config) {
+            Object.entries(configSchema.properties || {}).forEach(([name, propertySchema]) => {
+                if (propertySchema.$ref !== '#/definitions/gridCoord') return;
+
+                const cell = config[name];
+                if (isGridCoord(cell) && !blocksByCell.has(coordKey(cell))) {
+                    errors.push({
+                        path: `${path}.config.${name}`,
+                        message: `no block at [${coordKey(cell)}]`
+                    });
+                }
+            });
+        }
+    });
+
+    objectEntries(levelData.logic).forEach(({ item: node, index }) => {
+        const path = `$.logic[${index}]`;
+        const inputCount = Array.isArray(node.inputs) ? node.inputs.length : 0;
+
+        if ((node.type === 'not' || node.type === 'delay') && inputCount !== 1) {
+            errors.push({ path: `${path}.inputs`, message: `${node.type} nodes take exactly 1 input, got ${inputCount}` });
+        }
+        if (node.type === 'counter' && node.count === undefined) {
+            errors.push({ path: `${path}.count`, message: 'is required for counter nodes' });
+        }
+        if (node.type === 'delay' && node.delay === undefined) {
+            errors.push({ path: `${path}.delay`, message: 'is required for delay nodes' });
+        }
+        if (Array.isArray(node.inputs) && node.inputs.includes(node.output)) {
+            errors.push({ path: `${path}.output`, message: `channel '${node.output}' feeds back into its own inputs` });
+        }
+    });
+
+    const keyIds = new Map();
+    const objectives = jsonTypeOf(levelData.objectives) === 'object' ? levelData.objectives : {};
+    objectEntries(objectives.keys).forEach(({ item: key, index }) => {
+        if (typeof key.id !== 'string') return;
+
+        if (keyIds.has(key.id)) {
+            errors.push({
+                path: `$.objectives.keys[${index}].id`,
+                message: `duplicate key id '${key.id}' (also used by $.objectives.keys[${keyIds.get(key.id)}])`
+            });
+        } else {
+            keyIds.set(key.id, index);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate grid level data against the level schema
+ * Requirement: ARCH-002 - Data-Driven Levels
+ * @param {Object} levelData - Parsed level JSON
+ * @param {Object} options - Validation options
+ * @param {Array<string>} [options.blockTypes] - Known block types; unknown types are reported when given
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Validation result
+ */
+export function validateLevel(levelData, options = {}) {
+    const errors = validateAgainstSchema(levelData, LEVEL_SCHEMA);
+
+    // Only cross-reference a structurally sound root object
+    if (jsonTypeOf(levelData) === 'object') {
+        errors.push(...validateReferences(levelData, options));
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Format validation errors as human readable lines
+ * @param {Array<{path: string, message: string}>} errors - Errors from validateLevel
+ * @returns {Array<string>} One line per error
+ */
+export function formatValidationErrors(errors) {
+    return errors.map(error => `${error.path}: ${error.message}`);
+}
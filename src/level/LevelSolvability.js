@@ -0,0 +1,467 @@
+/**
+ * LevelSolvability - Reachability analysis for grid-based levels
+ * Requirements: ARCH-003 (Grid Coordinate System), PROD-004 (Key Collection), PROD-005 (Exit Portal)
+ *
+ * Builds a graph of the places the player can rest - the open faces of solid
+ * blocks - and the moves between them: rolling onto a neighbouring block,
+ * wrapping around a block edge onto the side face, jumping a gap, climbing a
+ * ledge within jump height, dropping off an edge, riding an elevator and
+ * taking a teleporter. From the spawn it reports keys and an exit the player
+ * can never reach, and dead-end regions from which the exit cannot be reached
+ * without losing a life.
+ *
+ * The analysis is optimistic: blocks that disappear or crumble count as solid,
+ * and switched behaviors as active, so a reported error is a real problem. Like
+ * LevelSchema it has no browser or three.js dependencies.
+ */
+
+// Player movement, matching the PlayerController and PhysicsManager defaults
+export const DEFAULT_MOVEMENT = {
+    jumpImpulse: 8.0, // PlayerController.jumpImpulse
+    moveSpeed: 5.0, // PlayerController.moveSpeed
+    gravity: 9.82, // PhysicsManager.gravityMagnitude
+    playerRadius: 0.5
+};
+
+// Where LevelManager places objectives relative to their grid cell, and how close the player must get
+const KEY_RAISE = 2;
+const KEY_PICKUP_DISTANCE = 1.0;
+const EXIT_RAISE = 0.5;
+const EXIT_PICKUP_DISTANCE = 1.5;
+
+// Default spring launch speed, matching SpringBehavior
+const DEFAULT_SPRING_IMPULSE = 12.0;
+
+// Same order TeleporterBehavior tries faces in
+const FACE_NORMALS = [[0, 1, 0], [0, -1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (a, k) => [a[0] * k, a[1] * k, a[2] * k];
+const cellKey = (cell) => cell.join(',');
+const nodeKey = (cell, normal) => `${cellKey(cell)}|${cellKey(normal)}`;
+
+/**
+ * Analyze whether every key and the exit of a grid level can be reached
+ * @param {Object} levelData - Level in the current grid format
+ * @param {Object} [options]
+ * @param {Function} [options.isSolidBlock] - (type) => whether blocks of the type have a collider;
+ *        by default every block is solid
+ * @param {Object} [options.movement] - Overrides for DEFAULT_MOVEMENT
+ * @returns {Object} { solvable, errors, warnings, keys, exit, deadEnds, reachableCount },
+ *          where errors and warnings are { path, message } like LevelSchema's
+ */
+export function analyzeSolvability(levelData, options = {}) {
+    const graph = new ReachabilityGraph(levelData, options);
+    const errors = [];
+    const warnings = [];
+
+    const start = graph.findStart();
+    if (!start.node) {
+        errors.push({ path: '$.player.spawn', message: start.reason });
+        return { solvable: false, errors, warnings, keys: [], exit: null, deadEnds: [], reachableCount: 0 };
+    }
+
+    const reachable = graph.reachableFrom([start.node]);
+
+    const objectives = levelData.objectives || {};
+    const keys = (objectives.keys || []).map((key, index) => {
+        const isReachable = graph.someNodeReaches(reachable, key.at, KEY_RAISE, KEY_PICKUP_DISTANCE);
+        if (!isReachable) {
+            errors.push({
+                path: `$.objectives.keys[${index}]`,
+                message: `key '${key.id || index}' at [${key.at}] cannot be reached from the spawn${graph.describeCell(key.at)}`
+            });
+        }
+        return { id: key.id, at: key.at, reachable: isReachable };
+    });
+
+    let exit = null;
+    if (objectives.exit) {
+        const exitNodes = graph.nodesReaching(reachable, objectives.exit.at, EXIT_RAISE, EXIT_PICKUP_DISTANCE);
+        exit = { at: objectives.exit.at, reachable: exitNodes.length > 0 };
+        if (!exit.reachable) {
+            errors.push({
+                path: '$.objectives.exit',
+                message: `exit at [${objectives.exit.at}] cannot be reached from the spawn${graph.describeCell(objectives.exit.at)}`
+            });
+        }
+    }
+
+    // Only meaningful when the exit can be reached at all
+    let deadEnds = [];
+    if (exit && exit.reachable) {
+        const escapes = graph.reachableTo(graph.nodesReaching(reachable, objectives.exit.at, EXIT_RAISE, EXIT_PICKUP_DISTANCE));
+        deadEnds = graph.groupRegions([...reachable].filter(key => !escapes.has(key)));
+        deadEnds.forEach(region => {
+            warnings.push({
+                path: '$.blocks',
+                message: `dead end at [${region.cells[0]}] (${region.cells.length} block(s)): the exit cannot be reached from there without losing a life`
+            });
+        });
+    }
+
+    return {
+        solvable: errors.length === 0,
+        errors,
+        warnings,
+        keys,
+        exit,
+        deadEnds,
+        reachableCount: reachable.size
+    };
+}
+
+/**
+ * Graph of resting places on a level's blocks
+ */
+class ReachabilityGraph {
+    constructor(levelData, options) {
+        const isSolidBlock = options.isSolidBlock || (() => true);
+        const movement = { ...DEFAULT_MOVEMENT, ...options.movement };
+
+        this.unit = levelData.gridUnitSize || 4;
+        this.spawn = levelData.player?.spawn || null;
+        this.radius = movement.playerRadius;
+        this.jumpHeight = (movement.jumpImpulse * movement.jumpImpulse) / (2 * movement.gravity);
+        this.gravity = movement.gravity;
+
+        // Horizontal distance covered while a jump rises and falls back to the same height
+        const jumpRange = movement.moveSpeed * (2 * movement.jumpImpulse / movement.gravity);
+        this.maxGapCells = Math.max(0, Math.floor((jumpRange - 2 * this.radius) / this.unit));
+
+        this.solid = new Set();
+        this.bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+        (levelData.blocks || []).forEach(block => {
+            if (!isSolidBlock(block.type)) return;
+            this.solid.add(cellKey(block.at));
+            for (let i = 0; i < 3; i++) {
+                this.bounds.min[i] = Math.min(this.bounds.min[i], block.at[i]);
+                this.bounds.max[i] = Math.max(this.bounds.max[i], block.at[i]);
+            }
+        });
+
+        this.parseBehaviors(levelData.behaviors || []);
+        this.edges = new Map();
+    }
+
+    /**
+     * Collect elevators, teleporters and springs
+     * @param {Array<Object>} behaviors - Level behaviors
+     */
+    parseBehaviors(behaviors) {
+        this.liftEnds = new Set(); // Cells an elevator block moves to
+        this.lifts = new Map(); // cell -> [end cells], both directions
+        this.teleports = new Map(); // cell -> [{ to, normal }]
+        this.springs = new Map(); // cell -> { height, target }
+
+        const toCell = (position) => position.map(value => Math.round(value / this.unit));
+        const link = (map, key, entry) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(entry);
+        };
+
+        behaviors.forEach(behavior => {
+            const config = behavior.config || {};
+            const target = behavior.target;
+
+            if (behavior.type === 'elevator') {
+                // The player boards the block where it is placed and rides it to the end position
+                const startCell = target;
+                const endCell = config.endPosition
+                    ? toCell(config.endPosition)
+                    : toCell(add(scale(target, this.unit), [0, 10, 0]));
+                if (cellKey(startCell) === cellKey(endCell)) return;
+                this.liftEnds.add(cellKey(endCell));
+                link(this.lifts, cellKey(startCell), endCell);
+                link(this.lifts, cellKey(endCell), startCell);
+            } else if (behavior.type === 'teleporter' && Array.isArray(config.destination)) {
+                link(this.teleports, cellKey(target), { to: config.destination, normal: config.destinationNormal || null });
+                if (config.bidirectional) {
+                    link(this.teleports, cellKey(config.destination), { to: target, normal: config.sourceNormal || null });
+                }
+            } else if (behavior.type === 'spring') {
+                const impulse = config.impulse || DEFAULT_SPRING_IMPULSE;
+                this.springs.set(cellKey(target), {
+                    height: (impulse * impulse) / (2 * this.gravity),
+                    target: config.targetBlock || null
+                });
+            }
+        });
+    }
+
+    isSolid(cell) {
+        return this.solid.has(cellKey(cell));
+    }
+
+    /**
+     * Whether the player can rest on a face: the block (or an elevator stop) is there and the face is open
+     */
+    isRestingPlace(cell, normal) {
+        return (this.isSolid(cell) || this.liftEnds.has(cellKey(cell))) && !this.isSolid(add(cell, normal));
+    }
+
+    /**
+     * Hint for an unreachable objective
+     * @returns {string} ' (inside a block)' if the cell is solid, else ''
+     */
+    describeCell(cell) {
+        return this.isSolid(cell) ? ' (inside a block)' : '';
+    }
+
+    isInBounds(cell) {
+        return cell.every((value, i) => value >= this.bounds.min[i] - 1 && value <= this.bounds.max[i] + 1);
+    }
+
+    /**
+     * Find where the player comes to rest after spawning
+     * Grid levels start with gravity pointing down.
+     * @returns {Object} { node } or { reason }
+     */
+    findStart() {
+        if (!this.spawn) {
+            return { reason: 'level has no player spawn' };
+        }
+        if (this.isSolid(this.spawn)) {
+            return { reason: `spawn [${this.spawn}] is inside a block` };
+        }
+        const landing = this.fall(this.spawn, [0, 1, 0]);
+        if (!landing) {
+            return { reason: `spawn [${this.spawn}] is above empty space` };
+        }
+        return { node: nodeKey(landing, [0, 1, 0]) };
+    }
+
+    /**
+     * Find the first block below a cell along gravity
+     * @param {Array<number>} from - Empty cell the player falls from
+     * @param {Array<number>} up - Direction opposite to gravity
+     * @returns {Array<number>|null} Cell landed on, or null if the player falls out of the level
+     */
+    fall(from, up) {
+        let cell = from;
+        while (this.isInBounds(cell)) {
+            const below = add(cell, scale(up, -1));
+            if (this.isSolid(below)) return below;
+            cell = below;
+        }
+        return null;
+    }
+
+    /**
+     * Get the resting places reachable in one move
+     * @param {string} key - Node key
+     * @returns {Array<string>} Node keys
+     */
+    getNeighbours(key) {
+        if (this.edges.has(key)) return this.edges.get(key);
+
+        const [cellText, normalText] = key.split('|');
+        const cell = cellText.split(',').map(Number);
+        const normal = normalText.split(',').map(Number);
+        const result = new Set();
+        const addNode = (toCell, toNormal) => {
+            if (this.isRestingPlace(toCell, toNormal)) result.add(nodeKey(toCell, toNormal));
+        };
+
+        const spring = this.springs.get(cellText);
+        const jumpHeight = Math.max(this.jumpHeight, spring ? spring.height : 0);
+        const climbCells = Math.floor(jumpHeight / this.unit);
+        const above = add(cell, normal);
+
+        FACE_NORMALS.forEach(direction => {
+            if (direction.some((value, i) => value !== 0 && normal[i] !== 0)) return; // Not along the face
+
+            const ahead = add(cell, direction);
+            if (this.isSolid(add(above, direction))) {
+                // Wall ahead: climb onto it if it is low enough
+                for (let rise = 1; rise <= climbCells; rise++) {
+                    if (this.isSolid(add(cell, scale(normal, rise + 1)))) break;
+                    const ledge = add(ahead, scale(normal, rise));
+                    if (!this.isSolid(add(ledge, normal))) {
+                        addNode(ledge, normal);
+                        break;
+                    }
+                }
+                return;
+            }
+
+            if (this.isSolid(ahead) || this.liftEnds.has(cellKey(ahead))) {
+                addNode(ahead, normal);
+                return;
+            }
+
+            // Rolling over the edge wraps onto the side of the same block
+            addNode(cell, direction);
+
+            // Jumping off the edge drops onto whatever is below
+            const landing = this.fall(add(ahead, scale(normal, 1)), normal);
+            if (landing) addNode(landing, normal);
+
+            // Jumping across a gap onto a block at the same height
+            for (let gap = 1; gap <= this.maxGapCells; gap++) {
+                const over = add(cell, scale(direction, gap));
+                if (this.isSolid(over) || this.isSolid(add(over, normal))) break;
+                const far = add(cell, scale(direction, gap + 1));
+                if (this.isSolid(far)) {
+                    addNode(far, normal);
+                    break;
+                }
+            }
+        });
+
+        (this.lifts.get(cellText) || []).forEach(end => addNode(end, normal));
+
+        (this.teleports.get(cellText) || []).forEach(({ to, normal: arrival }) => {
+            addNode(to, arrival ? arrival.map(Math.round) : this.findOpenFace(to, normal));
+        });
+
+        if (spring && spring.target) {
+            const height = (spring.target.reduce((sum, value, i) => sum + (value - cell[i]) * normal[i], 0)) * this.unit;
+            if (height <= spring.height) addNode(spring.target, normal);
+        }
+
+        const neighbours = [...result];
+        this.edges.set(key, neighbours);
+        return neighbours;
+    }
+
+    /**
+     * Find the face a teleporter puts the player on, as TeleporterBehavior does
+     */
+    findOpenFace(cell, preferred) {
+        const open = [preferred, ...FACE_NORMALS].find(normal => !this.isSolid(add(cell, normal)));
+        return open || preferred;
+    }
+
+    /**
+     * Breadth-first search along the moves
+     * @param {Array<string>} starts - Node keys
+     * @returns {Set<string>} Reachable node keys, including the starts
+     */
+    reachableFrom(starts) {
+        const visited = new Set(starts);
+        const queue = [...starts];
+        while (queue.length > 0) {
+            this.getNeighbours(queue.shift()).forEach(next => {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+        return visited;
+    }
+
+    /**
+     * Nodes from which one of the targets can be reached
+     * Only nodes whose edges were built by reachableFrom are considered.
+     * @param {Array<string>} targets - Node keys
+     * @returns {Set<string>}
+     */
+    reachableTo(targets) {
+        const reverse = new Map();
+        this.edges.forEach((neighbours, from) => {
+            neighbours.forEach(to => {
+                if (!reverse.has(to)) reverse.set(to, []);
+                reverse.get(to).push(from);
+            });
+        });
+
+        const visited = new Set(targets);
+        const queue = [...targets];
+        while (queue.length > 0) {
+            (reverse.get(queue.shift()) || []).forEach(previous => {
+                if (!visited.has(previous)) {
+                    visited.add(previous);
+                    queue.push(previous);
+                }
+            });
+        }
+        return visited;
+    }
+
+    /**
+     * Nodes from which the player passes close enough to an objective to collect it
+     * The player rolls anywhere on a face and jumps up to jump height off it.
+     * @param {Set<string>} nodes - Candidate node keys
+     * @param {Array<number>} at - Objective grid cell
+     * @param {number} raise - Height of the objective above its cell center
+     * @param {number} pickupDistance - Distance between centers that collects it
+     * @returns {Array<string>} Node keys
+     */
+    nodesReaching(nodes, at, raise, pickupDistance) {
+        const target = [at[0] * this.unit, at[1] * this.unit + raise, at[2] * this.unit];
+        const half = this.unit / 2;
+
+        return [...nodes].filter(key => {
+            const [cellText, normalText] = key.split('|');
+            const cell = cellText.split(',').map(Number);
+            const normal = normalText.split(',').map(Number);
+            const spring = this.springs.get(cellText);
+            const jumpHeight = Math.max(this.jumpHeight, spring ? spring.height : 0);
+
+            // Box swept by the player's center while on this face
+            let distanceSquared = 0;
+            for (let i = 0; i < 3; i++) {
+                const center = cell[i] * this.unit;
+                let min = center - half;
+                let max = center + half;
+                if (normal[i] !== 0) {
+                    const near = center + normal[i] * (half + this.radius);
+                    const far = near + normal[i] * jumpHeight;
+                    min = Math.min(near, far);
+                    max = Math.max(near, far);
+                }
+                const outside = Math.max(min - target[i], 0, target[i] - max);
+                distanceSquared += outside * outside;
+            }
+            return distanceSquared < pickupDistance * pickupDistance;
+        });
+    }
+
+    someNodeReaches(nodes, at, raise, pickupDistance) {
+        return this.nodesReaching(nodes, at, raise, pickupDistance).length > 0;
+    }
+
+    /**
+     * Group nodes into regions connected by moves in either direction
+     * @param {Array<string>} keys - Node keys
+     * @returns {Array<Object>} Regions of { cells } with the distinct block cells, largest first
+     */
+    groupRegions(keys) {
+        const members = new Set(keys);
+        const seen = new Set();
+        const regions = [];
+
+        const linked = new Map();
+        keys.forEach(key => {
+            this.getNeighbours(key).forEach(next => {
+                if (!members.has(next)) return;
+                if (!linked.has(key)) linked.set(key, []);
+                if (!linked.has(next)) linked.set(next, []);
+                linked.get(key).push(next);
+                linked.get(next).push(key);
+            });
+        });
+
+        keys.forEach(key => {
+            if (seen.has(key)) return;
+            const cells = new Set();
+            const queue = [key];
+            seen.add(key);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                cells.add(current.split('|')[0]);
+                (linked.get(current) || []).forEach(next => {
+                    if (!seen.has(next)) {
+                        seen.add(next);
+                        queue.push(next);
+                    }
+                });
+            }
+            regions.push({ cells: [...cells].map(text => text.split(',').map(Number)) });
+        });
+
+        return regions.sort((a, b) => b.cells.length - a.cells.length);
+    }
+}
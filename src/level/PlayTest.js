@@ -0,0 +1,52 @@
+/**
+ * PlayTest - Hands a level from the level editor to the game
+ * Requirements: USER-004 (Grid-Based Placement), ARCH-002 (Data-Driven Levels)
+ *
+ * The editor opens the game in a new tab with `?playtest` in the URL. The game
+ * tab sends its opener a READY message and receives the level in a LEVEL
+ * message; when the test ends it sends ENDED with the outcome and closes, so
+ * the editor - camera and all - is left as it was. The game tab keeps the
+ * level in its sessionStorage, so reloading it replays the same level.
+ */
+
+export const PLAYTEST_PARAM = 'playtest';
+export const PLAYTEST_STORAGE_KEY = 'kulaPlaytestLevel';
+export const PLAYTEST_LEVEL_ID = 'playtest';
+
+export const PLAYTEST_MESSAGES = {
+    READY: 'kulaPlaytestReady',
+    LEVEL: 'kulaPlaytestLevel',
+    ENDED: 'kulaPlaytestEnded'
+};
+
+/**
+ * Whether a page was opened for a play test
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {boolean}
+ */
+export function isPlayTestUrl(search) {
+    return new URLSearchParams(search).has(PLAYTEST_PARAM);
+}
+
+/**
+ * Build the level to play-test from editor level data
+ * @param {Object} levelData - Level data from the editor; not modified
+ * @param {Array<number>|null} [spawnCell] - Grid cell to start in instead of the level's spawn.
+ *        A cell taken by a block moves up to the first free cell above it.
+ * @returns {Object} Copy of the level with the play-test id and spawn
+ */
+export function createPlayTestLevel(levelData, spawnCell = null) {
+    const level = JSON.parse(JSON.stringify(levelData));
+    level.id = PLAYTEST_LEVEL_ID;
+
+    if (spawnCell) {
+        const occupied = new Set((level.blocks || []).map(block => block.at.join()));
+        const spawn = [...spawnCell];
+        while (occupied.has(spawn.join())) {
+            spawn[1]++;
+        }
+        level.player = { ...level.player, spawn };
+    }
+
+    return level;
+}
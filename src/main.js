@@ -6,6 +6,7 @@
 // Import game modules
 import { Game } from './core/Game.js';
 import { GameFlowManager } from './game/GameFlowManager.js';
+import { isPlayTestUrl } from './level/PlayTest.js';
 
 // Wait for DOM to be ready
 window.addEventListener('DOMContentLoaded', () => {
@@ -30,6 +31,11 @@ window.addEventListener('DOMContentLoaded', () => {
     // The game will be started when a level is selected from the menu
     // gameFlowManager handles the initial state (main menu)
     
+    // Opened from the level editor: play its level straight away
+    if (isPlayTestUrl(window.location.search)) {
+        gameFlowManager.startPlayTest();
+    }
+    
     // Expose instances globally for testing
     window.game = game;
     window.gameFlowManager = gameFlowManager;
@@ -4,6 +4,28 @@
  */
 
 import * as CANNON from 'cannon-es';
+import assetRegistry from '../assets/AssetRegistry.js';
+
+// Grid axes, used to find the face the player rolls onto
+const GRID_AXES = [
+    new CANNON.Vec3(1, 0, 0), new CANNON.Vec3(-1, 0, 0),
+    new CANNON.Vec3(0, 1, 0), new CANNON.Vec3(0, -1, 0),
+    new CANNON.Vec3(0, 0, 1), new CANNON.Vec3(0, 0, -1)
+];
+
+// How far above a face the player's surface may be and still count as rolling on it
+const EDGE_CONTACT_TOLERANCE = 0.5;
+
+// Minimum speed over the edge before the player wraps onto the next face
+const EDGE_WRAP_MIN_SPEED = 0.1;
+
+// Easing curves for gravity transitions: map elapsed share (0-1) to rotation share (0-1)
+const GRAVITY_EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => t * t * (3 - 2 * t)
+};
 
 export class PhysicsManager {
     constructor() {
@@ -25,7 +47,15 @@ export class PhysicsManager {
         // Physics bodies
         this.playerBody = null;
         this.floorBody = null;
-        this.wallBodies = []; // Track wall bodies for edge detection
+        this.wallBodies = []; // Track wall bodies for edge detection (legacy levels)
+        
+        // Scratch state for rendering between fixed steps
+        this.interpolatedPosition = new CANNON.Vec3();
+        this.interpolatedQuaternion = new CANNON.Quaternion();
+        
+        // Occupied grid cells for edge wrapping - set by LevelManager for grid levels
+        this.gridCells = new Set();
+        this.gridUnitSize = 4;
         
         // Material for physics interactions
         this.playerMaterial = new CANNON.Material('player');
@@ -44,12 +74,26 @@ export class PhysicsManager {
         );
         this.world.addContactMaterial(playerGroundContact);
         
+        // Block surface materials (ice, mud, ...), created on first use; 'default' is the ground material
+        this.surfaceMaterials = new Map([['default', this.groundMaterial]]);
+        this.playerSurface = 'default'; // Surface the player last stood on
+        
         // Gravity reorientation tracking - Requirement: PROD-001
         this.currentGravityDirection = new CANNON.Vec3(0, -1, 0); // Normalized gravity direction
         this.gravityMagnitude = 9.82;
         this.isTransitioning = false;
         this.targetGravity = null;
-        this.gravityTransitionSpeed = 2.0; // How fast gravity transitions (radians per second)
+        this.gravityTransition = null; // { from, axis, angle, elapsed, duration, easing }
+        this.gravityTransitionDuration = 0.6; // Seconds for a gravity rotation
+        this.gravityTransitionEasing = 'easeInOut'; // Name from GRAVITY_EASINGS or a function
+        
+        // Gravity transition and teleport events - CameraController, PlayerController and Game subscribe with on()
+        this.listeners = {
+            gravityTransitionStart: [],
+            gravityTransitionProgress: [],
+            gravityTransitionComplete: [],
+            playerTeleported: []
+        };
         
         // Reference to player controller for gravity updates
         this.playerController = null;
@@ -71,6 +115,12 @@ export class PhysicsManager {
      * @returns {CANNON.Body} The player physics body
      */
     createPlayerBody(position) {
+        // Replace the body of a previous level
+        if (this.playerBody) {
+            this.world.removeBody(this.playerBody);
+        }
+        this.playerSurface = 'default';
+        
         // Create sphere shape matching visual sphere (radius 0.5)
         const shape = new CANNON.Sphere(0.5);
         
@@ -179,6 +229,117 @@ export class PhysicsManager {
         
         // Step the physics world
         this.world.step(clampedDelta);
+        
+        // Tell the player controller which surface they are standing on
+        if (this.playerBody) {
+            const surface = this.getGroundSurface();
+            if (surface && surface !== this.playerSurface) {
+                this.playerSurface = surface;
+                if (this.playerController && this.playerController.setSurface) {
+                    this.playerController.setSurface(surface);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Get the physics material for a block surface
+     * Creates the material and its contact material with the player on first use.
+     * @param {string} [surface='default'] - Surface name from the block definition
+     * @returns {CANNON.Material} Material to assign to the block body
+     */
+    getSurfaceMaterial(surface = 'default') {
+        if (this.surfaceMaterials.has(surface)) {
+            return this.surfaceMaterials.get(surface);
+        }
+        
+        const definition = assetRegistry.getSurfaceDefinition(surface);
+        if (definition === assetRegistry.getSurfaceDefinition('default')) {
+            return this.groundMaterial;
+        }
+        
+        const material = new CANNON.Material(surface);
+        this.world.addContactMaterial(new CANNON.ContactMaterial(
+            this.playerMaterial,
+            material,
+            {
+                friction: definition.friction,
+                restitution: definition.restitution,
+                contactEquationStiffness: 1e8,
+                contactEquationRelaxation: 3
+            }
+        ));
+        this.surfaceMaterials.set(surface, material);
+        
+        console.log(`PhysicsManager::getSurfaceMaterial - Created '${surface}' material (friction ${definition.friction}, restitution ${definition.restitution})`);
+        
+        return material;
+    }
+    
+    /**
+     * Get the surface of the body the player is standing on
+     * Only contacts below the player relative to the current gravity count.
+     * @returns {string|null} Surface name, or null if the player is not on the ground
+     */
+    getGroundSurface() {
+        if (!this.playerBody) return null;
+        
+        const gravityDirection = this.getGravityDirection();
+        for (const contact of this.world.contacts) {
+            let other;
+            let alongGravity; // Contact normal pointing from the player into the other body
+            if (contact.bi === this.playerBody) {
+                other = contact.bj;
+                alongGravity = contact.ni.dot(gravityDirection);
+            } else if (contact.bj === this.playerBody) {
+                other = contact.bi;
+                alongGravity = -contact.ni.dot(gravityDirection);
+            } else {
+                continue;
+            }
+            
+            if (alongGravity > 0.5) {
+                return this.getBodySurface(other);
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the surface name of a body from its material
+     * @param {CANNON.Body} body - Physics body
+     * @returns {string} Surface name; 'default' for bodies without a surface material
+     */
+    getBodySurface(body) {
+        for (const [surface, material] of this.surfaceMaterials) {
+            if (body.material === material) return surface;
+        }
+        return 'default';
+    }
+    
+    /**
+     * Set the occupied grid cells used for edge wrapping
+     * Requirement: PROD-013 - Universal 3D Grid
+     * @param {Array<Array<number>>} cells - Grid coordinates [x, y, z] of solid blocks
+     * @param {number} [gridUnitSize=4] - World size of one grid cell
+     */
+    setGridCells(cells, gridUnitSize = 4) {
+        this.gridCells = new Set(cells.map(([x, y, z]) => `${x},${y},${z}`));
+        this.gridUnitSize = gridUnitSize;
+        
+        console.log(`PhysicsManager::setGridCells - ${this.gridCells.size} occupied cells for edge wrapping`);
+    }
+    
+    /**
+     * Check whether a grid cell holds a solid block
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     * @param {number} z - Grid Z
+     * @returns {boolean} True if the cell is occupied
+     */
+    isCellOccupied(x, y, z) {
+        return this.gridCells.has(`${x},${y},${z}`);
     }
     
     /**
@@ -188,6 +349,108 @@ export class PhysicsManager {
     checkEdgeTransition() {
         if (!this.playerBody) return;
         
+        if (this.gridCells.size > 0) {
+            this.checkGridEdgeTransition();
+        } else {
+            this.checkWallTransition();
+        }
+    }
+    
+    /**
+     * Wrap the player around the edge of a grid block when they roll off a face
+     * The player must be rolling on the face, have their center past the edge, and
+     * the cell beyond the edge must be empty; the face they wrap onto is the side
+     * of the same block, so all six gravity directions work the same way.
+     * Requirement: PROD-001 - Gravity Reorientation, PROD-013 - Universal 3D Grid
+     */
+    checkGridEdgeTransition() {
+        if (this.isTransitioning) return;
+        
+        const up = this.getGridUpAxis();
+        if (!up) return;
+        
+        const unit = this.gridUnitSize;
+        const half = unit / 2;
+        const radius = this.playerBody.shapes[0]?.radius || 0.5;
+        const playerPos = this.playerBody.position;
+        
+        // Cell of the block the player would be standing on
+        const below = playerPos.vsub(up.scale(half + radius));
+        const cell = [Math.round(below.x / unit), Math.round(below.y / unit), Math.round(below.z / unit)];
+        if (this.isCellOccupied(...cell)) return; // Still supported
+        
+        // Find the block the player just rolled off
+        let best = null;
+        for (const axis of GRID_AXES) {
+            if (Math.abs(axis.dot(up)) > 0.5) continue;
+            
+            const block = [cell[0] - axis.x, cell[1] - axis.y, cell[2] - axis.z];
+            if (!this.isCellOccupied(...block)) continue;
+            
+            const center = new CANNON.Vec3(block[0] * unit, block[1] * unit, block[2] * unit);
+            const offset = playerPos.vsub(center);
+            const height = offset.dot(up);
+            if (height < half || height > half + radius + EDGE_CONTACT_TOLERANCE) continue; // Not rolling on the face
+            
+            const pastEdge = offset.dot(axis) - half;
+            if (pastEdge < 0 || pastEdge > radius) continue;
+            
+            const speed = this.playerBody.velocity.dot(axis);
+            if (speed < EDGE_WRAP_MIN_SPEED) continue;
+            
+            if (!best || speed > best.speed) {
+                best = { center, normal: axis, speed };
+            }
+        }
+        
+        if (best) {
+            this.wrapAroundEdge(best.center, up, best.normal);
+        }
+    }
+    
+    /**
+     * Get the up direction when gravity points along a grid axis
+     * @returns {CANNON.Vec3|null} Unit axis opposite to gravity, or null if gravity is off-axis
+     */
+    getGridUpAxis() {
+        const gravity = this.getGravityDirection();
+        for (const axis of GRID_AXES) {
+            if (gravity.dot(axis) < -0.99) return axis;
+        }
+        return null;
+    }
+    
+    /**
+     * Rotate the player a quarter turn around a block edge onto the neighbouring face
+     * Position and velocity rotate about the edge, so the player keeps rolling over
+     * it, and gravity is reoriented to the new face's normal.
+     * @param {CANNON.Vec3} center - World center of the block
+     * @param {CANNON.Vec3} up - Normal of the face the player leaves
+     * @param {CANNON.Vec3} normal - Normal of the face the player wraps onto
+     */
+    wrapAroundEdge(center, up, normal) {
+        const half = this.gridUnitSize / 2;
+        const edge = center.vadd(up.scale(half)).vadd(normal.scale(half));
+        const rotation = new CANNON.Quaternion().setFromVectors(up, normal);
+        
+        const position = edge.vadd(rotation.vmult(this.playerBody.position.vsub(edge)));
+        this.playerBody.position.copy(position);
+        this.playerBody.previousPosition.copy(position);
+        this.playerBody.interpolatedPosition.copy(position);
+        this.playerBody.velocity.copy(rotation.vmult(this.playerBody.velocity));
+        
+        console.log(`PhysicsManager::checkEdgeTransition - Edge crossing detected!`);
+        console.log(`  Wrapped onto face (${normal.x}, ${normal.y}, ${normal.z}) of block at (${center.x}, ${center.y}, ${center.z})`);
+        
+        // Gravity switches at once so the player is held to the new face instead of sliding off it
+        this.reorientGravity(normal.clone(), { immediate: true });
+    }
+    
+    /**
+     * Check proximity to legacy wall bodies and reorient gravity onto the wall
+     * Requirement: PROD-001 - Gravity Reorientation
+     */
+    checkWallTransition() {
         const playerPos = this.playerBody.position;
         const playerVelocity = this.playerBody.velocity;
         
@@ -221,79 +484,225 @@ export class PhysicsManager {
     
     /**
      * Reorient gravity to align with a new surface normal
+     * Gravity rotates at constant magnitude about the axis shared by the old and
+     * new floor (the edge between them); a 180 degree flip turns about an axis
+     * perpendicular to the current gravity unless one is given.
      * Requirement: PROD-001 - Gravity Reorientation
      * @param {CANNON.Vec3} newNormal - The normal of the new surface
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false] - Switch physics gravity at once, replacing any running
+     *        transition; the camera still turns smoothly
+     * @param {number} [options.duration] - Rotation time in seconds; defaults to gravityTransitionDuration
+     * @param {string|Function} [options.easing] - Easing curve; defaults to gravityTransitionEasing
+     * @param {CANNON.Vec3} [options.axis] - Rotation axis for 180 degree flips
      */
-    reorientGravity(newNormal) {
-        if (this.isTransitioning) return; // Already transitioning
+    reorientGravity(newNormal, options = {}) {
+        if (this.isTransitioning && !options.immediate) return; // Already transitioning
         
         // Log current gravity for TC-2.1 evidence
         const currentGrav = this.world.gravity;
         console.log(`Gravity: Reorienting from (${currentGrav.x.toFixed(2)}, ${currentGrav.y.toFixed(2)}, ${currentGrav.z.toFixed(2)})`);
         
         // Set target gravity (opposite of surface normal)
-        this.targetGravity = newNormal.clone();
-        this.targetGravity.scale(-this.gravityMagnitude, this.targetGravity);
+        const normal = newNormal.clone();
+        normal.normalize();
+        this.targetGravity = normal.scale(-this.gravityMagnitude);
         
         console.log(`Gravity: Target set to (${this.targetGravity.x.toFixed(2)}, ${this.targetGravity.y.toFixed(2)}, ${this.targetGravity.z.toFixed(2)})`);
         
+        const from = this.getGravityDirection();
+        const to = this.targetGravity.unit();
+        const duration = options.immediate ? 0 : (options.duration !== undefined ? options.duration : this.gravityTransitionDuration);
+        this.gravityTransition = {
+            from,
+            axis: this.getGravityRotationAxis(from, to, options.axis),
+            angle: Math.acos(Math.max(-1, Math.min(1, from.dot(to)))),
+            elapsed: 0,
+            duration,
+            easing: this.getGravityEasing(options.easing || this.gravityTransitionEasing)
+        };
         this.isTransitioning = true;
         
-        // Notify camera controller if it exists
-        if (window.game && window.game.cameraController) {
-            window.game.cameraController.onGravityChange(newNormal);
+        this.emit('gravityTransitionStart', {
+            from: this.world.gravity.clone(),
+            to: this.targetGravity.clone(),
+            normal,
+            duration
+        });
+        
+        if (duration <= 0) {
+            this.completeGravityTransition();
+        }
+    }
+    
+    /**
+     * Get the axis gravity rotates about
+     * @param {CANNON.Vec3} from - Current gravity direction
+     * @param {CANNON.Vec3} to - Target gravity direction
+     * @param {CANNON.Vec3} [preferredAxis] - Axis to use when the directions are opposite
+     * @returns {CANNON.Vec3} Unit rotation axis
+     */
+    getGravityRotationAxis(from, to, preferredAxis) {
+        const axis = from.cross(to);
+        if (axis.length() > 1e-6) {
+            axis.normalize();
+            return axis;
         }
         
-        // Notify player controller about gravity change
-        if (this.playerController) {
-            this.playerController.updateGravity(this.targetGravity);
+        // Opposite (or equal) directions: any axis perpendicular to gravity works
+        if (preferredAxis) {
+            const perpendicular = preferredAxis.vsub(from.scale(preferredAxis.dot(from)));
+            if (perpendicular.length() > 1e-6) {
+                perpendicular.normalize();
+                return perpendicular;
+            }
         }
+        
+        const reference = Math.abs(from.x) < 0.9 ? new CANNON.Vec3(1, 0, 0) : new CANNON.Vec3(0, 0, 1);
+        const fallback = from.cross(reference);
+        fallback.normalize();
+        return fallback;
     }
     
     /**
-     * Smoothly transition gravity to the target
+     * Resolve an easing curve
+     * @param {string|Function} easing - Name from GRAVITY_EASINGS or a function of t in [0, 1]
+     * @returns {Function} Easing function
+     */
+    getGravityEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (GRAVITY_EASINGS[easing]) return GRAVITY_EASINGS[easing];
+        
+        console.warn(`PhysicsManager::getGravityEasing - Unknown easing '${easing}', using easeInOut`);
+        return GRAVITY_EASINGS.easeInOut;
+    }
+    
+    /**
+     * Rotate gravity toward the target
      * @param {number} deltaTime - Time step
      */
     updateGravityTransition(deltaTime) {
-        if (!this.targetGravity) return;
+        const transition = this.gravityTransition;
+        if (!transition) return;
+        
+        transition.elapsed += deltaTime;
+        const t = Math.min(1, transition.elapsed / transition.duration);
+        if (t >= 1 - 1e-9) { // Summed frame times can fall just short of the duration
+            this.completeGravityTransition();
+            return;
+        }
+        
+        const progress = transition.easing(t);
+        const rotation = new CANNON.Quaternion().setFromAxisAngle(transition.axis, transition.angle * progress);
+        const direction = rotation.vmult(transition.from);
+        this.world.gravity.copy(direction.scale(this.gravityMagnitude));
         
+        this.emit('gravityTransitionProgress', {
+            gravity: this.world.gravity.clone(),
+            up: direction.negate(),
+            progress,
+            elapsed: transition.elapsed
+        });
+    }
+    
+    /**
+     * Snap gravity to the transition target and end the transition
+     */
+    completeGravityTransition() {
         const current = this.world.gravity;
-        const target = this.targetGravity;
+        current.copy(this.targetGravity);
+        this.currentGravityDirection = current.unit();
+        this.isTransitioning = false;
+        this.targetGravity = null;
+        this.gravityTransition = null;
         
-        // Simple linear interpolation for now
-        const lerpFactor = Math.min(1.0, this.gravityTransitionSpeed * deltaTime);
+        console.log(`Gravity: Reorientation complete! New gravity: (${current.x.toFixed(2)}, ${current.y.toFixed(2)}, ${current.z.toFixed(2)})`);
         
-        current.x += (target.x - current.x) * lerpFactor;
-        current.y += (target.y - current.y) * lerpFactor;
-        current.z += (target.z - current.z) * lerpFactor;
+        this.emit('gravityTransitionComplete', { gravity: current.clone() });
+    }
+    
+    /**
+     * Point gravity along a direction at once, cancelling any transition in progress
+     * Used when the player respawns at the level start.
+     * @param {CANNON.Vec3|THREE.Vector3} [direction] - Gravity direction, defaults to down
+     */
+    resetGravity(direction = new CANNON.Vec3(0, -1, 0)) {
+        this.isTransitioning = false;
+        this.targetGravity = null;
+        this.gravityTransition = null;
         
-        // Check if transition is complete
-        const diff = current.distanceTo(target);
-        if (diff < 0.1) {
-            current.copy(target);
-            this.isTransitioning = false;
-            this.targetGravity = null;
-            
-            console.log(`Gravity: Reorientation complete! New gravity: (${current.x.toFixed(2)}, ${current.y.toFixed(2)}, ${current.z.toFixed(2)})`);
-            
-            // Final update to player controller
-            if (this.playerController) {
-                this.playerController.updateGravity(current);
+        // reorientGravity takes the normal of the new floor, which faces against gravity
+        this.reorientGravity(new CANNON.Vec3(-direction.x, -direction.y, -direction.z), { immediate: true });
+    }
+    
+    /**
+     * Subscribe to gravity transition and teleport events
+     * gravityTransitionStart: { from, to, normal, duration }
+     * gravityTransitionProgress: { gravity, up, progress, elapsed }
+     * gravityTransitionComplete: { gravity }
+     * playerTeleported: { from, to }
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+    
+    /**
+     * Unsubscribe from gravity transition and teleport events
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            const index = this.listeners[event].indexOf(callback);
+            if (index > -1) {
+                this.listeners[event].splice(index, 1);
             }
         }
     }
     
+    /**
+     * Emit an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`PhysicsManager::emit - Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+    
     /**
      * Sync Three.js mesh position with physics body
+     * With alpha below 1 the mesh is placed between the body's state before and
+     * after the last step, for rendering between fixed simulation steps.
      * @param {THREE.Mesh} mesh - The Three.js mesh
      * @param {CANNON.Body} body - The physics body
+     * @param {number} [alpha=1] - Interpolation factor from previous to current state
      */
-    syncMeshWithBody(mesh, body) {
-        // Copy position
-        mesh.position.copy(body.position);
+    syncMeshWithBody(mesh, body, alpha = 1) {
+        if (alpha >= 1) {
+            // Copy position
+            mesh.position.copy(body.position);
+            
+            // Copy rotation (quaternion)
+            mesh.quaternion.copy(body.quaternion);
+            return;
+        }
         
-        // Copy rotation (quaternion)
-        mesh.quaternion.copy(body.quaternion);
+        body.previousPosition.lerp(body.position, alpha, this.interpolatedPosition);
+        body.previousQuaternion.slerp(body.quaternion, alpha, this.interpolatedQuaternion);
+        mesh.position.copy(this.interpolatedPosition);
+        mesh.quaternion.copy(this.interpolatedQuaternion);
     }
     
     /**
@@ -305,7 +714,21 @@ export class PhysicsManager {
     }
     
     /**
-     * Set player controller reference for gravity updates
+     * Get the current gravity direction, including any transition in progress
+     * @returns {CANNON.Vec3} Normalized gravity direction
+     */
+    getGravityDirection() {
+        const direction = this.world.gravity.clone();
+        if (direction.length() === 0) {
+            return this.currentGravityDirection.clone();
+        }
+        direction.normalize();
+        return direction;
+    }
+
+    /**
+     * Set player controller reference for surface updates
+     * Gravity changes reach the controller through gravity transition events.
      * @param {PlayerController} controller - The player controller
      */
     setPlayerController(controller) {
@@ -327,6 +750,7 @@ export class PhysicsManager {
             this.playerBody.angularVelocity.set(0, 0, 0);
             this.playerBody.quaternion.set(0, 0, 0, 1);
         }
+        this.playerSurface = 'default';
         
         console.log('PhysicsManager::reset - Physics state reset');
     }
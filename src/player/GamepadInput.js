@@ -0,0 +1,275 @@
+/**
+ * GamepadInput - Reads a game controller through the Gamepad API
+ * Requirements: USER-001 (Input: Player Control), PROD-009 (Camera System)
+ *
+ * The Gamepad API has no input events, so the state is polled once per
+ * simulation step. Buttons use the "standard" mapping browsers apply to
+ * common controllers:
+ * - Left stick / D-pad: move
+ * - A (0): jump
+ * - Start (9): pause
+ * - Right stick: orbit the camera
+ * - LB / RB (4 / 5): rotate the camera
+ *
+ * Controllers are picked up when plugged in and dropped when unplugged; the
+ * first connected controller is used.
+ */
+
+// Standard mapping button indices
+export const DEFAULT_BUTTONS = {
+    jump: [0],
+    pause: [9],
+    cameraLeft: [4],
+    cameraRight: [5],
+    forward: [12],
+    backward: [13],
+    left: [14],
+    right: [15]
+};
+
+// Standard mapping axis indices
+export const DEFAULT_AXES = {
+    moveX: 0,
+    moveY: 1,
+    cameraX: 2,
+    cameraY: 3
+};
+
+export const DEFAULT_DEAD_ZONE = 0.2;
+
+/**
+ * Apply a radial dead zone to a stick
+ * Inside the dead zone the stick reads zero; outside it the magnitude is
+ * rescaled so the stick still reaches 1 at full tilt without a jump at the edge.
+ * @param {number} x - Horizontal axis value (-1 to 1)
+ * @param {number} y - Vertical axis value (-1 to 1)
+ * @param {number} deadZone - Dead zone radius (0 to 1)
+ * @returns {{ x: number, y: number }}
+ */
+export function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadZone || magnitude === 0) {
+        return { x: 0, y: 0 };
+    }
+
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return { x: x / magnitude * scaled, y: y / magnitude * scaled };
+}
+
+export class GamepadInput {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.deadZone=0.2] - Stick dead zone radius (0 to 0.9)
+     * @param {Object} [options.buttons] - Button indices per action, merged over DEFAULT_BUTTONS
+     * @param {Function} [options.getGamepads] - Source of connected gamepads, navigator.getGamepads by default
+     */
+    constructor(options = {}) {
+        this.deadZone = DEFAULT_DEAD_ZONE;
+        this.setDeadZone(options.deadZone ?? DEFAULT_DEAD_ZONE);
+        this.buttons = { ...DEFAULT_BUTTONS, ...options.buttons };
+        this.axes = { ...DEFAULT_AXES };
+        this.getGamepads = options.getGamepads || (() =>
+            (typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : []));
+
+        // Index of the controller in use, or null when none is connected
+        this.activeIndex = null;
+        this.state = this.createEmptyState();
+        this.wasPausePressed = false;
+
+        this.listeners = {
+            connected: [],
+            disconnected: [],
+            pause: []
+        };
+
+        this.handleConnected = (event) => this.connect(event.gamepad);
+        this.handleDisconnected = (event) => this.disconnect(event.gamepad);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', this.handleConnected);
+            window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+    }
+
+    /**
+     * Input state with nothing pressed
+     * @returns {Object}
+     */
+    createEmptyState() {
+        return {
+            move: { x: 0, y: 0 },
+            camera: { x: 0, y: 0 },
+            forward: false,
+            backward: false,
+            left: false,
+            right: false,
+            jump: false,
+            pause: false,
+            cameraLeft: false,
+            cameraRight: false
+        };
+    }
+
+    /**
+     * Whether a controller is in use
+     * @returns {boolean}
+     */
+    get isConnected() {
+        return this.activeIndex !== null;
+    }
+
+    /**
+     * Set the stick dead zone
+     * @param {number} deadZone - Radius from 0 (none) to 0.9
+     */
+    setDeadZone(deadZone) {
+        if (typeof deadZone !== 'number' || Number.isNaN(deadZone)) {
+            console.warn(`GamepadInput::setDeadZone - Invalid dead zone '${deadZone}', keeping ${this.deadZone}`);
+            return;
+        }
+        this.deadZone = Math.max(0, Math.min(0.9, deadZone));
+    }
+
+    /**
+     * Start using a controller if none is in use yet
+     * @param {Gamepad} gamepad - Newly connected controller
+     */
+    connect(gamepad) {
+        if (!gamepad || this.activeIndex !== null) return;
+
+        this.activeIndex = gamepad.index;
+        console.log(`GamepadInput::connect - Using controller ${gamepad.index}: ${gamepad.id}`);
+        this.emit('connected', { index: gamepad.index, id: gamepad.id });
+    }
+
+    /**
+     * Stop using an unplugged controller, switching to another one if connected
+     * @param {Gamepad} gamepad - Disconnected controller
+     */
+    disconnect(gamepad) {
+        if (!gamepad || gamepad.index !== this.activeIndex) return;
+
+        console.log(`GamepadInput::disconnect - Controller ${gamepad.index} disconnected`);
+        this.activeIndex = null;
+        this.state = this.createEmptyState();
+        this.wasPausePressed = false;
+        this.emit('disconnected', { index: gamepad.index, id: gamepad.id });
+
+        const next = this.getGamepads().find(pad => pad && pad.connected && pad.index !== gamepad.index);
+        if (next) {
+            this.connect(next);
+        }
+    }
+
+    /**
+     * Read the controller in use
+     * Also picks up controllers whose connect event was missed, as some
+     * browsers only report controllers after a button press.
+     * @returns {Object} Input state: move and camera sticks (y up is positive),
+     *          D-pad directions and action buttons
+     */
+    poll() {
+        const gamepads = this.getGamepads();
+        let gamepad = this.activeIndex !== null ? gamepads.find(pad => pad && pad.index === this.activeIndex) : null;
+
+        if (this.activeIndex !== null && (!gamepad || !gamepad.connected)) {
+            this.disconnect({ index: this.activeIndex, id: gamepad ? gamepad.id : '' });
+            gamepad = this.activeIndex !== null ? gamepads.find(pad => pad && pad.index === this.activeIndex) : null;
+        }
+        if (this.activeIndex === null) {
+            gamepad = gamepads.find(pad => pad && pad.connected);
+            this.connect(gamepad);
+        }
+        if (!gamepad) {
+            return this.state;
+        }
+
+        const axis = index => gamepad.axes[index] || 0;
+        const move = applyDeadZone(axis(this.axes.moveX), axis(this.axes.moveY), this.deadZone);
+        const camera = applyDeadZone(axis(this.axes.cameraX), axis(this.axes.cameraY), this.deadZone);
+        const pressed = action => this.buttons[action].some(index => {
+            const button = gamepad.buttons[index];
+            return !!button && (typeof button === 'object' ? button.pressed : button > 0.5);
+        });
+
+        // Sticks report down as positive; flip so pushing up moves forward
+        this.state = {
+            move: { x: move.x, y: -move.y },
+            camera: { x: camera.x, y: -camera.y },
+            forward: pressed('forward'),
+            backward: pressed('backward'),
+            left: pressed('left'),
+            right: pressed('right'),
+            jump: pressed('jump'),
+            pause: pressed('pause'),
+            cameraLeft: pressed('cameraLeft'),
+            cameraRight: pressed('cameraRight')
+        };
+
+        // Pause toggles on the press, not while held
+        if (this.state.pause && !this.wasPausePressed) {
+            this.emit('pause');
+        }
+        this.wasPausePressed = this.state.pause;
+
+        return this.state;
+    }
+
+    /**
+     * Get the state from the last poll
+     * @returns {Object}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Subscribe to gamepad events
+     * @param {string} event - 'connected', 'disconnected' or 'pause'
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Unsubscribe from gamepad events
+     * @param {string} event - Event name
+     * @param {Function} callback - Handler passed to on()
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {*} [data] - Event payload
+     */
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`GamepadInput::emit - Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Stop listening for controllers
+     */
+    dispose() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('gamepadconnected', this.handleConnected);
+            window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+        this.activeIndex = null;
+        this.state = this.createEmptyState();
+    }
+}
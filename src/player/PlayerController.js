@@ -4,9 +4,30 @@
  */
 
 import * as CANNON from 'cannon-es';
+import assetRegistry from '../assets/AssetRegistry.js';
+import { GamepadInput } from './GamepadInput.js';
+import actionMap, { formatBinding } from '../input/ActionMap.js';
+import { quantizeViewDirection } from '../replay/InputRecorder.js';
+
+// Action map actions -> input state keys
+const ACTION_KEYS = {
+    moveForward: 'forward',
+    moveBackward: 'backward',
+    moveLeft: 'left',
+    moveRight: 'right',
+    jump: 'jump'
+};
 
 export class PlayerController {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Run without keyboard listeners or sounds,
+     *        for simulations fed through applyInputState (ghost replays, tests)
+     * @param {Object} [options.gamepad] - GamepadInput options, e.g. { deadZone: 0.25 }
+     */
+    constructor(options = {}) {
+        this.isHeadless = options.headless === true;
+        
         // Input state tracking
         this.keys = {
             forward: false,
@@ -16,12 +37,25 @@ export class PlayerController {
             jump: false
         };
         
+        // Gamepad and touch controls from the last poll, merged with the keys in getInputState
+        this.gamepad = null;
+        this.gamepadState = null;
+        this.touchControls = null;
+        this.touchState = null;
+        
+        // Analog movement from a stick, the touch joystick or a recording: { forward, right } in -1..1, or null
+        this.analog = null;
+        
         // Physics parameters - Requirement: NFR-002 (Control Precision)
         this.moveSpeed = 5.0; // Maximum rolling speed (reduced for better control)
         this.acceleration = 10.0; // How quickly we reach max speed (reduced for better control)
         this.deceleration = 5.0; // How quickly we slow down (reduced for smoother stops)
         this.jumpImpulse = 8.0; // Vertical impulse for jumping
         
+        // Surface the player is rolling on scales acceleration, braking and top speed
+        this.surface = 'default';
+        this.surfaceProperties = assetRegistry.getSurfaceDefinition('default');
+        
         // Player physics body reference (will be set by PhysicsManager)
         this.physicsBody = null;
         
@@ -31,6 +65,19 @@ export class PlayerController {
         // Previous jump state to detect new jump presses
         this.wasJumpPressed = false;
         
+        // Launches (e.g. from springs) lift the speed limit until the player hits something
+        this.isLaunched = false;
+        this.launchGraceTimer = 0; // Contacts right after launch (the spring itself) do not end it
+        this.handleBodyCollide = () => {
+            if (this.launchGraceTimer <= 0) {
+                this.isLaunched = false;
+            }
+        };
+        
+        // Gravity transition handlers: movement switches to the new floor when a rotation starts
+        this.handleGravityTransitionStart = event => this.updateGravity(event.to);
+        this.handleGravityTransitionComplete = event => this.updateGravity(event.gravity);
+        
         // Gravity-oriented coordinate system - Requirement: PROD-001 (Gravity Reorientation)
         this.currentGravity = new CANNON.Vec3(0, -9.82, 0); // Current gravity vector
         this.upVector = new CANNON.Vec3(0, 1, 0); // Current "up" direction (opposite of gravity)
@@ -40,69 +87,83 @@ export class PlayerController {
         // Camera reference for movement direction
         this.camera = null;
         
+        // View direction fed from a replay; replaces the camera while set
+        this.viewDirection = null;
+        
+        if (this.isHeadless) {
+            console.log('PlayerController::constructor - Initialized without input listeners');
+            return;
+        }
+        
         this.setupEventListeners();
+        this.gamepad = new GamepadInput(options.gamepad);
         
         console.log('PlayerController::constructor - Initialized with input listeners');
     }
     
     /**
      * Setup keyboard event listeners
+     * Keys are looked up in the action map, so players can rebind them.
      * Requirement: USER-001 - Input: Player Control
      */
     setupEventListeners() {
         // Keydown events
         window.addEventListener('keydown', (event) => {
-            switch(event.code) {
-                case 'KeyW':
-                case 'ArrowUp':
-                    this.keys.forward = true;
-                    break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    this.keys.backward = true;
-                    break;
-                case 'KeyA':
-                case 'ArrowLeft':
-                    this.keys.left = true;
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    this.keys.right = true;
-                    break;
-                case 'Space':
-                    this.keys.jump = true;
-                    event.preventDefault(); // Prevent page scroll
-                    break;
+            const key = ACTION_KEYS[actionMap.getAction(event, 'game')];
+            if (!key) return;
+            
+            this.keys[key] = true;
+            if (key === 'jump') {
+                event.preventDefault(); // Prevent page scroll
             }
         });
         
         // Keyup events
         window.addEventListener('keyup', (event) => {
-            switch(event.code) {
-                case 'KeyW':
-                case 'ArrowUp':
-                    this.keys.forward = false;
-                    break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    this.keys.backward = false;
-                    break;
-                case 'KeyA':
-                case 'ArrowLeft':
-                    this.keys.left = false;
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    this.keys.right = false;
-                    break;
-                case 'Space':
-                    this.keys.jump = false;
-                    break;
+            const key = ACTION_KEYS[actionMap.getAction(event, 'game')];
+            if (key) {
+                this.keys[key] = false;
             }
         });
         
         console.log('PlayerController::setupEventListeners - Keyboard controls ready');
-        console.log('  Controls: WASD/Arrows for movement, Space for jump');
+        console.log(`  Controls: ${actionMap.getBindings('moveForward').map(formatBinding).join('/')} to move forward, ${actionMap.getBindings('jump').map(formatBinding).join('/')} for jump (rebindable in Settings)`);
+    }
+    
+    /**
+     * Read the gamepad and touch controls - called once per simulation step, before the input is recorded
+     * The gamepad stick takes precedence over the touch joystick while both are tilted.
+     * Requirement: USER-001 - Input: Player Control
+     */
+    pollInput() {
+        this.gamepadState = this.gamepad ? this.gamepad.poll() : null;
+        this.touchState = this.touchControls ? this.touchControls.poll() : null;
+        
+        const isTilted = move => !!move && (move.x !== 0 || move.y !== 0);
+        const padMove = this.gamepadState ? this.gamepadState.move : null;
+        const touchMove = this.touchState ? this.touchState.move : null;
+        const move = isTilted(padMove) ? padMove : (isTilted(touchMove) ? touchMove : null);
+        this.analog = move ? { forward: move.y, right: move.x } : null;
+    }
+    
+    /**
+     * Use on-screen touch controls for movement and jumping
+     * @param {TouchControls|null} touchControls - Controls from UIManager, or null to stop
+     */
+    setTouchControls(touchControls) {
+        this.touchControls = touchControls;
+        this.touchState = null;
+        console.log(`PlayerController::setTouchControls - Touch controls ${touchControls ? 'connected' : 'removed'}`);
+    }
+    
+    /**
+     * Set the gamepad stick dead zone
+     * @param {number} deadZone - Radius from 0 (none) to 0.9
+     */
+    setGamepadDeadZone(deadZone) {
+        if (this.gamepad) {
+            this.gamepad.setDeadZone(deadZone);
+        }
     }
     
     /**
@@ -110,10 +171,45 @@ export class PlayerController {
      * @param {CANNON.Body} body - The Cannon.js physics body
      */
     setPhysicsBody(body) {
+        if (this.physicsBody) {
+            this.physicsBody.removeEventListener('collide', this.handleBodyCollide);
+        }
         this.physicsBody = body;
+        if (body) {
+            body.addEventListener('collide', this.handleBodyCollide);
+        }
         console.log('PlayerController::setPhysicsBody - Physics body connected');
     }
     
+    /**
+     * Launch the player with a given velocity
+     * The rolling speed limit and damping are suspended until the player lands,
+     * so long-distance launches are not cut short.
+     * @param {CANNON.Vec3|THREE.Vector3} velocity - New velocity of the player body
+     */
+    launch(velocity) {
+        if (!this.physicsBody) return;
+        
+        this.physicsBody.velocity.set(velocity.x, velocity.y, velocity.z);
+        this.physicsBody.wakeUp();
+        this.isLaunched = true;
+        this.launchGraceTimer = 0.1;
+        
+        console.log(`PlayerController::launch - Velocity: (${velocity.x.toFixed(2)}, ${velocity.y.toFixed(2)}, ${velocity.z.toFixed(2)})`);
+    }
+    
+    /**
+     * Set the surface the player is rolling on - called by PhysicsManager
+     * The player keeps the last surface while airborne.
+     * @param {string} surface - Surface name from the block definition
+     */
+    setSurface(surface) {
+        this.surface = surface;
+        this.surfaceProperties = assetRegistry.getSurfaceDefinition(surface);
+        
+        console.log(`PlayerController::setSurface - Now on '${surface}' surface`);
+    }
+    
     /**
      * Set camera reference for movement direction
      * @param {THREE.Camera} camera - The camera object
@@ -124,7 +220,17 @@ export class PlayerController {
     }
     
     /**
-     * Update gravity orientation - called by PhysicsManager
+     * Follow gravity transitions of a physics manager
+     * Requirement: PROD-001 - Gravity Reorientation
+     * @param {PhysicsManager} physicsManager - Source of gravity transition events
+     */
+    subscribeToGravity(physicsManager) {
+        physicsManager.on('gravityTransitionStart', this.handleGravityTransitionStart);
+        physicsManager.on('gravityTransitionComplete', this.handleGravityTransitionComplete);
+    }
+    
+    /**
+     * Update gravity orientation - called on gravity transition events
      * Requirement: PROD-001 - Gravity Reorientation
      * @param {CANNON.Vec3} gravityVector - The new gravity vector
      */
@@ -148,8 +254,10 @@ export class PlayerController {
      * Creates a coordinate system where movement is relative to the current "floor"
      */
     updateMovementBasis() {
+        const viewDirection = this.getViewDirection();
+        
         // If we don't have a camera, use world-aligned defaults modified by gravity
-        if (!this.camera) {
+        if (!viewDirection) {
             // Create arbitrary forward perpendicular to up
             const worldForward = new CANNON.Vec3(0, 0, -1);
             const worldRight = new CANNON.Vec3(1, 0, 0);
@@ -172,12 +280,8 @@ export class PlayerController {
             return;
         }
         
-        // Get camera forward direction
-        const cameraForward = new THREE.Vector3(0, 0, -1);
-        cameraForward.applyQuaternion(this.camera.quaternion);
-        
-        // Convert to CANNON.Vec3
-        const camForward = new CANNON.Vec3(cameraForward.x, cameraForward.y, cameraForward.z);
+        // Camera forward direction
+        const camForward = new CANNON.Vec3(viewDirection[0], viewDirection[1], viewDirection[2]);
         
         // Project camera forward onto the plane perpendicular to up vector
         // This gives us the forward direction along the current "floor"
@@ -198,6 +302,28 @@ export class PlayerController {
         console.log(`  Right: (${this.rightVector.x.toFixed(2)}, ${this.rightVector.y.toFixed(2)}, ${this.rightVector.z.toFixed(2)})`);
     }
     
+    /**
+     * Get the direction movement input is relative to
+     * @returns {Array<number>|null} Replayed view direction, camera forward rounded as recordings
+     *          store it, or null without a camera
+     */
+    getViewDirection() {
+        if (this.viewDirection) return this.viewDirection;
+        if (!this.camera) return null;
+        
+        const cameraForward = new THREE.Vector3(0, 0, -1);
+        cameraForward.applyQuaternion(this.camera.quaternion);
+        return quantizeViewDirection([cameraForward.x, cameraForward.y, cameraForward.z]);
+    }
+    
+    /**
+     * Make movement relative to a given view direction instead of the camera
+     * @param {Array<number>|null} viewDirection - Direction from getViewDirection, or null to follow the camera again
+     */
+    setViewDirection(viewDirection) {
+        this.viewDirection = viewDirection;
+    }
+    
     /**
      * Update player movement based on input
      * Requirements: PROD-002 (Rolling), PROD-003 (Jumping), PROD-001 (Gravity Reorientation)
@@ -213,16 +339,26 @@ export class PlayerController {
         let moveForward = 0;
         let moveRight = 0;
         
-        if (this.keys.forward) moveForward += 1;  // W key moves forward (away from camera)
-        if (this.keys.backward) moveForward -= 1; // S key moves backward (toward camera)
-        if (this.keys.left) moveRight -= 1;
-        if (this.keys.right) moveRight += 1;
+        const input = this.getInputState();
+        if (input.forward) moveForward += 1;  // W key moves forward (away from camera)
+        if (input.backward) moveForward -= 1; // S key moves backward (toward camera)
+        if (input.left) moveRight -= 1;
+        if (input.right) moveRight += 1;
         
         // Normalize diagonal movement
-        const inputLength = Math.sqrt(moveForward * moveForward + moveRight * moveRight);
+        let inputLength = Math.sqrt(moveForward * moveForward + moveRight * moveRight);
         if (inputLength > 0) {
             moveForward /= inputLength;
             moveRight /= inputLength;
+        } else if (input.analog) {
+            // Analog stick: partial tilt pushes with partial force along the same basis
+            moveForward = input.analog.forward;
+            moveRight = input.analog.right;
+            inputLength = Math.sqrt(moveForward * moveForward + moveRight * moveRight);
+            if (inputLength > 1) {
+                moveForward /= inputLength;
+                moveRight /= inputLength;
+            }
         }
         
         // Apply forces for rolling movement - Requirement: PROD-002
@@ -230,15 +366,16 @@ export class PlayerController {
         if (inputLength > 0) {
             // Combine forward and right vectors based on input
             const force = new CANNON.Vec3();
+            const acceleration = this.acceleration * this.surfaceProperties.acceleration;
             
             // Add forward component
             const forwardForce = this.forwardVector.clone();
-            forwardForce.scale(moveForward * this.acceleration, forwardForce);
+            forwardForce.scale(moveForward * acceleration, forwardForce);
             force.vadd(forwardForce, force);
             
             // Add right component
             const rightForce = this.rightVector.clone();
-            rightForce.scale(moveRight * this.acceleration, rightForce);
+            rightForce.scale(moveRight * acceleration, rightForce);
             force.vadd(rightForce, force);
             
             // Apply force at center of mass
@@ -250,6 +387,8 @@ export class PlayerController {
             }
         }
         
+        this.launchGraceTimer = Math.max(0, this.launchGraceTimer - deltaTime);
+        
         // Limit maximum velocity for control (relative to current plane)
         // Project velocity onto movement plane (perpendicular to up vector)
         const velocity = this.physicsBody.velocity;
@@ -260,8 +399,9 @@ export class PlayerController {
         velocityOnPlane.vsub(upComponent, velocityOnPlane);
         
         const planeSpeed = velocityOnPlane.length();
-        if (planeSpeed > this.moveSpeed) {
-            const scale = this.moveSpeed / planeSpeed;
+        const maxSpeed = this.moveSpeed * this.surfaceProperties.speed;
+        if (planeSpeed > maxSpeed && !this.isLaunched) {
+            const scale = maxSpeed / planeSpeed;
             velocityOnPlane.scale(scale, velocityOnPlane);
             // Reconstruct velocity with clamped plane component
             this.physicsBody.velocity.copy(velocityOnPlane);
@@ -269,7 +409,7 @@ export class PlayerController {
         }
         
         // Apply damping when no input (gradual deceleration)
-        if (inputLength === 0) {
+        if (inputLength === 0 && !this.isLaunched) {
             // Damp only the velocity component on the movement plane
             const velocityOnPlane = this.physicsBody.velocity.clone();
             const velocityAlongUp = this.upVector.dot(this.physicsBody.velocity);
@@ -277,8 +417,9 @@ export class PlayerController {
             upComponent.scale(velocityAlongUp, upComponent);
             velocityOnPlane.vsub(upComponent, velocityOnPlane);
             
-            // Apply damping to plane velocity
-            velocityOnPlane.scale(1 - this.deceleration * deltaTime, velocityOnPlane);
+            // Apply damping to plane velocity (ice barely brakes, mud and sticky surfaces stop quickly)
+            const braking = this.deceleration * this.surfaceProperties.braking;
+            velocityOnPlane.scale(Math.max(0, 1 - braking * deltaTime), velocityOnPlane);
             
             // Reconstruct velocity
             this.physicsBody.velocity.copy(velocityOnPlane);
@@ -290,8 +431,8 @@ export class PlayerController {
         this.checkGroundContact();
         
         // Detect new jump press (not held)
-        const jumpPressed = this.keys.jump && !this.wasJumpPressed;
-        this.wasJumpPressed = this.keys.jump;
+        const jumpPressed = input.jump && !this.wasJumpPressed;
+        this.wasJumpPressed = input.jump;
         
         if (jumpPressed && this.canJump) {
             // Apply jump impulse in the opposite direction of gravity (i.e., "up")
@@ -305,7 +446,7 @@ export class PlayerController {
             this.physicsBody.velocity.vadd(upComponent, this.physicsBody.velocity);
             
             // Play jump sound - Requirement: PROD-012
-            if (window.game?.audioManager) {
+            if (!this.isHeadless && window.game?.audioManager) {
                 window.game.audioManager.playSound('jump');
             }
             
@@ -348,11 +489,41 @@ export class PlayerController {
     }
     
     /**
-     * Get current input state (for debugging/testing)
-     * @returns {Object} Current key states
+     * Get current input state (recorded for replays, debugging and testing)
+     * Gamepad buttons, the D-pad and the touch jump button count as the
+     * matching keys; the left stick and touch joystick are reported as analog
+     * movement along forward and right.
+     * @returns {Object} Current key states, plus analog { forward, right } while a stick is tilted
      */
     getInputState() {
-        return { ...this.keys };
+        const inputState = { ...this.keys };
+        const pad = this.gamepadState;
+        if (pad) {
+            Object.keys(this.keys).forEach(key => {
+                inputState[key] = inputState[key] || pad[key] === true;
+            });
+        }
+        if (this.touchState && this.touchState.jump) {
+            inputState.jump = true;
+        }
+        if (this.analog) {
+            inputState.analog = { ...this.analog };
+        }
+        return inputState;
+    }
+    
+    /**
+     * Set the key states, e.g. from a recording
+     * Replaces any gamepad and touch input until they are polled again.
+     * @param {Object} inputState - Key states as returned by getInputState
+     */
+    applyInputState(inputState) {
+        Object.keys(this.keys).forEach(key => {
+            this.keys[key] = inputState[key] === true;
+        });
+        this.gamepadState = null;
+        this.touchState = null;
+        this.analog = inputState.analog ? { forward: inputState.analog.forward, right: inputState.analog.right } : null;
     }
     
     /**
@@ -364,7 +535,14 @@ export class PlayerController {
         this.keys.left = false;
         this.keys.right = false;
         this.keys.jump = false;
+        this.gamepadState = null;
+        this.touchState = null;
+        this.analog = null;
         this.wasJumpPressed = false;
+        this.viewDirection = null;
+        this.isLaunched = false;
+        this.launchGraceTimer = 0;
+        this.setSurface('default');
         
         // Reset gravity to default
         this.currentGravity.set(0, -9.82, 0);
@@ -0,0 +1,154 @@
+/**
+ * GhostReplay - Plays a recorded run as a translucent ghost ball
+ * Requirement: NFR-001 - Deterministic simulation (replays)
+ *
+ * The ghost runs in its own headless copy of the level: a separate physics
+ * world, level, behavior system and player controller, driven by
+ * LevelSimulation with the recorded input. It steps in lockstep with the live
+ * game, so it neither collides with the live player nor collects their keys,
+ * and only its ball is added to the rendered scene.
+ */
+
+import * as THREE from 'three';
+import { PhysicsManager } from '../physics/PhysicsManager.js';
+import { LevelManager } from '../level/LevelManager.js';
+import { BehaviorSystem } from '../behaviors/BehaviorSystem.js';
+import { PlayerController } from '../player/PlayerController.js';
+import { LevelSimulation } from '../core/LevelSimulation.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+
+export class GhostReplay {
+    /**
+     * @param {THREE.Scene} scene - Rendered scene the ghost ball is added to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.mesh = null;
+
+        this.replayPlayer = null;
+        this.simulation = null;
+        this.physicsManager = null;
+        this.levelManager = null;
+        this.playerController = null;
+
+        this.tick = 0;
+    }
+
+    /**
+     * Build the ghost's copy of the level
+     * @param {Object|string} levelData - Level data or path, as given to LevelManager.load
+     * @param {Object} recording - Recording from InputRecorder
+     * @returns {Promise<void>}
+     */
+    async load(levelData, recording) {
+        this.replayPlayer = new ReplayPlayer(recording);
+
+        // Level systems that never touch the rendered scene, sounds or UI
+        const hiddenScene = new THREE.Scene();
+        this.physicsManager = new PhysicsManager();
+        this.levelManager = new LevelManager(hiddenScene, this.physicsManager, { headless: true });
+        this.behaviorSystem = new BehaviorSystem(hiddenScene, this.physicsManager, { headless: true });
+        this.playerController = new PlayerController({ headless: true });
+        this.physicsManager.setPlayerController(this.playerController);
+        this.playerController.subscribeToGravity(this.physicsManager);
+
+        await this.levelManager.load(levelData);
+        this.behaviorSystem.parseBehaviors(
+            this.levelManager.currentLevel,
+            this.levelManager.platforms,
+            this.levelManager.levelPhysicsBodies
+        );
+
+        const startPos = this.levelManager.getPlayerStartPosition();
+        this.playerController.setPhysicsBody(this.physicsManager.createPlayerBody(startPos));
+
+        this.simulation = new LevelSimulation({
+            physicsManager: this.physicsManager,
+            levelManager: this.levelManager,
+            behaviorSystem: this.behaviorSystem,
+            playerController: this.playerController
+        });
+        this.simulation.resetPlayer();
+
+        // The ghost respawns like the live player did; lives do not matter for it
+        const respawn = () => this.simulation.resetPlayer();
+        this.simulation.on('hazardCollision', respawn);
+        this.simulation.on('playerFell', respawn);
+
+        this.tick = 0;
+        this.createMesh(startPos);
+
+        console.log(`GhostReplay::load - Ghost ready for ${recording.ticks} ticks of level '${recording.levelId}'`);
+    }
+
+    /**
+     * Create the translucent ghost ball
+     * @param {THREE.Vector3} position - Start position
+     */
+    createMesh(position) {
+        const geometry = new THREE.SphereGeometry(0.5, 32, 16);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xFFFFFF,
+            roughness: 0.3,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.name = 'ghost';
+        this.mesh.position.set(position.x, position.y, position.z);
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Whether the recorded run has been played to the end
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return !this.replayPlayer || this.replayPlayer.isFinished(this.tick);
+    }
+
+    /**
+     * Advance the ghost by one simulation step
+     * The ghost stays where the recording ended.
+     * @param {number} step - Fixed step length in seconds
+     */
+    step(step) {
+        if (!this.simulation || this.isFinished) return;
+
+        const { inputState, viewDirection } = this.replayPlayer.getInput(this.tick);
+        this.playerController.applyInputState(inputState);
+        this.playerController.setViewDirection(viewDirection);
+        this.simulation.step(step);
+        this.tick++;
+    }
+
+    /**
+     * Place the ghost ball between its last two steps
+     * @param {number} alpha - Interpolation factor from FixedStepLoop
+     */
+    sync(alpha) {
+        const body = this.physicsManager && this.physicsManager.getPlayerBody();
+        if (this.mesh && body) {
+            this.physicsManager.syncMeshWithBody(this.mesh, body, alpha);
+        }
+    }
+
+    /**
+     * Remove the ghost and its level copy
+     */
+    dispose() {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+        }
+        if (this.levelManager) {
+            this.levelManager.clear();
+        }
+        this.simulation = null;
+        this.replayPlayer = null;
+    }
+}
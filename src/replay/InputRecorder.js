@@ -0,0 +1,154 @@
+/**
+ * InputRecorder - Captures player input per simulation tick
+ * Requirement: NFR-001 - Deterministic simulation (replays)
+ *
+ * Records PlayerController.getInputState() and the view direction movement is
+ * relative to, once per fixed step, together with the level id and random seed.
+ * Only changes are stored, so a recording stays small enough for localStorage.
+ * View directions are rounded (see quantizeViewDirection) so a settling camera
+ * stops adding entries; the player moves by the same rounded direction.
+ *
+ * Recording format (version 1):
+ *   { version, levelId, seed, tickRate, ticks,
+ *     inputs: [[tick, keyBits], ...],    key state from that tick on
+ *     views:  [[tick, x, y, z], ...],    view direction from that tick on (empty without a camera)
+ *     analog: [[tick, forward, right], ...] }  analog stick movement from that tick on
+ *
+ * The analog track was added for gamepads; recordings without it replay with no analog movement.
+ */
+
+export const RECORDING_VERSION = 1;
+
+// Bit order of the key state in recordings
+export const INPUT_KEYS = ['forward', 'backward', 'left', 'right', 'jump'];
+
+// View direction components are rounded to 1 / VIEW_PRECISION
+export const VIEW_PRECISION = 10000;
+
+/**
+ * Round a view direction to the precision recordings store
+ * PlayerController uses the rounded direction for movement, so the live run
+ * and its replay move by exactly the same numbers.
+ * @param {Array<number>|null} viewDirection - [x, y, z] direction
+ * @returns {Array<number>|null} Rounded direction
+ */
+export function quantizeViewDirection(viewDirection) {
+    if (!viewDirection) return null;
+    // `|| 0` turns -0 into 0, which is what JSON gives back
+    return viewDirection.map(value => Math.round(value * VIEW_PRECISION) / VIEW_PRECISION || 0);
+}
+
+/**
+ * Pack a key state into bits
+ * @param {Object} inputState - Key states from PlayerController.getInputState()
+ * @returns {number} Key bits
+ */
+export function encodeInputState(inputState) {
+    return INPUT_KEYS.reduce((bits, key, index) => (inputState[key] ? bits | (1 << index) : bits), 0);
+}
+
+/**
+ * Unpack key bits into a key state
+ * @param {number} bits - Key bits
+ * @returns {Object} Key states
+ */
+export function decodeInputState(bits) {
+    const inputState = {};
+    INPUT_KEYS.forEach((key, index) => {
+        inputState[key] = (bits & (1 << index)) !== 0;
+    });
+    return inputState;
+}
+
+export class InputRecorder {
+    constructor() {
+        this.recording = null;
+        this.lastBits = null;
+        this.lastView = null;
+        this.lastAnalog = null;
+    }
+
+    /**
+     * Whether a recording is in progress
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Start a new recording
+     * @param {Object} info
+     * @param {string|number} info.levelId - Level being played
+     * @param {number} info.seed - Seed of the attempt's random numbers
+     * @param {number} [info.tickRate=60] - Simulation steps per second
+     */
+    start({ levelId, seed, tickRate = 60 }) {
+        this.recording = {
+            version: RECORDING_VERSION,
+            levelId,
+            seed,
+            tickRate,
+            ticks: 0,
+            inputs: [],
+            views: [],
+            analog: []
+        };
+        this.lastBits = null;
+        this.lastView = null;
+        this.lastAnalog = [0, 0];
+
+        console.log(`InputRecorder::start - Recording level '${levelId}' (seed ${seed})`);
+    }
+
+    /**
+     * Record the input used for a tick
+     * @param {number} tick - Simulation tick the input applies to
+     * @param {Object} inputState - Key states and analog movement from PlayerController.getInputState()
+     * @param {Array<number>|null} [viewDirection] - From PlayerController.getViewDirection()
+     */
+    record(tick, inputState, viewDirection = null) {
+        if (!this.recording) return;
+
+        const bits = encodeInputState(inputState);
+        if (bits !== this.lastBits) {
+            this.recording.inputs.push([tick, bits]);
+            this.lastBits = bits;
+        }
+
+        const view = quantizeViewDirection(viewDirection);
+        if (view && !this.isSameView(view, this.lastView)) {
+            this.recording.views.push([tick, view[0], view[1], view[2]]);
+            this.lastView = view;
+        }
+
+        const analog = inputState.analog ? [inputState.analog.forward, inputState.analog.right] : [0, 0];
+        if (analog[0] !== this.lastAnalog[0] || analog[1] !== this.lastAnalog[1]) {
+            this.recording.analog.push([tick, analog[0], analog[1]]);
+            this.lastAnalog = analog;
+        }
+
+        this.recording.ticks = tick + 1;
+    }
+
+    /**
+     * Compare rounded view directions exactly; replays need the same numbers, not similar ones
+     */
+    isSameView(a, b) {
+        return !!b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+    }
+
+    /**
+     * Finish the recording
+     * @returns {Object|null} The recording, or null if none was in progress
+     */
+    stop() {
+        const recording = this.recording;
+        this.recording = null;
+
+        if (recording) {
+            console.log(`InputRecorder::stop - Recorded ${recording.ticks} ticks, ${recording.inputs.length} input changes`);
+        }
+        return recording;
+    }
+}
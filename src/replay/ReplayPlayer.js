@@ -0,0 +1,91 @@
+/**
+ * ReplayPlayer - Feeds a recording back one simulation tick at a time
+ * Requirement: NFR-001 - Deterministic simulation (replays)
+ *
+ * Reads recordings made by InputRecorder. Ticks are expected in increasing
+ * order, as the fixed-step loop produces them; seeking backwards restarts the
+ * scan from the beginning.
+ */
+
+import { RECORDING_VERSION, decodeInputState } from './InputRecorder.js';
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} recording - Recording from InputRecorder.stop()
+     */
+    constructor(recording) {
+        if (!ReplayPlayer.isValidRecording(recording)) {
+            throw new Error('ReplayPlayer::constructor - Invalid or unsupported recording');
+        }
+
+        this.recording = recording;
+        this.inputIndex = -1;
+        this.viewIndex = -1;
+        this.analogIndex = -1;
+        this.lastTick = -1;
+    }
+
+    /**
+     * Check that data looks like a recording this version can play
+     * @param {*} recording - Candidate recording, e.g. from saved progress
+     * @returns {boolean}
+     */
+    static isValidRecording(recording) {
+        return !!recording &&
+            recording.version === RECORDING_VERSION &&
+            Number.isInteger(recording.ticks) &&
+            Array.isArray(recording.inputs) &&
+            Array.isArray(recording.views);
+    }
+
+    /**
+     * Whether every recorded tick has been played
+     * @param {number} tick - Current simulation tick
+     * @returns {boolean}
+     */
+    isFinished(tick) {
+        return tick >= this.recording.ticks;
+    }
+
+    /**
+     * Get the recorded input for a tick
+     * @param {number} tick - Simulation tick
+     * @returns {{ inputState: Object, viewDirection: Array<number>|null }} Key states, with analog
+     *          movement while the recorded stick was tilted
+     */
+    getInput(tick) {
+        if (tick < this.lastTick) {
+            this.inputIndex = -1;
+            this.viewIndex = -1;
+            this.analogIndex = -1;
+        }
+        this.lastTick = tick;
+
+        const { inputs, views } = this.recording;
+        const analog = this.recording.analog || [];
+        while (this.inputIndex + 1 < inputs.length && inputs[this.inputIndex + 1][0] <= tick) {
+            this.inputIndex++;
+        }
+        while (this.viewIndex + 1 < views.length && views[this.viewIndex + 1][0] <= tick) {
+            this.viewIndex++;
+        }
+        while (this.analogIndex + 1 < analog.length && analog[this.analogIndex + 1][0] <= tick) {
+            this.analogIndex++;
+        }
+
+        // Nothing is pressed before the first recorded change and after the recording ends
+        const bits = this.inputIndex >= 0 && !this.isFinished(tick) ? inputs[this.inputIndex][1] : 0;
+        const view = this.viewIndex >= 0 ? views[this.viewIndex] : null;
+        const stick = this.analogIndex >= 0 && !this.isFinished(tick) ? analog[this.analogIndex] : null;
+
+        const inputState = decodeInputState(bits);
+        if (stick && (stick[1] !== 0 || stick[2] !== 0)) {
+            inputState.analog = { forward: stick[1], right: stick[2] };
+        }
+
+        return {
+            inputState,
+            viewDirection: view ? [view[1], view[2], view[3]] : null
+        };
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * TouchControls - On-screen joystick, jump and pause buttons for touch screens
+ * Requirements: USER-001 (Input: Player Control), USER-002 (Heads-Up Display)
+ *
+ * UIManager mounts the overlay on touch-capable devices. PlayerController polls
+ * it once per simulation step, like a gamepad: the joystick gives analog
+ * movement and the jump button a jump. A tap on jump that starts and ends
+ * between two steps is held until the next poll, so quick taps are not lost.
+ *
+ * The joystick and button logic works without the DOM; mount() only wires
+ * touch events on the overlay elements to it.
+ */
+
+import { applyDeadZone } from '../player/GamepadInput.js';
+
+export const JOYSTICK_RADIUS = 60; // pixels from the center to full tilt
+export const JOYSTICK_DEAD_ZONE = 0.1;
+
+/**
+ * Whether the device has a touch screen
+ * @returns {boolean}
+ */
+export function isTouchDevice() {
+    if (typeof window === 'undefined') return false;
+    return 'ontouchstart' in window || (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0);
+}
+
+export class TouchControls {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.radius=60] - Joystick travel in pixels
+     */
+    constructor(options = {}) {
+        this.radius = options.radius || JOYSTICK_RADIUS;
+
+        // Joystick: center of the current drag and the stick position, y up is positive
+        this.stickTouchId = null;
+        this.stickCenter = { x: 0, y: 0 };
+        this.move = { x: 0, y: 0 };
+
+        // Jump: held while touched, latched until polled
+        this.isJumpHeld = false;
+        this.isJumpLatched = false;
+
+        this.element = null;
+        this.knobElement = null;
+
+        this.listeners = {
+            pause: []
+        };
+    }
+
+    /**
+     * Start a joystick drag
+     * @param {number} x - Touch position in pixels
+     * @param {number} y - Touch position in pixels
+     * @param {number|null} [touchId] - Identifier of the touch dragging the stick
+     */
+    startStick(x, y, touchId = null) {
+        this.stickTouchId = touchId;
+        this.stickCenter = { x, y };
+        this.move = { x: 0, y: 0 };
+    }
+
+    /**
+     * Move the joystick
+     * Dragging past the radius holds full tilt in that direction.
+     * @param {number} x - Touch position in pixels
+     * @param {number} y - Touch position in pixels
+     */
+    moveStick(x, y) {
+        const dx = (x - this.stickCenter.x) / this.radius;
+        const dy = (this.stickCenter.y - y) / this.radius; // Screen y grows downwards
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const scale = length > 1 ? 1 / length : 1;
+        this.move = applyDeadZone(dx * scale, dy * scale, JOYSTICK_DEAD_ZONE);
+        this.updateKnob(dx * scale, dy * scale);
+    }
+
+    /**
+     * Release the joystick
+     */
+    endStick() {
+        this.stickTouchId = null;
+        this.move = { x: 0, y: 0 };
+        this.updateKnob(0, 0);
+    }
+
+    /**
+     * Touch the jump button
+     */
+    pressJump() {
+        this.isJumpHeld = true;
+        this.isJumpLatched = true;
+    }
+
+    /**
+     * Lift the finger off the jump button
+     */
+    releaseJump() {
+        this.isJumpHeld = false;
+    }
+
+    /**
+     * Read the controls - called once per simulation step
+     * @returns {{ move: { x: number, y: number }, jump: boolean }}
+     */
+    poll() {
+        const jump = this.isJumpHeld || this.isJumpLatched;
+        this.isJumpLatched = false;
+        return { move: { ...this.move }, jump };
+    }
+
+    /**
+     * Release everything, e.g. when the overlay is hidden mid-touch
+     */
+    reset() {
+        this.endStick();
+        this.isJumpHeld = false;
+        this.isJumpLatched = false;
+    }
+
+    /**
+     * Create the overlay and listen for touches on it
+     * @param {HTMLElement} [parent=document.body]
+     */
+    mount(parent = document.body) {
+        if (this.element) return;
+
+        this.element = document.createElement('div');
+        this.element.id = 'touch-controls';
+        this.element.style.cssText = `
+            position: fixed;
+            inset: 0;
+            pointer-events: none;
+            z-index: 1000;
+            user-select: none;
+            -webkit-user-select: none;
+        `;
+        this.element.innerHTML = `
+            <div id="touch-stick" style="
+                position: absolute;
+                left: 30px;
+                bottom: 30px;
+                width: ${this.radius * 2 + 40}px;
+                height: ${this.radius * 2 + 40}px;
+                border-radius: 50%;
+                background: rgba(255, 255, 255, 0.15);
+                border: 2px solid rgba(255, 255, 255, 0.4);
+                pointer-events: auto;
+                touch-action: none;
+            ">
+                <div id="touch-stick-knob" style="
+                    position: absolute;
+                    left: 50%;
+                    top: 50%;
+                    width: 60px;
+                    height: 60px;
+                    margin: -30px 0 0 -30px;
+                    border-radius: 50%;
+                    background: rgba(255, 255, 255, 0.6);
+                "></div>
+            </div>
+            <div id="touch-jump" style="
+                position: absolute;
+                right: 40px;
+                bottom: 50px;
+                width: 100px;
+                height: 100px;
+                border-radius: 50%;
+                background: rgba(78, 205, 196, 0.5);
+                border: 2px solid rgba(255, 255, 255, 0.6);
+                color: white;
+                font: bold 20px 'Courier New', monospace;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                pointer-events: auto;
+                touch-action: none;
+            ">JUMP</div>
+            <div id="touch-pause" style="
+                position: absolute;
+                top: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                padding: 8px 16px;
+                border-radius: 8px;
+                background: rgba(0, 0, 0, 0.4);
+                color: white;
+                font: bold 18px 'Courier New', monospace;
+                pointer-events: auto;
+                touch-action: none;
+            ">❚❚</div>
+        `;
+        parent.appendChild(this.element);
+
+        const stick = this.element.querySelector('#touch-stick');
+        this.knobElement = this.element.querySelector('#touch-stick-knob');
+        const findTouch = (event) => Array.from(event.changedTouches).find(touch => touch.identifier === this.stickTouchId);
+
+        // Touches on the overlay never reach the canvas, so they do not orbit the camera
+        stick.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (this.stickTouchId !== null) return;
+            const touch = event.changedTouches[0];
+            const bounds = stick.getBoundingClientRect();
+            this.startStick(bounds.left + bounds.width / 2, bounds.top + bounds.height / 2, touch.identifier);
+            this.moveStick(touch.clientX, touch.clientY);
+        }, { passive: false });
+        stick.addEventListener('touchmove', (event) => {
+            event.preventDefault();
+            const touch = findTouch(event);
+            if (touch) {
+                this.moveStick(touch.clientX, touch.clientY);
+            }
+        }, { passive: false });
+        const endStick = (event) => {
+            if (findTouch(event)) {
+                this.endStick();
+            }
+        };
+        stick.addEventListener('touchend', endStick);
+        stick.addEventListener('touchcancel', endStick);
+
+        const jump = this.element.querySelector('#touch-jump');
+        jump.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.pressJump();
+        }, { passive: false });
+        jump.addEventListener('touchend', () => this.releaseJump());
+        jump.addEventListener('touchcancel', () => this.releaseJump());
+
+        this.element.querySelector('#touch-pause').addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.emit('pause');
+        }, { passive: false });
+
+        console.log('TouchControls::mount - Touch controls ready');
+    }
+
+    /**
+     * Move the joystick knob to match the stick
+     * @param {number} x - Stick x, -1 to 1
+     * @param {number} y - Stick y, -1 to 1 (up is positive)
+     */
+    updateKnob(x, y) {
+        if (this.knobElement) {
+            this.knobElement.style.transform = `translate(${x * this.radius}px, ${-y * this.radius}px)`;
+        }
+    }
+
+    /**
+     * Show or hide the overlay
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        if (!this.element) return;
+        this.element.style.display = visible ? 'block' : 'none';
+        if (!visible) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Subscribe to touch control events
+     * @param {string} event - 'pause'
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Unsubscribe from touch control events
+     * @param {string} event - Event name
+     * @param {Function} callback - Handler passed to on()
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {*} [data] - Event payload
+     */
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`TouchControls::emit - Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove the overlay
+     */
+    dispose() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+            this.knobElement = null;
+        }
+        this.reset();
+    }
+}
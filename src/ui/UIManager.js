@@ -3,18 +3,30 @@
  * Requirements: USER-002 (Heads-Up Display), PROD-004 (Key Collection), PROD-008 (Lives System), PROD-010 (Scoring)
  */
 
+import { TouchControls, isTouchDevice } from './TouchControls.js';
+
 export class UIManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.touchControls] - Show the on-screen joystick and buttons;
+     *        defaults to whether the device has a touch screen
+     */
+    constructor(options = {}) {
         this.hudElement = null;
         this.keysElement = null;
         this.livesElement = null;
         this.scoreElement = null;
         this.levelElement = null;
         this.messageElement = null;
+        this.touchControls = null;
         
         this.createHUD();
         this.setupEventListeners();
         
+        if (options.touchControls ?? isTouchDevice()) {
+            this.enableTouchControls();
+        }
+        
         console.log('UIManager::constructor - UI manager initialized');
     }
     
@@ -284,6 +296,22 @@ export class UIManager {
         }
     }
     
+    /**
+     * Add the on-screen joystick, jump and pause buttons
+     * They stay hidden until the HUD is shown for a level.
+     * Requirement: USER-001 - Input: Player Control
+     * @returns {TouchControls}
+     */
+    enableTouchControls() {
+        if (!this.touchControls) {
+            this.touchControls = new TouchControls();
+            this.touchControls.mount();
+            this.touchControls.setVisible(false);
+            console.log('UIManager::enableTouchControls - Touch controls enabled');
+        }
+        return this.touchControls;
+    }
+    
     /**
      * Hide the HUD
      */
@@ -291,6 +319,9 @@ export class UIManager {
         if (this.hudElement) {
             this.hudElement.style.display = 'none';
         }
+        if (this.touchControls) {
+            this.touchControls.setVisible(false);
+        }
     }
     
     /**
@@ -300,6 +331,9 @@ export class UIManager {
         if (this.hudElement) {
             this.hudElement.style.display = 'block';
         }
+        if (this.touchControls) {
+            this.touchControls.setVisible(true);
+        }
     }
     
     /**
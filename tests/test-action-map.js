@@ -0,0 +1,126 @@
+/**
+ * Action map test
+ *
+ * Verifies that key events resolve to actions per context, that rebinding a
+ * key takes it away from other actions of the same context, and that user
+ * bindings are saved, loaded over the defaults and reset.
+ */
+
+import { ActionMap, BINDINGS_STORAGE_KEY, eventToBinding, formatBinding } from '../src/input/ActionMap.js';
+
+/**
+ * An in-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; },
+        items
+    };
+}
+
+/**
+ * A key event as the browser reports it
+ */
+function key(code, modifiers = {}) {
+    return { code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers };
+}
+
+export async function testActionMap() {
+    console.log('=====================================');
+    console.log('Action Map Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Defaults and contexts
+    let storage = createStorage();
+    let actionMap = new ActionMap({ storage });
+    check('Default keys trigger game actions',
+        actionMap.getAction(key('KeyW'), 'game') === 'moveForward' &&
+        actionMap.getAction(key('ArrowLeft'), 'game') === 'moveLeft' &&
+        actionMap.getAction(key('Space'), 'game') === 'jump' &&
+        actionMap.getAction(key('Escape'), 'game') === 'pause');
+    check('The same key means different actions in the game and the editor',
+        actionMap.getAction(key('KeyQ'), 'game') === 'cameraLeft' && actionMap.getAction(key('KeyQ'), 'editor') === 'placeTool');
+    check('Modifier bindings win over the plain key',
+        actionMap.getAction(key('KeyQ', { shiftKey: true }), 'editor') === 'floorUp');
+    check('Plain bindings still match while a modifier is held',
+        actionMap.getAction(key('KeyW', { shiftKey: true }), 'game') === 'moveForward');
+    check('Unbound keys trigger nothing', actionMap.getAction(key('KeyZ'), 'game') === null);
+    check('Browser shortcuts are not taken by plain editor keys',
+        ['KeyR', 'KeyF', 'KeyP', 'KeyW'].every(code => actionMap.getAction(key(code, { ctrlKey: true }), 'editor') === null) &&
+        actionMap.getAction(key('KeyR', { ctrlKey: true, shiftKey: true }), 'editor') === null &&
+        actionMap.getAction(key('KeyP', { metaKey: true }), 'editor') === null &&
+        actionMap.getAction(key('KeyW', { altKey: true }), 'editor') === null);
+    check('Editor keys still match while Shift is held', actionMap.getAction(key('KeyW', { shiftKey: true }), 'editor') === 'removeTool');
+    check('Game keys are released even with Ctrl held', actionMap.getAction(key('KeyW', { ctrlKey: true }), 'game') === 'moveForward');
+
+    // Binding strings
+    check('Key events turn into binding strings', eventToBinding(key('KeyQ', { ctrlKey: true, shiftKey: true })) === 'Ctrl+Shift+KeyQ');
+    check('Bindings are formatted for display', formatBinding('Shift+KeyQ') === 'Shift+Q' && formatBinding('ArrowUp') === '↑');
+
+    // Rebinding
+    const displaced = actionMap.setBindings('jump', ['KeyJ', 'KeyQ']);
+    check('Rebinding moves a key away from other actions of the context',
+        displaced.length === 1 && displaced[0] === 'cameraLeft' && actionMap.getBindings('cameraLeft').length === 0);
+    check('Rebound keys trigger the new action',
+        actionMap.getAction(key('KeyJ'), 'game') === 'jump' && actionMap.getAction(key('Space'), 'game') === null);
+    check('Other contexts keep their bindings', actionMap.getAction(key('KeyQ'), 'editor') === 'placeTool');
+
+    let threw = 0;
+    [() => actionMap.setBindings('fly', ['KeyF']), () => actionMap.setBindings('jump', ['Shift+']), () => actionMap.getBindings('fly')].forEach(call => {
+        try {
+            call();
+        } catch (error) {
+            threw++;
+        }
+    });
+    check('Unknown actions and malformed bindings are rejected', threw === 3 && actionMap.getBindings('jump')[0] === 'KeyJ');
+
+    // Persistence
+    check('Bindings are saved when they change', JSON.parse(storage.items[BINDINGS_STORAGE_KEY]).jump[0] === 'KeyJ');
+    const reloaded = new ActionMap({ storage });
+    check('Saved bindings are loaded over the defaults',
+        reloaded.getAction(key('KeyJ'), 'game') === 'jump' && reloaded.getAction(key('KeyW'), 'game') === 'moveForward');
+
+    let changes = 0;
+    reloaded.on('change', () => changes++);
+    reloaded.resetBindings();
+    check('Resetting restores and saves the defaults',
+        changes === 1 && reloaded.getAction(key('Space'), 'game') === 'jump' &&
+        JSON.parse(storage.items[BINDINGS_STORAGE_KEY]).jump[0] === 'Space');
+
+    storage = createStorage({ [BINDINGS_STORAGE_KEY]: JSON.stringify({ jump: ['KeyK', 42], teleport: ['KeyT'] }) });
+    actionMap = new ActionMap({ storage });
+    check('Unknown actions and malformed saved bindings are ignored',
+        actionMap.getBindings('jump').length === 1 && actionMap.getAction(key('KeyT'), 'game') === null);
+
+    actionMap = new ActionMap({ storage: createStorage({ [BINDINGS_STORAGE_KEY]: '{not json' }) });
+    check('Corrupt saved bindings fall back to the defaults', actionMap.getAction(key('Space'), 'game') === 'jump');
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Action Map Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testActionMap().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
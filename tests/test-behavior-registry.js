@@ -0,0 +1,119 @@
+/**
+ * Behavior registry test
+ *
+ * Verifies that behaviors registered from a separate module are created by the
+ * BehaviorSystem, validated by the level schema and enumerated with their
+ * config fields, and that the built-in types are registered.
+ */
+
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import behaviorRegistry from '../src/behaviors/BehaviorRegistry.js';
+import { validateLevel } from '../src/level/LevelSchema.js';
+
+class BlinkBehavior {
+    constructor(targetBlock, config, behaviorId, physicsManager) {
+        this.id = behaviorId;
+        this.type = 'test_blink';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.physicsManager = physicsManager;
+        this.elapsed = 0;
+    }
+
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+    }
+}
+
+export async function testBehaviorRegistry() {
+    console.log('=====================================');
+    console.log('Behavior Registry Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    check('Built-in behaviors are registered',
+        ['elevator', 'timed_disappear', 'switch', 'target'].every(type => behaviorRegistry.has(type)));
+
+    behaviorRegistry.register('test_blink', {
+        behaviorClass: BlinkBehavior,
+        configSchema: {
+            type: 'object',
+            properties: {
+                period: { type: 'number', exclusiveMinimum: 0 }
+            },
+            additionalProperties: false
+        },
+        defaultConfig: { period: 1.5 },
+        editor: {
+            label: 'Blink',
+            fields: { period: { label: 'Period' } }
+        }
+    });
+
+    let duplicateRejected = false;
+    try {
+        behaviorRegistry.register('test_blink', { behaviorClass: BlinkBehavior, configSchema: { type: 'object' } });
+    } catch (error) {
+        duplicateRejected = true;
+    }
+    check('Registering the same type twice is rejected', duplicateRejected);
+
+    const fields = behaviorRegistry.getConfigFields('test_blink');
+    check('Config fields are enumerated with editor labels and defaults',
+        fields.length === 1 && fields[0].name === 'period' && fields[0].label === 'Period' && fields[0].default === 1.5);
+
+    // Create the custom behavior through the BehaviorSystem
+    const physicsManager = { world: { addBody: () => {}, removeBody: () => {} } };
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, physicsManager);
+    const block = {
+        name: 'block-standard-0',
+        position: { x: 0, y: 0, z: 0, clone() { return { ...this }; } },
+        userData: { gridPosition: [0, 0, 0] }
+    };
+    const levelData = {
+        gridUnitSize: 4,
+        blocks: [{ type: 'standard', at: [0, 0, 0] }],
+        behaviors: [{ type: 'test_blink', target: [0, 0, 0], config: {} }],
+        player: { spawn: [0, 1, 0] }
+    };
+    behaviorSystem.parseBehaviors(levelData, new Map([['block-0', block]]));
+
+    const behavior = Array.from(behaviorSystem.behaviors.values())[0];
+    check('BehaviorSystem creates registered behaviors', behavior instanceof BlinkBehavior);
+    check('Default config is applied under the level config', behavior && behavior.config.period === 1.5);
+    check('Physics manager is passed to behavior classes', behavior && behavior.physicsManager === physicsManager);
+
+    check('Level with a registered custom behavior passes validation', validateLevel(levelData).valid);
+
+    levelData.behaviors[0].config.period = -1;
+    check('Custom behavior config is checked against its schema',
+        validateLevel(levelData).errors.some(error => error.path === '$.behaviors[0].config.period'));
+
+    behaviorRegistry.unregister('test_blink');
+    check('Unregistered behavior types are rejected by the validator',
+        validateLevel(levelData).errors.some(error => error.path === '$.behaviors[0].type'));
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Behavior Registry Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testBehaviorRegistry().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
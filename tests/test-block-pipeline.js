@@ -0,0 +1,157 @@
+/**
+ * Block state pipeline test
+ *
+ * Verifies that several behaviors on one block compose through the
+ * BlockStatePipeline: a disappearing elevator keeps moving while it blinks,
+ * offsets from two movers add up, and the mesh and physics body stay in sync.
+ */
+
+import * as THREE from 'three';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+
+function createBody(position) {
+    return {
+        position: {
+            x: position.x, y: position.y, z: position.z,
+            set(x, y, z) { this.x = x; this.y = y; this.z = z; }
+        },
+        quaternion: { set() {} },
+        collisionResponse: true,
+        wakeUp() {}
+    };
+}
+
+function createBlock(at) {
+    const block = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshStandardMaterial());
+    block.name = `block-${at.join('_')}`;
+    block.position.set(at[0] * 4, at[1] * 4, at[2] * 4);
+    block.userData.gridPosition = at;
+    return block;
+}
+
+function createSystem(levelData) {
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, { world: {} });
+    const platforms = new Map();
+    const bodies = [];
+    levelData.blocks.forEach((definition, index) => {
+        const block = createBlock(definition.at);
+        platforms.set(`block-${index}`, block);
+        bodies.push(createBody(block.position));
+    });
+    behaviorSystem.parseBehaviors(levelData, platforms, bodies);
+    return { behaviorSystem, block: platforms.get('block-0') };
+}
+
+export async function testBlockPipeline() {
+    console.log('=====================================');
+    console.log('Block State Pipeline Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // A disappearing elevator
+    const elevatorLevel = {
+        blocks: [{ at: [1, 0, 0] }],
+        behaviors: [
+            {
+                type: 'elevator',
+                target: [1, 0, 0],
+                config: { startPosition: [4, 0, 0], endPosition: [4, 8, 0], speed: 2, autoReturn: false }
+            },
+            {
+                type: 'timed_disappear',
+                target: [1, 0, 0],
+                config: { visibleDuration: 1, invisibleDuration: 1, warningTime: 0 }
+            }
+        ]
+    };
+    const { behaviorSystem, block } = createSystem(elevatorLevel);
+    const body = block.userData.physicsBody;
+    const elevator = Array.from(behaviorSystem.behaviors.values())[0];
+
+    check('Blocks with contributing behaviors share one pipeline', behaviorSystem.blockPipelines.size === 1);
+
+    elevator.activate();
+    behaviorSystem.update(0.5);
+    check('Elevator moves the block', Math.abs(block.position.y - 1) < 1e-6);
+    check('Physics body follows the mesh', Math.abs(body.position.y - 1) < 1e-6);
+    check('Block is still visible and solid', block.visible && body.collisionResponse);
+
+    behaviorSystem.update(0.6);
+    check('Timed disappear hides the block and disables collision', !block.visible && !body.collisionResponse);
+    check('Elevator keeps moving while the block is hidden', Math.abs(block.position.y - 2.2) < 1e-6);
+
+    behaviorSystem.update(1.0);
+    check('Block reappears where the elevator moved it',
+        block.visible && body.collisionResponse && Math.abs(block.position.y - 4.2) < 1e-6);
+
+    elevator.reset();
+    behaviorSystem.update(0);
+    check('Reset returns the block to its start position', Math.abs(block.position.y) < 1e-6 && block.position.x === 4);
+
+    // Two movers on one block add their offsets
+    const stackedLevel = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [
+            {
+                type: 'elevator',
+                target: [0, 0, 0],
+                config: { startPosition: [0, 0, 0], endPosition: [0, 4, 0], speed: 4, autoReturn: false }
+            },
+            {
+                type: 'target',
+                target: [0, 0, 0],
+                config: { actionType: 'move', moveTarget: [4, 0, 0], moveSpeed: 4 }
+            }
+        ]
+    };
+    const stacked = createSystem(stackedLevel);
+    stacked.behaviorSystem.behaviors.forEach(behavior => behavior.activate());
+    stacked.behaviorSystem.update(1.0);
+    check('Offsets from an elevator and a target compose',
+        stacked.block.position.equals(new THREE.Vector3(4, 4, 0)));
+
+    // Switch visuals compose with the behaviors on the same block
+    const switchLevel = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [
+            { type: 'switch', target: [0, 0, 0], config: { visual: 'lever', oneTime: false } },
+            { type: 'target', target: [0, 0, 0], config: { actionType: 'rotate', rotateAxis: 'z', rotateSpeed: Math.PI / 4 } }
+        ]
+    };
+    const lever = createSystem(switchLevel);
+    const [switchBehavior, rotator] = Array.from(lever.behaviorSystem.behaviors.values());
+    const baseMaterial = lever.block.material;
+    switchBehavior.activate();
+    rotator.activate();
+    lever.behaviorSystem.update(1.0);
+    check('Lever and rotating target rotations compose',
+        Math.abs(new THREE.Euler().setFromQuaternion(lever.block.quaternion).z - Math.PI / 2) < 1e-6);
+    check('Switch shows its active material', lever.block.material === switchBehavior.activeMaterial);
+    switchBehavior.reset();
+    lever.behaviorSystem.update(0);
+    check('Switch reset restores the base material', lever.block.material === baseMaterial);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Block State Pipeline Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testBlockPipeline().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,125 @@
+/**
+ * Conveyor behavior test
+ *
+ * Verifies that a conveyor pushes the player only while they stand on the
+ * block, follows the current gravity orientation, is switched on and off
+ * through signals, and shows its belt on grouped (GLB) blocks as well.
+ */
+
+import * as THREE from 'three';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+
+function createBlock(at) {
+    const block = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshStandardMaterial());
+    block.name = `block-${at.join('_')}`;
+    block.position.set(at[0] * 4, at[1] * 4, at[2] * 4);
+    block.userData.gridPosition = at;
+    return block;
+}
+
+export async function testConveyorBehavior() {
+    console.log('=====================================');
+    console.log('Conveyor Behavior Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    const physicsManager = new PhysicsManager();
+    const playerBody = physicsManager.createPlayerBody(new THREE.Vector3(0, 2.5, 0));
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, physicsManager);
+
+    const block = createBlock([0, 0, 0]);
+    const levelData = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [
+            {
+                type: 'conveyor',
+                target: [0, 0, 0],
+                config: { direction: [1, 0, 0], speed: 3, acceleration: 30 },
+                listen: [{ channel: 'belt', action: 'toggle' }]
+            }
+        ]
+    };
+    behaviorSystem.parseBehaviors(levelData, new Map([['block-0', block]]));
+    const conveyor = Array.from(behaviorSystem.behaviors.values())[0];
+
+    check('Conveyor shows its belt material', block.material === conveyor.beltMaterial && Boolean(block.material.map));
+
+    // Standing on the belt
+    behaviorSystem.update(0.05);
+    check('Player on the belt is pushed along the direction', Math.abs(playerBody.velocity.x - 1.5) < 1e-6);
+    behaviorSystem.update(0.5);
+    check('Push stops at the belt speed', Math.abs(playerBody.velocity.x - 3) < 1e-6);
+
+    check('Belt texture scrolls while running', conveyor.beltMaterial.map.offset.x !== 0);
+
+    // Off the belt
+    playerBody.velocity.set(0, 0, 0);
+    playerBody.position.set(0, 5, 0);
+    behaviorSystem.update(0.1);
+    check('Player above the belt is not pushed', playerBody.velocity.x === 0);
+
+    // Gravity toward -x: the block's +x face is the surface and "forward" rotates onto it
+    physicsManager.world.gravity.set(-9.82, 0, 0);
+    playerBody.position.set(2.5, 0, 0);
+    behaviorSystem.update(0.05);
+    check('Belt direction rotates with gravity',
+        Math.abs(playerBody.velocity.y + 1.5) < 1e-6 && Math.abs(playerBody.velocity.x) < 1e-6);
+
+    // Switching the belt off through a signal
+    physicsManager.world.gravity.set(0, -9.82, 0);
+    playerBody.position.set(0, 2.5, 0);
+    playerBody.velocity.set(0, 0, 0);
+    behaviorSystem.emitSignal('belt', true);
+    const textureOffset = conveyor.beltMaterial.map.offset.x;
+    behaviorSystem.update(0.1);
+    check('Toggled-off belt does not push', playerBody.velocity.x === 0 && !conveyor.state.isActive);
+    check('Stopped belt keeps its texture still', conveyor.beltMaterial.map.offset.x === textureOffset);
+
+    conveyor.reset();
+    check('Reset restarts the belt', conveyor.state.isActive);
+
+    // Grouped blocks, like GLB model instances, have no material of their own
+    const group = new THREE.Group();
+    const top = new THREE.Mesh(new THREE.BoxGeometry(4, 1, 4), new THREE.MeshStandardMaterial());
+    const base = new THREE.Mesh(new THREE.BoxGeometry(4, 3, 4), [new THREE.MeshStandardMaterial(), new THREE.MeshStandardMaterial()]);
+    const sharedMaterial = top.material;
+    group.add(top, base);
+    group.position.set(20, 0, 0);
+    group.userData.gridPosition = [5, 0, 0];
+    const groupSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, new PhysicsManager());
+    groupSystem.parseBehaviors({
+        blocks: [{ at: [5, 0, 0] }],
+        behaviors: [{ type: 'conveyor', target: [5, 0, 0], config: { direction: [0, 0, 1] } }]
+    }, new Map([['block-0', group]]));
+    const groupConveyor = Array.from(groupSystem.behaviors.values())[0];
+    check('Every mesh of a grouped block shows the belt',
+        top.material.map === groupConveyor.beltTexture && base.material.every(material => material.map === groupConveyor.beltTexture));
+    check('The meshes get their own materials', top.material !== sharedMaterial && !sharedMaterial.map);
+    groupSystem.update(0.1);
+    check('The belt scrolls on grouped blocks', groupConveyor.beltTexture.offset.y !== 0);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Conveyor Behavior Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testConveyorBehavior().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
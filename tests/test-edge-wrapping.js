@@ -0,0 +1,124 @@
+/**
+ * Edge wrapping test
+ *
+ * Verifies that PhysicsManager wraps the player around the edge of any grid
+ * block onto the neighbouring face, for every gravity direction, and reorients
+ * gravity to that face's normal. Flat continuations onto a neighbouring block,
+ * jumps over an edge and levels without grid cells are left alone.
+ */
+
+import * as CANNON from 'cannon-es';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+
+const AXES = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+function vec(array) {
+    return new CANNON.Vec3(array[0], array[1], array[2]);
+}
+
+/**
+ * Place the player rolling on the `up` face of a block at the origin, 0.2 past its edge along `direction`
+ */
+function createRollingPlayer(cells, up, direction, speed = 3) {
+    const physicsManager = new PhysicsManager();
+    physicsManager.setGridCells(cells, 4);
+    physicsManager.world.gravity.copy(vec(up).scale(-9.82));
+    const position = vec(up).scale(2.5).vadd(vec(direction).scale(2.2));
+    const playerBody = physicsManager.createPlayerBody(position);
+    playerBody.velocity.copy(vec(direction).scale(speed));
+    return { physicsManager, playerBody };
+}
+
+export async function testEdgeWrapping() {
+    console.log('=====================================');
+    console.log('Edge Wrapping Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Every face, every edge
+    let wraps = 0;
+    let landsOnFace = 0;
+    let keepsRolling = 0;
+    let combinations = 0;
+    for (const up of AXES) {
+        for (const direction of AXES) {
+            if (Math.abs(vec(up).dot(vec(direction))) > 0.5) continue;
+            combinations++;
+
+            const { physicsManager, playerBody } = createRollingPlayer([[0, 0, 0]], up, direction);
+            physicsManager.checkEdgeTransition();
+
+            if (physicsManager.world.gravity.almostEquals(vec(direction).scale(-9.82), 1e-6)) wraps++;
+            // The player ends up against the new face, just past the edge it rolled over
+            if (Math.abs(playerBody.position.dot(vec(direction)) - 2.5) < 1e-6 &&
+                Math.abs(playerBody.position.dot(vec(up)) - 1.8) < 1e-6) landsOnFace++;
+            if (playerBody.velocity.almostEquals(vec(up).scale(-3), 1e-6)) keepsRolling++;
+        }
+    }
+    check(`Gravity wraps to the new face normal for all ${combinations} face edges`, wraps === combinations);
+    check('Player is rotated around the edge onto the new face', landsOnFace === combinations);
+    check('Velocity turns with the player so they keep rolling over the edge', keepsRolling === combinations);
+
+    // Flat continuation onto a neighbouring block
+    const flat = createRollingPlayer([[0, 0, 0], [1, 0, 0]], [0, 1, 0], [1, 0, 0]);
+    flat.physicsManager.checkEdgeTransition();
+    check('Rolling onto a neighbouring block does not wrap', flat.physicsManager.world.gravity.y < -9);
+
+    // Step up: the block above the next cell does not stop the wrap down the side
+    const step = createRollingPlayer([[0, 0, 0], [1, 1, 0]], [0, 1, 0], [1, 0, 0]);
+    step.physicsManager.checkEdgeTransition();
+    check('Open side face below a step is wrapped onto', step.physicsManager.world.gravity.x < -9);
+
+    // Moving away from the edge or jumping over it
+    const backwards = createRollingPlayer([[0, 0, 0]], [0, 1, 0], [1, 0, 0], -3);
+    backwards.physicsManager.checkEdgeTransition();
+    check('Player moving back from the edge does not wrap', backwards.physicsManager.world.gravity.y < -9);
+
+    const jumping = createRollingPlayer([[0, 0, 0]], [0, 1, 0], [1, 0, 0]);
+    jumping.playerBody.position.y = 5;
+    jumping.physicsManager.checkEdgeTransition();
+    check('Player in the air over an edge does not wrap', jumping.physicsManager.world.gravity.y < -9);
+
+    // Simulated roll over the edge of a real collider
+    const rolling = createRollingPlayer([[0, 0, 0]], [0, 1, 0], [1, 0, 0]);
+    rolling.playerBody.position.set(1.5, 2.5, 0);
+    rolling.physicsManager.world.addBody(new CANNON.Body({ mass: 0, shape: new CANNON.Box(new CANNON.Vec3(2, 2, 2)) }));
+    for (let i = 0; i < 180; i++) {
+        rolling.physicsManager.update(1 / 60);
+    }
+    const { position } = rolling.playerBody;
+    check('Rolling player ends up held against the side face', rolling.physicsManager.world.gravity.x < -9 &&
+        Math.abs(position.x - 2.5) < 0.1 && position.y < 2);
+
+    // Levels without grid cells keep the legacy wall check
+    const legacy = new PhysicsManager();
+    legacy.createWallBody({ x: 10, y: 5, z: 0 }, { x: 20, y: 10 });
+    const legacyPlayer = legacy.createPlayerBody({ x: 9, y: 0.5, z: 0 });
+    legacyPlayer.velocity.set(1, 0, 0);
+    legacy.checkEdgeTransition();
+    check('Legacy wall transition still works without grid cells', legacy.isTransitioning);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Edge Wrapping Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testEdgeWrapping().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
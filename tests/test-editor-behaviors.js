@@ -0,0 +1,170 @@
+/**
+ * Editor behaviors test
+ *
+ * Verifies behavior authoring in the level editor: attaching registered
+ * behaviors with their default config, editing and unsetting config fields,
+ * removing behaviors with their block, undo, the switch-to-target link lines,
+ * that the authored level passes the level schema, and that switches and
+ * elevators added in the editor fire when the player touches them.
+ */
+
+import * as THREE from 'three';
+import { LevelEditor } from '../src/editor/LevelEditor.js';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+import { validateLevel } from '../src/level/LevelSchema.js';
+
+/**
+ * A level editor with a scene but no canvas
+ */
+function createEditor() {
+    const editor = new LevelEditor(null);
+    editor.setupScene();
+    return editor;
+}
+
+/**
+ * Run an authored level's behaviors on plain block meshes
+ */
+function createBehaviorSystem(levelData) {
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, new PhysicsManager(), { headless: true });
+    const platforms = new Map();
+    levelData.blocks.forEach(({ at }, index) => {
+        const block = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshStandardMaterial());
+        block.position.set(at[0] * 4, at[1] * 4, at[2] * 4);
+        block.userData.gridPosition = at;
+        platforms.set(`block-${index}`, block);
+    });
+    behaviorSystem.parseBehaviors(levelData, platforms);
+    return behaviorSystem;
+}
+
+export async function testEditorBehaviors() {
+    console.log('=====================================');
+    console.log('Editor Behaviors Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    const editor = createEditor();
+    const switchCell = { x: 0, y: 0, z: 0 };
+    const targetCell = { x: 3, y: 0, z: 0 };
+    await editor.placeBlock(switchCell, 'standard_platform');
+    await editor.placeBlock(targetCell, 'standard_platform');
+    await editor.placeBlock({ x: 1, y: 0, z: 0 }, 'flower');
+    check('New levels start with an empty behaviors array', Array.isArray(editor.levelData.behaviors) && editor.levelData.behaviors.length === 0);
+
+    // Offered behaviors
+    const available = editor.getAvailableBehaviors();
+    const switchType = available.find(({ type }) => type === 'switch');
+    check('Every registered behavior is offered with its config fields',
+        available.some(({ type }) => type === 'elevator') && switchType.fields.some(field => field.name === 'targetBlock'));
+    
+    const field = (type, name) => available.find(behavior => behavior.type === type).fields.find(f => f.name === name);
+    check('Coordinate fields say whether they hold a cell, a position or a direction',
+        field('switch', 'targetBlock').coordinate === 'cell' && field('elevator', 'startPosition').coordinate === 'world' &&
+        field('conveyor', 'direction').coordinate === 'direction' && field('teleporter', 'sourceNormal').coordinate === 'direction' &&
+        field('switch', 'oneTime').coordinate === null);
+    check('Only signed number fields may go below zero',
+        field('target', 'rotateSpeed').signed && !field('elevator', 'speed').signed);
+
+    // Attaching
+    const switchIndex = editor.addBehavior(switchCell, 'switch');
+    check('A behavior is attached with its default config',
+        switchIndex === 0 && editor.levelData.behaviors[0].target.join() === '0,0,0' &&
+        editor.levelData.behaviors[0].config.action === 'activate');
+    check('Behaviors cannot be attached to empty cells or decorations',
+        editor.addBehavior({ x: 5, y: 0, z: 5 }, 'switch') === -1 && editor.addBehavior({ x: 1, y: 0, z: 0 }, 'switch') === -1);
+    check('Unknown behavior types are rejected', editor.addBehavior(switchCell, 'no_such_behavior') === -1);
+
+    // Config fields
+    editor.setBehaviorConfig(switchIndex, 'targetBlock', [3, 0, 0]);
+    editor.setBehaviorConfig(switchIndex, 'oneTime', false);
+    check('Config fields are set', editor.levelData.behaviors[0].config.targetBlock.join() === '3,0,0' &&
+        editor.levelData.behaviors[0].config.oneTime === false);
+    editor.setBehaviorConfig(switchIndex, 'oneTime', undefined);
+    check('Unsetting a field falls back to the default', !('oneTime' in editor.levelData.behaviors[0].config));
+
+    const targetIndex = editor.addBehavior(targetCell, 'target');
+    editor.setBehaviorConfig(targetIndex, 'actionType', 'disappear');
+    check('Behaviors of a cell are listed with their index',
+        editor.getBehaviorsAt(targetCell).length === 1 && editor.getBehaviorsAt(targetCell)[0].index === targetIndex);
+
+    // Links
+    check('The switch is linked to its target in the view',
+        editor.linkGroup.children.length === 1 && editor.linkGroup.children[0].userData.field === 'targetBlock');
+
+    // Validation
+    check('The authored level passes the level schema', validateLevel(editor.levelData).valid);
+
+    // Undo and removal
+    editor.undo();
+    check('Undo reverts a config change', editor.levelData.behaviors[targetIndex].config.actionType === 'move');
+    editor.redo();
+
+    editor.removeBlock(targetCell);
+    check('Removing a block removes its behaviors', editor.getBehaviorsAt(targetCell).length === 0 && editor.levelData.behaviors.length === 1);
+    editor.undo();
+    check('Undoing the removal brings the behaviors back', editor.getBehaviorsAt(targetCell).length === 1);
+
+    editor.removeBehavior(switchIndex);
+    check('Detaching the switch removes its link', editor.levelData.behaviors.length === 1 && editor.linkGroup.children.length === 0);
+    editor.undo();
+    check('Undoing restores the link', editor.linkGroup.children.length === 1);
+
+    // Selection and picking
+    const selections = [];
+    editor.on('select', cell => selections.push(cell));
+    editor.selectCell(switchCell);
+    editor.selectCell(null);
+    check('Selecting a cell notifies the inspector', selections.length === 2 && selections[0].x === 0 && selections[1] === null);
+
+    let picked = null;
+    editor.pickCell(cell => { picked = cell; });
+    editor.hoveredGridPos = { x: 2, y: 0, z: 4 };
+    editor.setTool('place');
+    editor.handleMouseClick();
+    check('A pending pick takes the next click instead of the tool',
+        picked && picked.z === 4 && !editor.getBlockAt({ x: 2, y: 0, z: 4 }) && editor.pendingPick === null);
+
+    // Playing the authored behaviors
+    const authored = createEditor();
+    await authored.placeBlock({ x: 0, y: 0, z: 0 }, 'standard_platform');
+    await authored.placeBlock({ x: 5, y: 0, z: 0 }, 'standard_platform');
+    authored.addBehavior({ x: 0, y: 0, z: 0 }, 'switch');
+    authored.addBehavior({ x: 5, y: 0, z: 0 }, 'elevator');
+    const played = createBehaviorSystem(authored.levelData);
+    const [addedSwitch, addedElevator] = Array.from(played.behaviors.values());
+    played.checkBehaviorTriggers(new THREE.Vector3(0, 2.4, 0));
+    played.checkBehaviorTriggers(new THREE.Vector3(20, 2.4, 0));
+    check('An added switch fires when the player touches it', addedSwitch.state.isActivated);
+    check('An added elevator starts when the player stands on it', addedElevator.state.isTriggered);
+
+    authored.setBehaviorConfig(1, 'trigger', 'none');
+    const signalOnly = createBehaviorSystem(authored.levelData);
+    signalOnly.checkBehaviorTriggers(new THREE.Vector3(20, 2.4, 0));
+    check("An elevator with trigger 'none' waits for a signal", !Array.from(signalOnly.behaviors.values())[1].state.isTriggered);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Editor Behaviors Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testEditorBehaviors().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,184 @@
+/**
+ * Editor history test
+ *
+ * Verifies that every level editor change - placing and removing blocks,
+ * moving the spawn and exit, keys, floor and level clears, loads and level
+ * settings - can be undone and redone with the scene following the data, and
+ * that the history list, its limit and jumping between entries behave.
+ */
+
+import { LevelEditor } from '../src/editor/LevelEditor.js';
+import { EditorHistory } from '../src/editor/EditorHistory.js';
+
+/**
+ * A level editor with a scene but no canvas
+ */
+function createEditor() {
+    const editor = new LevelEditor(null);
+    editor.setupScene();
+    return editor;
+}
+
+/**
+ * Count the markers of a kind in the scene
+ */
+function countMarkers(editor, prefix) {
+    return Array.from(editor.specialObjects.keys()).filter(key => key.startsWith(prefix)).length;
+}
+
+export async function testEditorHistory() {
+    console.log('=====================================');
+    console.log('Editor History Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Blocks
+    let editor = createEditor();
+    await editor.placeBlock({ x: 0, y: 0, z: 0 }, 'standard_platform');
+    await editor.placeBlock({ x: 1, y: 0, z: 0 }, 'flower');
+    check('Placing records one step per block', editor.history.getEntries().length === 2);
+
+    check('Undo removes the last block from the data and the scene',
+        editor.undo() && editor.levelData.decorations.length === 0 && editor.blockInstances.size === 1);
+    check('Redo puts it back',
+        editor.redo() && editor.levelData.decorations.length === 1 && editor.blockInstances.size === 2);
+
+    await editor.placeBlock({ x: 0, y: 0, z: 0 }, 'stone_platform');
+    check('Placing on an occupied cell records nothing', editor.history.getEntries().length === 2);
+
+    editor.removeBlock({ x: 0, y: 0, z: 0 });
+    editor.undo();
+    check('Undoing a removal restores the block where it was',
+        editor.levelData.blocks[0].type === 'standard_platform' && editor.getBlockAt({ x: 0, y: 0, z: 0 }) !== null);
+
+    editor.undo();
+    editor.undo();
+    check('Undoing everything leaves an empty level', editor.levelData.blocks.length === 0 && editor.blockInstances.size === 0);
+    check('Nothing is left to undo', !editor.undo() && editor.history.canRedo);
+
+    await editor.placeBlock({ x: 3, y: 0, z: 0 }, 'grass_platform');
+    check('A new change drops the undone ones', !editor.history.canRedo && editor.history.getEntries().length === 1);
+
+    // Special objects
+    editor = createEditor();
+    editor.setPlayerSpawn({ x: 1, y: 1, z: 1 });
+    editor.setPlayerSpawn({ x: 2, y: 1, z: 1 });
+    editor.undo();
+    check('Undoing a spawn move returns the spawn and its marker',
+        editor.levelData.player.spawn[0] === 1 && countMarkers(editor, 'player_spawn') === 1);
+
+    editor.setExit({ x: 4, y: 1, z: 4 });
+    editor.removeBlock({ x: 4, y: 1, z: 4 });
+    check('Removing the exit clears it', editor.levelData.objectives.exit === null && countMarkers(editor, 'exit') === 0);
+    editor.undo();
+    check('Undoing brings the exit back', editor.levelData.objectives.exit.at[0] === 4 && countMarkers(editor, 'exit') === 1);
+
+    editor.removeBlock({ x: 1, y: 1, z: 1 });
+    check('Removing the spawn clears it from the data too', editor.levelData.player.spawn === null);
+    editor.removeBlock({ x: 1, y: 1, z: 1 });
+    check('Removing from an empty cell is not recorded', editor.history.getEntries().length === 3);
+    editor.undo();
+
+    editor.addKey({ x: 0, y: 1, z: 0 });
+    editor.addKey({ x: 1, y: 1, z: 0 });
+    editor.removeBlock({ x: 0, y: 1, z: 0 });
+    editor.addKey({ x: 2, y: 1, z: 0 });
+    const keyIds = editor.levelData.objectives.keys.map(key => key.id);
+    check('Key IDs stay unique after a removal', new Set(keyIds).size === keyIds.length);
+
+    // Floors
+    editor = createEditor();
+    await editor.placeBlock({ x: 0, y: 0, z: 0 }, 'standard_platform');
+    await editor.placeBlock({ x: 0, y: 1, z: 0 }, 'standard_platform');
+    await editor.placeBlock({ x: 1, y: 1, z: 0 }, 'tree');
+    editor.addKey({ x: 2, y: 1, z: 0 });
+    editor.clearFloor(1);
+    check('Clearing a floor empties only that floor',
+        editor.levelData.blocks.length === 1 && editor.levelData.decorations.length === 0 &&
+        editor.levelData.objectives.keys.length === 0 && editor.blockInstances.size === 1);
+    check('A floor clear is one step', editor.history.getEntries().slice(-1)[0].label === 'Clear floor 1');
+    editor.undo();
+    check('Undoing a floor clear restores the floor',
+        editor.levelData.blocks.length === 2 && editor.levelData.decorations.length === 1 &&
+        countMarkers(editor, 'key_') === 1 && editor.blockInstances.size === 3);
+
+    editor.clearLevel();
+    check('Clearing the level keeps the spawn', editor.blockInstances.size === 0 && countMarkers(editor, 'player_spawn') === 1);
+    editor.undo();
+    check('Undoing a level clear restores everything', editor.blockInstances.size === 3);
+
+    // Loading
+    const loaded = {
+        formatVersion: editor.levelData.formatVersion,
+        name: 'Loaded Level',
+        gridUnitSize: 4,
+        blocks: [
+            { type: 'standard_platform', at: [0, 0, 0] },
+            { type: 'standard_platform', at: [1, 0, 0] }
+        ],
+        player: { spawn: [0, 1, 0] },
+        objectives: {
+            keys: [{ id: 'key1', at: [1, 1, 0] }, { id: 'key2', at: [0, 2, 0] }],
+            exit: { at: [1, 2, 0] }
+        }
+    };
+    check('Loading a level with keys succeeds', editor.loadJSON(JSON.stringify(loaded)));
+    check('Loaded blocks and keys are not duplicated',
+        editor.levelData.blocks.length === 2 && editor.levelData.objectives.keys.length === 2 &&
+        editor.blockInstances.size === 2 && countMarkers(editor, 'key_') === 2);
+    editor.undo();
+    check('Undoing a load brings the previous level back',
+        editor.levelData.name === 'Custom Level' && editor.blockInstances.size === 3 && countMarkers(editor, 'key_') === 1);
+    editor.redo();
+    check('Redoing a load loads it again', editor.levelData.name === 'Loaded Level' && editor.blockInstances.size === 2);
+
+    editor.setLevelName('Renamed');
+    editor.setLevelTheme('nature');
+    editor.undo();
+    editor.undo();
+    check('Level settings changes are undone', editor.levelData.name === 'Loaded Level' && editor.levelData.theme !== 'nature');
+
+    // History list
+    const history = new EditorHistory({ limit: 3 });
+    const applied = [];
+    const command = label => ({ label, execute: () => applied.push(label), undo: () => applied.pop() });
+    ['a', 'b', 'c', 'd'].forEach(label => {
+        applied.push(label);
+        history.push(command(label));
+    });
+    check('The oldest steps are dropped past the limit', history.getEntries().map(entry => entry.label).join('') === 'bcd');
+
+    let changes = 0;
+    history.on('change', () => changes++);
+    history.goTo(1);
+    check('Going to an entry undoes the steps after it', applied.join('') === 'ab' && changes === 2);
+    const entries = history.getEntries();
+    check('Undone steps stay listed after the applied ones',
+        entries.length === 3 && entries[0].applied && !entries[1].applied && entries[2].label === 'd');
+    history.goTo(3);
+    check('Going forward redoes them', applied.join('') === 'abcd');
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Editor History Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testEditorHistory().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,197 @@
+/**
+ * Editor selection test
+ *
+ * Verifies box selection across floors in the level editor, copy, cut, paste
+ * and delete of the selected box with its decorations, keys, collectibles
+ * and behaviors, rotating and mirroring the clipboard with behavior config
+ * following the blocks, and the box fill and hollow box tools - each change
+ * one undoable step.
+ */
+
+import { LevelEditor } from '../src/editor/LevelEditor.js';
+import { validateLevel } from '../src/level/LevelSchema.js';
+import { MAX_BOX_CELLS } from '../src/editor/EditorClipboard.js';
+
+/**
+ * A level editor with a scene but no canvas
+ */
+function createEditor() {
+    const editor = new LevelEditor(null);
+    editor.setupScene();
+    return editor;
+}
+
+/**
+ * Find the behavior of a type attached to a cell
+ */
+function behaviorAt(editor, type, at) {
+    return editor.levelData.behaviors.find(behavior => behavior.type === type && behavior.target.join() === at.join());
+}
+
+export async function testEditorSelection() {
+    console.log('=====================================');
+    console.log('Editor Selection Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // A small structure over two floors with behaviors, a key and a collectible
+    const editor = createEditor();
+    await editor.placeBlock({ x: 0, y: 0, z: 0 }, 'standard_platform');
+    await editor.placeBlock({ x: 1, y: 0, z: 0 }, 'standard_platform');
+    await editor.placeBlock({ x: 0, y: 1, z: 0 }, 'standard_platform');
+    await editor.placeBlock({ x: 1, y: 0, z: 1 }, 'flower');
+    await editor.placeBlock({ x: 5, y: 0, z: 5 }, 'stone_platform');
+    editor.addKey({ x: 1, y: 1, z: 0 });
+    editor.levelData.collectibles.push({ at: [0, 2, 0] });
+
+    const switchIndex = editor.addBehavior({ x: 0, y: 0, z: 0 }, 'switch');
+    editor.setBehaviorConfig(switchIndex, 'targetBlock', [1, 0, 0]);
+    const outsideIndex = editor.addBehavior({ x: 0, y: 1, z: 0 }, 'switch');
+    editor.setBehaviorConfig(outsideIndex, 'targetBlock', [5, 0, 5]);
+    const elevatorIndex = editor.addBehavior({ x: 0, y: 1, z: 0 }, 'elevator');
+    editor.setBehaviorConfig(elevatorIndex, 'startPosition', [0, 4, 0]);
+    const conveyorIndex = editor.addBehavior({ x: 1, y: 0, z: 0 }, 'conveyor');
+    editor.setBehaviorConfig(conveyorIndex, 'direction', [1, 0, 0]);
+
+    // Selecting
+    editor.setTool('select');
+    editor.hoveredGridPos = { x: 1, y: 2, z: 1 };
+    editor.handleMouseClick();
+    editor.hoveredGridPos = { x: 0, y: 0, z: 0 };
+    editor.handleMouseClick({ shiftKey: true });
+    const selection = editor.getSelection();
+    check('Shift-clicking stretches the selection across floors',
+        selection.min.y === 0 && selection.max.y === 2 && selection.max.x === 1 && selection.max.z === 1);
+    check('The selected cell stays the first one clicked', editor.getSelectedCell().y === 2);
+    check('The selection outline covers the box', editor.selectionBox.visible && editor.selectionBox.scale.y === 3);
+
+    // Copying
+    const entries = editor.history.getEntries().length;
+    const clipboard = editor.copySelection();
+    check('Copying takes the blocks, decorations, keys and collectibles of the box',
+        clipboard.blocks.length === 3 && clipboard.decorations.length === 1 &&
+        clipboard.keys.length === 1 && clipboard.collectibles.length === 1);
+    check('Copying takes the behaviors of the copied blocks', clipboard.behaviors.length === 4);
+    check('Copying records no history step', editor.history.getEntries().length === entries);
+
+    // Pasting
+    check('Pasting succeeds', editor.pasteClipboard({ x: 10, y: 0, z: 10 }));
+    check('A paste is one history step', editor.history.getEntries().length === entries + 1);
+    check('Pasted blocks are in the data and the scene',
+        editor.getBlockAt({ x: 11, y: 0, z: 10 }) !== null && editor.getBlockAt({ x: 11, y: 0, z: 11 }) !== null &&
+        editor.levelData.blocks.length === 7 && editor.levelData.collectibles.some(c => c.at.join() === '10,2,10'));
+    const keyIds = editor.levelData.objectives.keys.map(key => key.id);
+    check('Pasted keys get unique IDs', keyIds.length === 2 && new Set(keyIds).size === 2);
+    check('Links inside the box move with the blocks',
+        behaviorAt(editor, 'switch', [10, 0, 10]).config.targetBlock.join() === '11,0,10');
+    check('Links out of the box keep their target',
+        behaviorAt(editor, 'switch', [10, 1, 10]).config.targetBlock.join() === '5,0,5');
+    check('World positions move with the blocks',
+        behaviorAt(editor, 'elevator', [10, 1, 10]).config.startPosition.join() === '40,4,40');
+    check('Directions are kept', behaviorAt(editor, 'conveyor', [11, 0, 10]).config.direction.join() === '1,0,0');
+    check('The pasted level passes the level schema', validateLevel(editor.levelData).valid);
+    check('Pasted links are drawn', editor.linkGroup.children.length === 4);
+
+    editor.undo();
+    check('Undoing a paste removes all of it',
+        editor.levelData.blocks.length === 4 && editor.levelData.behaviors.length === 4 &&
+        editor.levelData.objectives.keys.length === 1 && editor.getBlockAt({ x: 10, y: 0, z: 10 }) === null);
+
+    // Rotating and mirroring
+    editor.rotateClipboard();
+    check('Rotating swaps the width and depth of the clipboard', editor.clipboard.size.x === 2 && editor.clipboard.size.z === 2);
+    editor.pasteClipboard({ x: 20, y: 0, z: 20 });
+    check('Rotated blocks turn a quarter clockwise',
+        editor.getBlockAt({ x: 21, y: 0, z: 20 }) !== null && editor.getBlockAt({ x: 21, y: 0, z: 21 }) !== null &&
+        editor.getBlockAt({ x: 20, y: 0, z: 21 }) !== null);
+    check('Rotated links follow their target',
+        behaviorAt(editor, 'switch', [21, 0, 20]).config.targetBlock.join() === '21,0,21');
+    check('Rotated directions turn too', behaviorAt(editor, 'conveyor', [21, 0, 21]).config.direction.join() === '0,0,1');
+    editor.undo();
+
+    editor.rotateClipboard();
+    editor.rotateClipboard();
+    editor.rotateClipboard();
+    check('Four quarter turns give back the copy', JSON.stringify(editor.clipboard) === JSON.stringify(clipboard));
+
+    editor.mirrorClipboard('x');
+    editor.pasteClipboard({ x: 30, y: 0, z: 30 });
+    check('Mirrored blocks and directions are flipped',
+        behaviorAt(editor, 'switch', [31, 0, 30]).config.targetBlock.join() === '30,0,30' &&
+        behaviorAt(editor, 'conveyor', [30, 0, 30]).config.direction.join() === '-1,0,0' &&
+        editor.levelData.decorations.some(d => d.at.join() === '30,0,31'));
+    editor.undo();
+    editor.mirrorClipboard('z');
+    check('Mirroring along Z flips the depth',
+        editor.clipboard.decorations[0].at.join() === '0,0,0' && editor.clipboard.blocks.some(b => b.at.join() === '1,0,1'));
+
+    // Cutting and deleting
+    editor.cutSelection();
+    check('Cutting empties the box in one step',
+        editor.levelData.blocks.length === 1 && editor.levelData.decorations.length === 0 &&
+        editor.levelData.objectives.keys.length === 0 && editor.levelData.collectibles.length === 0 &&
+        editor.levelData.behaviors.length === 0 && editor.history.getEntries().slice(-1)[0].label.startsWith('Cut 2x3x2'));
+    check('The cut is on the clipboard', editor.clipboard.blocks.length === 3 && editor.clipboard.behaviors.length === 4);
+
+    await editor.placeBlock({ x: 0, y: 0, z: 0 }, 'grass_platform');
+    editor.pasteClipboard({ x: 0, y: 0, z: 0 });
+    check('Pasting replaces what is in the covered cells',
+        editor.levelData.blocks.length === 4 &&
+        editor.levelData.blocks.find(b => b.at.join() === '0,0,0').type === 'standard_platform');
+
+    editor.deleteSelection();
+    check('Deleting empties the box', editor.levelData.blocks.length === 1 && editor.blockInstances.size === 1);
+    editor.undo();
+    check('Undoing a delete restores the box', editor.levelData.blocks.length === 4 && editor.levelData.behaviors.length === 4);
+
+    // Box fill and hollow box
+    const builder = createEditor();
+    check('A hollow 3x3x3 box places only its faces',
+        builder.fillBox({ x: 0, y: 0, z: 0 }, { x: 2, y: 2, z: 2 }, 'stone_platform', { hollow: true }) === 26 &&
+        builder.getBlockAt({ x: 1, y: 1, z: 1 }) === null);
+    check('Filling skips occupied cells',
+        builder.fillBox({ x: 2, y: 2, z: 2 }, { x: 0, y: 0, z: 0 }, 'grass_platform') === 1 &&
+        builder.levelData.blocks.length === 27 && builder.levelData.blocks.filter(b => b.type === 'grass_platform').length === 1);
+    check('Each fill is one step', builder.history.getEntries().length === 2);
+    builder.undo();
+    check('Undoing a fill removes all its blocks', builder.levelData.blocks.length === 26);
+    check('Special objects cannot fill a box', builder.fillBox({ x: 0, y: 5, z: 0 }, { x: 1, y: 5, z: 1 }, 'key') === 0);
+    check('Boxes over the limit are refused',
+        builder.fillBox({ x: 0, y: 0, z: 0 }, { x: 99, y: 0, z: Math.ceil(MAX_BOX_CELLS / 100) }, 'stone_platform') === 0);
+    builder.fillBox({ x: 0, y: 3, z: 0 }, { x: 1, y: 3, z: 0 }, 'flower');
+    check('Decorations fill the decorations list', builder.levelData.decorations.length === 2);
+
+    builder.setTool('hollow');
+    builder.hoveredGridPos = { x: 5, y: 0, z: 5 };
+    builder.handleMouseClick();
+    check('The first click of a box tool only sets a corner', builder.boxAnchor !== null && !builder.getBlockAt({ x: 5, y: 0, z: 5 }));
+    builder.hoveredGridPos = { x: 6, y: 1, z: 6 };
+    builder.handleMouseClick();
+    check('The second click fills the box, across floors',
+        builder.getBlockAt({ x: 5, y: 0, z: 5 }) !== null && builder.getBlockAt({ x: 6, y: 1, z: 6 }) !== null &&
+        builder.boxAnchor === null);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Editor Selection Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testEditorSelection().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,138 @@
+/**
+ * Fixed timestep test
+ *
+ * Verifies that FixedStepLoop consumes frame time in constant steps, caps the
+ * steps run for one frame, and that running the player and physics through it
+ * gives exactly the same outcome for any split of frame times. Also checks
+ * that PhysicsManager interpolates meshes between the last two steps.
+ */
+
+import * as CANNON from 'cannon-es';
+import { FixedStepLoop } from '../src/core/FixedStepLoop.js';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+import { PlayerController } from '../src/player/PlayerController.js';
+
+/**
+ * Roll the player across a floor with scripted input, fed by the given frame times
+ * @returns {Object} Final player position and velocity
+ */
+function simulate(frameTimes, ticks = 180) {
+    const physicsManager = new PhysicsManager();
+    physicsManager.world.addBody(new CANNON.Body({
+        mass: 0,
+        shape: new CANNON.Box(new CANNON.Vec3(20, 2, 20)),
+        type: CANNON.Body.STATIC,
+        material: physicsManager.getSurfaceMaterial('default')
+    }));
+    const playerController = new PlayerController();
+    physicsManager.setPlayerController(playerController);
+    playerController.setPhysicsBody(physicsManager.createPlayerBody({ x: 0, y: 3, z: 0 }));
+
+    const loop = new FixedStepLoop(1 / 60);
+    let frame = 0;
+    while (loop.tick < ticks) {
+        loop.advance(frameTimes[frame++ % frameTimes.length], (step, tick) => {
+            if (tick >= ticks) return;
+            // Input is scripted per simulation step, not per frame
+            playerController.keys.forward = tick < 90;
+            playerController.keys.right = tick >= 45 && tick < 120;
+            playerController.keys.jump = tick === 60;
+            playerController.update(step);
+            physicsManager.update(step);
+        });
+    }
+
+    const body = physicsManager.getPlayerBody();
+    return { position: body.position.clone(), velocity: body.velocity.clone() };
+}
+
+/**
+ * Compare two simulation outcomes bit for bit
+ */
+function sameState(a, b) {
+    return ['position', 'velocity'].every(key => a[key].x === b[key].x && a[key].y === b[key].y && a[key].z === b[key].z);
+}
+
+export async function testFixedTimestep() {
+    console.log('=====================================');
+    console.log('Fixed Timestep Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Accumulator
+    const loop = new FixedStepLoop(1 / 60);
+    let steps = 0;
+    loop.advance(1 / 30, () => steps++);
+    check('A 30 FPS frame runs two steps', steps === 2 && loop.tick === 2);
+
+    steps = 0;
+    const alpha = loop.advance(1 / 120, () => steps++);
+    check('A 120 FPS frame runs no step and renders halfway', steps === 0 && Math.abs(alpha - 0.5) < 1e-9);
+    loop.advance(1 / 120, () => steps++);
+    check('The next 120 FPS frame completes the step', steps === 1);
+
+    const uneven = new FixedStepLoop(1 / 60);
+    for (let i = 0; i < 60; i++) uneven.advance(1 / 60, () => {});
+    check('Frames of exactly one step never skip a step to rounding', uneven.tick === 60);
+
+    steps = 0;
+    const stalled = new FixedStepLoop(1 / 60, 5);
+    stalled.advance(2, () => steps++);
+    check('A long stall runs at most maxSubSteps and drops the rest', steps === 5 && stalled.accumulator < stalled.step);
+
+    stalled.reset();
+    check('Reset restarts the loop', stalled.tick === 0 && stalled.time === 0 && stalled.accumulator === 0);
+
+    // Determinism across frame rates
+    globalThis.window = { addEventListener() {} };
+
+    const at60 = simulate([1 / 60]);
+    const at144 = simulate([1 / 144]);
+    const at30 = simulate([1 / 30]);
+    const jittery = simulate([0.004, 0.031, 0.017, 0.009, 0.022, 0.05]);
+    check('Player moved under the scripted input', at60.position.z < -2 && at60.position.x > 1);
+    check('144 FPS gives exactly the 60 FPS outcome', sameState(at144, at60));
+    check('30 FPS gives exactly the 60 FPS outcome', sameState(at30, at60));
+    check('Uneven frame times give exactly the 60 FPS outcome', sameState(jittery, at60));
+
+    delete globalThis.window;
+
+    // Render interpolation
+    const physicsManager = new PhysicsManager();
+    const body = physicsManager.createPlayerBody({ x: 0, y: 0, z: 0 });
+    body.previousPosition.set(0, 0, 0);
+    body.position.set(2, 4, 0);
+    body.previousQuaternion.set(0, 0, 0, 1);
+    body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), Math.PI / 2);
+    const mesh = { position: new CANNON.Vec3(), quaternion: new CANNON.Quaternion() };
+    physicsManager.syncMeshWithBody(mesh, body, 0.5);
+    const halfTurn = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(0, 1, 0), Math.PI / 4);
+    check('Mesh is drawn between the last two steps', mesh.position.almostEquals(new CANNON.Vec3(1, 2, 0), 1e-9));
+    check('Mesh rotation is interpolated', Math.abs(mesh.quaternion.y - halfTurn.y) < 1e-9 && Math.abs(mesh.quaternion.w - halfTurn.w) < 1e-9);
+    physicsManager.syncMeshWithBody(mesh, body);
+    check('Without a factor the mesh matches the body', mesh.position.almostEquals(body.position, 0));
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Fixed Timestep Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testFixedTimestep().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,166 @@
+/**
+ * Gamepad input test
+ *
+ * Verifies the stick dead zone, button mapping, pause presses and controller
+ * hot-plugging of GamepadInput against fake controllers, and that analog
+ * stick movement rolls the player, is recorded and replays to the same run.
+ */
+
+import { GamepadInput, applyDeadZone } from '../src/player/GamepadInput.js';
+import { PlayerController } from '../src/player/PlayerController.js';
+import { HeadlessLevelRunner } from '../src/core/HeadlessLevelRunner.js';
+import { InputRecorder } from '../src/replay/InputRecorder.js';
+import { ReplayPlayer } from '../src/replay/ReplayPlayer.js';
+
+/**
+ * A controller as navigator.getGamepads() reports it, with the standard mapping
+ */
+function createPad(index, { axes = [0, 0, 0, 0], pressed = [] } = {}) {
+    return {
+        index,
+        id: `Test Controller ${index}`,
+        connected: true,
+        axes,
+        buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 }))
+    };
+}
+
+/**
+ * A long row of blocks to roll along
+ */
+function createRow() {
+    return {
+        gridUnitSize: 4,
+        blocks: Array.from({ length: 12 }, (_, x) => ({ type: 'stone_platform', at: [x, 0, 0] })),
+        player: { spawn: [0, 1, 0] },
+        objectives: { keys: [], exit: { at: [11, 1, 0] } }
+    };
+}
+
+export async function testGamepadInput() {
+    console.log('=====================================');
+    console.log('Gamepad Input Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Dead zone
+    check('Small stick drift is ignored', applyDeadZone(0.1, -0.1, 0.2).x === 0);
+    const full = applyDeadZone(1, 0, 0.2);
+    const half = applyDeadZone(0.6, 0, 0.2);
+    check('Tilt outside the dead zone is rescaled to reach full at the edge',
+        full.x === 1 && Math.abs(half.x - 0.5) < 1e-9);
+
+    // Reading a controller
+    let pads = [];
+    const gamepad = new GamepadInput({ getGamepads: () => pads });
+    const events = [];
+    gamepad.on('connected', event => events.push(`connected ${event.index}`));
+    gamepad.on('disconnected', event => events.push(`disconnected ${event.index}`));
+    let pauses = 0;
+    gamepad.on('pause', () => pauses++);
+
+    check('No controller reads as nothing pressed', !gamepad.isConnected && gamepad.poll().move.x === 0);
+
+    pads = [createPad(0, { axes: [0.6, -1, 0.1, 1], pressed: [0, 5] })];
+    let state = gamepad.poll();
+    check('A controller found while polling is picked up', gamepad.isConnected && events[0] === 'connected 0');
+    check('Pushing the left stick up moves forward, capped at full tilt',
+        state.move.y > 0.8 && state.move.x > 0.5 && Math.abs(Math.hypot(state.move.x, state.move.y) - 1) < 1e-9);
+    check('Buttons map to jump and camera rotation', state.jump && state.cameraRight && !state.cameraLeft && !state.pause);
+    check('Right stick down tilts the camera down', state.camera.y < 0);
+
+    gamepad.setDeadZone(0.5);
+    pads = [createPad(0, { axes: [0.4, 0, 0, 0] })];
+    check('The dead zone can be configured', gamepad.poll().move.x === 0);
+    gamepad.setDeadZone('wide');
+    check('Invalid dead zones are ignored', gamepad.deadZone === 0.5);
+
+    // Pause
+    pads = [createPad(0, { pressed: [9] })];
+    gamepad.poll();
+    gamepad.poll();
+    pads = [createPad(0)];
+    gamepad.poll();
+    pads = [createPad(0, { pressed: [9] })];
+    gamepad.poll();
+    check('Start pauses once per press', pauses === 2);
+
+    // Hot-plugging
+    pads = [createPad(0, { pressed: [0] }), createPad(1)];
+    gamepad.poll();
+    gamepad.disconnect(pads[0]);
+    pads = [pads[1]];
+    check('Unplugging the controller in use switches to another one',
+        gamepad.activeIndex === 1 && events.includes('disconnected 0') && events.includes('connected 1'));
+    check('Buttons held on an unplugged controller are released', !gamepad.getState().jump);
+    pads = [];
+    gamepad.poll();
+    check('A controller that disappears while polling is dropped', !gamepad.isConnected && events[events.length - 1] === 'disconnected 1');
+
+    // Analog movement
+    const playerController = new PlayerController({ headless: true });
+    playerController.gamepad = new GamepadInput({ getGamepads: () => pads });
+    pads = [createPad(0, { axes: [0, -0.6, 0, 0], pressed: [14] })];
+    playerController.pollInput();
+    const inputState = playerController.getInputState();
+    check('Gamepad input is merged into the player input state',
+        inputState.left && !inputState.right && Math.abs(inputState.analog.forward - 0.5) < 1e-9);
+    playerController.applyInputState({ right: true });
+    check('Applied input replaces the gamepad until it is polled again',
+        playerController.getInputState().right && !playerController.getInputState().left && !playerController.getInputState().analog);
+
+    const runner = new HeadlessLevelRunner();
+    const distances = [];
+    for (const tilt of [1, 0.5]) {
+        await runner.load(createRow());
+        state = runner.run(60, () => ({ analog: { forward: 0, right: tilt } }));
+        distances.push(state.playerPosition.x);
+    }
+    check('A partly tilted stick rolls slower than a fully tilted one', distances[1] > 1 && distances[1] < distances[0]);
+
+    const recorder = new InputRecorder();
+    recorder.start({ levelId: 'row', seed: 1 });
+    await runner.load(createRow());
+    const live = runner.run(120, (tick) => {
+        const input = { analog: { forward: tick < 60 ? 0.3 : 0, right: 0.8 }, jump: tick === 30 };
+        recorder.record(tick, input, null);
+        return input;
+    });
+    const recording = recorder.stop();
+    check('Only stick changes are recorded', recording.analog.length === 2 && recording.analog[1][0] === 60);
+    check('Stick movement replays from the recording', new ReplayPlayer(recording).getInput(70).inputState.analog.right === 0.8);
+    await runner.load(createRow());
+    const replayed = runner.run(recording.ticks, recording);
+    check('An analog run replays to the same outcome', JSON.stringify(replayed) === JSON.stringify(live));
+
+    const legacy = { ...recording };
+    delete legacy.analog;
+    check('Recordings without an analog track still play', !new ReplayPlayer(legacy).getInput(70).inputState.analog);
+
+    gamepad.dispose();
+    runner.dispose();
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Gamepad Input Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testGamepadInput().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
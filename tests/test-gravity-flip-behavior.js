@@ -0,0 +1,130 @@
+/**
+ * Gravity flip behavior test
+ *
+ * Verifies that touching a gravity flip block inverts gravity or points it
+ * along the configured direction through PhysicsManager.reorientGravity, that
+ * gravity transition listeners (camera, player controller) are told, and that
+ * the block only fires again after the player lets go of it.
+ */
+
+import * as THREE from 'three';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+
+function createBlock(at) {
+    const block = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshStandardMaterial());
+    block.name = `block-${at.join('_')}`;
+    block.position.set(at[0] * 4, at[1] * 4, at[2] * 4);
+    block.userData.gridPosition = at;
+    return block;
+}
+
+function createSystem(levelData, playerPosition) {
+    const physicsManager = new PhysicsManager();
+    physicsManager.createPlayerBody(playerPosition);
+    const gravityUpdates = [];
+    const cameraNormals = [];
+    physicsManager.on('gravityTransitionStart', event => {
+        gravityUpdates.push(event.to);
+        cameraNormals.push(event.normal);
+    });
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, physicsManager);
+    const platforms = new Map();
+    levelData.blocks.forEach((definition, index) => platforms.set(`block-${index}`, createBlock(definition.at)));
+    behaviorSystem.parseBehaviors(levelData, platforms);
+    return { behaviorSystem, physicsManager, playerBody: physicsManager.playerBody, gravityUpdates, cameraNormals };
+}
+
+/**
+ * Let a gravity transition run to completion
+ */
+function finishTransition(physicsManager) {
+    for (let i = 0; i < 600 && physicsManager.isTransitioning; i++) {
+        physicsManager.updateGravityTransition(1 / 60);
+    }
+}
+
+export async function testGravityFlipBehavior() {
+    console.log('=====================================');
+    console.log('Gravity Flip Behavior Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Inverting block touched from the side
+    const invertLevel = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [{ type: 'gravity_flip', target: [0, 0, 0], config: { cooldown: 0.5 } }]
+    };
+    const invert = createSystem(invertLevel, new THREE.Vector3(10, 0, 0));
+    invert.behaviorSystem.update(0.016);
+    check('Block does nothing until the player touches it', !invert.physicsManager.isTransitioning);
+
+    invert.playerBody.position.set(2.6, 0, 0);
+    invert.behaviorSystem.update(0.016);
+    check('Touching a side face inverts gravity', invert.physicsManager.isTransitioning && invert.physicsManager.targetGravity.y > 9);
+    check('Camera follows the new gravity', invert.cameraNormals.length === 1 && invert.cameraNormals[0].y === -1);
+    check('Player movement basis follows the new gravity',
+        invert.gravityUpdates.length === 1 && invert.gravityUpdates[0].y > 9);
+
+    finishTransition(invert.physicsManager);
+    invert.behaviorSystem.update(1.0);
+    check('Block does not fire again while the player keeps touching it', invert.physicsManager.world.gravity.y > 9);
+
+    invert.playerBody.position.set(10, 0, 0);
+    invert.behaviorSystem.update(0.016);
+    invert.playerBody.position.set(0, -2.5, 0);
+    invert.behaviorSystem.update(0.016);
+    check('Touching it again after letting go flips gravity back', invert.physicsManager.targetGravity.y < -9);
+
+    // Fixed direction
+    const axisLevel = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [{ type: 'gravity_flip', target: [0, 0, 0], config: { direction: [1, 0, 0] } }]
+    };
+    const axis = createSystem(axisLevel, new THREE.Vector3(0, 2.5, 0));
+    axis.behaviorSystem.update(0.016);
+    check('Configured direction sets gravity along that axis', axis.physicsManager.targetGravity.x > 9);
+
+    finishTransition(axis.physicsManager);
+    axis.playerBody.position.set(10, 10, 10);
+    axis.behaviorSystem.update(2.0);
+    axis.playerBody.position.set(-2.5, 0, 0);
+    axis.behaviorSystem.update(0.016);
+    check('Block with gravity already along its axis does not reorient', !axis.physicsManager.isTransitioning);
+
+    // Disabled blocks wait for a signal
+    const disabledLevel = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [{ type: 'gravity_flip', target: [0, 0, 0], config: { startActive: false } }]
+    };
+    const disabled = createSystem(disabledLevel, new THREE.Vector3(0, 2.5, 0));
+    disabled.behaviorSystem.update(0.016);
+    check('Disabled block does not flip gravity', !disabled.physicsManager.isTransitioning);
+    Array.from(disabled.behaviorSystem.behaviors.values())[0].activate();
+    disabled.behaviorSystem.update(0.016);
+    check('Enabled block flips gravity', disabled.physicsManager.isTransitioning);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Gravity Flip Behavior Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testGravityFlipBehavior().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
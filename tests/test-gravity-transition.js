@@ -0,0 +1,138 @@
+/**
+ * Gravity transition test
+ *
+ * Verifies that PhysicsManager rotates gravity at constant magnitude about the
+ * edge shared by the old and new floor, handles 180 degree flips, honours the
+ * configured duration and easing, and reports the transition through
+ * start/progress/complete events that the camera and player controller follow.
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+import { PlayerController } from '../src/player/PlayerController.js';
+import { CameraController } from '../src/camera/CameraController.js';
+
+/**
+ * Run a transition and record its events
+ */
+function runTransition(normal, options = {}, configure = () => {}) {
+    const physicsManager = new PhysicsManager();
+    configure(physicsManager);
+    const events = [];
+    ['gravityTransitionStart', 'gravityTransitionProgress', 'gravityTransitionComplete'].forEach(name => {
+        physicsManager.on(name, data => events.push({ name, data }));
+    });
+    physicsManager.reorientGravity(normal, options);
+    for (let i = 0; i < 120 && physicsManager.isTransitioning; i++) {
+        physicsManager.updateGravityTransition(0.05);
+    }
+    return { physicsManager, events, progress: events.filter(event => event.name === 'gravityTransitionProgress') };
+}
+
+export async function testGravityTransition() {
+    console.log('=====================================');
+    console.log('Gravity Transition Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Quarter turn onto a wall
+    const wall = runTransition(new CANNON.Vec3(1, 0, 0), { duration: 1.0, easing: 'linear' });
+    const magnitudes = wall.progress.map(event => event.data.gravity.length());
+    check('Gravity keeps its magnitude while rotating', magnitudes.every(length => Math.abs(length - 9.82) < 1e-6));
+    check('Gravity rotates about the shared edge', wall.progress.every(event => Math.abs(event.data.gravity.z) < 1e-9));
+    const halfway = wall.progress.find(event => Math.abs(event.data.elapsed - 0.5) < 1e-9).data.gravity;
+    check('Linear easing is halfway through the angle at half the duration',
+        Math.abs(halfway.x - -9.82 * Math.SQRT1_2) < 1e-6 && Math.abs(halfway.y - -9.82 * Math.SQRT1_2) < 1e-6);
+    check('Transition completes after the configured duration',
+        wall.progress.length === 19 && wall.physicsManager.world.gravity.almostEquals(new CANNON.Vec3(-9.82, 0, 0), 1e-9));
+    check('Events arrive as start, progress, complete',
+        wall.events[0].name === 'gravityTransitionStart' && wall.events[wall.events.length - 1].name === 'gravityTransitionComplete');
+    check('Start event carries the target and surface normal',
+        wall.events[0].data.to.x === -9.82 && wall.events[0].data.normal.x === 1 && wall.events[0].data.duration === 1.0);
+
+    // 180 degree flip
+    const flip = runTransition(new CANNON.Vec3(0, -1, 0), { duration: 1.0, easing: 'linear' });
+    const flipHalfway = flip.progress.find(event => Math.abs(event.data.elapsed - 0.5) < 1e-9).data.gravity;
+    check('Flip keeps its magnitude instead of passing through zero',
+        flip.progress.every(event => Math.abs(event.data.gravity.length() - 9.82) < 1e-6) && Math.abs(flipHalfway.y) < 1e-6);
+    check('Flip ends with gravity inverted', flip.physicsManager.world.gravity.almostEquals(new CANNON.Vec3(0, 9.82, 0), 1e-9));
+    const axisFlip = runTransition(new CANNON.Vec3(0, -1, 0), { duration: 1.0, easing: 'linear', axis: new CANNON.Vec3(0, 0, 1) });
+    const axisHalfway = axisFlip.progress.find(event => Math.abs(event.data.elapsed - 0.5) < 1e-9).data.gravity;
+    check('Flip turns about a given axis', Math.abs(axisHalfway.z) < 1e-6 && Math.abs(Math.abs(axisHalfway.x) - 9.82) < 1e-6);
+
+    // Easing and defaults
+    const easeIn = runTransition(new CANNON.Vec3(1, 0, 0), { duration: 1.0, easing: 'easeIn' });
+    check('Easing curve shapes the rotation', Math.abs(easeIn.progress[9].data.progress - 0.25) < 1e-9);
+    const custom = runTransition(new CANNON.Vec3(1, 0, 0), { duration: 1.0, easing: t => Math.sqrt(t) });
+    check('Custom easing functions are accepted', Math.abs(custom.progress[3].data.progress - Math.sqrt(0.2)) < 1e-9);
+    const defaults = runTransition(new CANNON.Vec3(1, 0, 0), {}, physicsManager => {
+        physicsManager.gravityTransitionDuration = 0.5;
+    });
+    check('Default duration is configurable', defaults.progress.length === 9);
+
+    // Immediate switch
+    const immediate = runTransition(new CANNON.Vec3(0, 0, 1), { immediate: true });
+    check('Immediate switch emits start and complete only',
+        immediate.events.length === 2 && immediate.progress.length === 0 && immediate.physicsManager.world.gravity.z === -9.82);
+
+    // Unsubscribing
+    const physicsManager = new PhysicsManager();
+    let calls = 0;
+    const listener = () => calls++;
+    physicsManager.on('gravityTransitionStart', listener);
+    physicsManager.off('gravityTransitionStart', listener);
+    physicsManager.reorientGravity(new CANNON.Vec3(1, 0, 0));
+    check('Removed listeners are not called', calls === 0);
+
+    // Player controller and camera subscribe to the events
+    globalThis.window = { addEventListener() {} };
+    globalThis.document = { getElementById: () => null };
+    globalThis.THREE = THREE;
+
+    const subscribed = new PhysicsManager();
+    const playerController = new PlayerController();
+    playerController.subscribeToGravity(subscribed);
+    const cameraController = new CameraController(new THREE.PerspectiveCamera(), new THREE.Object3D(), null);
+    cameraController.subscribeToGravity(subscribed);
+
+    subscribed.reorientGravity(new CANNON.Vec3(0, 0, 1), { duration: 1.0, easing: 'linear' });
+    check('Player movement switches to the new floor at the start', playerController.upVector.almostEquals(new CANNON.Vec3(0, 0, 1), 1e-9));
+    subscribed.updateGravityTransition(0.5);
+    check('Camera up follows the gravity rotation',
+        Math.abs(cameraController.currentUp.y - Math.SQRT1_2) < 1e-6 && Math.abs(cameraController.currentUp.z - Math.SQRT1_2) < 1e-6);
+    subscribed.updateGravityTransition(0.5);
+    check('Camera ends on the new surface normal', cameraController.currentUp.equals(new THREE.Vector3(0, 0, 1)) && !cameraController.isFollowingGravity);
+
+    subscribed.reorientGravity(new CANNON.Vec3(1, 0, 0), { immediate: true });
+    check('Camera turns at its own speed after an immediate switch',
+        cameraController.isTransitioning && cameraController.targetUp.equals(new THREE.Vector3(1, 0, 0)));
+
+    delete globalThis.window;
+    delete globalThis.document;
+    delete globalThis.THREE;
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Gravity Transition Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testGravityTransition().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -207,7 +207,8 @@ export async function TC_7_3_AssetLoadingAndInstancing() {
                 console.log(`PhysicsManager: Added physics body with shape type: ${body.shapes[0].type === 1 ? 'Box' : 'Other'}`);
             }
         },
-        groundMaterial: {}
+        groundMaterial: {},
+        getSurfaceMaterial: function() { return this.groundMaterial; }
     };
     
     // Create LevelManager instance
@@ -329,7 +330,8 @@ export async function TC_7_4_SimplifiedPhysicsColliders() {
                 console.log(`  Position: (${body.position.x}, ${body.position.y}, ${body.position.z})`);
             }
         },
-        groundMaterial: {}
+        groundMaterial: {},
+        getSurfaceMaterial: function() { return this.groundMaterial; }
     };
     
     // Create a mock scene
@@ -0,0 +1,144 @@
+/**
+ * Headless runner test
+ *
+ * Verifies that HeadlessLevelRunner loads levels in plain node - including
+ * model blocks and a level file from levels/ - and that scripted input,
+ * input segments and recordings drive it to the expected GameState: keys and
+ * coins collected, lives lost to falls, game over and level completion.
+ */
+
+import { readFileSync } from 'fs';
+import { HeadlessLevelRunner, parseInputScript, createScriptedInput } from '../src/core/HeadlessLevelRunner.js';
+import { InputRecorder } from '../src/replay/InputRecorder.js';
+
+/**
+ * A row of model blocks with a coin, a key and the exit, each a jump up
+ */
+function createCourse() {
+    return {
+        name: 'Runner Course',
+        gridUnitSize: 4,
+        blocks: [0, 1, 2, 3, 4, 5].map(x => ({ type: 'stone_platform', at: [x, 0, 0] })),
+        player: { spawn: [0, 1, 0] },
+        objectives: {
+            keys: [{ id: 'key1', at: [2, 1, 0] }],
+            exit: { at: [4, 1, 0] }
+        },
+        collectibles: [{ type: 'coin', at: [1, 1, 0], value: 10 }]
+    };
+}
+
+// Roll right, jumping for the coin, the key and the exit
+const COURSE_INPUT = 'right:0-400,jump:40,jump:84,jump:150';
+
+export async function testHeadlessRunner() {
+    console.log('=====================================');
+    console.log('Headless Runner Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Input scripts
+    const segments = parseInputScript('right:0-90, jump:40');
+    check('Input scripts parse into key segments',
+        segments.length === 2 && segments[0].to === 90 && segments[1].from === 40 && segments[1].to === 41);
+    const scripted = createScriptedInput(segments);
+    check('Segments press keys only within their ticks',
+        scripted(40).jump && scripted(40).right && !scripted(41).jump && !scripted(90).right);
+
+    let rejected = 0;
+    ['up:0-10', 'right:10-5', 'right'].forEach(text => {
+        try {
+            parseInputScript(text);
+        } catch (error) {
+            rejected++;
+        }
+    });
+    check('Unknown keys and malformed entries are rejected', rejected === 3);
+
+    // A level file with model blocks
+    const runner = new HeadlessLevelRunner();
+    await runner.load(JSON.parse(readFileSync(new URL('../levels/verdant-ruins-01.json', import.meta.url), 'utf8')));
+    check('Level file loads with its model blocks', runner.levelManager.platforms.size === 21);
+    let state = runner.getState();
+    check('GameState starts with every key to collect and full lives',
+        state.keysCollected === 0 && state.totalKeys === 3 && state.lives === 3 && !state.isComplete);
+    state = runner.run(120);
+    check('Player settles on the level without input', state.tick === 120 && state.lives === 3 && state.playerPosition.y > 0);
+
+    // Completing a course
+    await runner.load(createCourse());
+    state = runner.run(600, parseInputScript(COURSE_INPUT));
+    check('Coin and key are collected and the exit unlocked',
+        state.keysCollected === 1 && state.totalKeys === 1 && state.exitUnlocked);
+    check('Level is completed without losing a life', state.isComplete && state.lives === 3);
+    check('Run stops when the level is completed', state.tick < 600);
+    check('Score holds the coin and a time bonus from simulated time',
+        state.score === 10 + (10000 - Math.floor(state.tick * 1000 / 60 / 100)) * 10);
+
+    // Determinism and recordings
+    const recorder = new InputRecorder();
+    recorder.start({ levelId: 'runner-course', seed: 1 });
+    const courseInput = createScriptedInput(parseInputScript(COURSE_INPUT));
+    const rerun = new HeadlessLevelRunner();
+    await rerun.load(createCourse());
+    const recorded = rerun.run(600, (tick) => {
+        const inputState = courseInput(tick);
+        recorder.record(tick, inputState, null);
+        return inputState;
+    });
+    check('Running the same input again gives the same outcome', JSON.stringify(recorded) === JSON.stringify(state));
+
+    const recording = recorder.stop();
+    const replayRunner = new HeadlessLevelRunner();
+    await replayRunner.load(createCourse());
+    const replayed = replayRunner.run(recording.ticks, recording);
+    check('A recording replays to the same outcome', JSON.stringify(replayed) === JSON.stringify(state));
+
+    // Falling and game over
+    const gap = createCourse();
+    gap.blocks = gap.blocks.filter(block => block.at[0] > 0);
+    gap.gameSettings = { initialLives: 2 };
+    await runner.load(gap);
+    check('Lives come from the level settings', runner.getState().lives === 2);
+    state = runner.run(120);
+    check('Falling off the level costs a life and respawns the player', state.lives === 1 && state.playerPosition.y > 0);
+    state = runner.run(600);
+    check('Losing every life ends the run in game over', state.lives === 0 && state.isGameOver && state.tick < 720);
+    check('Nothing is collected on a failed run', state.keysCollected === 0 && !state.isComplete);
+
+    let threw = false;
+    try {
+        new HeadlessLevelRunner().run(1);
+    } catch (error) {
+        threw = true;
+    }
+    check('Running without a level throws', threw);
+
+    runner.dispose();
+    rerun.dispose();
+    replayRunner.dispose();
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Headless Runner Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testHeadlessRunner().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,237 @@
+/**
+ * Input replay test
+ *
+ * Verifies that InputRecorder stores per-tick input changes with the level id
+ * and seed, that ReplayPlayer feeds them back tick by tick, and that a
+ * GhostReplay of a recorded run - including a fall and respawn - ends exactly
+ * where the live run did, in its own headless copy of the level. Reloading a
+ * level in the game replaces its behaviors instead of stacking a second set.
+ */
+
+import * as THREE from 'three';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+import { LevelManager } from '../src/level/LevelManager.js';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import { PlayerController } from '../src/player/PlayerController.js';
+import { LevelSimulation } from '../src/core/LevelSimulation.js';
+import { InputRecorder, encodeInputState, decodeInputState, VIEW_PRECISION } from '../src/replay/InputRecorder.js';
+import { ReplayPlayer } from '../src/replay/ReplayPlayer.js';
+import { GhostReplay } from '../src/replay/GhostReplay.js';
+import { GameFlowManager } from '../src/game/GameFlowManager.js';
+import { Game } from '../src/core/Game.js';
+import { readFileSync } from 'fs';
+
+const STEP = 1 / 60;
+const TICKS = 420;
+
+function createLevel() {
+    return {
+        gridUnitSize: 4,
+        blocks: [0, 1, 2, 3, 4].map(x => ({ type: 'ice_platform', at: [x, 0, 0] })),
+        behaviors: [
+            { type: 'timed_disappear', target: [4, 0, 0], config: { interval: 2.0, visibleDuration: 1.5, invisibleDuration: 0.5 } }
+        ],
+        player: { spawn: [0, 1, 0] },
+        objectives: { keys: [{ id: 'key1', at: [2, 1, 0] }] }
+    };
+}
+
+/**
+ * Scripted input: roll right, jump once, pause, then roll off the far end
+ */
+function scriptedInput(tick) {
+    return {
+        forward: false,
+        backward: false,
+        left: false,
+        right: tick < 90 || (tick >= 150 && tick < 330),
+        jump: tick === 40
+    };
+}
+
+/**
+ * Play the level with scripted input and a slowly turning camera, recording the run
+ */
+async function playLiveRun() {
+    const physicsManager = new PhysicsManager();
+    const scene = new THREE.Scene();
+    const levelManager = new LevelManager(scene, physicsManager, { headless: true });
+    const behaviorSystem = new BehaviorSystem(scene, physicsManager, { headless: true });
+    const playerController = new PlayerController({ headless: true });
+    physicsManager.setPlayerController(playerController);
+    playerController.subscribeToGravity(physicsManager);
+
+    const camera = new THREE.PerspectiveCamera();
+    playerController.setCamera(camera);
+
+    await levelManager.load(createLevel());
+    behaviorSystem.parseBehaviors(levelManager.currentLevel, levelManager.platforms, levelManager.levelPhysicsBodies);
+    playerController.setPhysicsBody(physicsManager.createPlayerBody(levelManager.getPlayerStartPosition()));
+
+    const simulation = new LevelSimulation({ physicsManager, levelManager, behaviorSystem, playerController });
+    simulation.resetPlayer();
+    let falls = 0;
+    simulation.on('playerFell', () => {
+        falls++;
+        simulation.resetPlayer();
+    });
+
+    const recorder = new InputRecorder();
+    recorder.start({ levelId: 'replay-test', seed: 1234 });
+    for (let tick = 0; tick < TICKS; tick++) {
+        camera.rotation.y = Math.sin(tick * 0.01) * 0.05;
+        playerController.applyInputState(scriptedInput(tick));
+        recorder.record(tick, playerController.getInputState(), playerController.getViewDirection());
+        simulation.step(STEP);
+    }
+
+    return {
+        recording: recorder.stop(),
+        position: physicsManager.getPlayerBody().position.clone(),
+        keysCollected: levelManager.getGameState().keysCollected,
+        falls
+    };
+}
+
+export async function testInputReplay() {
+    console.log('=====================================');
+    console.log('Input Replay Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    globalThis.THREE = THREE;
+
+    // Encoding
+    const state = { forward: true, backward: false, left: false, right: true, jump: true };
+    check('Key states survive encoding', JSON.stringify(decodeInputState(encodeInputState(state))) === JSON.stringify(state));
+
+    // Recording
+    const live = await playLiveRun();
+    const { recording } = live;
+    check('Recording carries level id, seed and tick count',
+        recording.levelId === 'replay-test' && recording.seed === 1234 && recording.ticks === TICKS && recording.tickRate === 60);
+    check('Only input changes are stored', recording.inputs.length === 6 && recording.inputs[1][0] === 40);
+    check('View direction is recorded while the camera turns', recording.views.length > 100);
+    check('Recorded view directions are rounded',
+        recording.views.every(([, ...view]) => view.every(value => Math.round(value * VIEW_PRECISION) / VIEW_PRECISION === value)));
+
+    const settling = new InputRecorder();
+    settling.start({ levelId: 'replay-test', seed: 1 });
+    for (let tick = 0; tick < 200; tick++) {
+        // A camera easing towards its target, as the follow camera does
+        const angle = 1 - Math.pow(0.9, tick);
+        settling.record(tick, scriptedInput(tick), [Math.sin(angle), 0, -Math.cos(angle)]);
+    }
+    check('A settling camera stops adding view entries', settling.stop().views.length < 100);
+    check('Live run collected the key and fell off the end', live.keysCollected === 1 && live.falls >= 1);
+
+    // Playback
+    const player = new ReplayPlayer(recording);
+    check('Replay returns the recorded keys for a tick', player.getInput(40).inputState.jump && player.getInput(41).inputState.right);
+    check('Nothing is pressed after the recording ends', !Object.values(player.getInput(TICKS).inputState).some(Boolean));
+    check('Replay can seek back to the start', player.getInput(0).inputState.right && !player.getInput(0).inputState.jump);
+
+    let rejected = false;
+    try {
+        new ReplayPlayer({ version: 99, ticks: 1, inputs: [], views: [] });
+    } catch (error) {
+        rejected = true;
+    }
+    check('Unsupported recordings are rejected', rejected && !ReplayPlayer.isValidRecording(null));
+
+    // Ghost
+    const scene = new THREE.Scene();
+    const ghost = new GhostReplay(scene);
+    await ghost.load(createLevel(), JSON.parse(JSON.stringify(recording)));
+    check('Only the ghost ball is added to the rendered scene', scene.children.length === 1 && scene.children[0].material.transparent);
+
+    for (let tick = 0; tick < TICKS + 10; tick++) {
+        ghost.step(STEP);
+    }
+    const ghostPosition = ghost.physicsManager.getPlayerBody().position;
+    check('Ghost ends exactly where the live run ended',
+        ghostPosition.x === live.position.x && ghostPosition.y === live.position.y && ghostPosition.z === live.position.z);
+    check('Ghost collected the same keys in its own level copy', ghost.levelManager.getGameState().keysCollected === live.keysCollected);
+    check('Ghost stops at the end of the recording', ghost.isFinished && ghost.tick === TICKS);
+
+    ghost.sync(1);
+    check('Ghost ball follows the ghost body', ghost.mesh.position.x === ghostPosition.x);
+    ghost.dispose();
+    check('Disposing removes the ghost ball', scene.children.length === 0);
+
+    delete globalThis.THREE;
+
+    // Saving best runs
+    const saved = {};
+    globalThis.localStorage = {
+        setItem: (key, value) => {
+            if (value.length > 2000) throw new Error('QuotaExceededError');
+            saved[key] = value;
+        }
+    };
+    const progress = {
+        levels: [
+            { id: 1, unlocked: true, completed: true, bestScore: 120, bestReplay: recording },
+            { id: 2, unlocked: true, completed: false, bestScore: 0 }
+        ]
+    };
+    let saveError = null;
+    try {
+        GameFlowManager.prototype.saveProgress.call(progress);
+    } catch (error) {
+        saveError = error;
+    }
+    const savedProgress = saved.kulaGameProgress ? JSON.parse(saved.kulaGameProgress) : null;
+    check('Progress is saved without replays when the storage is full',
+        !saveError && savedProgress && savedProgress.levels[0].completed && savedProgress.levels[0].bestReplay === null &&
+        savedProgress.levels[1].unlocked);
+    check('Replays stay available for the session', progress.levels[0].bestReplay === recording);
+    delete globalThis.localStorage;
+
+    // Retries reuse the game's behavior system, which must match the ghost's fresh one
+    globalThis.THREE = THREE; // Placeholder models for the level's GLB blocks
+    const reloadPhysics = new PhysicsManager();
+    const reloadScene = new THREE.Scene();
+    const reloading = {
+        levelManager: new LevelManager(reloadScene, reloadPhysics, { headless: true }),
+        behaviorSystem: new BehaviorSystem(reloadScene, reloadPhysics, { headless: true })
+    };
+    const signalsLevel = JSON.parse(readFileSync(new URL('../levels/test-signals.json', import.meta.url), 'utf8'));
+    const countBehaviors = () => {
+        const { behaviors, logicNodes, signals, blockPipelines } = reloading.behaviorSystem;
+        const listeners = Array.from(signals.values()).reduce((sum, entry) => sum + entry.listeners.size, 0);
+        return [behaviors.size, logicNodes.length, listeners, blockPipelines.size].join();
+    };
+    await reloading.levelManager.load(JSON.parse(JSON.stringify(signalsLevel)));
+    Game.prototype.attachLevelBehaviors.call(reloading);
+    const firstLoad = countBehaviors();
+    await reloading.levelManager.load(JSON.parse(JSON.stringify(signalsLevel)));
+    Game.prototype.attachLevelBehaviors.call(reloading);
+    check('Loading a level again keeps the behavior, logic node, listener and pipeline counts',
+        reloading.behaviorSystem.behaviors.size > 0 && countBehaviors() === firstLoad);
+    delete globalThis.THREE;
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Input Replay Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testInputReplay().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,111 @@
+/**
+ * Legacy level converter test
+ *
+ * Verifies that convertLegacyLevel snaps legacy platforms, keys, hazards and
+ * moving platforms onto grid cells, reports lossy conversions, and produces
+ * levels that pass schema validation.
+ */
+
+import { convertLegacyLevel, isLegacyLevel } from '../src/level/LegacyLevelConverter.js';
+import { validateLevel } from '../src/level/LevelSchema.js';
+import '../src/behaviors/builtinBehaviors.js';
+
+function createLegacyLevel() {
+    return {
+        id: 'legacy-test',
+        name: 'Legacy Test',
+        playerStart: {
+            position: { x: 0, y: 4, z: 0 },
+            gravity: { x: 0, y: -1, z: 0 }
+        },
+        platforms: [
+            {
+                id: 'floor',
+                position: { x: 4, y: 0, z: 0 },
+                size: { width: 12, height: 4, depth: 4 }
+            }
+        ],
+        keys: [
+            { id: 'key-1', position: { x: 8, y: 4, z: 0 } }
+        ],
+        exit: { position: { x: 0, y: 4, z: 0 }, requiredKeys: 1 },
+        gameSettings: { initialLives: 3 }
+    };
+}
+
+export async function testLegacyLevelConverter() {
+    console.log('=====================================');
+    console.log('Legacy Level Converter Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    check('Legacy levels are detected', isLegacyLevel(createLegacyLevel()));
+    check('Grid levels are not detected as legacy',
+        !isLegacyLevel({ gridUnitSize: 4, blocks: [], player: { spawn: [0, 1, 0] } }));
+
+    // A grid-aligned level converts without loss
+    const aligned = convertLegacyLevel(createLegacyLevel());
+    check('Grid-aligned level converts losslessly', aligned.report.lossless);
+    check('12-unit platform fills 3 cells',
+        JSON.stringify(aligned.level.blocks.map(block => block.at)) === '[[0,0,0],[1,0,0],[2,0,0]]');
+    check('Player spawn and key land on grid cells',
+        JSON.stringify(aligned.level.player.spawn) === '[0,1,0]' &&
+        JSON.stringify(aligned.level.objectives.keys[0].at) === '[2,1,0]');
+    check('Converted level passes schema validation', validateLevel(aligned.level).valid);
+
+    // Off-grid positions are snapped, lifted out of blocks and reported
+    const offGrid = createLegacyLevel();
+    offGrid.keys[0].position = { x: 9, y: 1.5, z: 0 };
+    offGrid.keys[0].color = '#FFD700';
+    offGrid.hazards = [{ id: 'spikes', type: 'spikes', position: { x: 4, y: 0.5, z: 0 } }];
+    const snapped = convertLegacyLevel(offGrid);
+    const warningPaths = snapped.report.warnings.map(warning => warning.path);
+    check('Off-grid conversion is reported as lossy', !snapped.report.lossless);
+    check('Key resting on a platform is lifted onto its surface',
+        JSON.stringify(snapped.level.objectives.keys[0].at) === '[2,1,0]');
+    check('Snapped key position is reported', warningPaths.includes('$.keys[0].position'));
+    check('Dropped key color is reported', warningPaths.includes('$.keys[0]'));
+    check('Hazard becomes a hazard block above the platform',
+        snapped.level.blocks.some(block => block.type === 'hazard' && JSON.stringify(block.at) === '[1,1,0]'));
+
+    // Moving platforms become elevator behaviors
+    const moving = createLegacyLevel();
+    moving.movingPlatforms = [{
+        id: 'lift',
+        position: { x: 0, y: 8, z: 8 },
+        movement: { type: 'linear', waypoints: [[0, 8, 8], [0, 16, 8], [0, 8, 8]], speed: 2, pauseTime: 1 }
+    }];
+    const converted = convertLegacyLevel(moving);
+    const elevator = converted.level.behaviors[0];
+    check('Moving platform becomes an elevator on its start cell',
+        elevator && elevator.type === 'elevator' && JSON.stringify(elevator.target) === '[0,2,2]');
+    check('Elevator travels between the first two waypoints',
+        elevator && JSON.stringify(elevator.config.endPosition) === '[0,16,8]');
+    check('Extra waypoints are reported',
+        converted.report.warnings.some(warning => warning.path === '$.movingPlatforms[0].movement.waypoints'));
+    check('Converted moving platform level passes schema validation', validateLevel(converted.level).valid);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Legacy Level Converter Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testLegacyLevelConverter().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
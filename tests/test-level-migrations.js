@@ -0,0 +1,92 @@
+/**
+ * Level migration test
+ *
+ * Verifies that migrateLevel infers the format version of unversioned files,
+ * upgrades legacy levels through the registered chain, stamps the current
+ * version and rejects files newer than the supported version or that are
+ * not objects at all.
+ */
+
+import { migrateLevel, getFormatVersion, registerMigration, CURRENT_FORMAT_VERSION } from '../src/level/LevelMigrations.js';
+
+export async function testLevelMigrations() {
+    console.log('=====================================');
+    console.log('Level Migration Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    const gridLevel = {
+        gridUnitSize: 4,
+        blocks: [{ type: 'standard', at: [0, 0, 0] }],
+        player: { spawn: [0, 1, 0] }
+    };
+    const legacyLevel = {
+        name: 'Legacy',
+        playerStart: { position: { x: 0, y: 4, z: 0 } },
+        platforms: [{ position: { x: 0, y: 0, z: 0 }, size: { width: 4, height: 4, depth: 4 } }]
+    };
+
+    check('Unversioned grid level is version 1', getFormatVersion(gridLevel) === 1);
+    check('Unversioned legacy level is version 0', getFormatVersion(legacyLevel) === 0);
+
+    const current = migrateLevel(gridLevel);
+    check('Current-format level needs no migrations', current.applied.length === 0);
+    check('Migrated level is stamped with the current version', current.level.formatVersion === CURRENT_FORMAT_VERSION);
+    check('Caller data is not mutated', gridLevel.formatVersion === undefined);
+
+    const upgraded = migrateLevel(legacyLevel);
+    check('Legacy level runs the v0 -> v1 migration', upgraded.fromVersion === 0 && upgraded.applied.length === CURRENT_FORMAT_VERSION);
+    check('Legacy level is converted to the grid format',
+        upgraded.level.gridUnitSize === 4 && upgraded.level.blocks.length === 1);
+
+    let rejected = false;
+    try {
+        migrateLevel({ ...gridLevel, formatVersion: CURRENT_FORMAT_VERSION + 1 });
+    } catch (error) {
+        rejected = true;
+    }
+    check('Level newer than the supported version is rejected', rejected);
+
+    const notObjectErrors = [null, undefined, 'level', 1, []].map(input => {
+        try {
+            migrateLevel(input);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    });
+    check('Level data that is not an object is rejected with a LevelMigrations error',
+        notObjectErrors.every(message => message && message.startsWith('LevelMigrations - Level data must be an object')));
+
+    let duplicateRejected = false;
+    try {
+        registerMigration(0, 'duplicate', level => level);
+    } catch (error) {
+        duplicateRejected = true;
+    }
+    check('Registering a second migration for a version is rejected', duplicateRejected);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Level Migration Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testLevelMigrations().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
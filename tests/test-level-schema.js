@@ -0,0 +1,126 @@
+/**
+ * Level schema validation test
+ *
+ * Verifies that validateLevel accepts a well-formed grid level and reports
+ * path-qualified errors for malformed blocks, behavior configs and references.
+ */
+
+import { validateLevel } from '../src/level/LevelSchema.js';
+import '../src/behaviors/builtinBehaviors.js';
+
+function createValidLevel() {
+    return {
+        gridUnitSize: 4,
+        blocks: [
+            { type: 'standard', at: [0, 0, 0] },
+            { type: 'standard', at: [1, 0, 0] }
+        ],
+        behaviors: [
+            {
+                type: 'elevator',
+                target: [1, 0, 0],
+                config: {
+                    trigger: 'onPlayerContact',
+                    startPosition: [4, 0, 0],
+                    endPosition: [4, 8, 0],
+                    speed: 2.0,
+                    returnDelay: 3.0
+                }
+            }
+        ],
+        player: { spawn: [0, 1, 0], lives: 3 },
+        objectives: {
+            keys: [{ id: 'key_1', at: [1, 1, 0] }],
+            exit: { at: [0, 1, 0] }
+        }
+    };
+}
+
+export async function testLevelSchema() {
+    console.log('=====================================');
+    console.log('Level Schema Validation Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    function hasError(result, path) {
+        return result.errors.some(error => error.path === path);
+    }
+
+    const valid = validateLevel(createValidLevel(), { blockTypes: ['standard'] });
+    check('Well-formed level passes validation', valid.valid && valid.errors.length === 0);
+
+    const badCoordinate = createValidLevel();
+    badCoordinate.blocks[0].at = [0, 0];
+    check('Block with two coordinates is rejected at $.blocks[0].at',
+        hasError(validateLevel(badCoordinate), '$.blocks[0].at'));
+
+    const missingPlayer = createValidLevel();
+    delete missingPlayer.player;
+    check('Missing player is reported at $.player',
+        hasError(validateLevel(missingPlayer), '$.player'));
+
+    const badSpeed = createValidLevel();
+    badSpeed.behaviors[0].config.speed = 'fast';
+    check('Non-numeric elevator speed is reported at $.behaviors[0].config.speed',
+        hasError(validateLevel(badSpeed), '$.behaviors[0].config.speed'));
+
+    const unknownType = createValidLevel();
+    unknownType.blocks[1].type = 'marble';
+    check('Unknown block type is reported when block types are supplied',
+        hasError(validateLevel(unknownType, { blockTypes: ['standard'] }), '$.blocks[1].type'));
+
+    const danglingTarget = createValidLevel();
+    danglingTarget.behaviors[0].target = [5, 5, 5];
+    check('Behavior targeting an empty cell is reported at $.behaviors[0].target',
+        hasError(validateLevel(danglingTarget), '$.behaviors[0].target'));
+
+    const duplicateCell = createValidLevel();
+    duplicateCell.blocks.push({ type: 'standard', at: [0, 0, 0] });
+    check('Two blocks in the same cell are reported at $.blocks[2].at',
+        hasError(validateLevel(duplicateCell), '$.blocks[2].at'));
+
+    // Malformed collections are reported, not thrown on
+    const malformed = [
+        ['blocks is an object', level => { level.blocks = {}; }, '$.blocks'],
+        ['a block is null', level => { level.blocks = [null]; }, '$.blocks[0]'],
+        ['a behavior is null', level => { level.behaviors = [null]; }, '$.behaviors[0]'],
+        ['a logic node is null', level => { level.logic = [null]; }, '$.logic[0]'],
+        ['a key is null', level => { level.objectives = { keys: [null] }; }, '$.objectives.keys[0]'],
+        ['objectives is a string', level => { level.objectives = 'keys'; }, '$.objectives']
+    ];
+    malformed.forEach(([description, breakLevel, path]) => {
+        const level = createValidLevel();
+        breakLevel(level);
+        let result = null;
+        try {
+            result = validateLevel(level, { blockTypes: ['standard'] });
+        } catch (error) {
+            console.log(`   ${error.message}`);
+        }
+        check(`Validation reports ${path} instead of throwing when ${description}`, result && hasError(result, path));
+    });
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Level Schema Validation Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testLevelSchema().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
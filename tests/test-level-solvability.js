@@ -0,0 +1,142 @@
+/**
+ * Level solvability test
+ *
+ * Verifies that the reachability analysis follows the player's moves - rolling,
+ * wrapping around edges, jumping gaps, springs, elevators and teleporters -
+ * and reports unreachable keys, an unreachable exit, bad spawns and dead ends.
+ */
+
+import { analyzeSolvability } from '../src/level/LevelSolvability.js';
+
+/**
+ * A straight row of blocks along X with the key and exit above them
+ * @param {Object} [overrides] - Level fields to replace
+ */
+function createRow(overrides = {}) {
+    return {
+        gridUnitSize: 4,
+        blocks: [0, 1, 2, 3, 4].map(x => ({ type: 'stone_platform', at: [x, 0, 0] })),
+        player: { spawn: [0, 1, 0] },
+        objectives: {
+            keys: [{ id: 'key1', at: [2, 1, 0] }],
+            exit: { at: [4, 1, 0] }
+        },
+        ...overrides
+    };
+}
+
+/**
+ * The row plus an island beyond a gap of the given width, with the key on it
+ */
+function createIsland(gap) {
+    const level = createRow();
+    const start = 5 + gap;
+    level.blocks.push({ type: 'stone_platform', at: [start, 0, 0] }, { type: 'stone_platform', at: [start + 1, 0, 0] });
+    level.objectives.keys = [{ id: 'island', at: [start + 1, 1, 0] }];
+    return level;
+}
+
+export async function testLevelSolvability() {
+    console.log('=====================================');
+    console.log('Level Solvability Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Rolling
+    let result = analyzeSolvability(createRow());
+    check('A row with the key and exit on it is solvable',
+        result.solvable && result.errors.length === 0 && result.warnings.length === 0);
+    check('Keys and exit are reported as reachable', result.keys[0].reachable && result.exit.reachable);
+
+    // Gaps
+    result = analyzeSolvability(createIsland(1));
+    check('A key across a one-block gap is reached by jumping', result.solvable);
+    result = analyzeSolvability(createIsland(2));
+    check('A key across a two-block gap is unreachable', !result.solvable && !result.keys[0].reachable);
+    check('Unreachable keys are reported with their path',
+        result.errors.length === 1 && result.errors[0].path === '$.objectives.keys[0]' && result.errors[0].message.includes("'island'"));
+
+    // Jump height and springs
+    const floating = createRow();
+    floating.objectives.keys = [{ id: 'high', at: [2, 2, 0] }];
+    result = analyzeSolvability(floating);
+    check('A key two cells above the row is out of jump height', !result.solvable && !result.keys[0].reachable);
+    result = analyzeSolvability({ ...floating, behaviors: [{ type: 'spring', target: [2, 0, 0], config: {} }] });
+    check('A spring under the key makes it reachable', result.solvable);
+
+    // Edge wrapping
+    const underside = createRow();
+    underside.objectives.keys = [{ id: 'under', at: [2, -1, 0] }];
+    result = analyzeSolvability(underside);
+    check('A key under the row is reached by wrapping around the edge', result.solvable);
+
+    const tower = createRow();
+    [1, 2, 3].forEach(y => tower.blocks.push({ type: 'stone_platform', at: [4, y, 0] }));
+    tower.objectives.exit = { at: [5, 3, 0] };
+    result = analyzeSolvability(tower);
+    check('The far side of a tower is reached by wrapping over its top', result.solvable);
+
+    // Elevators
+    const ferry = createIsland(3);
+    result = analyzeSolvability(ferry);
+    check('An island beyond a wide gap is unreachable without the elevator', !result.solvable);
+    ferry.behaviors = [{ type: 'elevator', target: [4, 0, 0], config: { endPosition: [28, 0, 0] } }];
+    result = analyzeSolvability(ferry);
+    check('The elevator carries the player across to the island', result.solvable);
+
+    // Teleporters
+    const distant = createIsland(4);
+    result = analyzeSolvability({ ...distant, behaviors: [{ type: 'teleporter', target: [3, 0, 0], config: { destination: [9, 0, 0] } }] });
+    check('A teleporter reaches a distant island', result.solvable);
+
+    // Spawn
+    result = analyzeSolvability(createRow({ player: { spawn: [8, 2, 0] } }));
+    check('A spawn above empty space is reported', !result.solvable && result.errors[0].path === '$.player.spawn');
+    result = analyzeSolvability(createRow({ player: { spawn: [1, 0, 0] } }));
+    check('A spawn inside a block is reported', !result.solvable && result.errors[0].message.includes('inside a block'));
+
+    // Exits inside blocks
+    result = analyzeSolvability(createRow({ objectives: { keys: [], exit: { at: [4, 0, 0] } } }));
+    check('An exit inside a block is unreachable and says why',
+        !result.solvable && result.errors[0].path === '$.objectives.exit' && result.errors[0].message.includes('inside a block'));
+
+    // Dead ends
+    const trap = createIsland(4);
+    trap.objectives.keys = [];
+    trap.behaviors = [{ type: 'teleporter', target: [3, 0, 0], config: { destination: [9, 0, 0] } }];
+    result = analyzeSolvability(trap);
+    check('A one-way teleporter to an island is a dead end but the level stays solvable',
+        result.solvable && result.deadEnds.length === 1);
+    check('The dead end is reported as a warning with its blocks',
+        result.warnings.length === 1 && result.deadEnds[0].cells.length === 2 && result.warnings[0].message.includes('dead end'));
+
+    // Block types without colliders
+    const decorated = createRow();
+    decorated.blocks[4].type = 'fern';
+    result = analyzeSolvability(decorated, { isSolidBlock: type => type !== 'fern' });
+    check('Blocks that are not solid cannot be stood on', !result.solvable && analyzeSolvability(decorated).solvable);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Level Solvability Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testLevelSolvability().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,81 @@
+/**
+ * Play test hand-off test
+ *
+ * Verifies the level the editor hands to the game for a play test: a copy
+ * with the play-test id, started from the level's spawn or a chosen cell
+ * (moved up out of blocks), and rejected only when the game could not load it.
+ */
+
+import { createPlayTestLevel, isPlayTestUrl, PLAYTEST_LEVEL_ID } from '../src/level/PlayTest.js';
+import { LevelEditor } from '../src/editor/LevelEditor.js';
+
+export async function testPlayTest() {
+    console.log('=====================================');
+    console.log('Play Test Hand-off Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    check('Play-test pages are recognized from the URL',
+        isPlayTestUrl('?playtest') && isPlayTestUrl('?level=2&playtest=1') && !isPlayTestUrl('?level=2'));
+
+    // Level copies
+    const levelData = {
+        gridUnitSize: 4,
+        blocks: [
+            { type: 'standard_platform', at: [2, 0, 2] },
+            { type: 'standard_platform', at: [2, 1, 2] }
+        ],
+        player: { spawn: [0, 1, 0], lives: 3 }
+    };
+    let level = createPlayTestLevel(levelData);
+    check('The level keeps its spawn and gets the play-test id',
+        level.id === PLAYTEST_LEVEL_ID && level.player.spawn.join() === '0,1,0' && level.player.lives === 3);
+
+    level = createPlayTestLevel(levelData, [5, 0, 5]);
+    check('A chosen cell replaces the spawn', level.player.spawn.join() === '5,0,5');
+
+    level = createPlayTestLevel(levelData, [2, 0, 2]);
+    check('A chosen cell inside blocks moves up to the first free cell', level.player.spawn.join() === '2,2,2');
+    check('The editor data is not modified', levelData.player.spawn.join() === '0,1,0' && levelData.id === undefined);
+
+    // Editor levels
+    const editor = new LevelEditor(null);
+    editor.setupScene();
+    await editor.placeBlock({ x: 0, y: 0, z: 0 }, 'standard_platform');
+    editor.setPlayerSpawn({ x: 0, y: 1, z: 0 });
+
+    let result = editor.getPlayTestLevel();
+    check('A level without keys or an exit can still be play-tested', result.errors.length === 0);
+
+    result = editor.getPlayTestLevel({ x: 0, y: 0, z: 0 });
+    check('Playing from the hovered cell starts above its block', result.level.player.spawn.join() === '0,1,0');
+
+    editor.removeBlock({ x: 0, y: 1, z: 0 });
+    result = editor.getPlayTestLevel();
+    check('A level without a spawn cannot be played', result.errors.some(error => error.includes('spawn')));
+    check('Playing from a cell works without a spawn', editor.getPlayTestLevel({ x: 3, y: 0, z: 3 }).errors.length === 0);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Play Test Hand-off Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testPlayTest().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
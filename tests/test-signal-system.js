@@ -0,0 +1,149 @@
+/**
+ * Signal system test
+ *
+ * Verifies the named-channel signal bus in BehaviorSystem: behaviors listening
+ * on channels, AND/OR/XOR/NOT gates, counters, delays, and the guard against
+ * feedback loops.
+ */
+
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import behaviorRegistry from '../src/behaviors/BehaviorRegistry.js';
+
+// Records the actions it receives
+class ProbeBehavior {
+    constructor(targetBlock, config, behaviorId) {
+        this.id = behaviorId;
+        this.type = 'test_probe';
+        this.targetBlock = targetBlock;
+        this.config = config;
+        this.actions = [];
+    }
+
+    activate() { this.actions.push('activate'); }
+    deactivate() { this.actions.push('deactivate'); }
+    reset() { this.actions.push('reset'); }
+}
+
+function createBlock(at) {
+    return {
+        name: `block-${at.join('_')}`,
+        position: { x: at[0] * 4, y: at[1] * 4, z: at[2] * 4 },
+        userData: { gridPosition: at }
+    };
+}
+
+function createSystem(levelData) {
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, { world: {} });
+    const platforms = new Map();
+    levelData.blocks.forEach((block, index) => platforms.set(`block-${index}`, createBlock(block.at)));
+    behaviorSystem.parseBehaviors(levelData, platforms);
+    return behaviorSystem;
+}
+
+function probeAt(behaviorSystem, index) {
+    return Array.from(behaviorSystem.behaviors.values())[index];
+}
+
+export async function testSignalSystem() {
+    console.log('=====================================');
+    console.log('Signal System Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    behaviorRegistry.register('test_probe', {
+        behaviorClass: ProbeBehavior,
+        configSchema: { type: 'object', properties: {}, additionalProperties: false }
+    });
+
+    const levelData = {
+        blocks: [{ at: [0, 0, 0] }, { at: [1, 0, 0] }, { at: [2, 0, 0] }, { at: [3, 0, 0] }, { at: [4, 0, 0] }],
+        behaviors: [
+            { type: 'test_probe', target: [0, 0, 0], config: {}, listen: [{ channel: 'door' }] },
+            { type: 'test_probe', target: [1, 0, 0], config: {}, listen: [{ channel: 'both', action: 'follow' }] },
+            { type: 'test_probe', target: [2, 0, 0], config: {}, listen: [{ channel: 'third_press' }] },
+            { type: 'test_probe', target: [3, 0, 0], config: {}, listen: [{ channel: 'later' }] },
+            { type: 'test_probe', target: [4, 0, 0], config: {}, listen: [{ channel: 'inverted', action: 'follow' }] }
+        ],
+        logic: [
+            { type: 'and', inputs: ['a', 'b'], output: 'both' },
+            { type: 'xor', inputs: ['a', 'b'], output: 'either' },
+            { type: 'not', inputs: ['a'], output: 'inverted' },
+            { type: 'counter', inputs: ['press'], output: 'third_press', count: 3 },
+            { type: 'delay', inputs: ['a'], output: 'later', delay: 1.0 }
+        ]
+    };
+    const behaviorSystem = createSystem(levelData);
+
+    // One channel drives every listener
+    behaviorSystem.emitSignal('door', true, 'test');
+    check('Listener runs its action when the channel turns on', probeAt(behaviorSystem, 0).actions.join() === 'activate');
+    check('Channel value is stored', behaviorSystem.getSignal('door') === true);
+
+    // NOT emits its initial output when the level loads
+    check('NOT gate outputs true while its input is off', behaviorSystem.getSignal('inverted') === true);
+    check('Follow listener activates on the initial NOT output', probeAt(behaviorSystem, 4).actions.join() === 'activate');
+
+    // AND / XOR
+    behaviorSystem.emitSignal('a', true);
+    check('AND stays off with one input', behaviorSystem.getSignal('both') === false);
+    check('XOR turns on with one input', behaviorSystem.getSignal('either') === true);
+    behaviorSystem.emitSignal('b', true);
+    check('AND turns on with both inputs', behaviorSystem.getSignal('both') === true);
+    check('XOR turns off with both inputs', behaviorSystem.getSignal('either') === false);
+    behaviorSystem.emitSignal('b', false);
+    check('Follow listener activates and deactivates with the AND output',
+        probeAt(behaviorSystem, 1).actions.join() === 'activate,deactivate');
+    check('NOT gate follows its input', behaviorSystem.getSignal('inverted') === false);
+
+    // Counter
+    behaviorSystem.emitSignal('press', true);
+    behaviorSystem.emitSignal('press', true);
+    check('Counter does not fire before the count', probeAt(behaviorSystem, 2).actions.length === 0);
+    behaviorSystem.emitSignal('press', true);
+    check('Counter fires on the third press', probeAt(behaviorSystem, 2).actions.join() === 'activate');
+
+    // Delay
+    behaviorSystem.update(0.5);
+    check('Delay holds the signal back', probeAt(behaviorSystem, 3).actions.length === 0);
+    behaviorSystem.update(0.6);
+    check('Delay re-emits the signal after its delay', probeAt(behaviorSystem, 3).actions.join() === 'activate');
+
+    // Feedback loops are cut off instead of overflowing the stack
+    let loopCount = 0;
+    behaviorSystem.onSignal('loop', value => {
+        loopCount++;
+        behaviorSystem.emitSignal('loop', !value);
+    });
+    behaviorSystem.emitSignal('loop', true);
+    check('Feedback loop is stopped by the depth guard', loopCount > 0 && loopCount <= 32);
+
+    behaviorSystem.clear();
+    check('Clearing the system removes signals and logic nodes',
+        behaviorSystem.signals.size === 0 && behaviorSystem.logicNodes.length === 0);
+
+    behaviorRegistry.unregister('test_probe');
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Signal System Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testSignalSystem().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
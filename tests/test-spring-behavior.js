@@ -0,0 +1,114 @@
+/**
+ * Spring behavior test
+ *
+ * Verifies that a spring launches the player along the surface normal for the
+ * current gravity, aims angled launches so the player lands on the target
+ * block, respects its cooldown, and squashes the block when it fires.
+ */
+
+import * as THREE from 'three';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+
+function createBlock(at) {
+    const block = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshStandardMaterial());
+    block.name = `block-${at.join('_')}`;
+    block.position.set(at[0] * 4, at[1] * 4, at[2] * 4);
+    block.userData.gridPosition = at;
+    return block;
+}
+
+function createSystem(levelData, playerPosition) {
+    const physicsManager = new PhysicsManager();
+    physicsManager.createPlayerBody(playerPosition);
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, physicsManager);
+    const platforms = new Map();
+    levelData.blocks.forEach((definition, index) => platforms.set(`block-${index}`, createBlock(definition.at)));
+    behaviorSystem.parseBehaviors(levelData, platforms);
+    return { behaviorSystem, physicsManager, playerBody: physicsManager.playerBody, block: platforms.get('block-0') };
+}
+
+export async function testSpringBehavior() {
+    console.log('=====================================');
+    console.log('Spring Behavior Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Straight launch
+    const straightLevel = {
+        blocks: [{ at: [0, 0, 0] }],
+        behaviors: [{ type: 'spring', target: [0, 0, 0], config: { impulse: 10, cooldown: 0.5 } }]
+    };
+    const straight = createSystem(straightLevel, new THREE.Vector3(0, 2.5, 0));
+    straight.playerBody.velocity.set(1, -2, 0);
+    straight.behaviorSystem.update(0.016);
+    check('Spring sets the speed along the surface normal', straight.playerBody.velocity.y === 10);
+    check('Sideways speed is kept on a straight launch', straight.playerBody.velocity.x === 1);
+
+    straight.behaviorSystem.update(0.04);
+    check('Block squashes along the normal when the spring fires',
+        straight.block.scale.y < 1 && straight.block.scale.x === 1 && straight.block.position.y < 0);
+
+    straight.playerBody.velocity.set(0, 0, 0);
+    straight.behaviorSystem.update(0.1);
+    check('Spring does not fire again during its cooldown', straight.playerBody.velocity.y === 0);
+
+    straight.behaviorSystem.update(0.5);
+    check('Block rebounds after the animation', straight.block.scale.y === 1 && straight.block.position.y === 0);
+    straight.behaviorSystem.update(0.016);
+    check('Spring fires again after the cooldown', straight.playerBody.velocity.y === 10);
+
+    // Wall gravity: launch along +x
+    straight.physicsManager.world.gravity.set(-9.82, 0, 0);
+    straight.playerBody.position.set(2.5, 0, 0);
+    straight.playerBody.velocity.set(0, 0, 0);
+    straight.behaviorSystem.update(1.0);
+    check('Launch follows the current gravity', straight.playerBody.velocity.x === 10 && straight.playerBody.velocity.y === 0);
+
+    // Angled launch onto a target block
+    const angledLevel = {
+        blocks: [{ at: [0, 0, 0] }, { at: [4, 1, 0] }],
+        behaviors: [{ type: 'spring', target: [0, 0, 0], config: { impulse: 14, targetBlock: [4, 1, 0] } }]
+    };
+    const angled = createSystem(angledLevel, new THREE.Vector3(0, 2.5, 0));
+    angled.behaviorSystem.update(0.016);
+    const velocity = angled.playerBody.velocity;
+    const g = 9.82;
+    const flightTime = (velocity.y + Math.sqrt(velocity.y * velocity.y - 2 * g * (6.5 - 2.5))) / g;
+    const landingX = 0 + velocity.x * flightTime;
+    check('Angled launch keeps the impulse along the normal', velocity.y === 14);
+    check('Angled launch lands on the target block', Math.abs(landingX - 16) < 1e-6 && velocity.z === 0);
+
+    // Out of reach: straight up instead
+    const farLevel = {
+        blocks: [{ at: [0, 0, 0] }, { at: [0, 10, 4] }],
+        behaviors: [{ type: 'spring', target: [0, 0, 0], config: { impulse: 5, targetBlock: [0, 10, 4] } }]
+    };
+    const far = createSystem(farLevel, new THREE.Vector3(0, 2.5, 0));
+    far.behaviorSystem.update(0.016);
+    check('Unreachable target falls back to a straight launch', far.playerBody.velocity.y === 5 && far.playerBody.velocity.z === 0);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Spring Behavior Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testSpringBehavior().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
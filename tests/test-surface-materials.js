@@ -0,0 +1,139 @@
+/**
+ * Surface materials test
+ *
+ * Verifies that block definitions carry surface types, that PhysicsManager
+ * builds a player contact material per surface, reports the surface under the
+ * player relative to gravity, and that PlayerController scales acceleration,
+ * braking and top speed by that surface.
+ */
+
+import * as CANNON from 'cannon-es';
+import assetRegistry from '../src/assets/AssetRegistry.js';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+import { PlayerController } from '../src/player/PlayerController.js';
+
+function createBlockBody(physicsManager, surface, position) {
+    const body = new CANNON.Body({
+        mass: 0,
+        shape: new CANNON.Box(new CANNON.Vec3(2, 2, 2)),
+        position: new CANNON.Vec3(position[0], position[1], position[2]),
+        type: CANNON.Body.STATIC,
+        material: physicsManager.getSurfaceMaterial(surface)
+    });
+    physicsManager.world.addBody(body);
+    return body;
+}
+
+function stepFor(physicsManager, seconds) {
+    for (let t = 0; t < seconds; t += 1 / 60) {
+        physicsManager.update(1 / 60);
+    }
+}
+
+/**
+ * Roll the player at 4 units/s with no input and return the speed left after `seconds`
+ */
+function coastSpeed(surface, seconds) {
+    const controller = new PlayerController();
+    controller.setPhysicsBody({ velocity: new CANNON.Vec3(4, 0, 0), position: new CANNON.Vec3(), addEventListener() {}, applyForce() {} });
+    controller.setSurface(surface);
+    for (let t = 0; t < seconds; t += 1 / 60) {
+        controller.update(1 / 60);
+    }
+    return controller.physicsBody.velocity.x;
+}
+
+export async function testSurfaceMaterials() {
+    console.log('=====================================');
+    console.log('Surface Materials Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Block definitions
+    const surfaceBlocks = ['ice', 'mud', 'rubber', 'sticky'].map(surface => assetRegistry.getBlockDefinition(`${surface}_platform`));
+    check('Surface block types carry their surface', surfaceBlocks.every((definition, i) => definition.surface === ['ice', 'mud', 'rubber', 'sticky'][i]));
+    check('Unknown surfaces fall back to the default surface', assetRegistry.getSurfaceDefinition('lava') === assetRegistry.getSurfaceDefinition('default'));
+
+    // Contact materials
+    const physicsManager = new PhysicsManager();
+    const iceMaterial = physicsManager.getSurfaceMaterial('ice');
+    const iceContact = physicsManager.world.getContactMaterial(physicsManager.playerMaterial, iceMaterial);
+    check('Default surface uses the ground material', physicsManager.getSurfaceMaterial() === physicsManager.groundMaterial);
+    check('Surface materials are shared between blocks', physicsManager.getSurfaceMaterial('ice') === iceMaterial);
+    check('Ice contact with the player is slippery', iceContact && iceContact.friction === assetRegistry.getSurfaceDefinition('ice').friction);
+
+    // Surface under the player follows gravity
+    const surfaces = [];
+    physicsManager.setPlayerController({ updateGravity: () => {}, setSurface: surface => surfaces.push(surface) });
+    createBlockBody(physicsManager, 'ice', [0, 0, 0]);
+    createBlockBody(physicsManager, 'mud', [0, 5, 0]);
+    const playerBody = physicsManager.createPlayerBody({ x: 0, y: 2.5, z: 0 });
+    stepFor(physicsManager, 0.2);
+    check('Player standing on an ice block is on ice', physicsManager.getGroundSurface() === 'ice' && surfaces[surfaces.length - 1] === 'ice');
+
+    physicsManager.world.gravity.set(0, 9.82, 0);
+    playerBody.position.set(0, 2.5, 0);
+    playerBody.velocity.set(0, 0, 0);
+    stepFor(physicsManager, 0.5);
+    check('With gravity flipped the ceiling block is the ground', physicsManager.getGroundSurface() === 'mud' && surfaces[surfaces.length - 1] === 'mud');
+
+    // Rubber bounces higher than the default surface
+    function bounceSpeed(surface) {
+        const manager = new PhysicsManager();
+        createBlockBody(manager, surface, [0, 0, 0]);
+        const body = manager.createPlayerBody({ x: 0, y: 5, z: 0 });
+        let maxUp = 0;
+        for (let t = 0; t < 1.5; t += 1 / 60) {
+            manager.update(1 / 60);
+            maxUp = Math.max(maxUp, body.velocity.y);
+        }
+        return maxUp;
+    }
+    check('Rubber bounces the player back up', bounceSpeed('rubber') > 2 * bounceSpeed('default'));
+
+    // Player movement
+    globalThis.window = { addEventListener() {} };
+
+    const defaultSpeed = coastSpeed('default', 0.5);
+    check('Ice barely brakes', coastSpeed('ice', 0.5) > defaultSpeed && coastSpeed('ice', 0.5) > 3);
+    check('Sticky surfaces stop the player quickly', coastSpeed('sticky', 0.5) < defaultSpeed / 4);
+    check('Mud lowers the top speed', coastSpeed('mud', 1 / 60) <= 5 * assetRegistry.getSurfaceDefinition('mud').speed + 1e-9);
+
+    const controller = new PlayerController();
+    const forces = [];
+    controller.setPhysicsBody({ velocity: new CANNON.Vec3(), position: new CANNON.Vec3(), addEventListener() {}, applyForce: force => forces.push(force.length()) });
+    controller.keys.forward = true;
+    controller.update(1 / 60);
+    controller.setSurface('ice');
+    controller.update(1 / 60);
+    check('Ice lowers acceleration', Math.abs(forces[1] - forces[0] * assetRegistry.getSurfaceDefinition('ice').acceleration) < 1e-9);
+
+    controller.reset();
+    check('Reset returns the player to the default surface', controller.surface === 'default');
+
+    delete globalThis.window;
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Surface Materials Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testSurfaceMaterials().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,122 @@
+/**
+ * Teleporter behavior test
+ *
+ * Verifies that a teleporter pad relocates the player onto its destination,
+ * reorients gravity to the destination surface - also in the middle of another
+ * gravity transition - reports the teleport for the camera glide, honours the
+ * velocity setting, and does not bounce the player straight back.
+ */
+
+import * as THREE from 'three';
+import { BehaviorSystem } from '../src/behaviors/BehaviorSystem.js';
+import * as CANNON from 'cannon-es';
+import { PhysicsManager } from '../src/physics/PhysicsManager.js';
+
+function createBlock(at) {
+    const block = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshStandardMaterial());
+    block.name = `block-${at.join('_')}`;
+    block.position.set(at[0] * 4, at[1] * 4, at[2] * 4);
+    block.userData.gridPosition = at;
+    return block;
+}
+
+// Teleports reported to the game for the camera glide
+const teleports = [];
+
+function createSystem(levelData) {
+    const physicsManager = new PhysicsManager();
+    physicsManager.createPlayerBody(new THREE.Vector3(0, 2.5, 0));
+    const behaviorSystem = new BehaviorSystem({ add: () => {}, remove: () => {} }, physicsManager);
+    physicsManager.on('playerTeleported', teleport => teleports.push(teleport));
+    const platforms = new Map();
+    levelData.blocks.forEach((definition, index) => platforms.set(`block-${index}`, createBlock(definition.at)));
+    behaviorSystem.parseBehaviors(levelData, platforms);
+    return { behaviorSystem, physicsManager, playerBody: physicsManager.playerBody };
+}
+
+export async function testTeleporterBehavior() {
+    console.log('=====================================');
+    console.log('Teleporter Behavior Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    // Bidirectional pair on the floor
+    const floorLevel = {
+        blocks: [{ at: [0, 0, 0] }, { at: [5, 0, 0] }],
+        behaviors: [
+            { type: 'teleporter', target: [0, 0, 0], config: { destination: [5, 0, 0], bidirectional: true, cooldown: 0.5 } }
+        ]
+    };
+    const floor = createSystem(floorLevel);
+    floor.playerBody.velocity.set(2, 0, 0);
+    floor.behaviorSystem.update(0.016);
+    check('Player is moved on top of the destination pad', floor.playerBody.position.x === 20 && floor.playerBody.position.y === 2.6);
+    check('Velocity is reset by default', floor.playerBody.velocity.length() === 0);
+    check('Camera glides from the old position', teleports.length === 1 && teleports[0].from.x === 0 && teleports[0].to.x === 20);
+    check('Gravity stays the same on a same-facing pad', !floor.physicsManager.isTransitioning);
+
+    floor.behaviorSystem.update(1.0);
+    check('Player standing on the arrival pad is not sent back', floor.playerBody.position.x === 20);
+
+    // Step off and back on the destination pad
+    floor.playerBody.position.set(20, 6, 0);
+    floor.behaviorSystem.update(0.016);
+    floor.playerBody.position.set(20, 2.5, 0);
+    floor.behaviorSystem.update(0.016);
+    check('Bidirectional pad sends the player back after they step off', floor.playerBody.position.x === 0);
+
+    // One-way pad onto a wall: gravity turns toward the wall and velocity follows the surface
+    const wallLevel = {
+        blocks: [{ at: [0, 0, 0] }, { at: [3, 2, 0] }, { at: [3, 3, 0] }],
+        behaviors: [
+            { type: 'teleporter', target: [0, 0, 0], config: { destination: [3, 2, 0], destinationNormal: [-1, 0, 0], velocity: 'preserve' } }
+        ]
+    };
+    const wall = createSystem(wallLevel);
+    wall.playerBody.velocity.set(0, 0, 3);
+    wall.behaviorSystem.update(0.016);
+    check('Player arrives on the configured face', wall.playerBody.position.x === 9.4 && wall.playerBody.position.y === 8);
+    check('Gravity points into the destination surface on arrival',
+        !wall.physicsManager.isTransitioning && wall.physicsManager.world.gravity.x > 0);
+    check('Preserved velocity is kept along the surface', Math.abs(wall.playerBody.velocity.z - 3) < 1e-6);
+
+    // Open face is found when no normal is configured
+    const teleporter = Array.from(wall.behaviorSystem.behaviors.values())[0];
+    const face = teleporter.findOpenFace(wall.behaviorSystem.blocksByPosition.get('3,2,0'), new THREE.Vector3(0, 1, 0));
+    check('Blocked top face falls back to an open face', face.equals(new THREE.Vector3(0, -1, 0)));
+
+    // Teleporting in the middle of a gravity transition replaces it
+    const flipping = createSystem(wallLevel);
+    flipping.physicsManager.reorientGravity(new CANNON.Vec3(0, -1, 0));
+    flipping.physicsManager.updateGravityTransition(0.1);
+    flipping.behaviorSystem.update(0.016);
+    const gravity = flipping.physicsManager.world.gravity.unit();
+    check('Teleporting during a gravity transition leaves gravity facing the arrival surface',
+        !flipping.physicsManager.isTransitioning && gravity.x > 0.999);
+    flipping.physicsManager.updateGravityTransition(1.0);
+    check('The replaced transition does not resume', flipping.physicsManager.world.gravity.unit().x > 0.999);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Teleporter Behavior Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testTeleporterBehavior().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
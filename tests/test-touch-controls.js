@@ -0,0 +1,104 @@
+/**
+ * Touch controls test
+ *
+ * Verifies the on-screen joystick (dead zone, full tilt past its radius,
+ * release), that quick jump taps survive until the next poll, and that
+ * PlayerController turns touch input into analog movement and jumps, with a
+ * tilted gamepad stick taking precedence.
+ */
+
+import { TouchControls, JOYSTICK_RADIUS, isTouchDevice } from '../src/ui/TouchControls.js';
+import { GamepadInput } from '../src/player/GamepadInput.js';
+import { PlayerController } from '../src/player/PlayerController.js';
+
+export async function testTouchControls() {
+    console.log('=====================================');
+    console.log('Touch Controls Test');
+    console.log('=====================================');
+
+    let allPassed = true;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`✅ TEST PASSED: ${description}`);
+        } else {
+            console.log(`❌ TEST FAILED: ${description}`);
+            allPassed = false;
+        }
+    }
+
+    check('Touch controls stay off without a touch screen', !isTouchDevice());
+
+    // Joystick
+    const touchControls = new TouchControls();
+    touchControls.startStick(100, 300, 7);
+    touchControls.moveStick(103, 298);
+    check('A finger resting on the joystick does not move', touchControls.poll().move.x === 0);
+
+    touchControls.moveStick(100, 300 - JOYSTICK_RADIUS);
+    let state = touchControls.poll();
+    check('Dragging up to the edge is full forward tilt', state.move.x === 0 && Math.abs(state.move.y - 1) < 1e-9);
+
+    touchControls.moveStick(100 + JOYSTICK_RADIUS * 3, 300);
+    state = touchControls.poll();
+    check('Dragging past the edge holds full tilt', Math.abs(state.move.x - 1) < 1e-9 && state.move.y === 0);
+
+    touchControls.moveStick(100 - JOYSTICK_RADIUS / 2, 300 + JOYSTICK_RADIUS / 2);
+    state = touchControls.poll();
+    check('Half tilt down-left gives partial backward-left movement',
+        state.move.x < 0 && state.move.x === state.move.y && Math.hypot(state.move.x, state.move.y) < 0.75);
+
+    touchControls.endStick();
+    check('Lifting the finger releases the joystick', touchControls.poll().move.x === 0 && touchControls.stickTouchId === null);
+
+    // Jump button
+    touchControls.pressJump();
+    touchControls.releaseJump();
+    check('A tap between two polls still jumps once', touchControls.poll().jump && !touchControls.poll().jump);
+    touchControls.pressJump();
+    check('Holding the button keeps jump pressed', touchControls.poll().jump && touchControls.poll().jump);
+    touchControls.reset();
+    check('Resetting releases everything', !touchControls.poll().jump);
+
+    // Player input
+    const playerController = new PlayerController({ headless: true });
+    playerController.setTouchControls(touchControls);
+    touchControls.startStick(0, 0);
+    touchControls.moveStick(JOYSTICK_RADIUS, 0);
+    touchControls.pressJump();
+    playerController.pollInput();
+    let inputState = playerController.getInputState();
+    check('The joystick moves the player as analog input', Math.abs(inputState.analog.right - 1) < 1e-9 && inputState.analog.forward === 0);
+    check('The jump button jumps', inputState.jump && !inputState.forward);
+
+    let pads = [];
+    playerController.gamepad = new GamepadInput({ getGamepads: () => pads });
+    pads = [{ index: 0, id: 'Test Controller', connected: true, axes: [0, -1, 0, 0], buttons: [] }];
+    playerController.pollInput();
+    inputState = playerController.getInputState();
+    check('A tilted gamepad stick takes precedence over the joystick',
+        Math.abs(inputState.analog.forward - 1) < 1e-9 && inputState.analog.right === 0);
+
+    playerController.applyInputState({ left: true });
+    inputState = playerController.getInputState();
+    check('Applied input replaces touch input until it is polled again', inputState.left && !inputState.jump && !inputState.analog);
+
+    playerController.setTouchControls(null);
+    pads = [];
+    playerController.pollInput();
+    check('Removed touch controls no longer move the player', !playerController.getInputState().analog);
+
+    console.log('');
+    console.log('=====================================');
+    console.log('Touch Controls Test Complete');
+    console.log('=====================================');
+
+    return allPassed;
+}
+
+// Run the test if this file is executed directly
+if (typeof window === 'undefined') {
+    testTouchControls().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}